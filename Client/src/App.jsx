@@ -1,27 +1,88 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Toaster, toast } from 'react-hot-toast';
 import FileManager from './components/FileManager';
 import VideoPreviewModal from './components/VideoPreviewModal';
 import SystemStats from './components/SystemStats';
+import LoginScreen from './components/LoginScreen';
+import UsersPanel from './components/UsersPanel';
+import AccessPanel from './components/AccessPanel';
+import SharesPanel from './components/SharesPanel';
+import UploadsPanel from './components/UploadsPanel';
+import ContentPolicyPanel from './components/ContentPolicyPanel';
+import QuarantinePanel from './components/QuarantinePanel';
+import TrashPanel from './components/TrashPanel';
+import ConflictDialog from './components/ConflictDialog';
+import * as tus from 'tus-js-client';
+import { API_BASE_URL, USE_TUS_UPLOADS, apiFetch, setUnauthorizedHandler } from './api';
+import { sha256Blob, sha256File } from './checksums';
+import { runBatch } from './batches';
 import './App.css';
 
-// API Configuration - automatically adapts to development/production
-const API_BASE_URL = import.meta.env.VITE_API_URL || 
-  (import.meta.env.DEV ? 'http://localhost:5000/api' : '/api');
-
 function App() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [isUsersPanelOpen, setIsUsersPanelOpen] = useState(false);
+  const [isAccessPanelOpen, setIsAccessPanelOpen] = useState(false);
+  const [isSharesPanelOpen, setIsSharesPanelOpen] = useState(false);
+  const [isUploadsPanelOpen, setIsUploadsPanelOpen] = useState(false);
+  const [isContentPolicyPanelOpen, setIsContentPolicyPanelOpen] = useState(false);
+  const [isQuarantinePanelOpen, setIsQuarantinePanelOpen] = useState(false);
+  const [isTrashPanelOpen, setIsTrashPanelOpen] = useState(false);
+  const [currentRole, setCurrentRole] = useState('none');
   const [currentPath, setCurrentPath] = useState('/');
   const [files, setFiles] = useState([]);
   const [folders, setFolders] = useState([]);
   const [diskUsage, setDiskUsage] = useState(null);
   const [systemStats, setSystemStats] = useState(null);
+  const [storage, setStorage] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [selectedVideo, setSelectedVideo] = useState(null);
   const [isVideoModalOpen, setIsVideoModalOpen] = useState(false);
   const [pendingUploads, setPendingUploads] = useState([]);
+  const [conflictPrompt, setConflictPrompt] = useState(null);
+  // Tags the listing is narrowed to, in the folder they were picked in
+  const [tagFilter, setTagFilter] = useState({ path: '/', tags: [] });
+  const tagFilterRef = useRef(tagFilter);
 
-  // Check for path parameter in URL on component mount
+  // Check for an existing session on mount and drop back to the login screen on any 401
   useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+
+    const checkSession = async () => {
+      try {
+        const response = await apiFetch('/auth/me');
+        if (response.ok) {
+          const data = await response.json();
+          setUser(data.user);
+        }
+      } catch (error) {
+        console.error('Session check failed:', error);
+      } finally {
+        setAuthChecked(true);
+      }
+    };
+
+    checkSession();
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // Log out and clear the session cookie
+  const logout = async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    setUser(null);
+    setFiles([]);
+    setFolders([]);
+    toast.success('Logged out');
+  };
+
+  // Check for path parameter in URL once logged in
+  useEffect(() => {
+    if (!user) return;
+
     const urlParams = new URLSearchParams(window.location.search);
     const pathParam = urlParams.get('path');
     if (pathParam) {
@@ -33,7 +94,7 @@ function App() {
       console.log('No URL path parameter, loading root'); // Debug log
       loadFiles('/');
     }
-  }, []);
+  }, [user]);
 
   // Update URL when path changes
   const updateURL = (path) => {
@@ -49,36 +110,47 @@ function App() {
     console.log('Final URL:', url.toString()); // Debug log
   };
 
-  // Load files and folders
-  const loadFiles = async (path = '/') => {
-    setIsLoading(true);
+  // Load files and folders. A `silent` reload (after a change reported by the server)
+  // shows no spinner and no error toast.
+  const loadFiles = async (path = '/', { silent = false } = {}) => {
+    if (!silent) setIsLoading(true);
+    // The tag filter is dropped when going to another folder
+    if (tagFilterRef.current.path !== path) {
+      tagFilterRef.current = { path, tags: [] };
+      setTagFilter(tagFilterRef.current);
+    }
+    const query = new URLSearchParams({ path });
+    if (tagFilterRef.current.tags.length > 0) query.set('tag', tagFilterRef.current.tags.join(','));
     try {
-      const response = await fetch(`${API_BASE_URL}/files?path=${encodeURIComponent(path)}`);
+      const response = await apiFetch(`/files?${query}`);
       if (!response.ok) throw new Error('Failed to load files');
       
       const data = await response.json();
       setFiles(data.files || []);
       setFolders(data.folders || []);
+      setCurrentRole(data.role || 'none');
       setDiskUsage(data.diskUsage || null);
       setSystemStats(data.systemStats || null);
+      setStorage(data.storage || null);
       setCurrentPath(data.currentPath || path);
     } catch (error) {
       console.error('Error loading files:', error);
-      toast.error('Failed to load files');
+      if (!silent) toast.error('Failed to load files');
     } finally {
-      setIsLoading(false);
+      if (!silent) setIsLoading(false);
     }
   };
 
   // Manual refresh for system stats
   const refreshStats = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/files?path=${encodeURIComponent(currentPath)}`);
+      const response = await apiFetch(`/files?path=${encodeURIComponent(currentPath)}`);
       if (!response.ok) throw new Error('Failed to refresh stats');
       
       const data = await response.json();
       setDiskUsage(data.diskUsage || null);
       setSystemStats(data.systemStats || null);
+      setStorage(data.storage || null);
       
       toast.success('Stats refreshed!', {
         duration: 2000,
@@ -90,23 +162,108 @@ function App() {
     }
   };
 
-  // Upload file with progress (no individual toasts for batch uploads)
+  // Ask the user what to do about a name that is already taken. Resolves to
+  // { policy, applyToAll } once they picked something in the ConflictDialog.
+  const askConflict = (name, folder, { canApplyToAll = false, isFolder = false } = {}) =>
+    new Promise((resolve) => setConflictPrompt({ id: `${Date.now()}-${name}`, name, folder, canApplyToAll, isFolder, resolve }));
+
+  const resolveConflictPrompt = (answer) => {
+    conflictPrompt.resolve(answer);
+    setConflictPrompt(null);
+  };
+
+  // Conflict decisions for one upload action. Files uploading in parallel ask one at a
+  // time, and once the user picked "apply to all" their choice answers every later conflict.
+  const createConflictResolver = (canApplyToAll = true) => {
+    let remembered = null;
+    let queue = Promise.resolve();
+    return {
+      remembered: () => remembered,
+      resolve: (name, folder) => {
+        const answer = queue.then(async () => {
+          if (remembered) return remembered;
+          const { policy, applyToAll } = await askConflict(name, folder, { canApplyToAll });
+          if (applyToAll) remembered = policy;
+          return policy;
+        });
+        queue = answer;
+        return answer;
+      }
+    };
+  };
+
+  // Ask the server whether `bytes` more fit into the folder - free disk space and the
+  // user's and folder's quotas - before sending anything. Resolves to false (after
+  // telling the user why) when they don't; other problems surface in the upload itself.
+  const preflightUpload = async (bytes, path) => {
+    try {
+      const response = await apiFetch('/uploads/preflight', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ targetPath: path, size: bytes }),
+      });
+      if (response.status !== 507) return true;
+      const data = await response.json().catch(() => ({}));
+      toast.error(`💾 ${data.error || 'Not enough storage for this upload'}`, { duration: 6000 });
+      return false;
+    } catch (error) {
+      console.error('Upload preflight error:', error);
+      return true;
+    }
+  };
+
+  // Upload file with progress (no individual toasts for batch uploads). Files go up with the
+  // "fail" conflict policy so the server reports a taken name before any bytes are sent -
+  // then the user decides and the upload starts again with their choice.
   const uploadFile = async (file, path = '/', batchInfo = null) => {
+    if (!batchInfo && !await preflightUpload(file.size, path)) {
+      return { success: false, error: 'Not enough storage' };
+    }
+    const conflicts = batchInfo?.conflicts || createConflictResolver(false);
+    // A remembered skip is decided here, only once the server reports the clash
+    const remembered = conflicts.remembered();
+    let conflict = remembered === 'overwrite' || remembered === 'rename' ? remembered : 'fail';
+
+    for (;;) {
+      try {
+        return await sendFile(file, path, batchInfo, conflict);
+      } catch (error) {
+        if (!error.conflict || conflict !== 'fail') throw error;
+        conflict = await conflicts.resolve(file.name, path);
+        if (conflict === 'fail') {
+          if (!batchInfo) toast.error(`Upload of "${file.name}" cancelled - the name is already taken`);
+          return { success: false, error: error.message };
+        }
+        if (conflict === 'skip') {
+          if (!batchInfo) toast(`⏭️ Skipped "${file.name}" - it already exists`);
+          return { success: true, skipped: true, fileName: file.name };
+        }
+      }
+    }
+  };
+
+  const sendFile = async (file, path, batchInfo, conflict) => {
     // Use chunked upload for files larger than 50MB
     const LARGE_FILE_THRESHOLD = 50 * 1024 * 1024; // 50MB
     
     if (file.size > LARGE_FILE_THRESHOLD) {
-      return await uploadFileChunked(file, path, batchInfo);
+      return USE_TUS_UPLOADS
+        ? await uploadFileTus(file, path, batchInfo, conflict)
+        : await uploadFileChunked(file, path, batchInfo, conflict);
     }
     
     // Regular upload for smaller files
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('path', path);
-
     const toastId = batchInfo ? batchInfo.toastId : `upload-${file.name}-${Date.now()}`;
     
     try {
+      // Fields go before the file so the server streams it straight into the target folder;
+      // the checksum lets it refuse a file that got corrupted on the way
+      const formData = new FormData();
+      formData.append('path', path);
+      formData.append('conflict', conflict);
+      formData.append('sha256', await sha256Blob(file));
+      formData.append('file', file);
+
       // Show progress notification only for single files (not in batch)
       if (!batchInfo) {
         toast.loading(
@@ -128,14 +285,16 @@ function App() {
         );
       }
       
-      const response = await fetch(`${API_BASE_URL}/upload`, {
+      const response = await apiFetch(`/upload`, {
         method: 'POST',
         body: formData,
       });
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.error || 'Upload failed');
+        const error = new Error(errorData.error || 'Upload failed');
+        error.conflict = Boolean(errorData.conflict);
+        throw error;
       }
       
       const data = await response.json();
@@ -154,8 +313,13 @@ function App() {
         await loadFiles(currentPath);
       }
       
-      return { success: true, isVideo: data.file.isVideo, fileName: file.name };
+      return { success: true, isVideo: data.file.isVideo, fileName: data.file.name };
     } catch (error) {
+      // Name clashes are for uploadFile to resolve
+      if (error.conflict) {
+        if (!batchInfo) toast.dismiss(toastId);
+        throw error;
+      }
       console.error('Upload error:', error);
       
       if (!batchInfo) {
@@ -173,11 +337,13 @@ function App() {
     }
   };
 
-  // Enhanced chunked upload with concurrent chunk processing for GB-sized files
-  const uploadFileChunked = async (file, path = '/', batchInfo = null) => {
+  // Enhanced chunked upload with concurrent chunk processing for GB-sized files.
+  // Uses a server-side upload session: create it, PUT the chunks, then finalize.
+  // Every chunk carries its SHA-256 and the whole file's hash is checked on finalize.
+  const uploadFileChunked = async (file, path = '/', batchInfo = null, conflict = 'fail', integrityRetry = 0) => {
     const CHUNK_SIZE = 10 * 1024 * 1024; // 10MB chunks
     const CONCURRENT_CHUNKS = 3; // Upload 3 chunks simultaneously
-    const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+    const totalChunks = Math.max(Math.ceil(file.size / CHUNK_SIZE), 1);
     const toastId = batchInfo ? batchInfo.toastId : `upload-${file.name}-${Date.now()}`;
     const uploadId = `${file.name}-${file.size}-${file.lastModified}`;
     
@@ -189,52 +355,60 @@ function App() {
     // Load progress from localStorage
     const progressKey = `upload_progress_${uploadId}`;
     let uploadProgress = JSON.parse(localStorage.getItem(progressKey) || '{}');
-    let startChunkIndex = 0;
-    
-    // Find the last successfully uploaded chunk
-    if (uploadProgress.completedChunks) {
-      const completedChunks = Object.keys(uploadProgress.completedChunks).map(Number).sort((a, b) => a - b);
-      if (completedChunks.length > 0) {
-        startChunkIndex = completedChunks[completedChunks.length - 1] + 1;
-        console.log(`Resuming upload from chunk ${startChunkIndex} of ${totalChunks}`);
-      }
-    } else {
-      uploadProgress.completedChunks = {};
-      uploadProgress.totalChunks = totalChunks;
-      uploadProgress.fileName = file.name;
-      uploadProgress.startTime = Date.now();
-    }
-    
-    // Save initial progress
-    localStorage.setItem(progressKey, JSON.stringify(uploadProgress));
+
+    // Hash the whole file alongside the upload - only needed at finalize
+    const fileHashPromise = sha256File(file).catch((error) => {
+      console.warn('Could not hash file, uploading without a whole-file checksum:', error);
+      return null;
+    });
     
     try {
-      // Check server for existing chunks first
-      if (startChunkIndex > 0) {
+      // Resume the upload session of an earlier attempt if the server still has it
+      let session = null;
+      if (uploadProgress.sessionId && uploadProgress.targetPath === path) {
         try {
-          const checkResponse = await fetch(`${API_BASE_URL}/check-chunks?filename=${encodeURIComponent(file.name)}&targetPath=${encodeURIComponent(path)}&totalChunks=${totalChunks}`);
-          if (checkResponse.ok) {
-            const checkData = await checkResponse.json();
-            if (checkData.existingChunks) {
-              // Update our progress with server state
-              checkData.existingChunks.forEach(chunkIndex => {
-                uploadProgress.completedChunks[chunkIndex] = true;
-              });
-              const serverCompletedChunks = Object.keys(uploadProgress.completedChunks).map(Number).sort((a, b) => a - b);
-              if (serverCompletedChunks.length > 0) {
-                startChunkIndex = Math.max(startChunkIndex, serverCompletedChunks[serverCompletedChunks.length - 1] + 1);
-              }
-              localStorage.setItem(progressKey, JSON.stringify(uploadProgress));
+          const sessionResponse = await apiFetch(`/uploads/${uploadProgress.sessionId}`);
+          if (sessionResponse.ok) {
+            const sessionData = await sessionResponse.json();
+            if (sessionData.session.status === 'open') {
+              session = sessionData.session;
+              console.log(`Resuming upload: ${session.receivedChunks.length} of ${session.totalChunks} chunks already on the server`);
             }
           }
         } catch (error) {
-          console.warn('Could not check existing chunks, continuing with local progress:', error);
+          console.warn('Could not check upload session, starting a new one:', error);
+        }
+      }
+
+      if (!session) {
+        const createResponse = await apiFetch('/uploads', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ filename: file.name, targetPath: path, size: file.size, chunkSize: CHUNK_SIZE, conflict })
+        });
+        const createData = await createResponse.json().catch(() => ({}));
+        if (!createResponse.ok) {
+          const error = new Error(createData.error || `Could not start upload: HTTP ${createResponse.status}`);
+          error.conflict = Boolean(createData.conflict);
+          throw error;
         }
+        session = createData.session;
       }
 
+      // The server's list of received chunks is the source of truth
+      uploadProgress = {
+        sessionId: session.id,
+        targetPath: path,
+        fileName: file.name,
+        totalChunks,
+        startTime: uploadProgress.startTime || Date.now(),
+        completedChunks: Object.fromEntries(session.receivedChunks.map(chunkIndex => [chunkIndex, true]))
+      };
+      localStorage.setItem(progressKey, JSON.stringify(uploadProgress));
+
       // Process remaining chunks with concurrent upload
       const remainingChunks = [];
-      for (let chunkIndex = startChunkIndex; chunkIndex < totalChunks; chunkIndex++) {
+      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
         if (!uploadProgress.completedChunks[chunkIndex]) {
           remainingChunks.push(chunkIndex);
         }
@@ -287,11 +461,12 @@ function App() {
                 );
               }
 
-              const response = await fetch(`${API_BASE_URL}/upload-chunk?filename=${encodeURIComponent(file.name)}&chunkIndex=${chunkIndex}&totalChunks=${totalChunks}&targetPath=${encodeURIComponent(path)}`, {
-                method: 'POST',
+              const response = await apiFetch(`/uploads/${session.id}/chunks/${chunkIndex}`, {
+                method: 'PUT',
                 body: chunk,
                 headers: {
-                  'Content-Type': 'application/octet-stream'
+                  'Content-Type': 'application/octet-stream',
+                  'X-Chunk-SHA256': await sha256Blob(chunk)
                 },
                 signal: AbortSignal.timeout(60000) // 60 second timeout per chunk
               });
@@ -331,55 +506,75 @@ function App() {
         });
 
         // Wait for this batch to complete before starting the next batch
-        try {
-          const results = await Promise.allSettled(chunkPromises);
-          
-          // Check if any chunks in this batch failed
-          const failedChunks = results.filter(result => result.status === 'rejected');
-          if (failedChunks.length > 0) {
-            throw new Error(`${failedChunks.length} chunks failed in batch`);
-          }
-          
-          // Check if the file is complete after this batch
-          const completedChunksCount = Object.keys(uploadProgress.completedChunks).length;
-          if (completedChunksCount >= totalChunks) {
-            // File is complete - clear progress and notify
-            localStorage.removeItem(progressKey);
-            checkPendingUploads();
-            
-            // Only show completion notification for single file uploads (not in batch)
-            if (!batchInfo) {
-              toast.success(
-                <div>
-                  <div className="font-medium text-sm text-gray-900">✅ Upload Complete!</div>
-                  <div className="text-xs text-gray-600">{file.name}</div>
-                  <div className="text-xs text-green-600 mt-1">
-                    {totalChunks} chunks uploaded successfully with concurrent processing
-                  </div>
-                </div>,
-                { id: toastId, duration: 4000 }
-              );
-              
-              // Refresh immediately after upload
-              await loadFiles(currentPath);
-            }
-            return { success: true };
-          }
-          
-        } catch (batchError) {
-          console.error('Batch upload error:', batchError);
-          throw batchError;
+        const results = await Promise.allSettled(chunkPromises);
+        
+        // Check if any chunks in this batch failed
+        const failedChunks = results.filter(result => result.status === 'rejected');
+        if (failedChunks.length > 0) {
+          console.error('Batch upload error:', failedChunks[0].reason);
+          throw new Error(`${failedChunks.length} chunks failed in batch`);
         }
       }
       
-      // If we get here, all chunks were uploaded successfully
+      // All chunks are on the server - move the file into place
+      const finalizeResponse = await apiFetch(`/uploads/${session.id}/finalize`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // The policy may differ from the session's when the name got taken meanwhile
+        body: JSON.stringify({ sha256: await fileHashPromise, conflict })
+      });
+      const finalizeData = await finalizeResponse.json().catch(() => ({}));
+      if (finalizeData.retryable && integrityRetry < 1) {
+        // The assembled file didn't match its checksum - the server discarded the
+        // chunks, so the same session takes the whole file once more
+        console.warn('File checksum mismatch, uploading it again:', finalizeData.error);
+        return await uploadFileChunked(file, path, batchInfo, conflict, integrityRetry + 1);
+      }
+      if (!finalizeResponse.ok) {
+        const error = new Error(finalizeData.error || `Could not finish upload: HTTP ${finalizeResponse.status}`);
+        error.conflict = Boolean(finalizeData.conflict);
+        throw error;
+      }
+
+      // File is complete - clear progress and notify
       localStorage.removeItem(progressKey);
-      return { success: true };
+      checkPendingUploads();
+      
+      // Only show completion notification for single file uploads (not in batch)
+      if (!batchInfo) {
+        toast.success(
+          <div>
+            <div className="font-medium text-sm text-gray-900">✅ Upload Complete!</div>
+            <div className="text-xs text-gray-600">{file.name}</div>
+            <div className="text-xs text-green-600 mt-1">
+              {totalChunks} chunks uploaded successfully with concurrent processing
+            </div>
+          </div>,
+          { id: toastId, duration: 4000 }
+        );
+        
+        // Refresh immediately after upload
+        await loadFiles(currentPath);
+      }
+      return {
+        success: true,
+        skipped: Boolean(finalizeData.file?.skipped),
+        isVideo: finalizeData.file?.isVideo,
+        fileName: finalizeData.file?.name || file.name
+      };
       
     } catch (error) {
+      // Name clashes are for uploadFile to resolve - a finished session is kept for the retry
+      if (error.conflict) {
+        if (!batchInfo) toast.dismiss(toastId);
+        throw error;
+      }
       console.error('Chunked upload error:', error);
       
       // Save current progress for potential resume
+      uploadProgress.fileName = uploadProgress.fileName || file.name;
+      uploadProgress.totalChunks = uploadProgress.totalChunks || totalChunks;
+      uploadProgress.completedChunks = uploadProgress.completedChunks || {};
       uploadProgress.lastError = error.message;
       uploadProgress.lastUpdated = Date.now();
       localStorage.setItem(progressKey, JSON.stringify(uploadProgress));
@@ -402,9 +597,112 @@ function App() {
     }
   };
 
-  // Unified progress tracking for batch uploads
-  const uploadMultipleFiles = async (files, path = '/', folderName = null) => {
+  // Resumable upload over the tus protocol (VITE_UPLOAD_PROTOCOL=tus). tus-js-client
+  // remembers unfinished uploads itself, so picking the same file again resumes it.
+  const uploadFileTus = async (file, path = '/', batchInfo = null, conflict = 'fail') => {
+    const toastId = batchInfo ? batchInfo.toastId : `upload-${file.name}-${Date.now()}`;
+
+    // A taken name is refused with 409 and a JSON body saying so
+    const isConflict = (error) => {
+      if (error.originalResponse?.getStatus() !== 409) return false;
+      try {
+        return Boolean(JSON.parse(error.originalResponse.getBody()).conflict);
+      } catch {
+        return false;
+      }
+    };
+
+    try {
+      await new Promise((resolve, reject) => {
+        const upload = new tus.Upload(file, {
+          endpoint: `${API_BASE_URL}/tus`,
+          chunkSize: 10 * 1024 * 1024, // 10MB per PATCH request
+          retryDelays: [0, 1000, 3000, 5000, 10000],
+          removeFingerprintOnSuccess: true,
+          metadata: { filename: file.name, targetPath: path, conflict },
+          // Send the session cookie like every other API call
+          onBeforeRequest: (req) => {
+            req.getUnderlyingObject().withCredentials = true;
+          },
+          onProgress: (bytesUploaded, bytesTotal) => {
+            if (batchInfo) return;
+            const progress = Math.round((bytesUploaded / bytesTotal) * 100);
+            toast.loading(
+              <div className="flex items-center space-x-3">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+                <div className="flex-1">
+                  <div className="font-medium text-sm text-gray-900">Uploading File</div>
+                  <div className="text-xs text-gray-600 mb-1">{file.name}</div>
+                  <div className="w-full bg-gray-200 rounded-full h-1.5">
+                    <div className="bg-blue-600 h-1.5 rounded-full transition-all duration-300" style={{ width: `${progress}%` }}></div>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">{progress}% complete</div>
+                </div>
+              </div>,
+              { id: toastId, duration: Infinity }
+            );
+          },
+          // Retrying won't free a taken name - the user has to decide
+          onShouldRetry: (error, retryAttempt, options) =>
+            !isConflict(error) && tus.defaultOptions.onShouldRetry(error, retryAttempt, options),
+          onSuccess: resolve,
+          onError: (error) => {
+            error.conflict = isConflict(error);
+            reject(error);
+          },
+        });
+
+        upload.findPreviousUploads().then((previousUploads) => {
+          if (previousUploads.length > 0) {
+            upload.resumeFromPreviousUpload(previousUploads[0]);
+          }
+          upload.start();
+        });
+      });
+
+      if (!batchInfo) {
+        toast.success(
+          <div>
+            <div className="font-medium text-sm text-gray-900">✅ Upload Complete!</div>
+            <div className="text-xs text-gray-600">{file.name}</div>
+          </div>,
+          { id: toastId, duration: 4000 }
+        );
+
+        // Refresh immediately after upload
+        await loadFiles(currentPath);
+      }
+      return { success: true, fileName: file.name };
+    } catch (error) {
+      if (error.conflict) {
+        if (!batchInfo) toast.dismiss(toastId);
+        throw error;
+      }
+      console.error('tus upload error:', error);
+
+      if (!batchInfo) {
+        toast.error(
+          <div>
+            <div className="font-medium text-sm text-gray-900">❌ Upload Failed</div>
+            <div className="text-xs text-gray-600">{file.name}</div>
+            <div className="text-xs text-red-600 mt-1">{error.message}</div>
+            <div className="text-xs text-blue-600 mt-2">
+              💾 Select the same file again to resume this upload
+            </div>
+          </div>,
+          { id: toastId, duration: 8000 }
+        );
+      }
+
+      throw error;
+    }
+  };
+
+  // Unified progress tracking for batch uploads. `conflicts` is shared by every call of one
+  // folder upload, so "apply to all" covers its subfolders too.
+  const uploadMultipleFiles = async (files, path = '/', folderName = null, conflicts = createConflictResolver()) => {
     if (files.length === 0) return;
+    if (!await preflightUpload(files.reduce((total, file) => total + file.size, 0), path)) return;
 
     const LARGE_FILE_THRESHOLD = 50 * 1024 * 1024; // 50MB
     const SMALL_FILE_CONCURRENCY = 4; // Upload 4 small files simultaneously
@@ -423,6 +721,7 @@ function App() {
 
     const toastId = `batch-upload-${Date.now()}`;
     let successCount = 0;
+    let skippedCount = 0;
     let failedFiles = [];
     let totalProcessed = 0;
 
@@ -469,7 +768,8 @@ function App() {
               toastId, // Share the same toast ID
               isBatch: true,
               totalFiles: files.length,
-              folderName
+              folderName,
+              conflicts
             };
 
             return await uploadFile(file, path, batchInfo);
@@ -480,7 +780,9 @@ function App() {
           // Process results and update counters
           results.forEach((result, index) => {
             totalProcessed++;
-            if (result.status === 'fulfilled' && result.value.success) {
+            if (result.status === 'fulfilled' && result.value.skipped) {
+              skippedCount++;
+            } else if (result.status === 'fulfilled' && result.value.success) {
               successCount++;
             } else {
               const file = batch[index];
@@ -561,13 +863,16 @@ function App() {
             isBatch: true,
             isLargeFile: true,
             totalFiles: files.length,
-            folderName
+            folderName,
+            conflicts
           };
 
           const result = await uploadFile(file, path, batchInfo);
           totalProcessed++;
           
-          if (result && result.success) {
+          if (result && result.skipped) {
+            skippedCount++;
+          } else if (result && result.success) {
             successCount++;
           } else {
             failedFiles.push({ name: file.name, error: result ? result.error : 'Unknown error' });
@@ -587,6 +892,7 @@ function App() {
             </div>
             <div className="text-xs text-gray-600">
               {successCount} file{successCount !== 1 ? 's' : ''} uploaded in total
+              {skippedCount > 0 && ` • ⏭️ ${skippedCount} skipped (already there)`}
             </div>
             <div className="text-xs text-green-600 mt-1">
               🚀 {smallFiles.length} small files • 📦 {largeFiles.length} large files
@@ -599,7 +905,7 @@ function App() {
           <div>
             <div className="font-medium text-sm text-gray-900">⚠️ Upload Completed with Errors</div>
             <div className="text-xs text-gray-600">
-              ✅ {successCount} succeeded • ❌ {failedFiles.length} failed
+              ✅ {successCount} succeeded{skippedCount > 0 && ` • ⏭️ ${skippedCount} skipped`} • ❌ {failedFiles.length} failed
             </div>
             <div className="text-xs text-orange-600 mt-1">
               Check console for detailed error information
@@ -627,7 +933,7 @@ function App() {
   // Create folder
   const createFolder = async (name, path = '/') => {
     try {
-      const response = await fetch(`${API_BASE_URL}/folder`, {
+      const response = await apiFetch(`/folder`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ name, path }),
@@ -655,26 +961,26 @@ function App() {
     }
   };
 
-  // Concurrent delete operations for improved performance
+  // Bulk delete runs as one batch on the server - it finishes even if this tab is closed
   const deleteMultipleItems = async (items) => {
     if (items.length === 0) return;
 
     const toastId = `delete-batch-${Date.now()}`;
-    const MAX_CONCURRENT_DELETES = 5; // Limit concurrent deletes to avoid overwhelming server
-    
-    try {
+    const showProgress = (processed) => {
       toast.loading(
         <div className="flex items-center space-x-3">
           <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
           <div className="flex-1">
             <div className="font-medium text-sm text-gray-900">Deleting Items</div>
             <div className="text-xs text-gray-600 mb-1">
-              Processing {items.length} item{items.length > 1 ? 's' : ''} concurrently...
+              {processed} of {items.length} item{items.length > 1 ? 's' : ''}
             </div>
             <div className="w-full bg-gray-200 rounded-full h-1.5">
-              <div className="bg-red-600 h-1.5 rounded-full animate-pulse" style={{ width: '50%' }}></div>
+              <div
+                className="bg-red-600 h-1.5 rounded-full transition-all duration-300"
+                style={{ width: `${Math.round((processed / items.length) * 100)}%` }}
+              ></div>
             </div>
-            <div className="text-xs text-gray-500 mt-1">🚀 Concurrent processing</div>
           </div>
         </div>,
         { 
@@ -682,60 +988,37 @@ function App() {
           duration: Infinity
         }
       );
+    };
 
-      // Process items in batches to limit concurrency
-      const results = [];
-      for (let i = 0; i < items.length; i += MAX_CONCURRENT_DELETES) {
-        const batch = items.slice(i, i + MAX_CONCURRENT_DELETES);
-        
-        const batchPromises = batch.map(async (item) => {
-          try {
-            const endpoint = item.isFolder ? 'folder' : 'file';
-            const response = await fetch(`${API_BASE_URL}/${endpoint}`, {
-              method: 'DELETE',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ path: item.path }),
-            });
-
-            if (!response.ok) {
-              throw new Error(`Failed to delete ${item.name}`);
-            }
-            
-            return { success: true, name: item.name };
-          } catch (error) {
-            console.error(`Delete error for ${item.name}:`, error);
-            return { success: false, name: item.name, error: error.message };
-          }
-        });
-
-        const batchResults = await Promise.allSettled(batchPromises);
-        results.push(...batchResults);
-      }
-
-      // Process results
-      const successful = results.filter(r => r.status === 'fulfilled' && r.value.success);
-      const failed = results.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success));
+    try {
+      showProgress(0);
+      const job = await runBatch(
+        items.map(item => ({ op: 'delete', path: item.path })),
+        { onProgress: (progress) => showProgress(progress.processed) }
+      );
 
       // Refresh files after deletion
       await loadFiles(currentPath);
 
       // Show results
+      const failed = job.results.filter(result => result.status === 'failed');
       if (failed.length === 0) {
         toast.success(
           <div>
-            <div className="font-medium text-sm text-gray-900">✅ Items Deleted Successfully!</div>
+            <div className="font-medium text-sm text-gray-900">✅ Items Moved to Trash</div>
             <div className="text-xs text-gray-600">
-              {successful.length} item{successful.length > 1 ? 's' : ''} deleted concurrently
+              {job.done} item{job.done > 1 ? 's' : ''} can be restored from 🗑️ Trash
             </div>
           </div>,
           { id: toastId, duration: 4000 }
         );
       } else {
+        failed.forEach(result => console.error(`Delete error for ${result.path}:`, result.error));
         toast.error(
           <div>
             <div className="font-medium text-sm text-gray-900">⚠️ Deletion Completed with Errors</div>
             <div className="text-xs text-gray-600">
-              {successful.length} succeeded, {failed.length} failed
+              {job.done} succeeded, {failed.length} failed - {failed[0].path}: {failed[0].error}
             </div>
           </div>,
           { id: toastId, duration: 6000 }
@@ -754,10 +1037,97 @@ function App() {
     }
   };
 
+  // ZIP of a selection, streamed by the server. A form post rather than fetch() so the
+  // browser saves it as it arrives instead of holding GBs in memory. The form targets a
+  // hidden frame, which only shows a page when the server answered with an error.
+  const downloadZip = (paths) => {
+    if (paths.length === 0) return;
+
+    const frame = document.createElement('iframe');
+    frame.name = `zip-download-${Date.now()}`;
+    frame.style.display = 'none';
+    frame.addEventListener('load', () => {
+      let message = 'the server could not create it';
+      try {
+        if (frame.contentWindow.location.href === 'about:blank') return;
+        message = JSON.parse(frame.contentDocument.body.textContent).error || message;
+      } catch {
+        // The answer came from another origin (separate API server) and can't be read
+      }
+      toast.error(`ZIP download failed: ${message}`);
+      frame.remove();
+    });
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = `${API_BASE_URL}/zip`;
+    form.target = frame.name;
+    // One item gives the archive its name, a selection is named after the folder it is in
+    const fields = paths.map(itemPath => ['paths', itemPath]);
+    if (paths.length > 1) fields.push(['name', currentPath.split('/').filter(Boolean).pop() || 'MediaGrid']);
+    for (const [name, value] of fields) {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.appendChild(input);
+    }
+
+    // The frame stays - removing it could cancel the download in some browsers
+    document.body.append(frame, form);
+    form.submit();
+    form.remove();
+    toast.success(`📦 Downloading ${paths.length} item${paths.length > 1 ? 's' : ''} as ZIP`);
+  };
+
+  // Create the folders of a folder upload ([{ name, path }], parents first) in one batch.
+  // Folders that already exist are kept.
+  const createFolders = async (folders) => {
+    if (folders.length === 0) return;
+    try {
+      const job = await runBatch(
+        folders.map(folder => ({ op: 'mkdir', path: folder.path, name: folder.name })),
+        { stopOnError: true }
+      );
+      const failed = job.results.find(result => result.status === 'failed');
+      if (failed) throw new Error(failed.error);
+    } catch (error) {
+      console.error('Create folders error:', error);
+      toast.error(`Failed to create folders: ${error.message}`);
+    }
+    await loadFiles(currentPath);
+  };
+
+  // Deleted items go to the trash - the toast offers to put them right back
+  const showTrashedToast = (label, trashId) => {
+    toast.success((t) => (
+      <div className="flex items-center space-x-3">
+        <span>{label} moved to trash</span>
+        <button
+          onClick={async () => {
+            toast.dismiss(t.id);
+            try {
+              const response = await apiFetch(`/trash/${trashId}/restore`, { method: 'POST' });
+              const data = await response.json().catch(() => ({}));
+              if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+              toast.success(`Restored to ${data.path}`);
+              await loadFiles(currentPath);
+            } catch (error) {
+              toast.error(`Failed to restore: ${error.message}`);
+            }
+          }}
+          className="px-2 py-1 text-xs bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200 font-medium"
+        >
+          Undo
+        </button>
+      </div>
+    ), { duration: 6000 });
+  };
+
   // Delete file
   const deleteFile = async (filePath) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/file`, {
+      const response = await apiFetch(`/file`, {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ path: filePath }),
@@ -765,7 +1135,8 @@ function App() {
 
       if (!response.ok) throw new Error('Failed to delete file');
       
-      toast.success('File deleted successfully!');
+      const data = await response.json();
+      showTrashedToast('File', data.trashId);
       await loadFiles(currentPath);
     } catch (error) {
       console.error('Delete file error:', error);
@@ -776,7 +1147,7 @@ function App() {
   // Delete folder
   const deleteFolder = async (folderPath) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/folder`, {
+      const response = await apiFetch(`/folder`, {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ path: folderPath }),
@@ -784,7 +1155,8 @@ function App() {
 
       if (!response.ok) throw new Error('Failed to delete folder');
       
-      toast.success('Folder deleted successfully!');
+      const data = await response.json();
+      showTrashedToast('Folder', data.trashId);
       await loadFiles(currentPath);
     } catch (error) {
       console.error('Delete folder error:', error);
@@ -792,8 +1164,9 @@ function App() {
     }
   };
 
-  // Rename file or folder with automatic space-to-hyphen replacement
-  const renameItem = async (oldPath, newName) => {
+  // Rename file or folder with automatic space-to-hyphen replacement. When the name is
+  // taken the user decides what happens (replace, keep both, skip).
+  const renameItem = async (oldPath, newName, isFolder = false) => {
     try {
       // Sanitize the new name by replacing spaces with hyphens
       const sanitizedName = newName.replace(/\s+/g, '-');
@@ -818,11 +1191,22 @@ function App() {
         );
       }
       
-      const response = await fetch(`${API_BASE_URL}/rename`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ oldPath, newName: sanitizedName }),
-      });
+      let conflict = 'fail';
+      let response;
+      for (;;) {
+        response = await apiFetch(`/rename`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ oldPath, newName: sanitizedName, conflict }),
+        });
+        if (response.status !== 409 || conflict !== 'fail') break;
+
+        const conflictData = await response.clone().json().catch(() => ({}));
+        if (!conflictData.conflict) break;
+        const parentFolder = oldPath.substring(0, oldPath.lastIndexOf('/')) || '/';
+        ({ policy: conflict } = await askConflict(sanitizedName, parentFolder, { isFolder }));
+        if (conflict === 'fail') return;
+      }
 
       if (!response.ok) {
         // Get detailed error message from server
@@ -831,10 +1215,15 @@ function App() {
       }
 
       const data = await response.json();
+      if (data.skipped) {
+        toast(`⏭️ Rename skipped - "${sanitizedName}" already exists`);
+        return;
+      }
       
       // Show success with final name if it was further sanitized on server
+      // (a "keep both" rename gets a number instead)
       const finalName = data.sanitizedName || sanitizedName;
-      if (finalName !== sanitizedName) {
+      if (finalName !== sanitizedName && conflict !== 'rename') {
         toast(
           <div>
             <div className="font-medium text-sm text-gray-900">🔧 Server Sanitization</div>
@@ -912,17 +1301,19 @@ function App() {
     }
   };
 
+  // Show only the items of the open folder that have all of `tags`
+  const filterByTags = (tags) => {
+    tagFilterRef.current = { path: currentPath, tags };
+    setTagFilter(tagFilterRef.current);
+    loadFiles(currentPath);
+  };
+
   // Preview video
   const previewVideo = (file) => {
     setSelectedVideo(file);
     setIsVideoModalOpen(true);
   };
 
-  // Load files on component mount
-  useEffect(() => {
-    loadFiles();
-  }, []);
-
   // Handle browser back/forward navigation
   useEffect(() => {
     const handlePopState = () => {
@@ -942,6 +1333,8 @@ function App() {
 
   // Set up automatic refresh for system stats (separate useEffect)
   useEffect(() => {
+    if (!user) return;
+
     const statsInterval = setInterval(() => {
       // Only refresh stats without changing path or triggering file reload
       refreshStats();
@@ -950,7 +1343,33 @@ function App() {
     return () => {
       clearInterval(statsInterval);
     };
-  }, []); // Empty dependency array to prevent recreation
+  }, [user]); // Only recreate when the logged-in user changes
+
+  // Reload the open folder when the server reports that its contents changed - uploads
+  // from other windows, or files copied into the upload folder on the server
+  const currentPathRef = useRef(currentPath);
+  useEffect(() => {
+    currentPathRef.current = currentPath;
+  }, [currentPath]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    let reloadTimer = null;
+    const events = new EventSource(`${API_BASE_URL}/events`, { withCredentials: true });
+    events.addEventListener('change', (event) => {
+      const { paths } = JSON.parse(event.data);
+      if (!paths.includes(currentPathRef.current)) return;
+      // Changes often come in bursts (a folder being copied) - reload once they settle
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => loadFiles(currentPathRef.current, { silent: true }), 300);
+    });
+
+    return () => {
+      clearTimeout(reloadTimer);
+      events.close();
+    };
+  }, [user]);
 
   // Set up event listeners (separate useEffect)
   useEffect(() => {
@@ -997,8 +1416,16 @@ function App() {
     setPendingUploads(pending);
   };
 
-  // Clear a specific pending upload
+  // Clear a specific pending upload (and drop its half-finished upload on the server)
   const clearPendingUpload = (key) => {
+    try {
+      const progress = JSON.parse(localStorage.getItem(key) || '{}');
+      if (progress.sessionId) {
+        apiFetch(`/uploads/${progress.sessionId}`, { method: 'DELETE' }).catch(() => {});
+      }
+    } catch {
+      // Invalid progress data - nothing to cancel
+    }
     localStorage.removeItem(key);
     checkPendingUploads();
     toast.success('Upload progress cleared');
@@ -1021,53 +1448,73 @@ function App() {
     );
   };
 
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <Toaster 
-        position="top-right"
-        toastOptions={{
-          duration: 4000,
+  const toaster = (
+    <Toaster 
+      position="top-right"
+      toastOptions={{
+        duration: 4000,
+        style: {
+          background: '#ffffff',
+          color: '#1f2937',
+          border: '1px solid #e5e7eb',
+          borderRadius: '0.75rem',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+          maxWidth: '420px',
+          padding: '16px',
+          fontSize: '14px',
+        },
+        success: {
           style: {
-            background: '#ffffff',
-            color: '#1f2937',
-            border: '1px solid #e5e7eb',
-            borderRadius: '0.75rem',
-            boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
-            maxWidth: '420px',
-            padding: '16px',
-            fontSize: '14px',
+            border: '1px solid #10b981',
+            background: '#f0fdf4',
+            color: '#065f46',
           },
-          success: {
-            style: {
-              border: '1px solid #10b981',
-              background: '#f0fdf4',
-              color: '#065f46',
-            },
-            iconTheme: {
-              primary: '#10b981',
-              secondary: '#ffffff',
-            },
+          iconTheme: {
+            primary: '#10b981',
+            secondary: '#ffffff',
           },
-          error: {
-            style: {
-              border: '1px solid #ef4444',
-              background: '#fef2f2',
-              color: '#991b1b',
-            },
-            iconTheme: {
-              primary: '#ef4444',
-              secondary: '#ffffff',
-            },
+        },
+        error: {
+          style: {
+            border: '1px solid #ef4444',
+            background: '#fef2f2',
+            color: '#991b1b',
           },
-          loading: {
-            style: {
-              border: '1px solid #3b82f6',
-              background: '#eff6ff',
-              color: '#1e40af',
-            },
+          iconTheme: {
+            primary: '#ef4444',
+            secondary: '#ffffff',
           },
-        }}
-      />
+        },
+        loading: {
+          style: {
+            border: '1px solid #3b82f6',
+            background: '#eff6ff',
+            color: '#1e40af',
+          },
+        },
+      }}
+    />
+  );
+
+  // Login screen until a session exists
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        {toaster}
+        {authChecked ? (
+          <LoginScreen onLogin={setUser} />
+        ) : (
+          <div className="min-h-screen flex items-center justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {toaster}
       
       {/* Modern Header */}
       <header className="bg-gradient-to-r from-white to-gray-50 shadow-lg border-b border-gray-200">
@@ -1081,20 +1528,96 @@ function App() {
               
               {/* Horizontal Storage Stats */}
               <div className="hidden lg:block">
-                <SystemStats diskUsage={diskUsage} systemStats={systemStats} onRefresh={refreshStats} />
+                <SystemStats diskUsage={diskUsage} systemStats={systemStats} storage={storage} onRefresh={refreshStats} />
               </div>
             </div>
             
             <div className="flex items-center space-x-4">
               {/* Mobile Storage Stats */}
               <div className="lg:hidden">
-                <SystemStats diskUsage={diskUsage} systemStats={systemStats} compact={true} onRefresh={refreshStats} />
+                <SystemStats diskUsage={diskUsage} systemStats={systemStats} storage={storage} compact={true} onRefresh={refreshStats} />
               </div>
               
               <div className="flex items-center space-x-2 bg-white px-4 py-2 rounded-xl border border-gray-200 shadow-sm">
                 <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                <span className="text-sm text-gray-600 font-medium">Online</span>
+                <span className="text-sm text-gray-600 font-medium">{user.username}</span>
+                {user.role === 'admin' && (
+                  <span className="text-xs bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-md font-medium">admin</span>
+                )}
               </div>
+
+              <button
+                onClick={() => setIsSharesPanelOpen(true)}
+                className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+                title="Manage share links"
+              >
+                🔗 Shares
+              </button>
+
+              <button
+                onClick={() => setIsTrashPanelOpen(true)}
+                className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+                title="Deleted files and folders"
+              >
+                🗑️ Trash
+              </button>
+
+              {user.role === 'admin' && (
+                <button
+                  onClick={() => setIsAccessPanelOpen(true)}
+                  className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+                  title="Manage folder permissions"
+                >
+                  🛡️ Access
+                </button>
+              )}
+
+              {user.role === 'admin' && (
+                <button
+                  onClick={() => setIsUsersPanelOpen(true)}
+                  className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+                  title="Manage users"
+                >
+                  👥 Users
+                </button>
+              )}
+
+              {user.role === 'admin' && (
+                <button
+                  onClick={() => setIsUploadsPanelOpen(true)}
+                  className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+                  title="Unfinished uploads"
+                >
+                  📤 Uploads
+                </button>
+              )}
+
+              {user.role === 'admin' && (
+                <button
+                  onClick={() => setIsContentPolicyPanelOpen(true)}
+                  className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+                  title="Allowed file types per folder"
+                >
+                  🧬 File Types
+                </button>
+              )}
+
+              {user.role === 'admin' && (
+                <button
+                  onClick={() => setIsQuarantinePanelOpen(true)}
+                  className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+                  title="Uploads flagged by the malware scanner"
+                >
+                  🦠 Quarantine
+                </button>
+              )}
+
+              <button
+                onClick={logout}
+                className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 shadow-sm font-medium transition-all duration-200"
+              >
+                🚪 Logout
+              </button>
             </div>
           </div>
         </div>
@@ -1174,19 +1697,26 @@ function App() {
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <FileManager
           currentPath={currentPath}
+          currentRole={currentRole}
           files={files}
           folders={folders}
           isLoading={isLoading}
           onUploadFile={uploadFile}
           onUploadMultipleFiles={uploadMultipleFiles}
           onCreateFolder={createFolder}
+          onCreateFolders={createFolders}
           onDeleteFile={deleteFile}
           onDeleteFolder={deleteFolder}
           onDeleteMultipleItems={deleteMultipleItems}
+          onDownloadZip={downloadZip}
           onRenameItem={renameItem}
+          onCreateConflictResolver={createConflictResolver}
+          onRefresh={() => loadFiles(currentPath)}
           onNavigateToFolder={navigateToFolder}
           onNavigateUp={navigateUp}
           onPreviewVideo={previewVideo}
+          tagFilter={tagFilter.path === currentPath ? tagFilter.tags : []}
+          onFilterByTags={filterByTags}
         />
       </main>
 
@@ -1196,6 +1726,64 @@ function App() {
         onClose={() => setIsVideoModalOpen(false)}
         video={selectedVideo}
       />
+
+      {/* User Management Modal */}
+      <UsersPanel
+        isOpen={isUsersPanelOpen}
+        onClose={() => setIsUsersPanelOpen(false)}
+        currentUser={user}
+      />
+
+      {/* Folder Permissions Modal */}
+      <AccessPanel
+        isOpen={isAccessPanelOpen}
+        onClose={() => setIsAccessPanelOpen(false)}
+        currentPath={currentPath}
+      />
+
+      {/* Share Links Modal */}
+      <SharesPanel
+        isOpen={isSharesPanelOpen}
+        onClose={() => setIsSharesPanelOpen(false)}
+      />
+
+      {/* Trash Modal */}
+      <TrashPanel
+        isOpen={isTrashPanelOpen}
+        onClose={() => setIsTrashPanelOpen(false)}
+        onRestored={() => loadFiles(currentPath)}
+      />
+
+      {/* Name Conflict Modal */}
+      <ConflictDialog
+        key={conflictPrompt ? conflictPrompt.id : 'none'}
+        isOpen={Boolean(conflictPrompt)}
+        name={conflictPrompt?.name}
+        folder={conflictPrompt?.folder}
+        isFolder={conflictPrompt?.isFolder}
+        canApplyToAll={conflictPrompt?.canApplyToAll}
+        onResolve={resolveConflictPrompt}
+      />
+
+      {/* Unfinished Uploads Modal */}
+      <UploadsPanel
+        isOpen={isUploadsPanelOpen}
+        onClose={() => setIsUploadsPanelOpen(false)}
+      />
+
+      {/* File Type Policies Modal */}
+      <ContentPolicyPanel
+        isOpen={isContentPolicyPanelOpen}
+        onClose={() => setIsContentPolicyPanelOpen(false)}
+        currentPath={currentPath}
+      />
+
+      {/* Quarantine Modal */}
+      <QuarantinePanel
+        isOpen={isQuarantinePanelOpen}
+        onClose={() => setIsQuarantinePanelOpen(false)}
+        onRestored={() => loadFiles(currentPath)}
+      />
     </div>
   );
 }
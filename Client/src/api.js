@@ -0,0 +1,50 @@
+// API Configuration - automatically adapts to development/production
+export const API_BASE_URL = import.meta.env.VITE_API_URL ||
+  (import.meta.env.DEV ? 'http://localhost:5000/api' : '/api');
+
+// Called whenever the server answers 401 (session expired or logged out elsewhere)
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch() wrapper for API calls - sends the session cookie along with every request
+export const apiFetch = async (endpoint, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    credentials: 'include',
+    ...options,
+  });
+
+  if (response.status === 401 && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+
+  return response;
+};
+
+// Origin of the MediaGrid server (file links, share links) - adapts to development/production
+export const getServerBaseUrl = () => {
+  const customApiUrl = import.meta.env.VITE_API_URL;
+  if (customApiUrl) {
+    // If custom API URL is set, drop the /api suffix (a relative URL means same origin)
+    return customApiUrl.replace(/\/api\/?$/, '') || window.location.origin;
+  }
+
+  // In development, use separate server on port 5000
+  if (import.meta.env.DEV) {
+    return window.location.origin.replace(/:\d+/, ':5000');
+  }
+
+  // In production, same origin serves both app and files
+  return window.location.origin;
+};
+
+// Public URL of a share link token
+export const getShareUrl = (token) => `${getServerBaseUrl()}/s/${token}`;
+
+// Public upload page URL of a drop box token (served by the app itself)
+export const getDropUrl = (token) => `${window.location.origin}/?drop=${token}`;
+
+// Large uploads go through the tus endpoint instead of upload sessions when VITE_UPLOAD_PROTOCOL=tus
+export const USE_TUS_UPLOADS = import.meta.env.VITE_UPLOAD_PROTOCOL === 'tus';
@@ -0,0 +1,30 @@
+import { apiFetch } from './api';
+
+// Many file operations in one request: the server works through them as a job
+// (Server/lib/batches.js), so a large cleanup keeps going if this tab is closed.
+
+const POLL_INTERVAL_MS = 1000;
+
+const readJob = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data.job;
+};
+
+// Start a batch of `operations` ([{ op, path, ... }]) and poll it until it has finished.
+// `onProgress(job)` runs after every poll; resolves to the finished job with the result
+// of every operation.
+export const runBatch = async (operations, { stopOnError = false, onProgress } = {}) => {
+  let job = await readJob(await apiFetch('/batches', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ operations, stopOnError }),
+  }));
+
+  while (job.status === 'running') {
+    onProgress?.(job);
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    job = await readJob(await apiFetch(`/batches/${job.id}`));
+  }
+  return job;
+};
@@ -0,0 +1,19 @@
+import { createSHA256, sha256 } from 'hash-wasm';
+
+// SHA-256 checksums for upload integrity checks. hash-wasm rather than crypto.subtle,
+// which browsers only offer over https - MediaGrid often runs over plain http on a LAN.
+
+const READ_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Hex SHA-256 of one chunk
+export const sha256Blob = async (blob) => sha256(new Uint8Array(await blob.arrayBuffer()));
+
+// Hex SHA-256 of a whole file, read slice by slice so GB-sized files never sit in memory
+export const sha256File = async (file) => {
+  const hasher = await createSHA256();
+  hasher.init();
+  for (let offset = 0; offset < file.size; offset += READ_SIZE) {
+    hasher.update(new Uint8Array(await file.slice(offset, offset + READ_SIZE).arrayBuffer()));
+  }
+  return hasher.digest('hex');
+};
@@ -0,0 +1,53 @@
+import { toast } from 'react-hot-toast';
+
+// Copy text to the clipboard, falling back to execCommand and finally to showing
+// the text so the user can copy it manually
+export const copyToClipboard = async (text, successMessage = 'Link copied to clipboard!') => {
+  try {
+    await navigator.clipboard.writeText(text);
+    toast.success(successMessage, {
+      icon: '📋',
+      duration: 2000,
+    });
+  } catch (error) {
+    console.error('Failed to copy link:', error);
+
+    // Fallback: Try to select text and copy manually
+    try {
+      // Create a temporary textarea element
+      const textArea = document.createElement('textarea');
+      textArea.value = text;
+      textArea.style.position = 'fixed';
+      textArea.style.left = '-999999px';
+      textArea.style.top = '-999999px';
+      document.body.appendChild(textArea);
+      textArea.focus();
+      textArea.select();
+
+      const successful = document.execCommand('copy');
+      document.body.removeChild(textArea);
+
+      if (successful) {
+        toast.success(successMessage, {
+          icon: '📋',
+          duration: 2000,
+        });
+      } else {
+        throw new Error('Fallback copy failed');
+      }
+    } catch (fallbackError) {
+      console.error('Fallback copy also failed:', fallbackError);
+      // Show the URL to user so they can copy manually
+      toast.error(
+        <div>
+          <div className="font-medium">Copy failed</div>
+          <div className="text-xs mt-1 p-2 bg-gray-100 rounded border max-w-xs overflow-x-auto">
+            {text}
+          </div>
+          <div className="text-xs text-gray-600 mt-1">Please copy the URL above manually</div>
+        </div>,
+        { duration: 8000 }
+      );
+    }
+  }
+};
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+// Role descriptions shown next to the role picker
+const ROLE_HINTS = {
+  none: 'No access',
+  viewer: 'Browse and download',
+  uploader: 'Viewer + upload and create folders',
+  editor: 'Uploader + rename and delete',
+};
+
+const AccessPanel = ({ isOpen, onClose, currentPath }) => {
+  const [rules, setRules] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [rulePath, setRulePath] = useState('/');
+  const [ruleUserId, setRuleUserId] = useState('');
+  const [ruleRole, setRuleRole] = useState('viewer');
+
+  // Load rules and users whenever the panel opens, defaulting the form to the open folder
+  useEffect(() => {
+    if (isOpen) {
+      setRulePath(currentPath || '/');
+      loadRules();
+    }
+  }, [isOpen, currentPath]);
+
+  const loadRules = async () => {
+    setIsLoading(true);
+    try {
+      const [rulesResponse, usersResponse] = await Promise.all([
+        apiFetch('/acl'),
+        apiFetch('/users'),
+      ]);
+      if (!rulesResponse.ok || !usersResponse.ok) throw new Error('Failed to load access rules');
+
+      const rulesData = await rulesResponse.json();
+      const usersData = await usersResponse.json();
+      setRules(rulesData.rules || []);
+      setRoles(rulesData.roles || []);
+
+      // Admins can do everything already, rules only make sense for everyone else
+      const assignable = (usersData.users || []).filter(user => user.role !== 'admin');
+      setUsers(assignable);
+      setRuleUserId(prev => prev || (assignable[0]?.id ?? ''));
+    } catch (error) {
+      console.error('Error loading access rules:', error);
+      toast.error('Failed to load access rules');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch('/acl', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: rulePath, userId: ruleUserId, role: ruleRole }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('🛡️ Access rule saved');
+      await loadRules();
+    } catch (error) {
+      toast.error(`Failed to save rule: ${error.message}`);
+    }
+  };
+
+  const handleRemoveRule = async (rule) => {
+    try {
+      const response = await apiFetch(`/acl/${rule.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Access rule removed');
+      await loadRules();
+    } catch (error) {
+      toast.error(`Failed to remove rule: ${error.message}`);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">🛡️ Folder Access</h2>
+            <p className="text-sm text-gray-500">
+              Rules apply to the folder and everything inside it. The closest rule wins, otherwise the user's global role applies.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Rule list */}
+        <div className="divide-y divide-gray-100">
+          {isLoading && rules.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading rules...</div>
+          ) : rules.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">No folder rules yet - every user has their global role everywhere.</div>
+          ) : (
+            rules.map((rule) => (
+              <div key={rule.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-900 truncate">📁 {rule.path}</div>
+                  <div className="text-xs text-gray-500">
+                    {rule.username} • <span className="font-medium">{rule.role}</span> ({ROLE_HINTS[rule.role]})
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRemoveRule(rule)}
+                  className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+                >
+                  🗑️ Remove
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* New rule form */}
+        <form onSubmit={handleAddRule} className="p-4 border-t border-gray-200 bg-gray-50 flex items-center space-x-2">
+          <input
+            type="text"
+            value={rulePath}
+            onChange={(e) => setRulePath(e.target.value)}
+            placeholder="/folder/path"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex-1 min-w-0"
+          />
+          <select
+            value={ruleUserId}
+            onChange={(e) => setRuleUserId(e.target.value)}
+            className="px-2 py-2 text-sm border border-gray-300 rounded-lg"
+          >
+            {users.map(user => <option key={user.id} value={user.id}>{user.username}</option>)}
+          </select>
+          <select
+            value={ruleRole}
+            onChange={(e) => setRuleRole(e.target.value)}
+            className="px-2 py-2 text-sm border border-gray-300 rounded-lg"
+          >
+            {roles.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button
+            type="submit"
+            disabled={!ruleUserId || !rulePath.trim()}
+            className="px-4 py-2 text-sm bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-lg hover:from-emerald-700 hover:to-emerald-800 disabled:opacity-50 font-medium"
+          >
+            Save Rule
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AccessPanel;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+
+// What the user can do about a name that is already taken - the server's conflict policies
+const CHOICES = [
+  { policy: 'overwrite', label: '♻️ Replace', hint: 'Overwrite the existing file', className: 'bg-red-100 text-red-800 hover:bg-red-200' },
+  { policy: 'rename', label: '📑 Keep both', hint: 'Save the new one as "name (1)"', className: 'bg-blue-100 text-blue-800 hover:bg-blue-200' },
+  { policy: 'skip', label: '⏭️ Skip', hint: 'Keep the existing file, drop the new one', className: 'bg-gray-100 text-gray-800 hover:bg-gray-200' },
+];
+
+// Asks how to resolve a name conflict. Calls onResolve({ policy, applyToAll }) - the
+// "fail" policy when the user cancels. Folders can't be replaced, so `isFolder` hides that.
+const ConflictDialog = ({ isOpen, name, folder, isFolder = false, canApplyToAll = false, onResolve }) => {
+  const [applyToAll, setApplyToAll] = useState(false);
+
+  if (!isOpen) return null;
+
+  const choose = (policy) => onResolve({ policy, applyToAll });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">⚠️ Name Already Taken</h2>
+          <p className="text-sm text-gray-600 mt-1 break-all">
+            A file or folder called <span className="font-medium">"{name}"</span> already exists in 📁 {folder}.
+          </p>
+        </div>
+
+        {/* Choices */}
+        <div className="p-4 space-y-2">
+          {CHOICES.filter(choice => !(isFolder && choice.policy === 'overwrite')).map(({ policy, label, hint, className }) => (
+            <button
+              key={policy}
+              onClick={() => choose(policy)}
+              className={`w-full px-4 py-2 text-left rounded-lg transition-all duration-200 ${className}`}
+            >
+              <div className="text-sm font-medium">{label}</div>
+              <div className="text-xs opacity-75">{hint}</div>
+            </button>
+          ))}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-gray-200 bg-gray-50 flex items-center justify-between rounded-b-xl">
+          {canApplyToAll ? (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={applyToAll}
+                onChange={(e) => setApplyToAll(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              <span>Apply to all conflicts in this upload</span>
+            </label>
+          ) : <span />}
+          <button
+            onClick={() => choose('fail')}
+            className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900 font-medium"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+const formatPatterns = (patterns) => (patterns.length > 0 ? patterns.join(', ') : 'anything');
+
+const ContentPolicyPanel = ({ isOpen, onClose, currentPath }) => {
+  const [policies, setPolicies] = useState([]);
+  const [defaultPolicy, setDefaultPolicy] = useState(null);
+  const [rejections, setRejections] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [policyPath, setPolicyPath] = useState('/');
+  const [allow, setAllow] = useState('');
+  const [block, setBlock] = useState('');
+
+  // Load policies and recent refusals whenever the panel opens, defaulting the form to the open folder
+  useEffect(() => {
+    if (isOpen) {
+      setPolicyPath(currentPath || '/');
+      loadPolicies();
+    }
+  }, [isOpen, currentPath]);
+
+  const loadPolicies = async () => {
+    setIsLoading(true);
+    try {
+      const [policiesResponse, auditResponse] = await Promise.all([
+        apiFetch('/admin/content-policies'),
+        apiFetch('/admin/audit?type=upload.rejected&limit=20'),
+      ]);
+      if (!policiesResponse.ok || !auditResponse.ok) throw new Error('Failed to load content policies');
+
+      const policiesData = await policiesResponse.json();
+      const auditData = await auditResponse.json();
+      setPolicies(policiesData.policies || []);
+      setDefaultPolicy(policiesData.defaultPolicy || null);
+      setRejections(auditData.events || []);
+    } catch (error) {
+      console.error('Error loading content policies:', error);
+      toast.error('Failed to load content policies');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch('/admin/content-policies', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: policyPath, allow, block }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('🧬 File type policy saved');
+      setAllow('');
+      setBlock('');
+      await loadPolicies();
+    } catch (error) {
+      toast.error(`Failed to save policy: ${error.message}`);
+    }
+  };
+
+  const handleRemovePolicy = async (policy) => {
+    try {
+      const response = await apiFetch(`/admin/content-policies/${policy.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('File type policy removed');
+      await loadPolicies();
+    } catch (error) {
+      toast.error(`Failed to remove policy: ${error.message}`);
+    }
+  };
+
+  // Load a policy into the form for editing
+  const handleEditPolicy = (policy) => {
+    setPolicyPath(policy.path);
+    setAllow(policy.allow.join(', '));
+    setBlock(policy.block.join(', '));
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">🧬 File Types</h2>
+            <p className="text-sm text-gray-500">
+              Uploads are judged by their content, not their name. The closest folder's policy wins; use MIME types or families like "video/*".
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Policy list */}
+        <div className="divide-y divide-gray-100">
+          {defaultPolicy && (
+            <div className="p-4 bg-gray-50">
+              <div className="font-semibold text-gray-900">Everywhere else (server default)</div>
+              <div className="text-xs text-gray-500">
+                Allowed: {formatPatterns(defaultPolicy.allow)} • Blocked: {defaultPolicy.block.length > 0 ? defaultPolicy.block.join(', ') : 'nothing'}
+              </div>
+            </div>
+          )}
+          {isLoading && policies.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading policies...</div>
+          ) : (
+            policies.map((policy) => (
+              <div key={policy.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-900 truncate">📁 {policy.path}</div>
+                  <div className="text-xs text-gray-500">
+                    Allowed: {formatPatterns(policy.allow)} • Blocked: {policy.block.length > 0 ? policy.block.join(', ') : 'nothing'}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleEditPolicy(policy)}
+                    className="px-3 py-2 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-all duration-200 font-medium"
+                  >
+                    ✏️ Edit
+                  </button>
+                  <button
+                    onClick={() => handleRemovePolicy(policy)}
+                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+                  >
+                    🗑️ Remove
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* Policy form */}
+        <form onSubmit={handleSavePolicy} className="p-4 border-t border-gray-200 bg-gray-50 flex items-center space-x-2">
+          <input
+            type="text"
+            value={policyPath}
+            onChange={(e) => setPolicyPath(e.target.value)}
+            placeholder="/folder/path"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-40 min-w-0"
+          />
+          <input
+            type="text"
+            value={allow}
+            onChange={(e) => setAllow(e.target.value)}
+            placeholder="Allow: video/*, image/*"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex-1 min-w-0"
+          />
+          <input
+            type="text"
+            value={block}
+            onChange={(e) => setBlock(e.target.value)}
+            placeholder="Block: application/x-msdownload"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex-1 min-w-0"
+          />
+          <button
+            type="submit"
+            disabled={!policyPath.trim()}
+            className="px-4 py-2 text-sm bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-lg hover:from-emerald-700 hover:to-emerald-800 disabled:opacity-50 font-medium"
+          >
+            Save Policy
+          </button>
+        </form>
+
+        {/* Recent refusals from the audit log */}
+        <div className="border-t border-gray-200">
+          <div className="px-4 pt-4 text-sm font-semibold text-gray-900">Recently refused uploads</div>
+          {rejections.length === 0 ? (
+            <div className="p-4 text-sm text-gray-500">No uploads were refused.</div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {rejections.map((event) => (
+                <div key={`${event.at}-${event.filename}`} className="px-4 py-2 text-xs text-gray-600">
+                  <span className="font-medium text-gray-900">{event.filename}</span> ({event.contentType}) into {event.path}
+                  {' • '}{event.user || (event.dropBox ? 'upload link' : 'unknown')}
+                  {' • '}{new Date(event.at).toLocaleString()}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContentPolicyPanel;
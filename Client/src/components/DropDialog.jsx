@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch, getDropUrl } from '../api';
+import { copyToClipboard } from '../clipboard';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+];
+
+const GB = 1024 * 1024 * 1024;
+
+const DropDialog = ({ folderPath, onClose }) => {
+  const [title, setTitle] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState(24 * 7);
+  const [maxSizeGb, setMaxSizeGb] = useState('10');
+  const [allowedExtensions, setAllowedExtensions] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [createdDrop, setCreatedDrop] = useState(null);
+
+  if (!folderPath) return null;
+
+  const handleClose = () => {
+    setCreatedDrop(null);
+    setTitle('');
+    setAllowedExtensions('');
+    onClose();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const response = await apiFetch('/drops', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          path: folderPath,
+          title: title || undefined,
+          expiresInHours,
+          maxTotalSize: Math.round(parseFloat(maxSizeGb) * GB),
+          allowedExtensions,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      setCreatedDrop(data.drop);
+      await copyToClipboard(getDropUrl(data.drop.token), 'Upload link created and copied!');
+    } catch (error) {
+      console.error('Create upload link error:', error);
+      toast.error(`Failed to create upload link: ${error.message}`);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      handleClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 truncate">📥 Request files into "{folderPath}"</h2>
+          <p className="text-sm text-gray-500">Anyone with the link can upload here, but cannot see the folder contents.</p>
+        </div>
+
+        {createdDrop ? (
+          <div className="p-4 space-y-3">
+            <div className="text-xs p-2 bg-gray-100 rounded border break-all">{getDropUrl(createdDrop.token)}</div>
+            <div className="text-xs text-gray-500">
+              Expires {new Date(createdDrop.expiresAt).toLocaleString()}
+              {createdDrop.allowedExtensions.length > 0 && ` • ${createdDrop.allowedExtensions.join(', ')} only`}
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => copyToClipboard(getDropUrl(createdDrop.token))}
+                className="px-4 py-2 text-sm bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-medium"
+              >
+                📋 Copy Link
+              </button>
+              <button
+                onClick={handleClose}
+                className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleCreate} className="p-4 space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Title shown to uploaders (optional)</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="e.g. Raw footage for the spring campaign"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires after</label>
+              <select
+                value={expiresInHours}
+                onChange={(e) => setExpiresInHours(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.hours} value={option.hours}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Max total size (GB)</label>
+              <input
+                type="number"
+                min="0.01"
+                step="any"
+                value={maxSizeGb}
+                onChange={(e) => setMaxSizeGb(e.target.value)}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Allowed extensions (optional)</label>
+              <input
+                type="text"
+                value={allowedExtensions}
+                onChange={(e) => setAllowedExtensions(e.target.value)}
+                placeholder="mp4, mov, mxf - empty allows any file"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div className="flex justify-end space-x-2 pt-2">
+              <button
+                type="button"
+                onClick={handleClose}
+                className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isCreating || !(parseFloat(maxSizeGb) > 0)}
+                className="px-4 py-2 text-sm bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 font-medium"
+              >
+                {isCreating ? 'Creating...' : 'Create Link'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DropDialog;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiFetch } from '../api';
+import { sha256Blob, sha256File } from '../checksums';
+
+const CHUNK_SIZE = 10 * 1024 * 1024; // 10MB chunks, same as the main uploader
+const MAX_RETRIES = 3;
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const fetchDrop = async (token) => {
+  const response = await apiFetch(`/drop/${encodeURIComponent(token)}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data.drop;
+};
+
+// Public upload page for drop box links - outside uploaders can send files into
+// one folder but never see what is already in it
+const DropUploadPage = ({ token }) => {
+  const [drop, setDrop] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [uploads, setUploads] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Load the drop box details (title, limits) - never the folder contents
+  useEffect(() => {
+    fetchDrop(token)
+      .then(setDrop)
+      .catch(error => setLoadError(error.message));
+  }, [token]);
+
+  const updateUpload = (id, changes) => {
+    setUploads(prev => prev.map(upload => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  // Upload session protocol of the main app, authorized by the drop token
+  const sendChunked = async (upload) => {
+    const { file } = upload;
+    const headers = { 'X-Drop-Token': token };
+    const sha256 = await sha256File(file);
+
+    const sendRequest = async (endpoint, options = {}) => {
+      const response = await apiFetch(endpoint, { ...options, headers: { ...headers, ...options.headers } });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        // Client errors (wrong type, no space, link revoked) will not fix themselves,
+        // except for data corrupted on the way
+        error.retryable = response.status >= 500 || Boolean(data.retryable);
+        throw error;
+      }
+      return data;
+    };
+
+    const { session } = await sendRequest('/uploads', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: file.name, size: file.size, chunkSize: CHUNK_SIZE, sha256 }),
+    });
+
+    // A file that arrives corrupted as a whole is sent once more
+    for (let pass = 0; ; pass++) {
+      for (let chunkIndex = 0; chunkIndex < session.totalChunks; chunkIndex++) {
+        const chunk = file.slice(chunkIndex * CHUNK_SIZE, Math.min((chunkIndex + 1) * CHUNK_SIZE, file.size));
+        const checksum = await sha256Blob(chunk);
+
+        for (let attempt = 0; ; attempt++) {
+          try {
+            await sendRequest(`/uploads/${session.id}/chunks/${chunkIndex}`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': checksum },
+              body: chunk,
+            });
+            break;
+          } catch (error) {
+            if (error.retryable === false || attempt >= MAX_RETRIES) throw error;
+            await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt)));
+          }
+        }
+
+        updateUpload(upload.id, { progress: Math.round(((chunkIndex + 1) / session.totalChunks) * 100) });
+      }
+
+      try {
+        const result = await sendRequest(`/uploads/${session.id}/finalize`, { method: 'POST' });
+        return result.file;
+      } catch (error) {
+        if (!error.retryable || pass >= 1) throw error;
+      }
+    }
+  };
+
+  const uploadFiles = async (fileList) => {
+    const newUploads = Array.from(fileList).map((file, index) => ({
+      id: `${Date.now()}-${index}`,
+      file,
+      name: file.name,
+      size: file.size,
+      progress: 0,
+      status: 'pending',
+      error: '',
+    }));
+    if (newUploads.length === 0) return;
+
+    setUploads(prev => [...newUploads, ...prev]);
+    setIsUploading(true);
+
+    // One file at a time keeps the size limit checks predictable
+    for (const upload of newUploads) {
+      updateUpload(upload.id, { status: 'uploading' });
+      try {
+        const file = await sendChunked(upload);
+        updateUpload(upload.id, { status: 'done', progress: 100, savedAs: file?.name });
+      } catch (error) {
+        console.error('Drop upload error:', error);
+        updateUpload(upload.id, { status: 'error', error: error.message });
+      }
+    }
+
+    setIsUploading(false);
+
+    // Refresh the remaining space
+    try {
+      setDrop(await fetchDrop(token));
+    } catch (error) {
+      setLoadError(error.message);
+    }
+  };
+
+  const handleFileInput = (e) => {
+    uploadFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    if (!isUploading) uploadFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-10">
+      <div className="w-full max-w-2xl bg-white rounded-2xl shadow-lg border border-gray-200 p-8">
+        <div className="text-center mb-6">
+          <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">MediaGrid</h1>
+          {drop && <p className="text-lg text-gray-800 mt-2 font-semibold">📥 {drop.title}</p>}
+        </div>
+
+        {loadError ? (
+          <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-xl px-4 py-3 text-center">
+            {loadError}
+          </div>
+        ) : !drop ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-200 border-t-blue-600"></div>
+          </div>
+        ) : (
+          <>
+            <div className="text-sm text-gray-600 text-center mb-4 space-y-1">
+              <div>{formatFileSize(drop.remainingBytes)} of {formatFileSize(drop.maxTotalSize)} remaining • Link expires {new Date(drop.expiresAt).toLocaleString()}</div>
+              {drop.allowedExtensions.length > 0 && (
+                <div>Accepted file types: {drop.allowedExtensions.join(', ')}</div>
+              )}
+            </div>
+
+            <div
+              onDragOver={(e) => { e.preventDefault(); setIsDragOver(true); }}
+              onDragLeave={() => setIsDragOver(false)}
+              onDrop={handleDrop}
+              className={`border-2 border-dashed rounded-xl p-10 text-center transition-all duration-200 ${
+                isDragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50'
+              }`}
+            >
+              <div className="text-4xl mb-3">📤</div>
+              <p className="text-sm text-gray-600 mb-4">Drag and drop files here, or</p>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isUploading}
+                className="px-5 py-2.5 text-sm bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-xl hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg font-medium"
+              >
+                {isUploading ? 'Uploading...' : 'Choose Files'}
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={drop.allowedExtensions.join(',') || undefined}
+                onChange={handleFileInput}
+                className="hidden"
+              />
+            </div>
+
+            {uploads.length > 0 && (
+              <div className="mt-6 divide-y divide-gray-100 border border-gray-200 rounded-xl">
+                {uploads.map(upload => (
+                  <div key={upload.id} className="p-3">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-medium text-gray-900 truncate mr-4">{upload.name}</span>
+                      <span className="text-gray-500 whitespace-nowrap">
+                        {upload.status === 'done' && '✅ Uploaded'}
+                        {upload.status === 'error' && '❌ Failed'}
+                        {upload.status === 'uploading' && `${upload.progress}%`}
+                        {upload.status === 'pending' && 'Waiting...'}
+                      </span>
+                    </div>
+                    {upload.status === 'uploading' && (
+                      <div className="mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div className="h-full bg-blue-600 transition-all duration-300" style={{ width: `${upload.progress}%` }} />
+                      </div>
+                    )}
+                    {upload.status === 'error' && <div className="text-xs text-red-600 mt-1">{upload.error}</div>}
+                    {upload.status === 'done' && upload.savedAs && upload.savedAs !== upload.name && (
+                      <div className="text-xs text-gray-500 mt-1">Saved as {upload.savedAs}</div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DropUploadPage;
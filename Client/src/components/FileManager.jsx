@@ -1,21 +1,50 @@
 import React, { useState, useRef } from 'react';
 import { toast } from 'react-hot-toast';
+import { roleAllows } from '../permissions';
+import { getServerBaseUrl } from '../api';
+import { copyToClipboard } from '../clipboard';
+import ShareDialog from './ShareDialog';
+import DropDialog from './DropDialog';
+import ImportDialog from './ImportDialog';
+import VersionsDialog from './VersionsDialog';
+import TransferDialog from './TransferDialog';
+import SearchPanel from './SearchPanel';
+import MetadataDialog from './MetadataDialog';
+
+// Malware scan status of an upload - only clean (or never scanned) files can be opened
+const SCAN_BADGES = {
+  pending: { label: '🕓 Scanning', className: 'bg-amber-100 text-amber-800', title: 'Being scanned for malware - refresh to check again' },
+  error: { label: '⚠️ Not scanned', className: 'bg-red-100 text-red-800', title: 'The malware scan failed - an admin can scan it again' },
+  clean: { label: '🛡️', className: 'bg-green-50 text-green-700', title: 'Scanned, no malware found' },
+};
+
+const isServable = (file) => !file.scan || file.scan.status === 'clean';
+
+// Archives the server can extract (Server/lib/archives.js)
+const isArchive = (file) => /\.(zip|tar|tar\.gz|tgz)$/i.test(file.name);
 
 const FileManager = ({
   currentPath,
+  currentRole = 'none',
   files,
   folders,
   isLoading,
   onUploadFile,
   onUploadMultipleFiles,
   onCreateFolder,
+  onCreateFolders,
   onDeleteFile,
   onDeleteFolder,
   onDeleteMultipleItems,
+  onDownloadZip,
   onRenameItem,
+  onCreateConflictResolver,
+  onRefresh,
   onNavigateToFolder,
   onNavigateUp,
   onPreviewVideo,
+  tagFilter = [],
+  onFilterByTags,
 }) => {
   const [showNewFolderInput, setShowNewFolderInput] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
@@ -23,9 +52,28 @@ const FileManager = ({
   const [renamingItem, setRenamingItem] = useState(null);
   const [renameValue, setRenameValue] = useState('');
   const [isSelectionMode, setIsSelectionMode] = useState(false);
+  const [sharingItem, setSharingItem] = useState(null);
+  const [dropFolderPath, setDropFolderPath] = useState(null);
+  const [importFolderPath, setImportFolderPath] = useState(null);
+  const [versionsItem, setVersionsItem] = useState(null);
+  const [transfer, setTransfer] = useState(null);
+  const [metadataItems, setMetadataItems] = useState(null);
   const fileInputRef = useRef(null);
   const folderInputRef = useRef(null);
 
+  // What the current user may do here - actions they cannot perform are hidden
+  const canUpload = roleAllows(currentRole, 'upload');
+  const canEditItem = (item) => roleAllows(item.role, 'delete');
+  const hasEditableItems = folders.some(canEditItem) || files.some(canEditItem);
+  const canDeleteSelection = selectedItems.size > 0 && Array.from(selectedItems).every(itemPath => {
+    const item = folders.find(f => f.path === itemPath) || files.find(f => f.path === itemPath);
+    return item && canEditItem(item);
+  });
+  const canTagSelection = selectedItems.size > 0 && Array.from(selectedItems).every(itemPath => {
+    const item = folders.find(f => f.path === itemPath) || files.find(f => f.path === itemPath);
+    return item && roleAllows(item.role, 'tag');
+  });
+
   // Clear selection when path changes
   React.useEffect(() => {
     setSelectedItems(new Set());
@@ -35,85 +83,22 @@ const FileManager = ({
   // Copy absolute link to clipboard
   const copyAbsoluteLink = async (itemPath, isFolder = false) => {
     let absoluteUrl = '';
-    
-    try {
-      if (isFolder) {
-        // For folders, create a link to the MediaGrid app with the folder path
-        const encodedPath = encodeURIComponent(itemPath);
-        absoluteUrl = `${window.location.origin}?path=${encodedPath}`;
-      } else {
-        // For files, create a direct link to the file on the server
-        // Get the file server URL - adapts to development/production
-        const getFileBaseUrl = () => {
-          const customApiUrl = import.meta.env.VITE_API_URL;
-          if (customApiUrl) {
-            // If custom API URL is set, replace /api with /videos
-            return customApiUrl.replace('/api', '/videos');
-          }
-          
-          // In development, use separate server on port 5000
-          if (import.meta.env.DEV) {
-            return window.location.origin.replace(/:\d+/, ':5000') + '/videos';
-          }
-          
-          // In production (including VPS), same origin serves both app and files
-          return window.location.origin + '/videos';
-        };
-        
-        // Encode each path segment properly while preserving the path structure
-        const pathSegments = itemPath.split('/').map(segment => encodeURIComponent(segment));
-        const encodedPath = pathSegments.join('/');
-        absoluteUrl = `${getFileBaseUrl()}${encodedPath}`;
-        
-        console.log('Generated file URL:', absoluteUrl); // Debug log
-      }
-      
-      await navigator.clipboard.writeText(absoluteUrl);
-      toast.success(`Link copied to clipboard!`, {
-        icon: '📋',
-        duration: 2000,
-      });
-    } catch (error) {
-      console.error('Failed to copy link:', error);
-      
-      // Fallback: Try to select text and copy manually
-      try {
-        // Create a temporary textarea element
-        const textArea = document.createElement('textarea');
-        textArea.value = absoluteUrl;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
-        
-        const successful = document.execCommand('copy');
-        document.body.removeChild(textArea);
-        
-        if (successful) {
-          toast.success('Link copied to clipboard!', {
-            icon: '📋',
-            duration: 2000,
-          });
-        } else {
-          throw new Error('Fallback copy failed');
-        }
-      } catch (fallbackError) {
-        console.error('Fallback copy also failed:', fallbackError);
-        // Show the URL to user so they can copy manually
-        toast.error(
-          <div>
-            <div className="font-medium">Copy failed</div>
-            <div className="text-xs mt-1 p-2 bg-gray-100 rounded border max-w-xs overflow-x-auto">
-              {absoluteUrl}
-            </div>
-            <div className="text-xs text-gray-600 mt-1">Please copy the URL above manually</div>
-          </div>,
-          { duration: 8000 }
-        );
-      }
+
+    if (isFolder) {
+      // For folders, create a link to the MediaGrid app with the folder path
+      const encodedPath = encodeURIComponent(itemPath);
+      absoluteUrl = `${window.location.origin}?path=${encodedPath}`;
+    } else {
+      // For files, create a direct link to the file on the server (requires login)
+      // Encode each path segment properly while preserving the path structure
+      const pathSegments = itemPath.split('/').map(segment => encodeURIComponent(segment));
+      const encodedPath = pathSegments.join('/');
+      absoluteUrl = `${getServerBaseUrl()}/videos${encodedPath}`;
+
+      console.log('Generated file URL:', absoluteUrl); // Debug log
     }
+
+    await copyToClipboard(absoluteUrl);
   };
 
   // Handle file selection
@@ -141,23 +126,26 @@ const FileManager = ({
         return acc;
       }, {});
       
-      // Create folder structure first
-      const allPaths = Object.keys(filesByPath).sort();
-      for (const targetPath of allPaths) {
+      // Create folder structure first - every folder once, parents before their children
+      const newFolders = new Map();
+      for (const targetPath of Object.keys(filesByPath).sort()) {
         if (targetPath !== currentPath) {
           const pathParts = targetPath.replace(currentPath + '/', '').split('/');
           let currentFolder = currentPath;
           
           for (const folderName of pathParts) {
-            await onCreateFolder(folderName, currentFolder);
-            currentFolder = `${currentFolder}/${folderName}`;
+            const folderPath = `${currentFolder}/${folderName}`;
+            if (!newFolders.has(folderPath)) newFolders.set(folderPath, { name: folderName, path: currentFolder });
+            currentFolder = folderPath;
           }
         }
       }
+      await onCreateFolders([...newFolders.values()]);
       
-      // Upload files by path
+      // Upload files by path - name conflicts are decided once for the whole folder
+      const conflicts = onCreateConflictResolver();
       for (const [targetPath, pathFiles] of Object.entries(filesByPath)) {
-        await onUploadMultipleFiles(pathFiles, targetPath, folderName);
+        await onUploadMultipleFiles(pathFiles, targetPath, folderName, conflicts);
       }
     } else {
       // Handle individual file uploads
@@ -188,12 +176,22 @@ const FileManager = ({
 
   const handleRename = () => {
     if (renameValue.trim() && renameValue !== renamingItem.name) {
-      onRenameItem(renamingItem.path, renameValue.trim());
+      onRenameItem(renamingItem.path, renameValue.trim(), renamingItem.type === 'folder');
     }
     setRenamingItem(null);
     setRenameValue('');
   };
 
+  // Open the "Move to…" / "Copy to…" dialog for some of the listed items
+  const startTransfer = (mode, itemPaths) => {
+    const items = itemPaths.map(itemPath => {
+      const folder = folders.find(f => f.path === itemPath);
+      const item = folder || files.find(f => f.path === itemPath);
+      return { path: itemPath, name: item ? item.name : itemPath.split('/').pop(), isFolder: Boolean(folder) };
+    });
+    setTransfer({ mode, items, fromPath: currentPath });
+  };
+
   // Handle multiple item selection
   const toggleItemSelection = (itemPath) => {
     const newSelection = new Set(selectedItems);
@@ -226,7 +224,7 @@ const FileManager = ({
   const handleBulkDelete = async () => {
     if (selectedItems.size === 0) return;
 
-    const confirmMessage = `Are you sure you want to delete ${selectedItems.size} selected item${selectedItems.size > 1 ? 's' : ''}?`;
+    const confirmMessage = `Move ${selectedItems.size} selected item${selectedItems.size > 1 ? 's' : ''} to the trash?`;
     if (!window.confirm(confirmMessage)) return;
 
     // Prepare items for concurrent deletion
@@ -292,6 +290,57 @@ const FileManager = ({
            new Date(dateString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  // Format media info from the server's index: "1920×1080 • 3:25"
+  const formatMedia = (media) => {
+    const parts = [];
+    if (media.video?.width && media.video?.height) parts.push(`${media.video.width}×${media.video.height}`);
+    if (media.duration) {
+      const total = Math.round(media.duration);
+      const hours = Math.floor(total / 3600);
+      const minutes = Math.floor((total % 3600) / 60);
+      const seconds = String(total % 60).padStart(2, '0');
+      parts.push(hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`);
+    }
+    return parts.join(' • ');
+  };
+
+  // Show only items with this tag as well
+  const addTagFilter = (tag) => {
+    if (!tagFilter.some(other => other.toLowerCase() === tag.toLowerCase())) onFilterByTags([...tagFilter, tag]);
+  };
+
+  const editMetadata = (itemPaths) => {
+    setMetadataItems(itemPaths.map(itemPath => {
+      const folder = folders.find(f => f.path === itemPath);
+      return folder ? { ...folder, isFolder: true } : { ...files.find(f => f.path === itemPath), isFolder: false };
+    }));
+  };
+
+  // Tag chips (click to filter by the tag) and custom fields of a file or folder
+  const renderMetadata = (item) => {
+    const fields = Object.entries(item.fields || {});
+    if (!item.tags?.length && fields.length === 0) return null;
+    return (
+      <div className="flex flex-wrap items-center gap-1.5 mt-2">
+        {(item.tags || []).map(tag => (
+          <button
+            key={tag}
+            onClick={() => addTagFilter(tag)}
+            className="px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800 hover:bg-indigo-200 font-medium transition-colors"
+            title={`Show only items tagged "${tag}"`}
+          >
+            🏷️ {tag}
+          </button>
+        ))}
+        {fields.map(([key, value]) => (
+          <span key={key} className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700 max-w-xs truncate" title={`${key}: ${value}`}>
+            <span className="font-medium">{key}:</span> {value}
+          </span>
+        ))}
+      </div>
+    );
+  };
+
   // Breadcrumb navigation
   const renderBreadcrumb = () => {
     const pathParts = currentPath.split('/').filter(part => part);
@@ -343,41 +392,67 @@ const FileManager = ({
               </button>
               
               <div className="flex items-center space-x-3">
-                <button
-                  onClick={() => fileInputRef.current?.click()}
-                  className="px-5 py-2.5 text-sm bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-xl hover:from-blue-700 hover:to-blue-800 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
-                >
-                  <span className="text-lg">📄</span>
-                  <span className="font-medium">Upload Files</span>
-                </button>
+                {canUpload && (
+                  <>
+                    <button
+                      onClick={() => fileInputRef.current?.click()}
+                      className="px-5 py-2.5 text-sm bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-xl hover:from-blue-700 hover:to-blue-800 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                    >
+                      <span className="text-lg">📄</span>
+                      <span className="font-medium">Upload Files</span>
+                    </button>
                 
-                <button
-                  onClick={() => folderInputRef.current?.click()}
-                  className="px-5 py-2.5 text-sm bg-gradient-to-r from-indigo-600 to-indigo-700 text-white rounded-xl hover:from-indigo-700 hover:to-indigo-800 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
-                >
-                  <span className="text-lg">📁</span>
-                  <span className="font-medium">Upload Folder</span>
-                </button>
+                    <button
+                      onClick={() => folderInputRef.current?.click()}
+                      className="px-5 py-2.5 text-sm bg-gradient-to-r from-indigo-600 to-indigo-700 text-white rounded-xl hover:from-indigo-700 hover:to-indigo-800 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                    >
+                      <span className="text-lg">📁</span>
+                      <span className="font-medium">Upload Folder</span>
+                    </button>
+
+                    <button
+                      onClick={() => setImportFolderPath(currentPath)}
+                      className="px-5 py-2.5 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                      title="Let the server download a file from a URL into this folder"
+                    >
+                      <span className="text-lg">🌐</span>
+                      <span className="font-medium">Import URL</span>
+                    </button>
                 
-                <button
-                  onClick={() => setShowNewFolderInput(true)}
-                  className="px-5 py-2.5 text-sm bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-xl hover:from-emerald-700 hover:to-emerald-800 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
-                >
-                  <span className="text-lg">➕</span>
-                  <span className="font-medium">New Folder</span>
-                </button>
+                    <button
+                      onClick={() => setShowNewFolderInput(true)}
+                      className="px-5 py-2.5 text-sm bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-xl hover:from-emerald-700 hover:to-emerald-800 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                    >
+                      <span className="text-lg">➕</span>
+                      <span className="font-medium">New Folder</span>
+                    </button>
+                  </>
+                )}
+
+                {roleAllows(currentRole, 'share') && (
+                  <button
+                    onClick={() => setDropFolderPath(currentPath)}
+                    className="px-5 py-2.5 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                    title="Create an upload-only link to this folder for people without an account"
+                  >
+                    <span className="text-lg">📥</span>
+                    <span className="font-medium">Request Files</span>
+                  </button>
+                )}
                 
-                <button
-                  onClick={toggleSelectionMode}
-                  className={`px-5 py-2.5 text-sm rounded-xl flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-medium ${
-                    isSelectionMode 
-                      ? 'bg-gradient-to-r from-orange-600 to-orange-700 text-white hover:from-orange-700 hover:to-orange-800' 
-                      : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-200'
-                  }`}
-                >
-                  <span className="text-lg">☑️</span>
-                  <span>{isSelectionMode ? 'Exit Select' : 'Select'}</span>
-                </button>
+                {hasEditableItems && (
+                  <button
+                    onClick={toggleSelectionMode}
+                    className={`px-5 py-2.5 text-sm rounded-xl flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-medium ${
+                      isSelectionMode 
+                        ? 'bg-gradient-to-r from-orange-600 to-orange-700 text-white hover:from-orange-700 hover:to-orange-800' 
+                        : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-200'
+                    }`}
+                  >
+                    <span className="text-lg">☑️</span>
+                    <span>{isSelectionMode ? 'Exit Select' : 'Select'}</span>
+                  </button>
+                )}
               </div>
             </div>
             
@@ -416,6 +491,42 @@ const FileManager = ({
               </div>
               <div className="flex items-center space-x-2">
                 {selectedItems.size > 0 && (
+                  <button
+                    onClick={() => onDownloadZip(Array.from(selectedItems))}
+                    className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-medium"
+                  >
+                    <span className="text-lg">🗜️</span>
+                    <span>Download as ZIP</span>
+                  </button>
+                )}
+                {canTagSelection && (
+                  <button
+                    onClick={() => editMetadata(Array.from(selectedItems))}
+                    className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-medium"
+                  >
+                    <span className="text-lg">🏷️</span>
+                    <span>Tag…</span>
+                  </button>
+                )}
+                {selectedItems.size > 0 && (
+                  <button
+                    onClick={() => startTransfer('copy', Array.from(selectedItems))}
+                    className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-medium"
+                  >
+                    <span className="text-lg">📑</span>
+                    <span>Copy To…</span>
+                  </button>
+                )}
+                {canDeleteSelection && (
+                  <button
+                    onClick={() => startTransfer('move', Array.from(selectedItems))}
+                    className="px-4 py-2 text-sm bg-white text-gray-700 rounded-xl hover:bg-gray-50 border border-gray-200 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-medium"
+                  >
+                    <span className="text-lg">📦</span>
+                    <span>Move To…</span>
+                  </button>
+                )}
+                {canDeleteSelection && (
                   <button
                     onClick={handleBulkDelete}
                     className="px-4 py-2 text-sm bg-gradient-to-r from-red-600 to-red-700 text-white rounded-xl hover:from-red-700 hover:to-red-800 flex items-center space-x-2 transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-medium"
@@ -428,8 +539,39 @@ const FileManager = ({
             </div>
           )}
 
+          <SearchPanel
+            currentPath={currentPath}
+            onNavigateToFolder={onNavigateToFolder}
+            onPreviewVideo={onPreviewVideo}
+          />
+
           {renderBreadcrumb()}
 
+          {/* Tag filter */}
+          {tagFilter.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-4 px-4 py-3 bg-indigo-50 border border-indigo-200 rounded-xl text-sm">
+              <span className="font-medium text-indigo-900">Only items tagged</span>
+              {tagFilter.map(tag => (
+                <span key={tag} className="inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800 font-medium">
+                  🏷️ {tag}
+                  <button
+                    onClick={() => onFilterByTags(tagFilter.filter(other => other !== tag))}
+                    className="ml-1 text-indigo-500 hover:text-indigo-900"
+                    title="Remove from the filter"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+              <button
+                onClick={() => onFilterByTags([])}
+                className="text-indigo-700 hover:text-indigo-900 underline font-medium"
+              >
+                Show everything
+              </button>
+            </div>
+          )}
+
           {/* New folder input */}
           {showNewFolderInput && (
             <div className="flex items-center space-x-3 mt-4 p-4 bg-white border border-gray-200 rounded-xl shadow-sm">
@@ -531,6 +673,7 @@ const FileManager = ({
                     <div className="text-sm text-gray-500 mt-1">
                       Modified: {formatDate(folder.modified)}
                     </div>
+                    {renderMetadata(folder)}
                   </div>
                 </div>
                 <div className={`flex items-center space-x-2 transition-all duration-200 ${
@@ -539,22 +682,65 @@ const FileManager = ({
                   <button
                     onClick={() => copyAbsoluteLink(folder.path, true)}
                     className="px-3 py-2 text-xs bg-emerald-100 text-emerald-800 rounded-lg hover:bg-emerald-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
-                    title="Copy link to folder"
+                    title="Copy link to folder (requires login)"
                   >
                     🔗 Copy Link
                   </button>
+                  {roleAllows(folder.role, 'share') && (
+                    <button
+                      onClick={() => setSharingItem({ ...folder, isFolder: true })}
+                      className="px-3 py-2 text-xs bg-indigo-100 text-indigo-800 rounded-lg hover:bg-indigo-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      title="Create a public share link"
+                    >
+                      📤 Share
+                    </button>
+                  )}
+                  {roleAllows(folder.role, 'tag') && (
+                    <button
+                      onClick={() => editMetadata([folder.path])}
+                      className="px-3 py-2 text-xs bg-indigo-100 text-indigo-800 rounded-lg hover:bg-indigo-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      title="Tags and custom fields"
+                    >
+                      🏷️ Tags
+                    </button>
+                  )}
                   <button
-                    onClick={() => startRename(folder)}
-                    className="px-3 py-2 text-xs bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                    onClick={() => onDownloadZip([folder.path])}
+                    className="px-3 py-2 text-xs bg-sky-100 text-sky-800 rounded-lg hover:bg-sky-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                    title="Download the folder as a ZIP"
                   >
-                    ✏️ Rename
+                    🗜️ ZIP
                   </button>
                   <button
-                    onClick={() => onDeleteFolder(folder.path)}
-                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                    onClick={() => startTransfer('copy', [folder.path])}
+                    className="px-3 py-2 text-xs bg-sky-100 text-sky-800 rounded-lg hover:bg-sky-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                    title="Copy to another folder"
                   >
-                    🗑️ Delete
+                    📑 Copy
                   </button>
+                  {canEditItem(folder) && (
+                    <>
+                      <button
+                        onClick={() => startTransfer('move', [folder.path])}
+                        className="px-3 py-2 text-xs bg-sky-100 text-sky-800 rounded-lg hover:bg-sky-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                        title="Move to another folder"
+                      >
+                        📦 Move
+                      </button>
+                      <button
+                        onClick={() => startRename(folder)}
+                        className="px-3 py-2 text-xs bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      >
+                        ✏️ Rename
+                      </button>
+                      <button
+                        onClick={() => onDeleteFolder(folder.path)}
+                        className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      >
+                        🗑️ Delete
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             ))}
@@ -593,22 +779,45 @@ const FileManager = ({
                     ) : (
                       <div
                         className={`font-semibold text-gray-900 truncate text-lg ${
-                          file.isVideo ? 'cursor-pointer hover:text-blue-600 transition-colors' : ''
+                          file.isVideo && isServable(file) ? 'cursor-pointer hover:text-blue-600 transition-colors' : ''
                         }`}
-                        onClick={() => file.isVideo && onPreviewVideo(file)}
+                        onClick={() => file.isVideo && isServable(file) && onPreviewVideo(file)}
                       >
                         {file.name}
+                        {file.scan && SCAN_BADGES[file.scan.status] && (
+                          <span
+                            className={`ml-2 px-2 py-0.5 text-xs rounded-full font-medium align-middle ${SCAN_BADGES[file.scan.status].className}`}
+                            title={file.scan.error || SCAN_BADGES[file.scan.status].title}
+                          >
+                            {SCAN_BADGES[file.scan.status].label}
+                          </span>
+                        )}
                       </div>
                     )}
                     <div className="text-sm text-gray-500 mt-1">
                       {formatFileSize(file.size)} • Modified: {formatDate(file.modified)}
+                      {file.media && formatMedia(file.media) && ` • ${formatMedia(file.media)}`}
+                      {file.uploadedBy && ` • by ${file.uploadedBy}`}
+                      {file.sha256 && (
+                        <>
+                          {' • '}
+                          <button
+                            onClick={() => copyToClipboard(file.sha256, 'SHA-256 copied to clipboard!')}
+                            className="font-mono hover:text-blue-600 transition-colors"
+                            title={`SHA-256: ${file.sha256} (click to copy)`}
+                          >
+                            SHA-256 {file.sha256.slice(0, 12)}…
+                          </button>
+                        </>
+                      )}
                     </div>
+                    {renderMetadata(file)}
                   </div>
                 </div>
                 <div className={`flex items-center space-x-2 transition-all duration-200 ${
                   isSelectionMode ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
                 }`}>
-                  {file.isVideo && (
+                  {file.isVideo && isServable(file) && (
                     <button
                       onClick={() => onPreviewVideo(file)}
                       className="px-3 py-2 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
@@ -619,22 +828,76 @@ const FileManager = ({
                   <button
                     onClick={() => copyAbsoluteLink(file.path, false)}
                     className="px-3 py-2 text-xs bg-emerald-100 text-emerald-800 rounded-lg hover:bg-emerald-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
-                    title="Copy direct link to file"
+                    title="Copy direct link to file (requires login)"
                   >
                     🔗 Copy Link
                   </button>
+                  {file.versions > 0 && (
+                    <button
+                      onClick={() => setVersionsItem(file)}
+                      className="px-3 py-2 text-xs bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      title="Earlier versions of this file"
+                    >
+                      🕘 Versions ({file.versions})
+                    </button>
+                  )}
+                  {roleAllows(file.role, 'share') && (
+                    <button
+                      onClick={() => setSharingItem({ ...file, isFolder: false })}
+                      className="px-3 py-2 text-xs bg-indigo-100 text-indigo-800 rounded-lg hover:bg-indigo-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      title="Create a public share link"
+                    >
+                      📤 Share
+                    </button>
+                  )}
+                  {roleAllows(file.role, 'tag') && (
+                    <button
+                      onClick={() => editMetadata([file.path])}
+                      className="px-3 py-2 text-xs bg-indigo-100 text-indigo-800 rounded-lg hover:bg-indigo-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      title="Tags and custom fields"
+                    >
+                      🏷️ Tags
+                    </button>
+                  )}
+                  {isArchive(file) && isServable(file) && (
+                    <button
+                      onClick={() => startTransfer('extract', [file.path])}
+                      className="px-3 py-2 text-xs bg-sky-100 text-sky-800 rounded-lg hover:bg-sky-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      title="Unpack into a new folder"
+                    >
+                      🗃️ Extract
+                    </button>
+                  )}
                   <button
-                    onClick={() => startRename(file)}
-                    className="px-3 py-2 text-xs bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
-                  >
-                    ✏️ Rename
-                  </button>
-                  <button
-                    onClick={() => onDeleteFile(file.path)}
-                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                    onClick={() => startTransfer('copy', [file.path])}
+                    className="px-3 py-2 text-xs bg-sky-100 text-sky-800 rounded-lg hover:bg-sky-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                    title="Copy to another folder"
                   >
-                    🗑️ Delete
+                    📑 Copy
                   </button>
+                  {canEditItem(file) && (
+                    <>
+                      <button
+                        onClick={() => startTransfer('move', [file.path])}
+                        className="px-3 py-2 text-xs bg-sky-100 text-sky-800 rounded-lg hover:bg-sky-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                        title="Move to another folder"
+                      >
+                        📦 Move
+                      </button>
+                      <button
+                        onClick={() => startRename(file)}
+                        className="px-3 py-2 text-xs bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      >
+                        ✏️ Rename
+                      </button>
+                      <button
+                        onClick={() => onDeleteFile(file.path)}
+                        className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium shadow-sm hover:shadow"
+                      >
+                        🗑️ Delete
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             ))}
@@ -643,12 +906,41 @@ const FileManager = ({
               <div className="p-16 text-center">
                 <div className="text-6xl mb-4 opacity-50">📂</div>
                 <h3 className="text-xl font-semibold text-gray-900 mb-2">No files or folders</h3>
-                <p className="text-gray-500">This directory is empty. Upload some files to get started!</p>
+                <p className="text-gray-500">
+                  {tagFilter.length > 0
+                    ? 'Nothing in this folder has these tags.'
+                    : 'This directory is empty. Upload some files to get started!'}
+                </p>
               </div>
             )}
           </div>
         )}
       </div>
+
+      {/* Share link dialog */}
+      <ShareDialog item={sharingItem} onClose={() => setSharingItem(null)} />
+
+      {/* Upload-only link dialog */}
+      <DropDialog folderPath={dropFolderPath} onClose={() => setDropFolderPath(null)} />
+
+      {/* Import from URL dialog */}
+      <ImportDialog folderPath={importFolderPath} onClose={() => setImportFolderPath(null)} onImported={onRefresh} />
+
+      {/* Version history dialog */}
+      <VersionsDialog file={versionsItem} onClose={() => setVersionsItem(null)} onRestored={onRefresh} />
+
+      {/* Tags and custom fields */}
+      <MetadataDialog items={metadataItems} onClose={() => setMetadataItems(null)} onSaved={onRefresh} />
+
+      {/* Move / copy to another folder */}
+      <TransferDialog
+        transfer={transfer}
+        onClose={() => setTransfer(null)}
+        onDone={() => {
+          clearSelection();
+          onRefresh();
+        }}
+      />
     </div>
   );
 };
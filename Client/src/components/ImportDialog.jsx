@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+const POLL_INTERVAL_MS = 1000;
+const ACTIVE_STATUSES = ['queued', 'downloading'];
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  downloading: 'bg-blue-100 text-blue-800',
+  complete: 'bg-emerald-100 text-emerald-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-amber-100 text-amber-800',
+};
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Lets the server download a file from a URL into the folder, and shows the imports
+// into it - polled while the dialog is open
+const ImportDialog = ({ folderPath, onClose, onImported }) => {
+  const [url, setUrl] = useState('');
+  const [filename, setFilename] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  // Imports seen running, to notice when one has landed in the folder
+  const activeJobIds = useRef(new Set());
+  const onImportedRef = useRef(onImported);
+
+  useEffect(() => {
+    onImportedRef.current = onImported;
+  });
+
+  // Poll the imports into this folder while the dialog is open. Bumping `reloadKey`
+  // reloads right away (after starting or cancelling one).
+  useEffect(() => {
+    if (!folderPath) return undefined;
+
+    const loadJobs = async () => {
+      try {
+        const response = await apiFetch('/imports');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        const folderJobs = data.jobs.filter(job => job.targetPath === folderPath);
+
+        if (folderJobs.some(job => job.status === 'complete' && activeJobIds.current.has(job.id))) {
+          onImportedRef.current();
+        }
+        activeJobIds.current = new Set(folderJobs.filter(job => ACTIVE_STATUSES.includes(job.status)).map(job => job.id));
+        setJobs(folderJobs);
+      } catch (error) {
+        console.error('Error loading imports:', error);
+      }
+    };
+
+    loadJobs();
+    const interval = setInterval(loadJobs, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [folderPath, reloadKey]);
+
+  if (!folderPath) return null;
+
+  const handleClose = () => {
+    setUrl('');
+    setFilename('');
+    setJobs([]);
+    onClose();
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setIsStarting(true);
+    try {
+      const response = await apiFetch('/imports', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: url.trim(), path: folderPath, filename: filename.trim() || undefined }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('🌐 Import started');
+      setUrl('');
+      setFilename('');
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      console.error('Start import error:', error);
+      toast.error(`Failed to start import: ${error.message}`);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  // Cancels a running import, or removes a finished one from the list
+  const handleCancel = async (job) => {
+    try {
+      const response = await apiFetch(`/imports/${job.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      toast.error(`Failed to cancel import: ${error.message}`);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      handleClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-auto">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 truncate">🌐 Import from URL into "{folderPath}"</h2>
+          <p className="text-sm text-gray-500">The server downloads the file itself - you can close this dialog meanwhile.</p>
+        </div>
+
+        <form onSubmit={handleStart} className="p-4 space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">File URL</label>
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/footage/clip.mp4"
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Save as (optional)</label>
+            <input
+              type="text"
+              value={filename}
+              onChange={(e) => setFilename(e.target.value)}
+              placeholder="Taken from the download when empty"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+            >
+              Close
+            </button>
+            <button
+              type="submit"
+              disabled={isStarting}
+              className="px-4 py-2 text-sm bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 font-medium"
+            >
+              {isStarting ? 'Starting...' : '⬇️ Import'}
+            </button>
+          </div>
+        </form>
+
+        {/* Imports into this folder */}
+        {jobs.length > 0 && (
+          <div className="border-t border-gray-200 divide-y divide-gray-100">
+            {jobs.map((job) => {
+              const isActive = ACTIVE_STATUSES.includes(job.status);
+              const progress = job.totalBytes ? Math.round((job.receivedBytes / job.totalBytes) * 100) : null;
+              return (
+                <div key={job.id} className="p-4">
+                  <div className="flex items-center justify-between">
+                    <div className="min-w-0">
+                      <div className="font-medium text-sm text-gray-900 truncate">
+                        {job.file?.name || job.filename || job.url}
+                        <span className={`ml-2 text-xs px-2 py-0.5 rounded-md font-medium ${STATUS_STYLES[job.status]}`}>
+                          {job.file?.skipped ? 'skipped' : job.status}
+                        </span>
+                      </div>
+                      <div className="text-xs text-gray-500 truncate">{job.url}</div>
+                    </div>
+                    <button
+                      onClick={() => handleCancel(job)}
+                      className="ml-4 px-3 py-1.5 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 font-medium"
+                      title={isActive ? 'Stop this import' : 'Remove from the list'}
+                    >
+                      {isActive ? 'Cancel' : '✕'}
+                    </button>
+                  </div>
+                  {isActive && (
+                    <div className="mt-2">
+                      <div className="w-full bg-gray-200 rounded-full h-1.5">
+                        <div
+                          className={`bg-blue-600 h-1.5 rounded-full transition-all duration-300 ${progress === null ? 'animate-pulse' : ''}`}
+                          style={{ width: `${progress === null ? 100 : progress}%` }}
+                        ></div>
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {formatFileSize(job.receivedBytes)}
+                        {job.totalBytes !== null && ` of ${formatFileSize(job.totalBytes)} (${progress}%)`}
+                      </div>
+                    </div>
+                  )}
+                  {job.error && <div className="text-xs text-red-600 mt-1">{job.error}</div>}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
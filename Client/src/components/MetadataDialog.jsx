@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+import { runBatch } from '../batches';
+
+// "approved, raw" -> ['approved', 'raw']
+const splitTags = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
+
+const includesIgnoringCase = (list, text) => list.some(other => other.toLowerCase() === text.toLowerCase());
+
+// Tags and custom fields of files and folders. `items` is [{ path, name, isFolder, tags,
+// fields }] - null while closed. One item is edited as a whole; for a selection, tags are
+// added or removed and fields set on every item (as one batch on the server).
+const MetadataDialog = ({ items, onClose, onSaved }) => {
+  const [tags, setTags] = useState([]);
+  const [tagInput, setTagInput] = useState('');
+  const [removeTagInput, setRemoveTagInput] = useState('');
+  // [{ key, value }] - rows being edited, in order
+  const [fields, setFields] = useState([]);
+  const [knownTags, setKnownTags] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const single = items?.length === 1 ? items[0] : null;
+
+  // Start from what the item has - a selection starts empty
+  useEffect(() => {
+    if (!items) return;
+    setTags(single ? single.tags || [] : []);
+    setFields(single ? Object.entries(single.fields || {}).map(([key, value]) => ({ key, value })) : []);
+    setTagInput('');
+    setRemoveTagInput('');
+  }, [items, single]);
+
+  // Tags already in use, offered while typing
+  useEffect(() => {
+    if (!items) return;
+    apiFetch('/tags')
+      .then(response => (response.ok ? response.json() : { tags: [] }))
+      .then(data => setKnownTags(data.tags || []))
+      .catch(() => setKnownTags([]));
+  }, [items]);
+
+  if (!items) return null;
+
+  const addTags = () => {
+    const next = [...tags];
+    for (const tag of splitTags(tagInput)) {
+      if (!includesIgnoringCase(next, tag)) next.push(tag);
+    }
+    setTags(next);
+    setTagInput('');
+  };
+
+  const setField = (index, change) => {
+    setFields(fields.map((field, i) => (i === index ? { ...field, ...change } : field)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const fieldValues = {};
+    for (const { key, value } of fields) {
+      if (key.trim()) fieldValues[key.trim()] = value;
+    }
+
+    setIsSaving(true);
+    try {
+      if (single) {
+        // Fields that were removed are sent as null (names match ignoring case, like tags)
+        for (const key of Object.keys(single.fields || {})) {
+          if (!includesIgnoringCase(Object.keys(fieldValues), key)) fieldValues[key] = null;
+        }
+        const response = await apiFetch('/metadata', {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ path: single.path, tags: [...tags, ...splitTags(tagInput)], fields: fieldValues }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        toast.success('Tags and fields saved');
+      } else {
+        const job = await runBatch(items.map(item => ({
+          op: 'metadata',
+          path: item.path,
+          addTags: [...tags, ...splitTags(tagInput)],
+          removeTags: splitTags(removeTagInput),
+          fields: fieldValues,
+        })));
+        const failed = job.results.filter(result => result.status === 'failed');
+        if (failed.length > 0) {
+          toast.error(`${failed.length} of ${items.length} items were not updated: ${failed[0].error}`);
+        } else {
+          toast.success(`Updated ${items.length} items`);
+        }
+      }
+      onSaved();
+      onClose();
+    } catch (error) {
+      console.error('Save metadata error:', error);
+      toast.error(`Failed to save: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 truncate">
+            🏷️ {single ? `Tags of "${single.name}"` : `Tag ${items.length} items`}
+          </h2>
+          <p className="text-sm text-gray-500">
+            {single ? 'Labels and custom fields, kept with the item when it is moved or renamed.' : 'Changes apply to every selected item.'}
+          </p>
+        </div>
+
+        <form onSubmit={handleSave} className="p-4 space-y-4">
+          <datalist id="known-tags">
+            {knownTags.map(({ tag }) => <option key={tag} value={tag} />)}
+          </datalist>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{single ? 'Tags' : 'Add tags'}</label>
+            {tags.length > 0 && (
+              <div className="flex flex-wrap gap-1.5 mb-2">
+                {tags.map(tag => (
+                  <span key={tag} className="inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800 font-medium">
+                    {tag}
+                    <button
+                      type="button"
+                      onClick={() => setTags(tags.filter(other => other !== tag))}
+                      className="ml-1 text-indigo-500 hover:text-indigo-900"
+                      title="Remove tag"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                list="known-tags"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addTags();
+                  }
+                }}
+                placeholder="approved, client-X"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                type="button"
+                onClick={addTags}
+                disabled={!tagInput.trim()}
+                className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 font-medium disabled:opacity-50"
+              >
+                Add
+              </button>
+            </div>
+          </div>
+
+          {!single && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Remove tags</label>
+              <input
+                type="text"
+                list="known-tags"
+                value={removeTagInput}
+                onChange={(e) => setRemoveTagInput(e.target.value)}
+                placeholder="raw"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {single ? 'Fields' : 'Set fields'}
+            </label>
+            <div className="space-y-2">
+              {fields.map((field, index) => (
+                <div key={index} className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={field.key}
+                    onChange={(e) => setField(index, { key: e.target.value })}
+                    placeholder="Project code"
+                    className="w-2/5 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={field.value}
+                    onChange={(e) => setField(index, { value: e.target.value })}
+                    placeholder={single ? 'Value' : 'Value (empty removes it)'}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setFields(fields.filter((_, i) => i !== index))}
+                    className="px-2 text-gray-400 hover:text-red-600"
+                    title="Remove field"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setFields([...fields, { key: '', value: '' }])}
+              className="mt-2 text-sm text-blue-700 hover:text-blue-900 underline font-medium"
+            >
+              + Add field
+            </button>
+          </div>
+
+          <div className="flex justify-end space-x-2 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MetadataDialog;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+const QuarantinePanel = ({ isOpen, onClose, onRestored }) => {
+  const [files, setFiles] = useState([]);
+  const [isEnabled, setIsEnabled] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Load quarantined files whenever the panel opens
+  useEffect(() => {
+    if (isOpen) {
+      loadQuarantine();
+    }
+  }, [isOpen]);
+
+  const loadQuarantine = async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiFetch('/admin/quarantine');
+      if (!response.ok) throw new Error('Failed to load quarantine');
+
+      const data = await response.json();
+      setFiles(data.files || []);
+      setIsEnabled(data.enabled);
+    } catch (error) {
+      console.error('Error loading quarantine:', error);
+      toast.error('Failed to load quarantined files');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRestore = async (file) => {
+    if (!window.confirm(`Put "${file.originalPath}" back? Only do this if "${file.signature}" is a false positive.`)) return;
+    try {
+      const response = await apiFetch(`/admin/quarantine/${file.id}/restore`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success(`Restored to ${data.path}`);
+      await loadQuarantine();
+      onRestored?.();
+    } catch (error) {
+      toast.error(`Failed to restore file: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (file) => {
+    if (!window.confirm(`Delete "${file.originalPath}" for good?`)) return;
+    try {
+      const response = await apiFetch(`/admin/quarantine/${file.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Quarantined file deleted');
+      await loadQuarantine();
+    } catch (error) {
+      toast.error(`Failed to delete file: ${error.message}`);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes === null || bytes === undefined) return 'unknown size';
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">🦠 Quarantine</h2>
+            <p className="text-sm text-gray-500">
+              {isEnabled
+                ? 'Uploads the malware scanner flagged. They were taken out of the file tree and are never served.'
+                : 'Malware scanning is off - set SCAN_COMMAND or CLAMD_SOCKET on the server to scan uploads.'}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Quarantined files */}
+        <div className="divide-y divide-gray-100">
+          {isLoading && files.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading quarantine...</div>
+          ) : files.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">No files are quarantined.</div>
+          ) : (
+            files.map((file) => (
+              <div key={file.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-900 truncate">📄 {file.originalPath}</div>
+                  <div className="text-xs text-gray-500">
+                    <span className="text-red-700 font-medium">{file.signature}</span>
+                    {' • '}{formatFileSize(file.size)}
+                    {' • '}{file.uploadedByName || 'unknown'}
+                    {' • '}{new Date(file.quarantinedAt).toLocaleString()}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleRestore(file)}
+                    className="px-3 py-2 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-all duration-200 font-medium"
+                  >
+                    ↩️ Restore
+                  </button>
+                  <button
+                    onClick={() => handleDelete(file)}
+                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+                  >
+                    🗑️ Delete
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuarantinePanel;
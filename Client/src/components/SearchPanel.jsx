@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+const PAGE_SIZE = 50;
+const MB = 1024 * 1024;
+
+const EMPTY_FILTERS = { ext: '', type: '', kind: '', tags: '', minSize: '', maxSize: '', from: '', to: '' };
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Midnight of a date input's day, in this browser's time zone
+const startOfDay = (value, addDays = 0) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + addDays).toISOString();
+};
+
+// The query for the search endpoint - text with * or ? in it is a glob pattern
+const buildQuery = (text, filters, scopePath, offset) => {
+  const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+  const trimmed = text.trim();
+  if (trimmed) params.set(/[*?]/.test(trimmed) ? 'glob' : 'q', trimmed);
+  if (scopePath) params.set('path', scopePath);
+  if (filters.ext.trim()) params.set('ext', filters.ext.trim());
+  if (filters.type) params.set('type', filters.type);
+  if (filters.kind) params.set('kind', filters.kind);
+  if (filters.tags.trim()) params.set('tag', filters.tags.trim());
+  if (filters.minSize) params.set('minSize', Math.round(Number(filters.minSize) * MB));
+  if (filters.maxSize) params.set('maxSize', Math.round(Number(filters.maxSize) * MB));
+  if (filters.from) params.set('from', startOfDay(filters.from));
+  // Up to the end of the chosen day
+  if (filters.to) params.set('to', startOfDay(filters.to, 1));
+  return params;
+};
+
+// Searches the whole library (or the current folder and below) by name, glob, extension,
+// tags, size, date and media type, and lists the hits with the folder each one is in
+const SearchPanel = ({ currentPath, onNavigateToFolder, onPreviewVideo }) => {
+  const [text, setText] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [onlyHere, setOnlyHere] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  // The last search and its page of hits - null while nothing was searched
+  const [search, setSearch] = useState(null);
+
+  const setFilter = (name, value) => setFilters(current => ({ ...current, [name]: value }));
+
+  const runSearch = async (params) => {
+    setIsSearching(true);
+    try {
+      const response = await apiFetch(`/search?${params}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setSearch({ params, ...data });
+    } catch (error) {
+      toast.error(`Search failed: ${error.message}`);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    runSearch(buildQuery(text, filters, onlyHere && currentPath !== '/' ? currentPath : null, 0));
+  };
+
+  const goToPage = (offset) => {
+    const params = new URLSearchParams(search.params);
+    params.set('offset', offset);
+    runSearch(params);
+  };
+
+  const clearSearch = () => {
+    setSearch(null);
+    setText('');
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const openFolder = (folderPath) => {
+    setSearch(null);
+    onNavigateToFolder(folderPath);
+  };
+
+  const activeFilters = Object.values(filters).filter(Boolean).length;
+
+  return (
+    <div className="mb-4">
+      <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Search the library - name, or a pattern like *.mp4"
+          className="px-4 py-2.5 border border-gray-300 rounded-xl text-sm flex-1 min-w-[12rem] focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+        />
+        <button
+          type="button"
+          onClick={() => setShowFilters(!showFilters)}
+          className={`px-4 py-2.5 text-sm rounded-xl border font-medium transition-all ${
+            showFilters || activeFilters > 0 ? 'bg-blue-50 text-blue-800 border-blue-200' : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-50'
+          }`}
+        >
+          ⚙️ Filters{activeFilters > 0 ? ` (${activeFilters})` : ''}
+        </button>
+        <button
+          type="submit"
+          disabled={isSearching}
+          className="px-5 py-2.5 text-sm bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-xl hover:from-blue-700 hover:to-blue-800 font-medium shadow-lg transition-all disabled:opacity-50"
+        >
+          {isSearching ? 'Searching...' : '🔎 Search'}
+        </button>
+      </form>
+
+      {showFilters && (
+        <div className="mt-2 p-4 bg-white border border-gray-200 rounded-xl shadow-sm grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <label className="flex flex-col text-gray-600">
+            Extensions
+            <input
+              type="text"
+              value={filters.ext}
+              onChange={(e) => setFilter('ext', e.target.value)}
+              placeholder="mp4, mov"
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Media type
+            <select
+              value={filters.type}
+              onChange={(e) => setFilter('type', e.target.value)}
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg bg-white"
+            >
+              <option value="">Any</option>
+              <option value="video">Video</option>
+              <option value="audio">Audio</option>
+              <option value="image">Image</option>
+            </select>
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Kind
+            <select
+              value={filters.kind}
+              onChange={(e) => setFilter('kind', e.target.value)}
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg bg-white"
+            >
+              <option value="">Files and folders</option>
+              <option value="file">Files</option>
+              <option value="folder">Folders</option>
+            </select>
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Tags
+            <input
+              type="text"
+              value={filters.tags}
+              onChange={(e) => setFilter('tags', e.target.value)}
+              placeholder="approved, raw"
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="flex items-center space-x-2 text-gray-600 self-end pb-2">
+            <input
+              type="checkbox"
+              checked={onlyHere}
+              onChange={(e) => setOnlyHere(e.target.checked)}
+              className="h-4 w-4 text-blue-600 rounded border-gray-300"
+            />
+            <span>Only in this folder</span>
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Min size (MB)
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={filters.minSize}
+              onChange={(e) => setFilter('minSize', e.target.value)}
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Max size (MB)
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={filters.maxSize}
+              onChange={(e) => setFilter('maxSize', e.target.value)}
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Modified from
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilter('from', e.target.value)}
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Modified to
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilter('to', e.target.value)}
+              className="mt-1 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+        </div>
+      )}
+
+      {search && (
+        <div className="mt-3 bg-white border border-gray-200 rounded-xl shadow-sm">
+          <div className="flex items-center justify-between px-5 py-3 border-b border-gray-100">
+            <span className="text-sm font-semibold text-gray-900">
+              {search.total === 0
+                ? 'Nothing found'
+                : search.hasMore
+                  // Hits are only counted up to this page
+                  ? `${search.offset + 1}–${search.offset + search.results.length} of more than ${search.total} results`
+                  : `${search.offset + 1}–${search.offset + search.results.length} of ${search.total} result${search.total !== 1 ? 's' : ''}`}
+            </span>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => goToPage(Math.max(0, search.offset - search.limit))}
+                disabled={isSearching || search.offset === 0}
+                className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-40"
+              >
+                ← Prev
+              </button>
+              <button
+                onClick={() => goToPage(search.offset + search.limit)}
+                disabled={isSearching || !search.hasMore}
+                className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-40"
+              >
+                Next →
+              </button>
+              <button
+                onClick={clearSearch}
+                className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+              >
+                ✕ Close
+              </button>
+            </div>
+          </div>
+
+          <div className="divide-y divide-gray-100 max-h-[28rem] overflow-y-auto">
+            {search.results.map(hit => (
+              <div key={hit.path} className="px-5 py-3 flex items-center justify-between hover:bg-gray-50">
+                <div className="flex items-center space-x-3 min-w-0">
+                  <span className="text-2xl opacity-80">{hit.type === 'folder' ? '📁' : hit.isVideo ? '🎬' : '📄'}</span>
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 truncate">{hit.name}</div>
+                    <div className="text-xs text-gray-500 truncate">
+                      <button
+                        onClick={() => openFolder(hit.folder)}
+                        className="hover:text-blue-600 hover:underline"
+                        title="Go to this folder"
+                      >
+                        {hit.folder}
+                      </button>
+                      {hit.type === 'file' && ` • ${formatFileSize(hit.size)}`}
+                      {' • '}{new Date(hit.modified).toLocaleString()}
+                      {hit.tags?.length > 0 && ` • 🏷️ ${hit.tags.join(', ')}`}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+                  {hit.isVideo && (!hit.scan || hit.scan.status === 'clean') && (
+                    <button
+                      onClick={() => onPreviewVideo(hit)}
+                      className="px-3 py-1.5 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 font-medium"
+                    >
+                      ▶️ Play
+                    </button>
+                  )}
+                  <button
+                    onClick={() => openFolder(hit.type === 'folder' ? hit.path : hit.folder)}
+                    className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 font-medium"
+                  >
+                    📂 Open {hit.type === 'folder' ? 'folder' : 'location'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch, getShareUrl } from '../api';
+import { copyToClipboard } from '../clipboard';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+];
+
+const ShareDialog = ({ item, onClose }) => {
+  const [expiresInHours, setExpiresInHours] = useState(24 * 7);
+  const [password, setPassword] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [createdShare, setCreatedShare] = useState(null);
+
+  if (!item) return null;
+
+  const handleClose = () => {
+    setCreatedShare(null);
+    setPassword('');
+    setMaxDownloads('');
+    onClose();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const response = await apiFetch('/shares', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          path: item.path,
+          expiresInHours,
+          password: password || undefined,
+          maxDownloads: maxDownloads || undefined,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      setCreatedShare(data.share);
+      await copyToClipboard(getShareUrl(data.share.token), 'Share link created and copied!');
+    } catch (error) {
+      console.error('Create share error:', error);
+      toast.error(`Failed to create share link: ${error.message}`);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      handleClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 truncate">📤 Share "{item.name}"</h2>
+          <p className="text-sm text-gray-500">Anyone with the link can {item.isFolder ? 'browse and download this folder' : 'download this file'}.</p>
+        </div>
+
+        {createdShare ? (
+          <div className="p-4 space-y-3">
+            <div className="text-xs p-2 bg-gray-100 rounded border break-all">{getShareUrl(createdShare.token)}</div>
+            <div className="text-xs text-gray-500">
+              Expires {new Date(createdShare.expiresAt).toLocaleString()}
+              {createdShare.hasPassword && ' • Password protected'}
+              {createdShare.maxDownloads && ` • ${createdShare.maxDownloads} download${createdShare.maxDownloads > 1 ? 's' : ''} max`}
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => copyToClipboard(getShareUrl(createdShare.token))}
+                className="px-4 py-2 text-sm bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-medium"
+              >
+                📋 Copy Link
+              </button>
+              <button
+                onClick={handleClose}
+                className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleCreate} className="p-4 space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires after</label>
+              <select
+                value={expiresInHours}
+                onChange={(e) => setExpiresInHours(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.hours} value={option.hours}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Password (optional)</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="new-password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Download limit (optional)</label>
+              <input
+                type="number"
+                min="1"
+                value={maxDownloads}
+                onChange={(e) => setMaxDownloads(e.target.value)}
+                placeholder="Unlimited"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div className="flex justify-end space-x-2 pt-2">
+              <button
+                type="button"
+                onClick={handleClose}
+                className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isCreating}
+                className="px-4 py-2 text-sm bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 font-medium"
+              >
+                {isCreating ? 'Creating...' : 'Create Link'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
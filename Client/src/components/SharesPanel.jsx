@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch, getShareUrl, getDropUrl } from '../api';
+import { copyToClipboard } from '../clipboard';
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const SharesPanel = ({ isOpen, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [drops, setDrops] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Load active links whenever the panel opens
+  useEffect(() => {
+    if (isOpen) loadShares();
+  }, [isOpen]);
+
+  const loadShares = async () => {
+    setIsLoading(true);
+    try {
+      const [sharesResponse, dropsResponse] = await Promise.all([apiFetch('/shares'), apiFetch('/drops')]);
+      if (!sharesResponse.ok || !dropsResponse.ok) throw new Error('Failed to load share links');
+
+      const [sharesData, dropsData] = await Promise.all([sharesResponse.json(), dropsResponse.json()]);
+      setShares(sharesData.shares || []);
+      setDrops(dropsData.drops || []);
+    } catch (error) {
+      console.error('Error loading share links:', error);
+      toast.error('Failed to load share links');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const revokeShare = async (share) => {
+    if (!window.confirm(`Revoke the share link for "${share.path}"? Anyone using it will lose access.`)) return;
+    try {
+      const response = await apiFetch(`/shares/${share.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Share link revoked');
+      await loadShares();
+    } catch (error) {
+      toast.error(`Failed to revoke link: ${error.message}`);
+    }
+  };
+
+  const revokeDrop = async (drop) => {
+    if (!window.confirm(`Revoke the upload link for "${drop.path}"? Nobody will be able to upload with it anymore.`)) return;
+    try {
+      const response = await apiFetch(`/drops/${drop.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Upload link revoked');
+      await loadShares();
+    } catch (error) {
+      toast.error(`Failed to revoke link: ${error.message}`);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">🔗 Active Links</h2>
+            <p className="text-sm text-gray-500">Expired, exhausted and revoked links are not shown.</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <h3 className="px-4 pt-4 text-sm font-semibold text-gray-700">📤 Share links</h3>
+        <div className="divide-y divide-gray-100">
+          {isLoading && shares.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading share links...</div>
+          ) : shares.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">No active share links.</div>
+          ) : (
+            shares.map((share) => (
+              <div key={share.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0 flex-1">
+                  <div className="font-semibold text-gray-900 truncate">
+                    {share.isFolder ? '📁' : '📄'} {share.path}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    By {share.createdByName} • Expires {new Date(share.expiresAt).toLocaleString()}
+                    {' • '}{share.downloads}{share.maxDownloads ? `/${share.maxDownloads}` : ''} download{share.downloads !== 1 ? 's' : ''}
+                    {share.hasPassword && ' • 🔒 Password'}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                  <button
+                    onClick={() => copyToClipboard(getShareUrl(share.token))}
+                    className="px-3 py-2 text-xs bg-emerald-100 text-emerald-800 rounded-lg hover:bg-emerald-200 transition-all duration-200 font-medium"
+                  >
+                    📋 Copy
+                  </button>
+                  <button
+                    onClick={() => revokeShare(share)}
+                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+                  >
+                    🚫 Revoke
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <h3 className="px-4 pt-4 text-sm font-semibold text-gray-700 border-t border-gray-200">📥 Upload links</h3>
+        <div className="divide-y divide-gray-100">
+          {isLoading && drops.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading upload links...</div>
+          ) : drops.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">No active upload links.</div>
+          ) : (
+            drops.map((drop) => (
+              <div key={drop.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0 flex-1">
+                  <div className="font-semibold text-gray-900 truncate">
+                    📁 {drop.path} <span className="font-normal text-gray-500">"{drop.title}"</span>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    By {drop.createdByName} • Expires {new Date(drop.expiresAt).toLocaleString()}
+                    {' • '}{drop.uploadCount} file{drop.uploadCount !== 1 ? 's' : ''}, {formatFileSize(drop.usedBytes)} of {formatFileSize(drop.maxTotalSize)}
+                    {drop.allowedExtensions.length > 0 && ` • ${drop.allowedExtensions.join(', ')}`}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                  <button
+                    onClick={() => copyToClipboard(getDropUrl(drop.token))}
+                    className="px-3 py-2 text-xs bg-emerald-100 text-emerald-800 rounded-lg hover:bg-emerald-200 transition-all duration-200 font-medium"
+                  >
+                    📋 Copy
+                  </button>
+                  <button
+                    onClick={() => revokeDrop(drop)}
+                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+                  >
+                    🚫 Revoke
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharesPanel;
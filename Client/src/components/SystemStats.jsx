@@ -1,6 +1,17 @@
 import React from 'react';
 
-const SystemStats = ({ diskUsage, systemStats, compact = false, onRefresh, refreshInterval = 30 }) => {
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// `storage` is the server's storage summary for the current folder - the user's quota
+// and the top-level folder's quota get a bar each when they are limited
+const SystemStats = ({ diskUsage, systemStats, storage, compact = false, onRefresh, refreshInterval = 30 }) => {
   if (!diskUsage && !systemStats) {
     return (
       <div className={`text-sm text-gray-500 ${compact ? 'text-xs' : ''}`}>
@@ -20,6 +31,15 @@ const SystemStats = ({ diskUsage, systemStats, compact = false, onRefresh, refre
   const cpuPercentage = systemStats?.cpu?.usage || 0;
   const memoryPercentage = systemStats?.memory?.usage || 0;
 
+  // Unfinished uploads already count against a quota
+  const quotas = [
+    storage?.user?.limit && { key: 'user', icon: '👤', label: 'My quota', ...storage.user },
+    storage?.folder?.limit && { key: 'folder', icon: '📁', label: storage.folder.path, ...storage.folder },
+  ].filter(Boolean).map(quota => ({
+    ...quota,
+    percentage: Math.min(100, Math.round(((quota.used + quota.pending) / quota.limit) * 100)),
+  }));
+
   const getUsageColor = (percentage) => {
     if (percentage >= 90) return 'bg-red-500';
     if (percentage >= 75) return 'bg-yellow-500';
@@ -54,6 +74,15 @@ const SystemStats = ({ diskUsage, systemStats, compact = false, onRefresh, refre
             <span className="text-sm">{getUsageIcon(memoryPercentage, 'memory')}</span>
             <span className="text-xs font-medium text-gray-700">{memoryPercentage}%</span>
           </div>
+          {quotas.map(quota => (
+            <React.Fragment key={quota.key}>
+              <div className="w-px h-3 bg-gray-300"></div>
+              <div className="flex items-center space-x-1" title={`${quota.label}: ${formatFileSize(quota.used + quota.pending)} of ${formatFileSize(quota.limit)}`}>
+                <span className="text-sm">{quota.icon}</span>
+                <span className="text-xs font-medium text-gray-700">{quota.percentage}%</span>
+              </div>
+            </React.Fragment>
+          ))}
           {onRefresh && (
             <>
               <div className="w-px h-3 bg-gray-300"></div>
@@ -129,6 +158,25 @@ const SystemStats = ({ diskUsage, systemStats, compact = false, onRefresh, refre
           </div>
         </div>
 
+        {/* Quotas */}
+        {quotas.map(quota => (
+          <div key={quota.key} className="flex items-center space-x-3" title={`${formatFileSize(quota.used + quota.pending)} of ${formatFileSize(quota.limit)} used`}>
+            <div className="flex items-center justify-center w-10 h-10 bg-gradient-to-br from-amber-50 to-orange-50 rounded-xl border border-amber-100">
+              <span className="text-lg">{quota.icon}</span>
+            </div>
+            <div className="flex flex-col">
+              <div className="text-lg font-bold text-gray-900">{quota.percentage}%</div>
+              <div className="w-12 bg-gray-200 rounded-full h-1.5">
+                <div
+                  className={`h-1.5 rounded-full transition-all duration-500 ${getUsageColor(quota.percentage)}`}
+                  style={{ width: `${quota.percentage}%` }}
+                ></div>
+              </div>
+              <div className="text-xs text-gray-500 font-medium max-w-[6rem] truncate">{quota.label}</div>
+            </div>
+          </div>
+        ))}
+
         {/* Divider */}
         <div className="w-px h-12 bg-gray-200"></div>
         
@@ -148,6 +196,13 @@ const SystemStats = ({ diskUsage, systemStats, compact = false, onRefresh, refre
               </div>
             </>
           )}
+          {quotas.map(quota => (
+            <div key={quota.key} className="flex items-center space-x-2">
+              <div className="w-2 h-2 bg-amber-500 rounded-full"></div>
+              <span className="text-xs font-medium text-gray-700 max-w-[6rem] truncate">{quota.label}:</span>
+              <span className="text-xs font-bold text-gray-900">{formatFileSize(quota.available)} left</span>
+            </div>
+          ))}
           {systemStats?.memory && (
             <div className="flex items-center space-x-2">
               <div className="w-2 h-2 bg-purple-500 rounded-full"></div>
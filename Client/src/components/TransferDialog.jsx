@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+import { roleAllows } from '../permissions';
+
+const POLL_INTERVAL_MS = 1000;
+const CANCELLABLE_STATUSES = ['queued', 'preparing', 'copying', 'extracting'];
+// Jobs that are being placed into the folder can't be cancelled any more
+const ACTIVE_STATUSES = [...CANCELLABLE_STATUSES, 'placing'];
+
+// How each mode is shown; copies and extractions run as server jobs at `jobs`
+const MODES = {
+  move: { icon: '📦', verb: 'Move', working: 'Moving' },
+  copy: { icon: '📑', verb: 'Copy', working: 'Copying', jobs: '/copies', done: 'Copied' },
+  extract: { icon: '🗃️', verb: 'Extract', working: 'Extracting', jobs: '/extractions', done: 'Extracted' },
+};
+
+// What happens when the destination already has an item with the same name
+const CONFLICT_OPTIONS = [
+  { value: 'rename', label: 'Keep both (number the new one)' },
+  { value: 'skip', label: 'Skip it' },
+  { value: 'overwrite', label: 'Replace files' },
+];
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Files and bytes done so far - copies and extractions name them differently
+const jobProgress = (job) => ({
+  files: job.copiedFiles ?? job.extractedFiles,
+  bytes: job.copiedBytes ?? job.extractedBytes,
+});
+
+const isSameOrInside = (parentPath, childPath) =>
+  childPath === parentPath || childPath.startsWith(parentPath === '/' ? '/' : `${parentPath}/`);
+
+// "Move to…" / "Copy to…" / "Extract to…" with a folder picker. `transfer` is { mode:
+// 'move' | 'copy' | 'extract', items: [{ path, name, isFolder }], fromPath } - null while
+// closed. Copies and extractions run on the server; their progress is polled until they
+// are done. An archive is extracted into a new folder named after it.
+const TransferDialog = ({ transfer, onClose, onDone }) => {
+  const [browsePath, setBrowsePath] = useState('/');
+  const [folders, setFolders] = useState([]);
+  const [canDropHere, setCanDropHere] = useState(false);
+  const [conflict, setConflict] = useState('rename');
+  const [isWorking, setIsWorking] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  // Copies or extractions started from this dialog
+  const jobIds = useRef([]);
+  const onDoneRef = useRef(onDone);
+
+  useEffect(() => {
+    onDoneRef.current = onDone;
+  });
+
+  // Start browsing in the folder the items are in
+  useEffect(() => {
+    if (!transfer) return;
+    setBrowsePath(transfer.fromPath);
+    setJobs([]);
+  }, [transfer]);
+
+  // Folders inside the one being browsed
+  useEffect(() => {
+    if (!transfer) return;
+
+    const loadFolders = async () => {
+      try {
+        const response = await apiFetch(`/files?path=${encodeURIComponent(browsePath)}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        setFolders(data.folders || []);
+        setCanDropHere(roleAllows(data.role, 'upload'));
+      } catch (error) {
+        console.error('Error loading folders:', error);
+        toast.error('Failed to load folders');
+      }
+    };
+    loadFolders();
+  }, [transfer, browsePath]);
+
+  // Poll the jobs started from this dialog until all of them have finished, then tell
+  // the file list
+  const modeInfo = MODES[transfer?.mode] || MODES.copy;
+  const isRunning = jobs.some(job => ACTIVE_STATUSES.includes(job.status));
+  useEffect(() => {
+    if (!isRunning) return undefined;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await apiFetch(modeInfo.jobs);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+
+        const ownJobs = data.jobs.filter(job => jobIds.current.includes(job.id));
+        setJobs(ownJobs);
+        if (ownJobs.some(job => ACTIVE_STATUSES.includes(job.status))) return;
+
+        const failed = ownJobs.filter(job => job.status === 'failed').length;
+        if (failed === 0) {
+          toast.success(`${modeInfo.icon} ${modeInfo.done} ${ownJobs.length} item${ownJobs.length > 1 ? 's' : ''}`);
+        } else {
+          toast.error(`${failed} of ${ownJobs.length} failed - ${ownJobs.find(job => job.status === 'failed').error}`);
+        }
+        onDoneRef.current();
+      } catch (error) {
+        console.error('Error loading jobs:', error);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, modeInfo]);
+
+  if (!transfer) return null;
+
+  const { mode, items } = transfer;
+  const { icon, verb, working } = modeInfo;
+  const itemsLabel = items.length === 1 ? `"${items[0].name}"` : `${items.length} items`;
+
+  // An item can't go into itself, and moving into the folder it is already in does nothing
+  const isBlocked = (folderPath) => items.some(item => item.isFolder && isSameOrInside(item.path, folderPath));
+  const isCurrentFolder = mode === 'move' && browsePath === transfer.fromPath;
+
+  const pathParts = browsePath.split('/').filter(Boolean);
+  const breadcrumbs = [{ name: 'Home', path: '/' }, ...pathParts.map((part, index) => ({
+    name: part,
+    path: `/${pathParts.slice(0, index + 1).join('/')}`,
+  }))];
+
+  const handleMove = async () => {
+    let moved = 0;
+    const failures = [];
+    for (const item of items) {
+      try {
+        const response = await apiFetch('/move', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ path: item.path, destination: browsePath, conflict }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        if (!data.skipped) moved++;
+      } catch (error) {
+        failures.push(`${item.name}: ${error.message}`);
+      }
+    }
+
+    if (failures.length === 0) {
+      toast.success(`📦 Moved ${moved} item${moved !== 1 ? 's' : ''} to ${browsePath}`);
+    } else {
+      toast.error(`Moved ${moved}, ${failures.length} failed - ${failures[0]}`);
+    }
+    onDone();
+    onClose();
+  };
+
+  // Copies and extractions: start one job per item
+  const handleStartJobs = async () => {
+    const started = [];
+    for (const item of items) {
+      try {
+        const response = await apiFetch(modeInfo.jobs, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ path: item.path, destination: browsePath, conflict }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        started.push(data.job);
+      } catch (error) {
+        toast.error(`Failed to ${verb.toLowerCase()} "${item.name}": ${error.message}`);
+      }
+    }
+    jobIds.current = started.map(job => job.id);
+    setJobs(started);
+  };
+
+  const handleSubmit = async () => {
+    setIsWorking(true);
+    try {
+      if (mode === 'move') await handleMove();
+      else await handleStartJobs();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCancelJob = async (job) => {
+    try {
+      const response = await apiFetch(`${modeInfo.jobs}/${job.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    } catch (error) {
+      toast.error(`Failed to cancel: ${error.message}`);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-auto">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 truncate">
+            {icon} {verb} {itemsLabel} to…
+          </h2>
+          <p className="text-sm text-gray-500">Open the folder it should go into, then press "{verb} Here".</p>
+        </div>
+
+        {jobs.length > 0 ? (
+          /* Progress of the copies or extractions */
+          <div className="divide-y divide-gray-100">
+            {jobs.map((job) => (
+              <div key={job.id} className="p-4">
+                <div className="flex items-center justify-between">
+                  <div className="font-medium text-gray-900 truncate">{job.name}</div>
+                  {CANCELLABLE_STATUSES.includes(job.status) ? (
+                    <button
+                      onClick={() => handleCancelJob(job)}
+                      className="px-2 py-1 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200"
+                    >
+                      Cancel
+                    </button>
+                  ) : (
+                    <span className="text-xs text-gray-500">{job.status}</span>
+                  )}
+                </div>
+                {job.totalBytes !== null && (
+                  <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${job.totalBytes ? Math.min(100, Math.round((jobProgress(job).bytes / job.totalBytes) * 100)) : 100}%` }}
+                    />
+                  </div>
+                )}
+                {/* Tar archives don't say up front what they hold - only what is done so far */}
+                {(job.totalBytes !== null || job.extractedBytes !== undefined) && (
+                  <div className="text-xs text-gray-500 mt-1">
+                    {jobProgress(job).files}{job.totalFiles !== null && ` of ${job.totalFiles}`} files • {formatFileSize(jobProgress(job).bytes)}
+                    {job.totalBytes !== null && ` of ${formatFileSize(job.totalBytes)}`}
+                  </div>
+                )}
+                {job.skippedCount > 0 && (
+                  <div className="text-xs text-amber-700 mt-1" title={job.skipped.map(entry => `${entry.name}: ${entry.reason}`).join('\n')}>
+                    {job.skippedCount} entr{job.skippedCount > 1 ? 'ies' : 'y'} skipped - {job.skipped[0].name}: {job.skipped[0].reason}
+                  </div>
+                )}
+                {job.error && <div className="text-xs text-red-700 mt-1">{job.error}</div>}
+                {job.result?.skipped && <div className="text-xs text-gray-500 mt-1">Skipped - the name is taken</div>}
+              </div>
+            ))}
+          </div>
+        ) : (
+          /* Folder picker */
+          <div className="p-4 space-y-3">
+            <div className="flex flex-wrap items-center text-sm">
+              {breadcrumbs.map((crumb, index) => (
+                <span key={crumb.path} className="flex items-center">
+                  {index > 0 && <span className="text-gray-400 mx-1">/</span>}
+                  <button
+                    onClick={() => setBrowsePath(crumb.path)}
+                    className={index === breadcrumbs.length - 1 ? 'font-semibold text-gray-900' : 'text-blue-600 hover:text-blue-800'}
+                  >
+                    {crumb.name}
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            <div className="border border-gray-200 rounded-lg max-h-64 overflow-auto divide-y divide-gray-100">
+              {folders.length === 0 ? (
+                <div className="p-3 text-sm text-gray-500">No folders in here.</div>
+              ) : (
+                folders.map((folder) => (
+                  <button
+                    key={folder.path}
+                    onClick={() => setBrowsePath(folder.path)}
+                    disabled={isBlocked(folder.path)}
+                    className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50 disabled:opacity-40 disabled:cursor-not-allowed truncate"
+                  >
+                    📁 {folder.name}
+                  </button>
+                ))
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">If the name is taken</label>
+              <select
+                value={conflict}
+                onChange={(e) => setConflict(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {CONFLICT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm bg-white text-gray-700 rounded-lg hover:bg-gray-50 border border-gray-200"
+          >
+            {jobs.length > 0 ? 'Close' : 'Cancel'}
+          </button>
+          {jobs.length === 0 && (
+            <button
+              onClick={handleSubmit}
+              disabled={isWorking || !canDropHere || isCurrentFolder || isBlocked(browsePath)}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              title={!canDropHere ? 'You cannot add files to this folder' : isCurrentFolder ? 'The items are already in this folder' : undefined}
+            >
+              {isWorking ? `${working}...` : `${verb} Here`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransferDialog;
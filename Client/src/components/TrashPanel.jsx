@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+const TrashPanel = ({ isOpen, onClose, onRestored }) => {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Load the trash whenever the panel opens
+  useEffect(() => {
+    if (isOpen) {
+      loadTrash();
+    }
+  }, [isOpen]);
+
+  const loadTrash = async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiFetch('/trash');
+      if (!response.ok) throw new Error('Failed to load trash');
+
+      const data = await response.json();
+      setItems(data.items || []);
+      setRetentionDays(data.retentionDays ?? null);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      toast.error('Failed to load trash');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Restore into the original folder - when that is gone the user picks another one
+  const handleRestore = async (item, folderPath) => {
+    try {
+      const response = await apiFetch(`/trash/${item.id}/restore`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(folderPath ? { path: folderPath } : {}),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 409 && data.folderMissing) {
+        const newFolder = window.prompt(`${data.error}. Restore "${item.name}" into which folder?`, '/');
+        if (newFolder) await handleRestore(item, newFolder);
+        return;
+      }
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success(data.skipped ? data.message : `Restored to ${data.path}`);
+      await loadTrash();
+      onRestored?.();
+    } catch (error) {
+      toast.error(`Failed to restore: ${error.message}`);
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`Delete "${item.name}" permanently? This cannot be undone.`)) return;
+    try {
+      const response = await apiFetch(`/trash/${item.id}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Deleted permanently');
+      await loadTrash();
+    } catch (error) {
+      toast.error(`Failed to delete: ${error.message}`);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm(`Delete all ${items.length} item${items.length > 1 ? 's' : ''} in the trash permanently? This cannot be undone.`)) return;
+    try {
+      const response = await apiFetch('/trash', { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Trash emptied');
+      await loadTrash();
+    } catch (error) {
+      toast.error(`Failed to empty trash: ${error.message}`);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">🗑️ Trash</h2>
+            <p className="text-sm text-gray-500">
+              Deleted files and folders{retentionDays ? ` are deleted permanently after ${retentionDays} days` : ''}.
+            </p>
+          </div>
+          <div className="flex items-center">
+            {items.length > 0 && (
+              <button
+                onClick={handleEmptyTrash}
+                className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+              >
+                Empty Trash
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Trashed items */}
+        <div className="divide-y divide-gray-100">
+          {isLoading && items.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading trash...</div>
+          ) : items.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">The trash is empty.</div>
+          ) : (
+            items.map((item) => (
+              <div key={item.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-900 truncate">
+                    {item.isDirectory ? '📁' : '📄'} {item.originalPath}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {formatFileSize(item.size)}
+                    {' • '}Deleted by {item.deletedBy?.username || 'unknown'} {new Date(item.deletedAt).toLocaleString()}
+                    {' • '}Purged {new Date(item.expiresAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleRestore(item)}
+                    className="px-3 py-2 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-all duration-200 font-medium"
+                  >
+                    ↩️ Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(item)}
+                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+                  >
+                    🗑️ Delete
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashPanel;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+// What each kind of pending upload is
+const KIND_LABELS = {
+  session: 'Upload session',
+  tus: 'tus upload',
+  chunks: 'Legacy chunks',
+  temp: 'Temp file',
+};
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Admin overview of unfinished uploads - in progress ones and stale ones the janitor
+// will remove on its next run
+const UploadsPanel = ({ isOpen, onClose }) => {
+  const [uploads, setUploads] = useState([]);
+  const [janitor, setJanitor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCleaning, setIsCleaning] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) loadUploads();
+  }, [isOpen]);
+
+  const loadUploads = async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiFetch('/admin/uploads');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      setUploads(data.uploads || []);
+      setJanitor(data.janitor || null);
+    } catch (error) {
+      console.error('Error loading uploads:', error);
+      toast.error('Failed to load uploads');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCancel = async (upload) => {
+    if (!confirm(`Cancel the upload of "${upload.name}" and delete what was received so far?`)) return;
+    try {
+      const response = await apiFetch(`/admin/uploads/${upload.kind}/${encodeURIComponent(upload.id)}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Upload cancelled');
+      await loadUploads();
+    } catch (error) {
+      toast.error(`Failed to cancel upload: ${error.message}`);
+    }
+  };
+
+  const handleCleanup = async () => {
+    setIsCleaning(true);
+    try {
+      const response = await apiFetch('/admin/uploads/cleanup', { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success(`🧹 Removed ${data.removed} stale upload${data.removed === 1 ? '' : 's'} (${formatFileSize(data.freedBytes)})`);
+      await loadUploads();
+    } catch (error) {
+      toast.error(`Cleanup failed: ${error.message}`);
+    } finally {
+      setIsCleaning(false);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const staleCount = uploads.filter(upload => upload.stale).length;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">📤 Unfinished Uploads</h2>
+            {janitor && (
+              <p className="text-sm text-gray-500">
+                Uploads untouched for {janitor.ttlHours} hours are removed automatically (checked every {janitor.intervalMinutes} minutes
+                {janitor.lastRun && `, last run ${new Date(janitor.lastRun.finishedAt).toLocaleString()}`}).
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Upload list */}
+        <div className="divide-y divide-gray-100">
+          {isLoading && uploads.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading uploads...</div>
+          ) : uploads.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">No unfinished uploads - nothing is taking up space.</div>
+          ) : (
+            uploads.map((upload) => (
+              <div key={`${upload.kind}-${upload.id}`} className="p-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-900 truncate">
+                    {upload.name}
+                    {upload.stale ? (
+                      <span className="ml-2 text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded-md font-medium">stale</span>
+                    ) : upload.status === 'assembling' && (
+                      <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded-md font-medium">finishing</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {KIND_LABELS[upload.kind]} • 📁 {upload.folder}
+                    {upload.ownerName && ` • ${upload.ownerName}`}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {formatFileSize(upload.size)}
+                    {upload.totalSize !== null && ` of ${formatFileSize(upload.totalSize)}`}
+                    {' • '}Last activity {new Date(upload.updatedAt).toLocaleString()}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleCancel(upload)}
+                  disabled={upload.status === 'assembling'}
+                  className="ml-4 px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 disabled:opacity-50 transition-all duration-200 font-medium"
+                >
+                  🗑️ Cancel
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-gray-200 bg-gray-50 flex items-center justify-between">
+          <span className="text-sm text-gray-600">
+            {uploads.length} unfinished • {formatFileSize(uploads.reduce((total, upload) => total + upload.size, 0))} on disk
+          </span>
+          <button
+            onClick={handleCleanup}
+            disabled={isCleaning || staleCount === 0}
+            className="px-4 py-2 text-sm bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-lg hover:from-emerald-700 hover:to-emerald-800 disabled:opacity-50 font-medium"
+          >
+            {isCleaning ? 'Cleaning up...' : `🧹 Remove ${staleCount} stale`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadsPanel;
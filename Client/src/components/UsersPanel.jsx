@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch } from '../api';
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const GB = 1024 * 1024 * 1024;
+
+const UsersPanel = ({ isOpen, onClose, currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [quotas, setQuotas] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [newUsername, setNewUsername] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [newRole, setNewRole] = useState('user');
+
+  // Load users whenever the panel opens
+  useEffect(() => {
+    if (isOpen) loadUsers();
+  }, [isOpen]);
+
+  const loadUsers = async () => {
+    setIsLoading(true);
+    try {
+      const [response, quotaResponse] = await Promise.all([apiFetch('/users'), apiFetch('/admin/quotas')]);
+      if (!response.ok || !quotaResponse.ok) throw new Error('Failed to load users');
+
+      const data = await response.json();
+      const quotaData = await quotaResponse.json();
+      setUsers(data.users || []);
+      setRoles(data.roles || []);
+      setQuotas(Object.fromEntries(quotaData.users.map(quota => [quota.id, quota])));
+    } catch (error) {
+      console.error('Error loading users:', error);
+      toast.error('Failed to load users');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Shared request helper - shows the server's error message on failure
+  const sendUserRequest = async (endpoint, method, body) => {
+    const response = await apiFetch(endpoint, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    try {
+      await sendUserRequest('/users', 'POST', { username: newUsername.trim(), password: newPassword, role: newRole });
+      toast.success(`👤 User "${newUsername.trim()}" created`);
+      setNewUsername('');
+      setNewPassword('');
+      await loadUsers();
+    } catch (error) {
+      toast.error(`Failed to create user: ${error.message}`);
+    }
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      await sendUserRequest(`/users/${user.id}`, 'PATCH', { role });
+      toast.success(`Role of "${user.username}" changed to ${role}`);
+      await loadUsers();
+    } catch (error) {
+      toast.error(`Failed to change role: ${error.message}`);
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    const password = window.prompt(`New password for "${user.username}" (at least 8 characters):`);
+    if (!password) return;
+    try {
+      await sendUserRequest(`/users/${user.id}`, 'PATCH', { password });
+      toast.success(`🔑 Password of "${user.username}" reset`);
+    } catch (error) {
+      toast.error(`Failed to reset password: ${error.message}`);
+    }
+  };
+
+  // Quotas are entered in GB - empty goes back to the default, 0 means unlimited
+  const handleSetQuota = async (user) => {
+    const current = quotas[user.id];
+    const answer = window.prompt(
+      `Storage quota of "${user.username}" in GB (0 = unlimited, empty = default):`,
+      current?.custom ? String((current.limit || 0) / GB) : ''
+    );
+    if (answer === null) return;
+    const gigabytes = Number(answer.trim());
+    if (answer.trim() !== '' && (!Number.isFinite(gigabytes) || gigabytes < 0)) {
+      toast.error('Enter the quota as a number of GB');
+      return;
+    }
+    try {
+      const limit = answer.trim() === '' ? null : Math.round(gigabytes * GB);
+      await sendUserRequest(`/admin/quotas/users/${user.id}`, 'PUT', { limit });
+      toast.success(`💾 Quota of "${user.username}" updated`);
+      await loadUsers();
+    } catch (error) {
+      toast.error(`Failed to set quota: ${error.message}`);
+    }
+  };
+
+  const handleDeleteUser = async (user) => {
+    if (!window.confirm(`Delete user "${user.username}"?`)) return;
+    try {
+      await sendUserRequest(`/users/${user.id}`, 'DELETE');
+      toast.success(`User "${user.username}" deleted`);
+      await loadUsers();
+    } catch (error) {
+      toast.error(`Failed to delete user: ${error.message}`);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">👥 Users</h2>
+          <button
+            onClick={onClose}
+            className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* User list */}
+        <div className="divide-y divide-gray-100">
+          {isLoading && users.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading users...</div>
+          ) : (
+            users.map((user) => (
+              <div key={user.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-900 truncate">
+                    {user.username}
+                    {user.id === currentUser?.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">Created: {new Date(user.createdAt).toLocaleDateString()}</div>
+                  {quotas[user.id] && (
+                    <div className="text-xs text-gray-500">
+                      Storage: {formatFileSize(quotas[user.id].used)}
+                      {quotas[user.id].limit ? ` of ${formatFileSize(quotas[user.id].limit)}` : ' (unlimited)'}
+                    </div>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    disabled={user.id === currentUser?.id}
+                    className="px-2 py-1.5 text-xs border border-gray-300 rounded-lg disabled:opacity-50"
+                  >
+                    {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                  <button
+                    onClick={() => handleResetPassword(user)}
+                    className="px-3 py-2 text-xs bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 transition-all duration-200 font-medium"
+                  >
+                    🔑 Reset Password
+                  </button>
+                  <button
+                    onClick={() => handleSetQuota(user)}
+                    className="px-3 py-2 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-all duration-200 font-medium"
+                  >
+                    💾 Quota
+                  </button>
+                  <button
+                    onClick={() => handleDeleteUser(user)}
+                    disabled={user.id === currentUser?.id}
+                    className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    🗑️ Delete
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* New user form */}
+        <form onSubmit={handleCreateUser} className="p-4 border-t border-gray-200 bg-gray-50 flex items-center space-x-2">
+          <input
+            type="text"
+            value={newUsername}
+            onChange={(e) => setNewUsername(e.target.value)}
+            placeholder="Username"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex-1 min-w-0"
+          />
+          <input
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="new-password"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm flex-1 min-w-0"
+          />
+          <select
+            value={newRole}
+            onChange={(e) => setNewRole(e.target.value)}
+            className="px-2 py-2 text-sm border border-gray-300 rounded-lg"
+          >
+            {roles.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button
+            type="submit"
+            disabled={!newUsername.trim() || !newPassword}
+            className="px-4 py-2 text-sm bg-gradient-to-r from-emerald-600 to-emerald-700 text-white rounded-lg hover:from-emerald-700 hover:to-emerald-800 disabled:opacity-50 font-medium"
+          >
+            Add User
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default UsersPanel;
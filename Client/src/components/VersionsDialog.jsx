@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { apiFetch, API_BASE_URL } from '../api';
+import { roleAllows } from '../permissions';
+
+// Format file size
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Earlier versions of a file (kept whenever an upload replaced it) - download, restore or remove them
+const VersionsDialog = ({ file, onClose, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [retention, setRetention] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Load the versions whenever the dialog opens for a file. Bumping `reloadKey` reloads them.
+  useEffect(() => {
+    if (!file) return;
+
+    const loadVersions = async () => {
+      setIsLoading(true);
+      try {
+        const response = await apiFetch(`/versions?path=${encodeURIComponent(file.path)}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        setVersions(data.versions || []);
+        setRetention(data.retention || null);
+      } catch (error) {
+        console.error('Error loading versions:', error);
+        toast.error('Failed to load versions');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadVersions();
+  }, [file, reloadKey]);
+
+  if (!file) return null;
+
+  const canRestore = roleAllows(file.role, 'upload');
+  const canDelete = roleAllows(file.role, 'delete');
+  const fileQuery = `path=${encodeURIComponent(file.path)}`;
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore the version from ${new Date(version.modified).toLocaleString()}? The current file is kept as a version.`)) return;
+    try {
+      const response = await apiFetch(`/versions/${version.id}/restore?${fileQuery}`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('🕘 Version restored');
+      setReloadKey(key => key + 1);
+      onRestored();
+    } catch (error) {
+      toast.error(`Failed to restore version: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (version) => {
+    if (!window.confirm('Delete this version permanently?')) return;
+    try {
+      const response = await apiFetch(`/versions/${version.id}?${fileQuery}`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success('Version deleted');
+      setReloadKey(key => key + 1);
+      onRestored();
+    } catch (error) {
+      toast.error(`Failed to delete version: ${error.message}`);
+    }
+  };
+
+  // Remove every version but the newest
+  const handlePrune = async () => {
+    if (!window.confirm(`Delete all but the newest version of "${file.name}" permanently?`)) return;
+    try {
+      const response = await apiFetch(`/versions?${fileQuery}&keep=1`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      toast.success(data.message);
+      setReloadKey(key => key + 1);
+      onRestored();
+    } catch (error) {
+      toast.error(`Failed to prune versions: ${error.message}`);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-auto">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-900 truncate">🕘 Versions of "{file.name}"</h2>
+            <p className="text-sm text-gray-500">
+              Kept whenever an upload replaced the file
+              {retention && ` • up to ${retention.keep}${retention.maxAgeDays ? `, for ${retention.maxAgeDays} days` : ''}`}
+            </p>
+          </div>
+          <div className="flex items-center">
+            {canDelete && versions.length > 1 && (
+              <button
+                onClick={handlePrune}
+                className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+              >
+                Keep Newest Only
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="ml-4 p-2 text-gray-400 hover:text-gray-600 rounded-full hover:bg-gray-100"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="divide-y divide-gray-100">
+          {isLoading && versions.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">Loading versions...</div>
+          ) : versions.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-500">No earlier versions of this file.</div>
+          ) : (
+            versions.map((version) => (
+              <div key={version.id} className="p-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-900">{new Date(version.modified).toLocaleString()}</div>
+                  <div className="text-xs text-gray-500">
+                    {formatFileSize(version.size)}
+                    {' • '}Replaced {new Date(version.replacedAt).toLocaleString()} by {version.replacedByName || 'unknown'}
+                    {version.sha256 && (
+                      <span className="font-mono" title={`SHA-256: ${version.sha256}`}>{' • '}SHA-256 {version.sha256.slice(0, 12)}…</span>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <a
+                    href={`${API_BASE_URL}/versions/${version.id}/download?${fileQuery}`}
+                    className="px-3 py-2 text-xs bg-emerald-100 text-emerald-800 rounded-lg hover:bg-emerald-200 transition-all duration-200 font-medium"
+                  >
+                    ⬇️ Download
+                  </a>
+                  {canRestore && (
+                    <button
+                      onClick={() => handleRestore(version)}
+                      className="px-3 py-2 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-all duration-200 font-medium"
+                    >
+                      ↩️ Restore
+                    </button>
+                  )}
+                  {canDelete && (
+                    <button
+                      onClick={() => handleDelete(version)}
+                      className="px-3 py-2 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all duration-200 font-medium"
+                    >
+                      🗑️ Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersionsDialog;
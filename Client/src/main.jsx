@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import DropUploadPage from './components/DropUploadPage.jsx'
+
+// Upload-only drop box links (?drop=<token>) get the public upload page instead of the app
+const dropToken = new URLSearchParams(window.location.search).get('drop')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {dropToken ? <DropUploadPage token={dropToken} /> : <App />}
   </StrictMode>,
 )
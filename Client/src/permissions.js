@@ -0,0 +1,16 @@
+// Mirrors the server's role model (Server/lib/acl.js) so the UI can hide actions
+// the current user is not allowed to perform. The server still enforces everything.
+const ROLES = ['none', 'viewer', 'uploader', 'editor', 'admin'];
+
+const ACTION_ROLES = {
+  view: 'viewer',
+  upload: 'uploader',
+  createFolder: 'uploader',
+  rename: 'editor',
+  delete: 'editor',
+  share: 'editor',
+  tag: 'editor',
+};
+
+export const roleAllows = (role, action) =>
+  ROLES.indexOf(role) >= ROLES.indexOf(ACTION_ROLES[action]);
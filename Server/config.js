@@ -0,0 +1,121 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Server configuration - every value can be overridden through environment variables
+export const PORT = process.env.PORT || 5000;
+
+// Where uploaded media lives
+export const UPLOADS_DIR = process.env.UPLOADS_DIR
+  ? path.resolve(process.env.UPLOADS_DIR)
+  : path.join(__dirname, 'uploads');
+
+// Where MediaGrid keeps its own state (users, sessions, ...) - never served to clients
+export const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, 'data');
+
+// Client build served in production
+export const CLIENT_BUILD_PATH = path.join(__dirname, '../Client/dist');
+
+// Origins allowed to call the API with credentials (comma separated).
+// Defaults to the Vite dev server; production serves the client from the same origin.
+export const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Authentication
+export const SESSION_COOKIE_NAME = 'mediagrid_session';
+export const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7; // 1 week
+export const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+export const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Share links
+export const SHARE_MAX_EXPIRY_DAYS = parseInt(process.env.SHARE_MAX_EXPIRY_DAYS) || 30;
+
+// Uploads
+export const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024; // 5GB
+export const MAX_CHUNK_SIZE = 50 * 1024 * 1024; // 50MB
+// Direct (non-chunked) uploads: all files of one request together, and how many files
+export const MAX_UPLOAD_REQUEST_SIZE = parseInt(process.env.MAX_UPLOAD_REQUEST_SIZE) || MAX_FILE_SIZE;
+export const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES) || 100;
+
+// MediaGrid's own files inside the uploads folder (upload sessions, ...). Kept on the
+// same file system as the media so finished files can be moved into place by a rename;
+// hidden from listings and unreachable through the API like every dot entry.
+export const INTERNAL_DIR = path.join(UPLOADS_DIR, '.mediagrid');
+
+// Unfinished uploads (upload sessions, tus uploads, legacy .chunks, temp files) untouched
+// for this long are removed by the janitor, which runs every JANITOR_INTERVAL_MINUTES
+export const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS) || 24;
+export const JANITOR_INTERVAL_MINUTES = parseInt(process.env.JANITOR_INTERVAL_MINUTES) || 60;
+export const TUS_EXPIRY_HOURS = parseInt(process.env.TUS_EXPIRY_HOURS) || UPLOAD_TTL_HOURS; // unfinished tus uploads
+
+// Server-side imports from a URL: size cap, redirects followed, seconds without data before
+// giving up, and how many run at once. Private and loopback addresses are refused unless
+// URL_IMPORT_ALLOW_PRIVATE=true (e.g. to import from another server on the LAN).
+export const URL_IMPORT_MAX_SIZE = parseInt(process.env.URL_IMPORT_MAX_SIZE) || MAX_FILE_SIZE;
+export const URL_IMPORT_MAX_REDIRECTS = parseInt(process.env.URL_IMPORT_MAX_REDIRECTS) || 5;
+export const URL_IMPORT_TIMEOUT_SECONDS = parseInt(process.env.URL_IMPORT_TIMEOUT_SECONDS) || 30;
+export const URL_IMPORT_CONCURRENCY = parseInt(process.env.URL_IMPORT_CONCURRENCY) || 2;
+export const URL_IMPORT_ALLOW_PRIVATE = process.env.URL_IMPORT_ALLOW_PRIVATE === 'true';
+
+// Storage limits. An upload is refused (507) when it would leave less than DISK_RESERVE_BYTES
+// free on the uploads disk, or go over its uploader's or its top-level folder's quota.
+// Users get DEFAULT_USER_QUOTA bytes unless an admin sets their own limit (0 = unlimited);
+// folder quotas are set by admins. Folder usage is measured on disk and cached meanwhile.
+export const DISK_RESERVE_BYTES = parseInt(process.env.DISK_RESERVE_BYTES) || 1024 * 1024 * 1024; // 1GB
+export const DEFAULT_USER_QUOTA = parseInt(process.env.DEFAULT_USER_QUOTA) || 0;
+export const FOLDER_USAGE_CACHE_SECONDS = parseInt(process.env.FOLDER_USAGE_CACHE_SECONDS) || 60;
+
+// File types accepted by uploads, judged by content (see lib/contentTypes.js): comma separated
+// MIME types or families like "video/*". Nothing is refused by default; admins can set a
+// policy per folder, these apply wherever no folder policy does.
+export const CONTENT_TYPES_ALLOW = process.env.CONTENT_TYPES_ALLOW || '';
+export const CONTENT_TYPES_BLOCK = process.env.CONTENT_TYPES_BLOCK || '';
+
+// Malware scanning of finished uploads (see lib/scanner.js): SCAN_COMMAND runs a local scanner
+// with clamscan's conventions - the file path is appended (or replaces "{file}"), exit code 0 means
+// clean and 1 infected - and CLAMD_SOCKET talks to clamd instead (socket path or host:port).
+// Without either nothing is scanned. Files are served only once their scan came back clean.
+export const SCAN_COMMAND = process.env.SCAN_COMMAND || '';
+export const CLAMD_SOCKET = process.env.CLAMD_SOCKET || '';
+export const SCAN_TIMEOUT_SECONDS = parseInt(process.env.SCAN_TIMEOUT_SECONDS) || 300;
+export const SCAN_CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY) || 1;
+
+// Deleted files and folders go to the trash (see lib/trash.js) and are purged for good
+// TRASH_RETENTION_DAYS after they were deleted, checked every JANITOR_INTERVAL_MINUTES.
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Version history (see lib/versions.js): a file replaced by an upload is kept as a version.
+// Up to VERSIONS_KEEP versions are kept per file (0 = none, a replaced file is discarded), and
+// none older than VERSIONS_MAX_AGE_DAYS (0 = no age limit).
+const versionsKeep = parseInt(process.env.VERSIONS_KEEP);
+export const VERSIONS_KEEP = Number.isNaN(versionsKeep) ? 10 : Math.max(versionsKeep, 0);
+export const VERSIONS_MAX_AGE_DAYS = parseInt(process.env.VERSIONS_MAX_AGE_DAYS) || 0;
+
+// Changes made directly in UPLOADS_DIR (rsync, scp, ...) are picked up by a watcher, which
+// updates the metadata index and tells connected clients which folders changed. Events are
+// collected for WATCH_DEBOUNCE_MS before they are handled. WATCH_UPLOADS=false turns it off.
+export const WATCH_UPLOADS = process.env.WATCH_UPLOADS !== 'false';
+export const WATCH_DEBOUNCE_MS = parseInt(process.env.WATCH_DEBOUNCE_MS) || 500;
+
+// Copies run as background jobs with progress; COPY_CONCURRENCY of them at a time (they
+// all compete for the same disk)
+export const COPY_CONCURRENCY = parseInt(process.env.COPY_CONCURRENCY) || 1;
+
+// Most operations one batch (POST /api/batches) may contain
+export const BATCH_MAX_OPERATIONS = parseInt(process.env.BATCH_MAX_OPERATIONS) || 5000;
+
+// Archives (.zip, .tar, .tar.gz) are extracted by background jobs like copies, EXTRACT_CONCURRENCY
+// at a time. Against archives that unpack to far more than they look ("zip bombs"): at most
+// EXTRACT_MAX_ENTRIES entries and EXTRACT_MAX_BYTES in total, and beyond the first 64 MB no
+// more than EXTRACT_MAX_RATIO times the size of the archive itself.
+export const EXTRACT_CONCURRENCY = parseInt(process.env.EXTRACT_CONCURRENCY) || 1;
+export const EXTRACT_MAX_ENTRIES = parseInt(process.env.EXTRACT_MAX_ENTRIES) || 10000;
+export const EXTRACT_MAX_BYTES = parseInt(process.env.EXTRACT_MAX_BYTES) || 10 * 1024 * 1024 * 1024; // 10GB
+export const EXTRACT_MAX_RATIO = parseInt(process.env.EXTRACT_MAX_RATIO) || 100;
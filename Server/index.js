@@ -2,31 +2,449 @@ import express from 'express';
 import cors from 'cors';
 import fs from 'fs-extra';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import multer from 'multer';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import { execSync } from 'child_process';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import {
+  PORT,
+  UPLOADS_DIR,
+  DATA_DIR,
+  CLIENT_BUILD_PATH,
+  CORS_ORIGINS,
+  MAX_FILE_SIZE,
+  MAX_CHUNK_SIZE,
+  MAX_UPLOAD_REQUEST_SIZE,
+  MAX_UPLOAD_FILES
+} from './config.js';
+import { HttpError, sendError } from './lib/errors.js';
+import {
+  normalizeRelativePath,
+  isSameOrInside,
+  isInsideUploads,
+  resolveUploadPath,
+  resolveChildPath,
+  assertSafeName,
+  sanitizeFilename
+} from './lib/paths.js';
+import {
+  ROLES,
+  listRules,
+  addRule,
+  removeRule,
+  getEffectiveRole,
+  roleAllows,
+  assertPermission,
+  canTraverse
+} from './lib/acl.js';
+import {
+  USER_ROLES,
+  publicUser,
+  findUserById,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureInitialAdmin,
+  authenticate,
+  createSession,
+  destroySession,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie,
+  readCookie,
+  requireAuth,
+  requireAdmin
+} from './lib/auth.js';
+import {
+  createShare,
+  listShares,
+  revokeShare,
+  getShareByToken,
+  recordDownload,
+  sharePasswordCookieName,
+  sharePasswordCookieValue,
+  checkSharePassword
+} from './lib/shares.js';
+import { renderErrorPage, renderPasswordPage, renderFolderPage } from './lib/sharePages.js';
+import {
+  createDrop,
+  listDrops,
+  revokeDrop,
+  getDropByToken,
+  findDropById,
+  dropInfo,
+  isExtensionAllowed,
+  assertDropSpace,
+  recordDropUpload
+} from './lib/drops.js';
+import {
+  createUploadSession,
+  getUploadSession,
+  writeUploadChunk,
+  finalizeUploadSession,
+  abortUploadSession
+} from './lib/uploadSessions.js';
+import { createTusRouter, handleTusOptions } from './lib/tus.js';
+import { createUploadStorage } from './lib/uploadStorage.js';
+import {
+  listPendingUploads,
+  cancelPendingUpload,
+  collectAbandonedUploads,
+  getJanitorStatus,
+  startJanitor
+} from './lib/janitor.js';
+import {
+  CHUNK_CHECKSUM_HEADER,
+  parseSha256,
+  fileChecksumMismatch,
+  recordFileHash,
+  getFileHash,
+  moveFileHashes,
+  forgetFileHashes
+} from './lib/checksums.js';
+import { parseConflictPolicy, resolveConflict } from './lib/conflicts.js';
+import {
+  parseImportUrl,
+  createUrlImport,
+  getUrlImport,
+  listUrlImports,
+  cancelUrlImport,
+  removeInterruptedImports
+} from './lib/urlImports.js';
+import {
+  assertUploadAllowed,
+  topLevelFolder,
+  getStorageSummary,
+  recordFileOwner,
+  getFileOwner,
+  moveFileOwners,
+  forgetFileOwners,
+  setUserQuota,
+  setFolderQuota,
+  listQuotas
+} from './lib/quotas.js';
+import {
+  SNIFF_BYTES,
+  readFileHead,
+  getFileContentType,
+  isVideoType,
+  assertContentAllowed,
+  listContentPolicies,
+  setContentPolicy,
+  removeContentPolicy
+} from './lib/contentTypes.js';
+import { recordAuditEvent, readAuditEvents } from './lib/audit.js';
+import {
+  queueScan,
+  getScanStatus,
+  assertScanned,
+  moveFileScans,
+  forgetFileScans,
+  rescanFile,
+  listQuarantine,
+  deleteQuarantined,
+  releaseQuarantined,
+  startScanner,
+  isScanningEnabled
+} from './lib/scanner.js';
+import {
+  trashItem,
+  listTrash,
+  getTrashItem,
+  restoreTrashItem,
+  purgeTrashItem,
+  getTrashRetentionDays,
+  startTrashPurge
+} from './lib/trash.js';
+import {
+  keepVersion,
+  listVersions,
+  getVersion,
+  restoreVersion,
+  deleteVersion,
+  pruneVersions,
+  moveFileVersions,
+  forgetFileVersions,
+  getVersionsRetention
+} from './lib/versions.js';
+import {
+  indexItem,
+  indexTree,
+  moveIndexedItems,
+  forgetIndexedItems,
+  getIndexedItem,
+  listIndexedFolder,
+  searchIndex,
+  setIndexedMetadata,
+  listTaggedItems,
+  reconcileIndex
+} from './lib/fileIndex.js';
+import { parseTagList, hasAllTags, applyMetadataChanges } from './lib/metadata.js';
+import { startWatcher } from './lib/watcher.js';
+import {
+  listTree,
+  createCopy,
+  getCopy,
+  listCopies,
+  cancelCopy,
+  waitForCopy,
+  removeInterruptedCopies
+} from './lib/copies.js';
+import { createBatch, getBatch, listBatches, cancelBatch } from './lib/batches.js';
+import { subscribeToChanges, publishChanges } from './lib/changeFeed.js';
+import { createZipStream, isStoredType } from './lib/zip.js';
+import { archiveType, archiveBaseName } from './lib/archives.js';
+import {
+  createExtraction,
+  getExtraction,
+  listExtractions,
+  cancelExtraction,
+  removeInterruptedExtractions
+} from './lib/extractions.js';
 
 const app = express();
-const PORT = process.env.PORT || 5000;
 
-// Create uploads directory if it doesn't exist
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
+// Honour X-Forwarded-* headers when running behind a reverse proxy (nginx)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Create uploads and data directories if they don't exist
 await fs.ensureDir(UPLOADS_DIR);
+await fs.ensureDir(DATA_DIR);
+await ensureInitialAdmin();
+startJanitor();
+await removeInterruptedImports();
+await removeInterruptedCopies();
+await removeInterruptedExtractions();
 
 // Middleware
-app.use(cors());
+const corsOptions = {
+  origin: CORS_ORIGINS,
+  credentials: true,
+  // Resumable upload (tus) clients read these from responses
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Metadata', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm']
+};
+
+// tus capability discovery and preflights need the tus headers, not just the CORS ones
+app.options('/api/tus{/*rest}', cors({ ...corsOptions, preflightContinue: true }), handleTusOptions);
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files (uploaded videos)
-app.use('/videos', express.static(UPLOADS_DIR));
+// Public routes (no login required)
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Log in with username/password - sets the session cookie and also returns the
+// token so scripts can use it as a bearer token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await authenticate(username, password, req.ip);
+    const token = await createSession(user.id);
+    setSessionCookie(req, res, token);
+
+    res.json({ message: 'Logged in successfully', user: publicUser(user), token });
+  } catch (error) {
+    if (!error.status) console.error('Login error:', error);
+    sendError(res, error, 'Login failed');
+  }
+});
+
+// Log out - invalidates the current session
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await destroySession(getRequestToken(req));
+    clearSessionCookie(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Public share links (/s/:token and, for folder shares, /s/:token/sub/path)
+const shareDisplayName = (share) => path.posix.basename(share.path) || 'Shared folder';
+
+const handleShareRequest = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const share = await getShareByToken(token);
+    const segments = req.params.subpath || [];
+
+    // Password protected links need the unlock cookie set by the password form
+    if (share.passwordHash) {
+      const unlocked = readCookie(req, sharePasswordCookieName(share)) === await sharePasswordCookieValue(share);
+      if (!unlocked) {
+        return res.status(401).send(renderPasswordPage(shareDisplayName(share)));
+      }
+    }
+
+    // Sub paths are only valid inside folder shares and never reach hidden entries
+    const targetPath = normalizeRelativePath(path.posix.join(share.path, ...segments));
+    if ((segments.length > 0 && !share.isFolder) ||
+        !isSameOrInside(share.path, targetPath) ||
+        segments.some(segment => segment.startsWith('.'))) {
+      return res.status(404).send(renderErrorPage('File not found'));
+    }
+
+    // The link only works while its creator could still see the item themselves
+    const owner = await findUserById(share.createdBy);
+    if (!owner || !roleAllows(await getEffectiveRole(owner, targetPath), 'view')) {
+      return res.status(410).send(renderErrorPage('This link is no longer available'));
+    }
+
+    const { fullPath } = await resolveUploadPath(targetPath);
+    const stats = await getFileStats(fullPath);
+    if (!stats) {
+      return res.status(404).send(renderErrorPage('File not found'));
+    }
+
+    if (stats.isDirectory) {
+      const items = (await fs.readdir(fullPath)).filter(item => !item.startsWith('.'));
+      const folders = [];
+      const files = [];
+      for (const item of items) {
+        const itemPath = path.join(fullPath, item);
+        const itemStats = await getFileStats(itemPath);
+        if (!itemStats || !await isInsideUploads(itemPath)) continue;
+        if (itemStats.isDirectory) {
+          folders.push({ name: item });
+        } else {
+          files.push({ name: item, size: itemStats.size, isVideo: await isVideoFile(itemPath) });
+        }
+      }
+
+      const encodedSegments = segments.map(encodeURIComponent);
+      const baseUrl = ['/s', token, ...encodedSegments].join('/') + '/';
+      const parentUrl = segments.length > 0 ? ['/s', token, ...encodedSegments.slice(0, -1)].join('/') + '/' : null;
+
+      return res.send(renderFolderPage({
+        title: path.posix.basename(targetPath) || 'Shared folder',
+        subtitle: `Shared folder • link expires ${new Date(share.expiresAt).toLocaleString()}`,
+        baseUrl,
+        parentUrl,
+        folders: folders.sort((a, b) => a.name.localeCompare(b.name)),
+        files: files.sort((a, b) => a.name.localeCompare(b.name))
+      }));
+    }
+
+    await assertScanned(targetPath);
+
+    // Video players fetch in ranges - only count requests starting at the first byte
+    const range = req.headers.range;
+    if (!range || /^bytes=0-/.test(range)) {
+      await recordDownload(share.id);
+    }
+
+    if (req.query.download) {
+      res.attachment(path.basename(fullPath));
+    }
+    res.sendFile(path.relative(UPLOADS_DIR, fullPath), { root: UPLOADS_DIR });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send(renderErrorPage(error.message));
+    }
+    console.error('Share link error:', error);
+    res.status(500).send(renderErrorPage('Something went wrong'));
+  }
+};
+
+// Password form submission for protected share links
+const handleSharePassword = async (req, res) => {
+  try {
+    const share = await getShareByToken(req.params.token);
+    if (!share.passwordHash) {
+      return res.redirect(303, req.originalUrl);
+    }
+
+    if (!await checkSharePassword(share, req.body?.password)) {
+      return res.status(401).send(renderPasswordPage(shareDisplayName(share), 'Incorrect password'));
+    }
+
+    res.cookie(sharePasswordCookieName(share), await sharePasswordCookieValue(share), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/s/',
+      expires: new Date(share.expiresAt)
+    });
+    res.redirect(303, req.originalUrl);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send(renderErrorPage(error.message));
+    }
+    console.error('Share password error:', error);
+    res.status(500).send(renderErrorPage('Something went wrong'));
+  }
+};
+
+app.get('/s/:token{/*subpath}', handleShareRequest);
+app.post('/s/:token{/*subpath}', handleSharePassword);
+
+// Drop box details for the public upload page
+app.get('/api/drop/:token', async (req, res) => {
+  try {
+    const drop = await getDropByToken(req.params.token);
+    res.json({ drop: dropInfo(drop) });
+  } catch (error) {
+    if (!error.status) console.error('Drop box error:', error);
+    sendError(res, error, 'Failed to load upload link');
+  }
+});
+
+// Drop box uploads use the upload session and tus endpoints with
+// an X-Drop-Token header instead of a login
+const resolveDropToken = async (req, res, next) => {
+  const token = req.get('X-Drop-Token');
+  if (!token) return next();
+  try {
+    req.dropBox = await getDropByToken(token);
+    next();
+  } catch (error) {
+    if (!error.status) console.error('Drop box error:', error);
+    sendError(res, error, 'Failed to check upload link');
+  }
+};
+
+app.use(['/api/uploads', '/api/tus'], resolveDropToken);
+
+// Everything below requires a logged-in user (or a drop box token, see above)
+app.use('/api', (req, res, next) => (req.dropBox ? next() : requireAuth(req, res, next)));
+
+// Serve static files (uploaded videos) to users with view access on the file
+const requireViewAccess = async (req, res, next) => {
+  try {
+    const { relativePath } = await resolveUploadPath(decodeURIComponent(req.path));
+    await assertPermission(req.user, relativePath, 'view');
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to check permissions');
+  }
+};
+
+// Uploads are served once their malware scan came back clean (lib/scanner.js)
+const requireScanned = async (req, res, next) => {
+  try {
+    const { relativePath } = await resolveUploadPath(decodeURIComponent(req.path));
+    await assertScanned(relativePath);
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to check the scan status');
+  }
+};
+
+app.use('/videos', requireAuth, requireViewAccess, requireScanned, express.static(UPLOADS_DIR, { dotfiles: 'deny' }));
 
 // Serve client build files in production
-const CLIENT_BUILD_PATH = path.join(__dirname, '../Client/dist');
 const clientBuildExists = await fs.pathExists(CLIENT_BUILD_PATH);
 
 if (clientBuildExists) {
@@ -37,139 +455,372 @@ if (clientBuildExists) {
   console.log('⚠️  No client build found. Run "npm run build" in Client directory for production.');
 }
 
-// Configure multer for direct file uploads
-const upload = multer({ 
-  storage: multer.memoryStorage(), // Use memory storage first
+// Configure multer for direct file uploads - files are streamed to disk inside the
+// target folder (the `path` field when it comes before the files, else the `path` query)
+const upload = multer({
+  storage: createUploadStorage({
+    resolveTarget: async (req) => {
+      const target = await resolveUploadPath(req.body?.path ?? req.query.path ?? '/');
+      await assertPermission(req.user, target.relativePath, 'upload');
+      return target;
+    },
+    maxRequestSize: MAX_UPLOAD_REQUEST_SIZE,
+    // Files the folder's content policy refuses are stopped after their first bytes
+    checkFile: (req, target, file, head) => assertUploadContent(req, target.relativePath, file.originalname, head),
+    headSize: SNIFF_BYTES
+  }),
   limits: {
-    fileSize: 5 * 1024 * 1024 * 1024, // 5GB limit
-    fieldSize: 25 * 1024 * 1024 // 25MB field size limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow all file types
-    cb(null, true);
+    fileSize: MAX_FILE_SIZE, // 5GB limit by default
+    files: MAX_UPLOAD_FILES,
+    fieldSize: 1024 * 1024 // 1MB field size limit
   }
+}).array('file', MAX_UPLOAD_FILES);
+
+// Parse a direct upload, turning multer's limit errors into HttpErrors
+const receiveUpload = (req, res) => new Promise((resolve, reject) => {
+  upload(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) return error ? reject(error) : resolve();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return reject(new HttpError(413, `Files can be at most ${MAX_FILE_SIZE} bytes`));
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return reject(new HttpError(400, `Send up to ${MAX_UPLOAD_FILES} files in the "file" field`));
+    }
+    reject(new HttpError(400, error.message));
+  });
 });
 
-// Check existing chunks for resume functionality
-app.get('/api/check-chunks', async (req, res) => {
+// Folder a chunked upload goes to: the drop box folder for drop token uploads
+// (whatever the client asks for), otherwise the requested folder if the user may upload there.
+// Resolves to { relativePath, fullPath, filename } with the sanitized file name.
+const resolveUploadTarget = async (req, targetPath, filename) => {
+  const sanitizedFilename = assertSafeName(sanitizeFilename(String(filename)), 'file name');
+
+  if (!req.dropBox) {
+    const target = await resolveUploadPath(targetPath || '/');
+    await assertPermission(req.user, target.relativePath, 'upload');
+    return { ...target, filename: sanitizedFilename };
+  }
+
+  if (!isExtensionAllowed(req.dropBox, sanitizedFilename)) {
+    throw new HttpError(415, `Only these file types can be uploaded here: ${req.dropBox.allowedExtensions.join(', ')}`);
+  }
+
+  // The link only works while its creator could still upload there themselves
+  const owner = await findUserById(req.dropBox.createdBy);
+  if (!owner || !roleAllows(await getEffectiveRole(owner, req.dropBox.path), 'upload')) {
+    throw new HttpError(410, 'This upload link is no longer available');
+  }
+  return { ...(await resolveUploadPath(req.dropBox.path)), filename: sanitizedFilename };
+};
+
+// Conflict policy of an upload (see lib/conflicts.js) - overwriting by default, like
+// uploads always did. Drop box uploads never replace or skip anything: a clashing
+// name always gets a number.
+const uploadConflictPolicy = (req, value) =>
+  req.dropBox ? 'rename' : parseConflictPolicy(value, 'overwrite');
+
+// With the "fail" policy a name clash is reported before any bytes are sent, so the
+// client can ask the user what to do. It is checked again once the file is complete.
+const assertNoConflict = async (req, target, conflict) => {
+  if (uploadConflictPolicy(req, conflict) === 'fail') {
+    await resolveConflict(target.relativePath, target.filename, 'fail');
+  }
+};
+
+// Uploads count towards the quota of their uploader - for drop boxes the link's creator
+const quotaUserId = (req) => (req.dropBox ? req.dropBox.createdBy : req.user.id);
+
+// Refuse uploads that would not fit on the disk or in a quota (lib/quotas.js), before
+// any of their data is accepted
+const assertStorageFor = (req, targetPath, size, options) =>
+  assertUploadAllowed({ userId: quotaUserId(req), targetPath, size, ...options });
+
+// Refuse files the folder's content policy doesn't accept (lib/contentTypes.js), judged by
+// their first bytes - `head` is the start of the file (or of its first chunk). Every
+// refusal goes to the audit log.
+const assertUploadContent = async (req, targetPath, filename, head) => {
   try {
-    const { filename, targetPath, totalChunks } = req.query;
-    
-    if (!filename || !totalChunks) {
+    return await assertContentAllowed(targetPath, filename, head.subarray(0, SNIFF_BYTES));
+  } catch (error) {
+    if (error.status === 415) {
+      recordAuditEvent('upload.rejected', {
+        reason: 'content-type',
+        user: req.user?.username ?? null,
+        dropBox: req.dropBox?.id ?? null,
+        ip: req.ip,
+        path: targetPath,
+        filename,
+        contentType: error.details.contentType,
+        policyPath: error.details.policyPath
+      });
+    }
+    throw error;
+  }
+};
+
+// Move a completely received upload (session or tus) from its data file into the folder tree.
+// `sha256` is the hash of the data file, already checked against the client's.
+const placeUploadedFile = async (req, dataPath, { filename, targetPath, size, sha256, conflict }) => {
+  // Permissions (or the drop box) are checked again - they may have changed meanwhile,
+  // and so is the content (tus uploads and URL imports are only sniffed here)
+  const target = await resolveUploadTarget(req, targetPath, filename);
+  await assertUploadContent(req, target.relativePath, target.filename, await readFileHead(dataPath));
+
+  // The name may have been taken while the upload was running
+  const conflictPolicy = uploadConflictPolicy(req, conflict);
+  const {
+    relativePath,
+    fullPath: finalPath,
+    name: finalFilename,
+    exists
+  } = await resolveConflict(target.relativePath, target.filename, conflictPolicy);
+
+  if (exists && conflictPolicy === 'skip') {
+    await fs.remove(dataPath);
+    return { name: finalFilename, path: relativePath, skipped: true };
+  }
+
+  // Drop box uploads are counted before they land
+  if (req.dropBox) {
+    await recordDropUpload(req.dropBox.id, size);
+  }
+
+  await fs.ensureDir(target.fullPath);
+  if (exists) await keepPreviousVersion(req, relativePath, finalPath);
+  await fs.move(dataPath, finalPath, { overwrite: true });
+  await recordFileHash(relativePath, finalPath, sha256);
+
+  const stats = await fs.stat(finalPath);
+  await recordFileOwner(relativePath, quotaUserId(req), stats.size);
+  await queueScan(relativePath, uploadOwner(req));
+  await indexItem(relativePath);
+  return req.dropBox
+    ? { name: finalFilename, size: stats.size, sha256 }
+    : {
+      name: finalFilename,
+      path: relativePath,
+      size: stats.size,
+      isVideo: await isVideoFile(finalPath),
+      sha256,
+      created: stats.birthtime,
+      modified: stats.mtime
+    };
+};
+
+// Upload sessions - the chunked upload protocol used by the client:
+//   POST   /api/uploads                   { filename, targetPath, size, chunkSize, sha256?, conflict? } -> session
+//   PUT    /api/uploads/:id/chunks/:index  raw chunk bytes (+ optional X-Chunk-SHA256 header)
+//   GET    /api/uploads/:id               received chunks, for resuming
+//   POST   /api/uploads/:id/finalize      { sha256?, conflict? } - moves the file into place (exactly once)
+//   DELETE /api/uploads/:id               abort
+//   POST   /api/uploads/preflight         { targetPath, size } - would `size` bytes fit? (see lib/quotas.js)
+// A session only accepts requests from whoever created it (user or drop box).
+const uploadOwner = (req) => (req.dropBox ? `drop:${req.dropBox.id}` : `user:${req.user.id}`);
+
+// Drop box uploaders never learn where their files end up
+const sessionResponse = (req, session) => {
+  if (!req.dropBox) return session;
+  const { targetPath, ...rest } = session;
+  return rest;
+};
+
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const { filename, targetPath, size, chunkSize, sha256, conflict } = req.body || {};
+    if (!filename || size === undefined) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
-    
-    // Sanitize filename to match what will be saved
-    const sanitizedFilename = sanitizeFilename(filename);
-    
-    const uploadsPath = path.join(UPLOADS_DIR, targetPath || '/');
-    const tempDir = path.join(uploadsPath, '.chunks');
-    
-    const existingChunks = [];
-    
-    // Check if temp directory exists
-    if (await fs.pathExists(tempDir)) {
-      const files = await fs.readdir(tempDir);
-      const fileChunks = files.filter(chunk => chunk.startsWith(`${sanitizedFilename}.part`));
-      
-      // Extract chunk indices
-      fileChunks.forEach(chunkFile => {
-        const match = chunkFile.match(new RegExp(`^${sanitizedFilename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.part(\\d+)$`));
-        if (match) {
-          existingChunks.push(parseInt(match[1]));
-        }
-      });
+
+    const target = await resolveUploadTarget(req, targetPath, filename);
+    if (req.dropBox) {
+      assertDropSpace(req.dropBox, Number(size) || 0);
     }
-    
+    await assertNoConflict(req, target, conflict);
+    await assertStorageFor(req, target.relativePath, size);
+
+    const session = await createUploadSession({
+      filename: target.filename,
+      targetPath: target.relativePath,
+      size,
+      chunkSize,
+      sha256,
+      conflict: uploadConflictPolicy(req, conflict),
+      owner: uploadOwner(req)
+    });
+
+    res.json({ session: sessionResponse(req, session) });
+  } catch (error) {
+    if (!error.status) console.error('Create upload session error:', error);
+    sendError(res, error, 'Failed to start upload');
+  }
+});
+
+// Preflight for a whole upload (`size` = all its files together) before sending anything.
+// Answers with the storage left, or the 507 the upload itself would get.
+app.post('/api/uploads/preflight', async (req, res) => {
+  try {
+    const { targetPath, size } = req.body || {};
+    if (size === undefined || !(Number(size) >= 0)) {
+      return res.status(400).json({ error: 'The upload size is required' });
+    }
+
+    if (req.dropBox) {
+      assertDropSpace(req.dropBox, Number(size));
+      await assertStorageFor(req, req.dropBox.path, size);
+      // Drop box uploaders don't get to see the link creator's storage
+      return res.json({ ok: true });
+    }
+
+    const target = await resolveUploadPath(targetPath || '/');
+    await assertPermission(req.user, target.relativePath, 'upload');
+    res.json({ ok: true, storage: await assertStorageFor(req, target.relativePath, size) });
+  } catch (error) {
+    if (!error.status) console.error('Upload preflight error:', error);
+    sendError(res, error, 'Failed to check storage');
+  }
+});
+
+app.get('/api/uploads/:id', async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, uploadOwner(req));
+    res.json({ session: sessionResponse(req, session) });
+  } catch (error) {
+    if (!error.status) console.error('Upload session error:', error);
+    sendError(res, error, 'Failed to load upload session');
+  }
+});
+
+app.put('/api/uploads/:id/chunks/:index', express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), async (req, res) => {
+  try {
+    // The first chunk shows what the file really is
+    if (req.params.index === '0' && Buffer.isBuffer(req.body)) {
+      const { targetPath, filename } = await getUploadSession(req.params.id, uploadOwner(req));
+      await assertUploadContent(req, targetPath, filename, req.body);
+    }
+    const session = await writeUploadChunk(
+      req.params.id,
+      uploadOwner(req),
+      req.params.index,
+      req.body,
+      req.get(CHUNK_CHECKSUM_HEADER)
+    );
     res.json({
-      existingChunks: existingChunks.sort((a, b) => a - b),
-      totalFound: existingChunks.length,
-      totalExpected: parseInt(totalChunks)
+      message: 'Chunk uploaded successfully',
+      chunkIndex: Number(req.params.index),
+      totalChunks: session.totalChunks,
+      uploaded: session.receivedChunks.length
     });
   } catch (error) {
-    console.error('Check chunks error:', error);
-    res.status(500).json({ error: 'Failed to check existing chunks' });
+    if (!error.status) console.error('Chunk upload error:', error);
+    sendError(res, error, 'Chunk upload failed');
   }
 });
 
-// Chunked upload support
-app.post('/api/upload-chunk', express.raw({ type: 'application/octet-stream', limit: '50mb' }), async (req, res) => {
+app.post('/api/uploads/:id/finalize', async (req, res) => {
   try {
-    const { filename, chunkIndex, totalChunks, targetPath } = req.query;
-    
-    if (!filename || chunkIndex === undefined || !totalChunks) {
-      return res.status(400).json({ error: 'Missing required parameters' });
+    const session = await finalizeUploadSession(
+      req.params.id,
+      uploadOwner(req),
+      (dataPath, claimed) => placeUploadedFile(req, dataPath, claimed),
+      req.body?.sha256,
+      req.dropBox ? undefined : req.body?.conflict
+    );
+
+    res.json({ message: 'File uploaded successfully', file: session.file, session: sessionResponse(req, session) });
+  } catch (error) {
+    if (!error.status) console.error('Finalize upload error:', error);
+    sendError(res, error, 'Failed to finish upload');
+  }
+});
+
+app.delete('/api/uploads/:id', async (req, res) => {
+  try {
+    await abortUploadSession(req.params.id, uploadOwner(req));
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    if (!error.status) console.error('Abort upload error:', error);
+    sendError(res, error, 'Failed to cancel upload');
+  }
+});
+
+// tus 1.0 resumable uploads (creation, termination, checksum, expiration) for tus
+// clients and scripts. Metadata: filename and targetPath.
+app.use('/api/tus', createTusRouter({
+  getOwner: uploadOwner,
+  resolveTarget: async (req, targetPath, filename, size, conflict) => {
+    const target = await resolveUploadTarget(req, targetPath, filename);
+    if (req.dropBox) {
+      assertDropSpace(req.dropBox, size);
     }
-    
-    // Sanitize filename to replace spaces with hyphens
-    const sanitizedFilename = sanitizeFilename(filename);
-    
-    const uploadsPath = path.join(UPLOADS_DIR, targetPath || '/');
-    fs.ensureDirSync(uploadsPath);
-    
-    const tempDir = path.join(uploadsPath, '.chunks');
-    fs.ensureDirSync(tempDir);
-    
-    const chunkPath = path.join(tempDir, `${sanitizedFilename}.part${chunkIndex}`);
-    
-    // Write chunk to disk
-    await fs.writeFile(chunkPath, req.body);
-    
-    // Check if all chunks are uploaded
-    const uploadedChunks = await fs.readdir(tempDir);
-    const fileChunks = uploadedChunks.filter(chunk => chunk.startsWith(`${sanitizedFilename}.part`));
-    
-    if (fileChunks.length === parseInt(totalChunks)) {
-      // All chunks uploaded, combine them
-      const finalPath = path.join(uploadsPath, sanitizedFilename);
-      const writeStream = fs.createWriteStream(finalPath);
-      
-      // Combine chunks in order
-      for (let i = 0; i < parseInt(totalChunks); i++) {
-        const chunkPath = path.join(tempDir, `${sanitizedFilename}.part${i}`);
-        const chunkData = await fs.readFile(chunkPath);
-        writeStream.write(chunkData);
-        await fs.unlink(chunkPath); // Clean up chunk
-      }
-      
-      writeStream.end();
-      
-      // Clean up temp directory if empty
-      try {
-        await fs.rmdir(tempDir);
-      } catch (e) {
-        // Directory not empty, that's fine
-      }
-      
-      // Get file stats
-      const stats = await fs.stat(finalPath);
-      const relativePath = path.join(targetPath || '/', sanitizedFilename);
-      
-      const file = {
-        name: sanitizedFilename,
-        path: relativePath.replace(/\\/g, '/'), // Normalize path separators
-        size: stats.size,
-        isVideo: isVideoFile(sanitizedFilename),
-        created: stats.birthtime,
-        modified: stats.mtime
-      };
-      
-      res.json({ 
-        message: 'File uploaded successfully',
-        file: file,
-        chunked: true
-      });
-    } else {
-      res.json({ 
-        message: 'Chunk uploaded successfully',
-        chunkIndex: parseInt(chunkIndex),
-        totalChunks: parseInt(totalChunks),
-        uploaded: fileChunks.length
-      });
+    await assertNoConflict(req, target, conflict);
+    await assertStorageFor(req, target.relativePath, size);
+    return target;
+  },
+  place: placeUploadedFile
+}));
+
+// Server-side imports from a URL (lib/urlImports.js):
+//   POST   /api/imports      { url, path, filename?, conflict? } -> job
+//   GET    /api/imports      the user's imports (admins see everyone's)
+//   GET    /api/imports/:id  progress
+//   DELETE /api/imports/:id  cancel (a finished import is removed from the list)
+const importOwner = (req) => (req.user.role === 'admin' ? null : req.user.id);
+
+app.post('/api/imports', async (req, res) => {
+  try {
+    const { url, path: targetPath, filename, conflict } = req.body || {};
+    parseImportUrl(url);
+
+    // Without a file name the response's is used - checked once the download starts
+    const target = await resolveUploadTarget(req, targetPath, filename || 'download');
+    if (filename) {
+      await assertNoConflict(req, target, conflict);
     }
+
+    const userId = req.user.id;
+    const job = createUrlImport({
+      url,
+      targetPath: target.relativePath,
+      filename: filename ? target.filename : null,
+      conflict: uploadConflictPolicy(req, conflict),
+      owner: userId,
+      assertSpace: (size) => assertUploadAllowed({ userId, targetPath: target.relativePath, size }),
+      // Imports finish in the background - the user's permissions (and quotas, for
+      // downloads of unannounced size) are checked again then
+      place: async (dataPath, finished) => {
+        const user = await findUserById(userId);
+        if (!user) throw new HttpError(410, 'The user who started this import no longer exists');
+        await assertUploadAllowed({ userId, targetPath: finished.targetPath, size: finished.size, onDisk: true });
+        return placeUploadedFile({ user }, dataPath, finished);
+      }
+    });
+
+    res.status(202).json({ job });
+  } catch (error) {
+    if (!error.status) console.error('Start import error:', error);
+    sendError(res, error, 'Failed to start import');
+  }
+});
+
+app.get('/api/imports', (req, res) => {
+  res.json({ jobs: listUrlImports(importOwner(req)) });
+});
+
+app.get('/api/imports/:id', (req, res) => {
+  try {
+    res.json({ job: getUrlImport(req.params.id, importOwner(req)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load import');
+  }
+});
+
+app.delete('/api/imports/:id', (req, res) => {
+  try {
+    const job = cancelUrlImport(req.params.id, importOwner(req));
+    res.json({ message: job ? 'Import cancelled' : 'Import removed', job });
   } catch (error) {
-    console.error('Chunk upload error:', error);
-    res.status(500).json({ error: 'Chunk upload failed: ' + error.message });
+    sendError(res, error, 'Failed to cancel import');
   }
 });
 
@@ -189,11 +840,35 @@ const getFileStats = async (filePath) => {
   }
 };
 
-// Helper function to check if file is a video
-const isVideoFile = (filename) => {
-  const videoExtensions = ['.mp4', '.mkv', '.mov', '.avi', '.wmv', '.flv', '.webm', '.m4v'];
-  const ext = path.extname(filename).toLowerCase();
-  return videoExtensions.includes(ext);
+// Helper function to check if file is a video - by its content (lib/contentTypes.js), not its name
+const isVideoFile = async (filePath) => isVideoType(await getFileContentType(filePath));
+
+// Keep what MediaGrid knows about stored files (hashes, owners, scan results, versions,
+// the metadata index) attached to them when they are renamed, and drop it when they are deleted
+const moveFileRecords = async (fromPath, toPath) => {
+  await moveFileHashes(fromPath, toPath);
+  await moveFileOwners(fromPath, toPath);
+  await moveFileScans(fromPath, toPath);
+  await moveFileVersions(fromPath, toPath);
+  moveIndexedItems(fromPath, toPath);
+};
+
+const forgetFileRecords = async (relativePath) => {
+  await forgetFileHashes(relativePath);
+  await forgetFileOwners(relativePath);
+  await forgetFileScans(relativePath);
+  await forgetFileVersions(relativePath);
+  forgetIndexedItems(relativePath);
+};
+
+// A file about to be replaced by an upload is kept as a version (lib/versions.js)
+const keepPreviousVersion = async (req, relativePath, fullPath) => {
+  const stats = await fs.stat(fullPath).catch(() => null);
+  if (!stats || !stats.isFile()) return;
+  const sha256 = await getFileHash(relativePath, { size: stats.size, modified: stats.mtime });
+  // The version keeps counting towards the quota of whoever stored the file
+  const owner = await getFileOwner(relativePath);
+  await keepVersion(relativePath, fullPath, { sha256, replacedBy: uploadOwner(req), owner });
 };
 
 // Get disk space usage
@@ -309,252 +984,1161 @@ const getSystemStats = async () => {
   }
 };
 
-// Utility function to sanitize filename
-const sanitizeFilename = (filename) => {
-  // Replace spaces with hyphens and remove special characters
-  return filename
-    .replace(/\s+/g, '-')           // Replace spaces with hyphens
-    .replace(/[^\w\-_.]/g, '')      // Remove special characters except hyphens, underscores, dots
-    .replace(/--+/g, '-')           // Replace multiple hyphens with single hyphen
-    .replace(/^-+|-+$/g, '');       // Remove leading/trailing hyphens
-};
-
 // API Routes
 
-// Get files and folders in a directory
-app.get('/api/files', async (req, res) => {
+// Current user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+// Change own password
+app.post('/api/auth/password', async (req, res) => {
   try {
-    const requestedPath = req.query.path || '/';
-    const fullPath = path.join(UPLOADS_DIR, requestedPath);
-    
-    // Ensure the path is within uploads directory
-    if (!fullPath.startsWith(UPLOADS_DIR)) {
-      return res.status(400).json({ error: 'Invalid path' });
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
     }
 
-    await fs.ensureDir(fullPath);
-    const items = await fs.readdir(fullPath);
-    
-    const files = [];
-    const folders = [];
-
-    for (const item of items) {
-      const itemPath = path.join(fullPath, item);
-      const stats = await getFileStats(itemPath);
-      
-      if (stats) {
-        const fileInfo = {
-          name: item,
-          path: path.posix.join(requestedPath, item),
-          size: stats.size,
-          created: stats.created,
-          modified: stats.modified,
-          isVideo: !stats.isDirectory && isVideoFile(item)
-        };
-
-        if (stats.isDirectory) {
-          folders.push({ ...fileInfo, type: 'folder' });
-        } else {
-          files.push({ ...fileInfo, type: 'file' });
-        }
-      }
-    }
+    await authenticate(req.user.username, currentPassword, req.ip);
+    await updateUser(req.user.id, { password: newPassword });
 
-    // Get disk usage and system stats
-    const diskUsage = await getDiskUsage();
-    const systemStats = await getSystemStats();
+    // Changing the password signs out every session, so start a fresh one here
+    const token = await createSession(req.user.id);
+    setSessionCookie(req, res, token);
 
-    res.json({
-      currentPath: requestedPath,
-      folders: folders.sort((a, b) => a.name.localeCompare(b.name)),
-      files: files.sort((a, b) => a.name.localeCompare(b.name)),
-      diskUsage,
-      systemStats
-    });
+    res.json({ message: 'Password changed successfully', token });
   } catch (error) {
-    console.error('Error reading directory:', error);
-    res.status(500).json({ error: 'Failed to read directory' });
+    if (!error.status) console.error('Change password error:', error);
+    sendError(res, error, 'Failed to change password');
   }
 });
 
-// Upload file
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+// User management (admin only)
+app.get('/api/users', requireAdmin, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    // Sanitize filename to replace spaces with hyphens
-    const sanitizedFilename = sanitizeFilename(req.file.originalname);
-    
-    console.log('File received:', req.file.originalname, '-> Sanitized:', sanitizedFilename); // Debug log
-    console.log('Target path from body:', req.body.path); // Debug log
-
-    // Get target path and ensure it exists
-    const targetPath = req.body.path || '/';
-    const targetDir = path.join(UPLOADS_DIR, targetPath);
-    await fs.ensureDir(targetDir);
-    
-    // Write file to target directory with sanitized filename
-    const finalPath = path.join(targetDir, sanitizedFilename);
-    await fs.writeFile(finalPath, req.file.buffer);
-
-    console.log('File written to:', finalPath); // Debug log
-
-    // Build the correct path for the response
-    const relativePath = path.posix.join(targetPath, sanitizedFilename);
-
-    const uploadedFile = {
-      name: sanitizedFilename,
-      path: relativePath,
-      size: req.file.size,
-      isVideo: isVideoFile(sanitizedFilename),
-      created: new Date(),
-      modified: new Date()
-    };
-
-    res.json({ 
-      message: 'File uploaded successfully',
-      file: uploadedFile
-    });
+    res.json({ users: await listUsers(), roles: USER_ROLES });
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Upload failed: ' + error.message });
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users' });
   }
 });
 
-// Create folder
-app.post('/api/folder', async (req, res) => {
+app.post('/api/users', requireAdmin, async (req, res) => {
   try {
-    const { name, path: folderPath = '/' } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: 'Folder name is required' });
+    const { username, password, role } = req.body;
+    const user = await createUser({ username, password, role });
+    res.json({ message: 'User created successfully', user });
+  } catch (error) {
+    if (!error.status) console.error('Error creating user:', error);
+    sendError(res, error, 'Failed to create user');
+  }
+});
+
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const { password, role } = req.body;
+    const user = await updateUser(req.params.id, { password, role });
+    res.json({ message: 'User updated successfully', user });
+  } catch (error) {
+    if (!error.status) console.error('Error updating user:', error);
+    sendError(res, error, 'Failed to update user');
+  }
+});
+
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
     }
+    await deleteUser(req.params.id);
+    await setUserQuota(req.params.id, null);
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting user:', error);
+    sendError(res, error, 'Failed to delete user');
+  }
+});
 
-    const fullPath = path.join(UPLOADS_DIR, folderPath, name);
-    
-    // Ensure the path is within uploads directory
-    if (!fullPath.startsWith(UPLOADS_DIR)) {
-      return res.status(400).json({ error: 'Invalid path' });
-    }
-
-    // Check if folder already exists
-    const exists = await fs.pathExists(fullPath);
-    if (exists) {
-      // Return success if folder already exists (useful for batch operations)
-      return res.json({
-        message: 'Folder already exists',
-        folder: {
-          name,
-          path: path.posix.join(folderPath, name)
+// Folder access rules (admin only)
+app.get('/api/acl', requireAdmin, async (req, res) => {
+  try {
+    const [rules, users] = await Promise.all([listRules(), listUsers()]);
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+    res.json({
+      rules: rules.map(rule => ({ ...rule, username: usernames.get(rule.userId) || 'unknown' })),
+      roles: ROLES.filter(role => role !== 'admin')
+    });
+  } catch (error) {
+    console.error('Error listing access rules:', error);
+    res.status(500).json({ error: 'Failed to list access rules' });
+  }
+});
+
+app.post('/api/acl', requireAdmin, async (req, res) => {
+  try {
+    const { path: rulePath = '/', userId, role } = req.body;
+    const users = await listUsers();
+    if (!users.some(user => user.id === userId)) {
+      return res.status(400).json({ error: 'Unknown user' });
+    }
+    const rule = await addRule({ path: rulePath, userId, role });
+    res.json({ message: 'Access rule saved', rule });
+  } catch (error) {
+    if (!error.status) console.error('Error saving access rule:', error);
+    sendError(res, error, 'Failed to save access rule');
+  }
+});
+
+app.delete('/api/acl/:id', requireAdmin, async (req, res) => {
+  try {
+    await removeRule(req.params.id);
+    res.json({ message: 'Access rule removed' });
+  } catch (error) {
+    if (!error.status) console.error('Error removing access rule:', error);
+    sendError(res, error, 'Failed to remove access rule');
+  }
+});
+
+// "user:<id>" / "drop:<id>" -> who uploaded, for the admin panels
+const describeUploadOwner = async (owner, usernames) => {
+  const [type, id] = String(owner).split(':');
+  if (type === 'user') return usernames.get(id) || 'unknown';
+  if (type === 'drop') return `Upload link "${(await findDropById(id))?.title || 'deleted'}"`;
+  return null;
+};
+
+// Unfinished uploads (admin only) - see lib/janitor.js
+app.get('/api/admin/uploads', requireAdmin, async (req, res) => {
+  try {
+    const [uploads, users] = await Promise.all([listPendingUploads(), listUsers()]);
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+
+    res.json({
+      uploads: await Promise.all(uploads.map(async upload => ({ ...upload, ownerName: await describeUploadOwner(upload.owner, usernames) }))),
+      janitor: getJanitorStatus()
+    });
+  } catch (error) {
+    console.error('Error listing uploads:', error);
+    res.status(500).json({ error: 'Failed to list uploads' });
+  }
+});
+
+app.delete('/api/admin/uploads/:kind/:id', requireAdmin, async (req, res) => {
+  try {
+    await cancelPendingUpload(req.params.kind, req.params.id);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    if (!error.status) console.error('Error cancelling upload:', error);
+    sendError(res, error, 'Failed to cancel upload');
+  }
+});
+
+// Run the janitor now instead of waiting for its next run
+app.post('/api/admin/uploads/cleanup', requireAdmin, async (req, res) => {
+  try {
+    const result = await collectAbandonedUploads();
+    res.json({ message: `Removed ${result.removed} abandoned uploads`, ...result });
+  } catch (error) {
+    console.error('Error cleaning up uploads:', error);
+    res.status(500).json({ error: 'Failed to clean up uploads' });
+  }
+});
+
+// Storage quotas (admin only) - see lib/quotas.js. Limits are in bytes, null removes one.
+app.get('/api/admin/quotas', requireAdmin, async (req, res) => {
+  try {
+    const [quotas, storage] = await Promise.all([listQuotas(await listUsers()), getStorageSummary(null)]);
+    res.json({ ...quotas, disk: storage.disk });
+  } catch (error) {
+    console.error('Error listing quotas:', error);
+    res.status(500).json({ error: 'Failed to list quotas' });
+  }
+});
+
+app.put('/api/admin/quotas/users/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!await findUserById(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await setUserQuota(req.params.id, req.body?.limit);
+    res.json({ message: 'Quota updated' });
+  } catch (error) {
+    if (!error.status) console.error('Error setting user quota:', error);
+    sendError(res, error, 'Failed to set quota');
+  }
+});
+
+app.put('/api/admin/quotas/folders', requireAdmin, async (req, res) => {
+  try {
+    const { path: folderPath, limit } = req.body || {};
+    const { relativePath } = await resolveUploadPath(folderPath || '/');
+    await setFolderQuota(relativePath, limit);
+    res.json({ message: 'Quota updated' });
+  } catch (error) {
+    if (!error.status) console.error('Error setting folder quota:', error);
+    sendError(res, error, 'Failed to set quota');
+  }
+});
+
+// Content type policies (admin only) - see lib/contentTypes.js
+app.get('/api/admin/content-policies', requireAdmin, async (req, res) => {
+  try {
+    res.json(await listContentPolicies());
+  } catch (error) {
+    console.error('Error listing content policies:', error);
+    res.status(500).json({ error: 'Failed to list content policies' });
+  }
+});
+
+app.put('/api/admin/content-policies', requireAdmin, async (req, res) => {
+  try {
+    const { path: policyPath, allow, block } = req.body || {};
+    const { relativePath } = await resolveUploadPath(policyPath || '/');
+    const policy = await setContentPolicy({ path: relativePath, allow, block });
+    res.json({ message: 'Content policy saved', policy });
+  } catch (error) {
+    if (!error.status) console.error('Error saving content policy:', error);
+    sendError(res, error, 'Failed to save content policy');
+  }
+});
+
+app.delete('/api/admin/content-policies/:id', requireAdmin, async (req, res) => {
+  try {
+    await removeContentPolicy(req.params.id);
+    res.json({ message: 'Content policy removed' });
+  } catch (error) {
+    if (!error.status) console.error('Error removing content policy:', error);
+    sendError(res, error, 'Failed to remove content policy');
+  }
+});
+
+// Audit log (admin only), newest first - `type` filters, `limit` caps (default 100)
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json({ events: await readAuditEvents({ type: req.query.type, limit }) });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+// Malware scanning (admin only) - see lib/scanner.js
+app.get('/api/admin/quarantine', requireAdmin, async (req, res) => {
+  try {
+    const [quarantine, users] = await Promise.all([listQuarantine(), listUsers()]);
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+    res.json({
+      files: await Promise.all(quarantine.map(async entry => ({ ...entry, uploadedByName: await describeUploadOwner(entry.uploadedBy, usernames) }))),
+      enabled: isScanningEnabled()
+    });
+  } catch (error) {
+    console.error('Error listing quarantine:', error);
+    res.status(500).json({ error: 'Failed to list quarantined files' });
+  }
+});
+
+app.delete('/api/admin/quarantine/:id', requireAdmin, async (req, res) => {
+  try {
+    await deleteQuarantined(req.params.id);
+    res.json({ message: 'Quarantined file deleted' });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting quarantined file:', error);
+    sendError(res, error, 'Failed to delete quarantined file');
+  }
+});
+
+// A false positive goes back where it was uploaded to (numbered if the name is taken now)
+app.post('/api/admin/quarantine/:id/restore', requireAdmin, async (req, res) => {
+  try {
+    const relativePath = await releaseQuarantined(req.params.id, async (dataPath, entry) => {
+      const parentPath = path.posix.dirname(entry.originalPath);
+      const target = await resolveConflict(parentPath, path.posix.basename(entry.originalPath), 'rename');
+      await fs.ensureDir(path.dirname(target.fullPath));
+      await fs.move(dataPath, target.fullPath);
+
+      // The file counts towards its uploader's quota again
+      const [type, id] = String(entry.uploadedBy).split(':');
+      const ownerId = type === 'drop' ? (await findDropById(id))?.createdBy : id;
+      if (ownerId) await recordFileOwner(target.relativePath, ownerId, entry.size ?? 0);
+      await indexItem(target.relativePath);
+      return target.relativePath;
+    });
+    res.json({ message: 'File restored', path: relativePath });
+  } catch (error) {
+    if (!error.status) console.error('Error restoring quarantined file:', error);
+    sendError(res, error, 'Failed to restore quarantined file');
+  }
+});
+
+// Scan a file again, e.g. after the scanner failed on it
+app.post('/api/admin/scans', requireAdmin, async (req, res) => {
+  try {
+    const { relativePath, fullPath } = await resolveUploadPath(req.body?.path || '/');
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    await rescanFile(relativePath);
+    res.json({ message: 'Scan queued', scan: await getScanStatus(relativePath) });
+  } catch (error) {
+    if (!error.status) console.error('Error queueing scan:', error);
+    sendError(res, error, 'Failed to queue scan');
+  }
+});
+
+// Share links management
+app.post('/api/shares', async (req, res) => {
+  try {
+    const { path: sharePath, expiresInHours = 24 * 7, password, maxDownloads } = req.body;
+    if (!sharePath) {
+      return res.status(400).json({ error: 'Path is required' });
+    }
+
+    const { relativePath, fullPath } = await resolveUploadPath(sharePath);
+    await assertPermission(req.user, relativePath, 'share');
+
+    const stats = await getFileStats(fullPath);
+    if (!stats) {
+      return res.status(404).json({ error: 'File or folder not found' });
+    }
+
+    const share = await createShare({
+      path: relativePath,
+      isFolder: stats.isDirectory,
+      createdBy: req.user.id,
+      expiresInHours,
+      password,
+      maxDownloads
+    });
+
+    res.json({ message: 'Share link created', share });
+  } catch (error) {
+    if (!error.status) console.error('Error creating share link:', error);
+    sendError(res, error, 'Failed to create share link');
+  }
+});
+
+app.get('/api/shares', async (req, res) => {
+  try {
+    const [shares, users] = await Promise.all([listShares(req.user), listUsers()]);
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+    res.json({
+      shares: shares
+        .map(share => ({ ...share, createdByName: usernames.get(share.createdBy) || 'unknown' }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    });
+  } catch (error) {
+    console.error('Error listing share links:', error);
+    res.status(500).json({ error: 'Failed to list share links' });
+  }
+});
+
+app.delete('/api/shares/:id', async (req, res) => {
+  try {
+    await revokeShare(req.params.id, req.user);
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    if (!error.status) console.error('Error revoking share link:', error);
+    sendError(res, error, 'Failed to revoke share link');
+  }
+});
+
+// Drop boxes (upload-only links to a folder) management
+app.post('/api/drops', async (req, res) => {
+  try {
+    const { path: dropPath, title, expiresInHours = 24 * 7, maxTotalSize, allowedExtensions } = req.body;
+    if (!dropPath) {
+      return res.status(400).json({ error: 'Path is required' });
+    }
+
+    const { relativePath, fullPath } = await resolveUploadPath(dropPath);
+    await assertPermission(req.user, relativePath, 'share');
+
+    const stats = await getFileStats(fullPath);
+    if (!stats || !stats.isDirectory) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const drop = await createDrop({
+      path: relativePath,
+      title,
+      createdBy: req.user.id,
+      expiresInHours,
+      maxTotalSize,
+      allowedExtensions
+    });
+
+    res.json({ message: 'Upload link created', drop });
+  } catch (error) {
+    if (!error.status) console.error('Error creating upload link:', error);
+    sendError(res, error, 'Failed to create upload link');
+  }
+});
+
+app.get('/api/drops', async (req, res) => {
+  try {
+    const [drops, users] = await Promise.all([listDrops(req.user), listUsers()]);
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+    res.json({
+      drops: drops
+        .map(drop => ({ ...drop, createdByName: usernames.get(drop.createdBy) || 'unknown' }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    });
+  } catch (error) {
+    console.error('Error listing upload links:', error);
+    res.status(500).json({ error: 'Failed to list upload links' });
+  }
+});
+
+app.delete('/api/drops/:id', async (req, res) => {
+  try {
+    await revokeDrop(req.params.id, req.user);
+    res.json({ message: 'Upload link revoked' });
+  } catch (error) {
+    if (!error.status) console.error('Error revoking upload link:', error);
+    sendError(res, error, 'Failed to revoke upload link');
+  }
+});
+
+// Live change notifications (server-sent events): `change` events name the folders whose
+// contents changed, limited to folders the user can open
+app.get('/api/events', (req, res) => {
+  subscribeToChanges(req, res, async (folderPath) => (
+    roleAllows(await getEffectiveRole(req.user, folderPath), 'view') || canTraverse(req.user, folderPath)
+  ));
+});
+
+// Listing order: `sort` is name (default), size or modified, `order` asc (default) or desc.
+// Ties are broken by name.
+const LISTING_SORTS = {
+  name: () => 0,
+  size: (a, b) => a.size - b.size,
+  modified: (a, b) => new Date(a.modified) - new Date(b.modified)
+};
+
+const parseListingSort = (sort = 'name', order = 'asc') => {
+  if (!LISTING_SORTS[sort]) {
+    throw new HttpError(400, `sort must be one of: ${Object.keys(LISTING_SORTS).join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new HttpError(400, 'order must be asc or desc');
+  }
+  const direction = order === 'desc' ? -1 : 1;
+  return (a, b) => direction * (LISTING_SORTS[sort](a, b) || a.name.localeCompare(b.name));
+};
+
+// An index entry as listings and search results show it. `usernames` maps user ids to names.
+const describeListedItem = async (item, role, usernames) => {
+  const fileInfo = {
+    name: item.name,
+    path: item.path,
+    size: item.size,
+    created: item.created,
+    modified: item.modified,
+    isVideo: false,
+    tags: item.tags,
+    fields: item.fields,
+    role
+  };
+
+  if (item.isDirectory) return { ...fileInfo, type: 'folder' };
+
+  // Hash of files uploaded through MediaGrid, for verifying downloads
+  fileInfo.sha256 = item.sha256;
+  fileInfo.contentType = item.contentType;
+  fileInfo.isVideo = isVideoType(item.contentType || '');
+  fileInfo.media = item.media;
+  fileInfo.uploadedBy = item.uploadedBy ? usernames.get(item.uploadedBy) || null : null;
+  fileInfo.scan = await getScanStatus(item.path);
+  fileInfo.versions = (await listVersions(item.path)).length;
+  return { ...fileInfo, type: 'file' };
+};
+
+// Get files and folders in a directory. `sort` and `order` as above, `tag` ("approved,raw")
+// lists only the items with all of those tags.
+app.get('/api/files', async (req, res) => {
+  try {
+    const { relativePath: requestedPath, fullPath } = await resolveUploadPath(req.query.path || '/');
+
+    // Users without view access may still pass through towards a folder they were granted
+    const currentRole = await getEffectiveRole(req.user, requestedPath);
+    const canView = roleAllows(currentRole, 'view');
+    if (!canView && !await canTraverse(req.user, requestedPath)) {
+      return res.status(403).json({ error: 'You do not have permission to view this folder' });
+    }
+
+    const sortListing = parseListingSort(req.query.sort, req.query.order);
+    const tags = parseTagList(req.query.tag, 'tag');
+
+    // Listing a folder that does not exist yet creates it
+    await fs.ensureDir(fullPath);
+    if (requestedPath !== '/' && !getIndexedItem(requestedPath)) await indexItem(requestedPath);
+
+    const usernames = new Map((await listUsers()).map(user => [user.id, user.username]));
+    const files = [];
+    const folders = [];
+
+    // Entries come from the metadata index (lib/fileIndex.js), not the disk
+    for (const item of listIndexedFolder(requestedPath)) {
+      const role = await getEffectiveRole(req.user, item.path);
+
+      // Hide everything the user can neither view nor navigate through
+      if (!roleAllows(role, 'view') && !(item.isDirectory && await canTraverse(req.user, item.path))) {
+        continue;
+      }
+      if (!hasAllTags(item.tags, tags)) continue;
+
+      const entry = await describeListedItem(item, role, usernames);
+      if (item.isDirectory) folders.push(entry);
+      else files.push(entry);
+    }
+
+    // Get disk usage and system stats, and what the user may still store here
+    const diskUsage = await getDiskUsage();
+    const systemStats = await getSystemStats();
+    const storage = await getStorageSummary(req.user.id, requestedPath);
+
+    res.json({
+      currentPath: requestedPath,
+      role: currentRole,
+      folders: folders.sort(sortListing),
+      files: files.sort(sortListing),
+      diskUsage,
+      systemStats,
+      storage
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error reading directory:', error);
+    sendError(res, error, 'Failed to read directory');
+  }
+});
+
+// Search across the tree (the metadata index). Query:
+//   path        folder to search below (default: everywhere)
+//   q           part of the name         glob   name pattern, e.g. "*interview*.mp4"
+//   ext         extensions, "mp4,mov"    type   content type family ("video") or type ("video/mp4")
+//   minSize     bytes                    maxSize
+//   from        modified on or after     to     modified before (a plain date: up to the end of that day)
+//   kind        file or folder           sort / order  like listings
+//   tag         tags, "approved,raw" - items with all of them
+//   offset      paging, `limit` (at most MAX_SEARCH_PAGE_SIZE) results at a time
+// Hits are listed like in /api/files, with the `folder` they are in. The index is read
+// SEARCH_BATCH_SIZE rows at a time and only until the page is full: `total` counts the
+// hits up to the end of the page, and `hasMore` says whether there are more after it.
+const SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_PAGE_SIZE = 200;
+const SEARCH_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseSearchNumber = (value, label) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new HttpError(400, `${label} must be a number of 0 or more`);
+  return number;
+};
+
+const parseSearchDate = (value, label, { endOfDay = false } = {}) => {
+  if (!value) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new HttpError(400, `${label} must be a date`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS : time;
+};
+
+const parseSearchFilters = (query) => {
+  const filters = {
+    text: query.q ? String(query.q) : undefined,
+    glob: query.glob ? String(query.glob) : undefined,
+    extensions: String(query.ext || '').split(',').map(extension => extension.trim().replace(/^\./, '')).filter(Boolean),
+    minSize: parseSearchNumber(query.minSize, 'minSize'),
+    maxSize: parseSearchNumber(query.maxSize, 'maxSize'),
+    modifiedFrom: parseSearchDate(query.from, 'from'),
+    modifiedTo: parseSearchDate(query.to, 'to', { endOfDay: true }),
+    contentType: query.type ? String(query.type).toLowerCase() : undefined,
+    kind: query.kind || undefined,
+    tags: parseTagList(query.tag, 'tag')
+  };
+  if (filters.contentType && !/^[a-z]+(\/[a-z0-9.+-]+)?$/.test(filters.contentType)) {
+    throw new HttpError(400, 'type must be a content type like "video" or "video/mp4"');
+  }
+  if (filters.kind && filters.kind !== 'file' && filters.kind !== 'folder') {
+    throw new HttpError(400, 'kind must be file or folder');
+  }
+  const { kind, extensions, tags, ...criteria } = filters;
+  if (extensions.length === 0 && tags.length === 0 && Object.values(criteria).every(value => value === undefined)) {
+    throw new HttpError(400, 'Give at least one thing to search for');
+  }
+  return filters;
+};
+
+app.get('/api/search', async (req, res) => {
+  try {
+    const { relativePath: scope } = await resolveUploadPath(req.query.path || '/');
+    if (!roleAllows(await getEffectiveRole(req.user, scope), 'view') && !await canTraverse(req.user, scope)) {
+      return res.status(403).json({ error: 'You do not have permission to view this folder' });
+    }
+
+    const filters = parseSearchFilters(req.query);
+    const { sort = 'name', order = 'asc' } = req.query;
+    parseListingSort(sort, order);
+    const limit = Math.floor(Math.min(parseSearchNumber(req.query.limit, 'limit') || SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE));
+    const offset = Math.floor(parseSearchNumber(req.query.offset, 'offset') || 0);
+
+    // The index knows nothing about permissions - hits the user can't view are dropped
+    // here, one batch of rows at a time until one hit past the page shows there are more
+    const page = [];
+    let visible = 0;
+    let hasMore = false;
+    for (let rowOffset = 0; !hasMore; rowOffset += SEARCH_BATCH_SIZE) {
+      const rows = searchIndex({ ...filters, path: scope, sort, order, limit: SEARCH_BATCH_SIZE, offset: rowOffset });
+      for (const item of rows) {
+        const role = await getEffectiveRole(req.user, item.path);
+        if (!roleAllows(role, 'view')) continue;
+        if (visible >= offset + limit) {
+          hasMore = true;
+          break;
         }
+        if (visible >= offset) page.push({ item, role });
+        visible += 1;
+      }
+      if (rows.length < SEARCH_BATCH_SIZE) break;
+    }
+
+    const usernames = new Map((await listUsers()).map(user => [user.id, user.username]));
+    const results = [];
+    for (const { item, role } of page) {
+      results.push({ ...await describeListedItem(item, role, usernames), folder: path.posix.dirname(item.path) });
+    }
+    res.json({ results, total: visible, hasMore, offset, limit });
+  } catch (error) {
+    if (!error.status) console.error('Search error:', error);
+    sendError(res, error, 'Failed to search');
+  }
+});
+
+// Tags and custom fields of files and folders (lib/metadata.js), kept in the index:
+//   GET    /api/metadata?path=...  { path, tags, fields }
+//   PATCH  /api/metadata           { path, tags?, addTags?, removeTags?, fields? }
+//   DELETE /api/metadata?path=...  removes all tags and fields
+//   GET    /api/tags?path=...      tags in use at or below the folder, with how many items have each
+// Changing them takes the 'tag' permission (editors).
+
+// An item's index entry - indexed first if the watcher hasn't got to it yet
+const getMetadataItem = async (itemPath) => {
+  const { relativePath, fullPath } = await resolveUploadPath(itemPath);
+  if (relativePath === '/') throw new HttpError(400, 'The root folder cannot have tags or fields');
+  const item = getIndexedItem(relativePath) || (await fs.pathExists(fullPath) ? await indexItem(relativePath) : null);
+  if (!item) throw new HttpError(404, 'File or folder not found');
+  return item;
+};
+
+const publicMetadata = (item) => ({ path: item.path, tags: item.tags, fields: item.fields });
+
+const updateMetadata = async (req, { path: itemPath, ...changes }) => {
+  if (!itemPath) throw new HttpError(400, 'path is required');
+  const item = await getMetadataItem(itemPath);
+  await assertPermission(req.user, item.path, 'tag');
+  const updated = setIndexedMetadata(item.path, applyMetadataChanges(item, changes));
+  // Nothing changes on disk, so the watcher won't tell open windows
+  await publishChanges([path.posix.dirname(item.path)]);
+  return publicMetadata(updated);
+};
+
+app.get('/api/metadata', async (req, res) => {
+  try {
+    const item = await getMetadataItem(req.query.path);
+    await assertPermission(req.user, item.path, 'view');
+    res.json(publicMetadata(item));
+  } catch (error) {
+    if (!error.status) console.error('Metadata error:', error);
+    sendError(res, error, 'Failed to load tags and fields');
+  }
+});
+
+app.patch('/api/metadata', async (req, res) => {
+  try {
+    res.json(await updateMetadata(req, req.body || {}));
+  } catch (error) {
+    if (!error.status) console.error('Update metadata error:', error);
+    sendError(res, error, 'Failed to update tags and fields');
+  }
+});
+
+app.delete('/api/metadata', async (req, res) => {
+  try {
+    const item = await getMetadataItem(req.query.path);
+    await assertPermission(req.user, item.path, 'tag');
+    const updated = setIndexedMetadata(item.path, { tags: [], fields: {} });
+    await publishChanges([path.posix.dirname(item.path)]);
+    res.json(publicMetadata(updated));
+  } catch (error) {
+    if (!error.status) console.error('Delete metadata error:', error);
+    sendError(res, error, 'Failed to remove tags and fields');
+  }
+});
+
+app.get('/api/tags', async (req, res) => {
+  try {
+    const { relativePath: scope } = await resolveUploadPath(req.query.path || '/');
+    if (!roleAllows(await getEffectiveRole(req.user, scope), 'view') && !await canTraverse(req.user, scope)) {
+      return res.status(403).json({ error: 'You do not have permission to view this folder' });
+    }
+
+    // Counted over the items the user can view, ignoring case - the first spelling is listed
+    const counts = new Map();
+    for (const item of listTaggedItems(scope)) {
+      if (!roleAllows(await getEffectiveRole(req.user, item.path), 'view')) continue;
+      for (const tag of item.tags) {
+        const entry = counts.get(tag.toLowerCase()) || { tag, count: 0 };
+        entry.count += 1;
+        counts.set(tag.toLowerCase(), entry);
+      }
+    }
+    const tags = [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    res.json({ tags });
+  } catch (error) {
+    if (!error.status) console.error('List tags error:', error);
+    sendError(res, error, 'Failed to list tags');
+  }
+});
+
+// Upload one or more files in a single multipart request ("file" fields). Optional
+// `sha256` fields hold the checksum of each file, in the same order, and a `conflict`
+// field the policy for names that are already taken.
+app.post('/api/upload', async (req, res) => {
+  let received = [];
+  try {
+    // Refuse what is too big from the headers alone, before reading the body
+    if (Number(req.get('Content-Length')) > MAX_UPLOAD_REQUEST_SIZE) {
+      return res.status(413).json({ error: `Uploads can be at most ${MAX_UPLOAD_REQUEST_SIZE} bytes per request` });
+    }
+    // The folder may only be known from the body - its quota is checked once it is received
+    await assertStorageFor(req, undefined, req.get('Content-Length'));
+
+    await receiveUpload(req, res);
+    received = req.files || [];
+    if (received.length === 0) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // The path may also have come after the files - only now is it certain where they go
+    const { relativePath: targetPath } = await resolveUploadPath(req.body.path ?? req.query.path ?? '/');
+    await assertPermission(req.user, targetPath, 'upload');
+
+    const conflictPolicy = parseConflictPolicy(req.body.conflict ?? req.query.conflict, 'overwrite');
+    await assertStorageFor(req, targetPath, received.reduce((total, file) => total + file.size, 0), { onDisk: true });
+
+    // Check every file before placing any, so a refused request leaves nothing behind
+    const checksums = [].concat(req.body.sha256 ?? []);
+    const placements = [];
+    const names = new Set();
+    for (const [index, file] of received.entries()) {
+      const expectedSha256 = parseSha256(checksums[index]);
+      if (expectedSha256 && file.sha256 !== expectedSha256) {
+        throw fileChecksumMismatch();
+      }
+      // Sanitize filename to replace spaces with hyphens
+      const name = assertSafeName(sanitizeFilename(file.originalname), 'file name');
+      // Checked again - the folder may have come after the files
+      if (file.target.relativePath !== targetPath) {
+        await assertUploadContent(req, targetPath, name, await readFileHead(file.path));
+      }
+      await resolveConflict(targetPath, name, conflictPolicy);
+      if (conflictPolicy === 'fail' && names.has(name)) {
+        throw new HttpError(409, `"${name}" is in this upload more than once`, { conflict: true, name });
+      }
+      names.add(name);
+      placements.push({ file, name });
+    }
+
+    // Resolved again while placing - earlier files of this request may have taken a name
+    const uploadedFiles = [];
+    const skippedFiles = [];
+    for (const { file, name: requestedName } of placements) {
+      const {
+        relativePath,
+        fullPath: finalPath,
+        name,
+        exists
+      } = await resolveConflict(targetPath, requestedName, conflictPolicy);
+      if (exists && conflictPolicy === 'skip') {
+        skippedFiles.push({ name, path: relativePath });
+        continue;
+      }
+
+      await fs.ensureDir(path.dirname(finalPath));
+      if (exists) await keepPreviousVersion(req, relativePath, finalPath);
+      await fs.rename(file.path, finalPath);
+      await recordFileHash(relativePath, finalPath, file.sha256);
+
+      const stats = await fs.stat(finalPath);
+      await recordFileOwner(relativePath, req.user.id, stats.size);
+      await queueScan(relativePath, uploadOwner(req));
+      await indexItem(relativePath);
+      uploadedFiles.push({
+        name,
+        path: relativePath,
+        size: stats.size,
+        isVideo: await isVideoFile(finalPath),
+        sha256: file.sha256,
+        created: stats.birthtime,
+        modified: stats.mtime
       });
     }
 
-    await fs.ensureDir(fullPath);
-    
-    res.json({
-      message: 'Folder created successfully',
+    let message = uploadedFiles.length > 1 ? `${uploadedFiles.length} files uploaded successfully` : 'File uploaded successfully';
+    if (uploadedFiles.length === 0) {
+      message = 'Files already exist, upload skipped';
+    } else if (skippedFiles.length > 0) {
+      message += `, ${skippedFiles.length} skipped`;
+    }
+
+    res.json({ 
+      message,
+      file: uploadedFiles[0],
+      files: uploadedFiles,
+      skipped: skippedFiles
+    });
+  } catch (error) {
+    if (error.status) return sendError(res, error);
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  } finally {
+    // Temp files that were not moved into place
+    await Promise.all(received.map(file => fs.remove(file.path)));
+  }
+});
+
+// Create a folder inside `path`. An existing folder of that name counts as created
+// (useful for folder uploads and batches) unless `conflict` says rename or fail.
+const createFolder = async (req, { name: requestedName, path: requestedPath = '/', conflict }) => {
+  if (!requestedName) throw new HttpError(400, 'Folder name is required');
+
+  const conflictPolicy = parseConflictPolicy(conflict, 'skip');
+  const name = assertSafeName(requestedName, 'folder name');
+  const { relativePath: folderPath } = await resolveUploadPath(requestedPath);
+  await resolveChildPath(folderPath, name, 'folder name');
+
+  await assertPermission(req.user, folderPath, 'createFolder');
+
+  const target = await resolveConflict(
+    folderPath,
+    name,
+    conflictPolicy === 'overwrite' ? 'skip' : conflictPolicy,
+    { isDirectory: true }
+  );
+
+  if (target.exists) {
+    return {
+      message: 'Folder already exists',
       folder: {
         name,
-        path: path.posix.join(folderPath, name)
+        path: target.relativePath
       }
-    });
+    };
+  }
+
+  await fs.ensureDir(target.fullPath);
+  await indexItem(target.relativePath);
+
+  return {
+    message: 'Folder created successfully',
+    folder: {
+      name: target.name,
+      path: target.relativePath
+    }
+  };
+};
+
+app.post('/api/folder', async (req, res) => {
+  try {
+    res.json(await createFolder(req, req.body || {}));
   } catch (error) {
-    console.error('Error creating folder:', error);
-    res.status(500).json({ error: 'Failed to create folder' });
+    if (!error.status) console.error('Error creating folder:', error);
+    sendError(res, error, 'Failed to create folder');
   }
 });
 
+// Deleting moves to the trash (lib/trash.js) - what was recorded about the item goes with it
+const moveToTrash = async (req, relativePath, fullPath) => {
+  const trashed = await trashItem({ relativePath, fullPath, user: req.user });
+  await moveFileRecords(relativePath, trashed.storedPath);
+  return trashed;
+};
+
+// Move a file or folder to the trash - a folder needs delete rights on everything inside
+const deleteItem = async (req, itemPath) => {
+  if (!itemPath) throw new HttpError(400, 'Path is required');
+  const { relativePath, fullPath } = await resolveUploadPath(itemPath);
+  if (relativePath === '/') throw new HttpError(400, 'Cannot delete the root folder');
+
+  const stats = await fs.lstat(fullPath).catch(() => null);
+  if (!stats) throw new HttpError(404, 'File or folder not found');
+  await assertPermission(req.user, relativePath, 'delete', { recursive: stats.isDirectory() });
+
+  const trashed = await moveToTrash(req, relativePath, fullPath);
+  return { message: `${stats.isDirectory() ? 'Folder' : 'File'} moved to trash`, trashId: trashed.id };
+};
+
 // Delete file
 app.delete('/api/file', async (req, res) => {
   try {
-    const { path: filePath } = req.body;
-    
-    if (!filePath) {
+    if (!req.body.path) {
       return res.status(400).json({ error: 'File path is required' });
     }
 
-    const fullPath = path.join(UPLOADS_DIR, filePath);
-    
-    // Ensure the path is within uploads directory
-    if (!fullPath.startsWith(UPLOADS_DIR)) {
-      return res.status(400).json({ error: 'Invalid path' });
-    }
-
-    await fs.remove(fullPath);
-    
-    res.json({ message: 'File deleted successfully' });
+    res.json(await deleteItem(req, req.body.path));
   } catch (error) {
-    console.error('Error deleting file:', error);
-    res.status(500).json({ error: 'Failed to delete file' });
+    if (!error.status) console.error('Error deleting file:', error);
+    sendError(res, error, 'Failed to delete file');
   }
 });
 
 // Delete folder
 app.delete('/api/folder', async (req, res) => {
   try {
-    const { path: folderPath } = req.body;
-    
-    if (!folderPath) {
+    if (!req.body.path) {
       return res.status(400).json({ error: 'Folder path is required' });
     }
 
-    const fullPath = path.join(UPLOADS_DIR, folderPath);
-    
-    // Ensure the path is within uploads directory
-    if (!fullPath.startsWith(UPLOADS_DIR)) {
-      return res.status(400).json({ error: 'Invalid path' });
-    }
-
-    await fs.remove(fullPath);
-    
-    res.json({ message: 'Folder deleted successfully' });
+    res.json(await deleteItem(req, req.body.path));
   } catch (error) {
-    console.error('Error deleting folder:', error);
-    res.status(500).json({ error: 'Failed to delete folder' });
+    if (!error.status) console.error('Error deleting folder:', error);
+    sendError(res, error, 'Failed to delete folder');
   }
 });
 
-// Rename file or folder
-app.post('/api/rename', async (req, res) => {
+// Trash - everyone sees the items they could delete where they were deleted from
+const canManageTrashItem = async (user, item) => roleAllows(await getEffectiveRole(user, item.originalPath), 'delete');
+
+app.get('/api/trash', async (req, res) => {
   try {
-    const { oldPath, newName } = req.body;
-    
-    if (!oldPath || !newName) {
-      return res.status(400).json({ error: 'Old path and new name are required' });
-    }
+    const items = await listTrash(item => canManageTrashItem(req.user, item));
+    res.json({
+      items: items.map(({ storedPath, ...item }) => item),
+      retentionDays: getTrashRetentionDays()
+    });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
 
-    // Sanitize the new name on server side as well (consistency with upload)
-    const sanitizedNewName = sanitizeFilename(newName);
+// Restore into the original folder, or into `path` when given (e.g. because the original
+// folder is gone - that is refused with 409 and `folderMissing`). `conflict` defaults to
+// rename, so a restored item never replaces what took its name meanwhile.
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const item = await getTrashItem(req.params.id);
+    await assertPermission(req.user, item.originalPath, 'delete');
+    const conflictPolicy = parseConflictPolicy(req.body?.conflict, 'rename');
 
-    const fullOldPath = path.join(UPLOADS_DIR, oldPath);
-    const fullNewPath = path.join(path.dirname(fullOldPath), sanitizedNewName);
-    
-    // Ensure both paths are within uploads directory
-    if (!fullOldPath.startsWith(UPLOADS_DIR) || !fullNewPath.startsWith(UPLOADS_DIR)) {
-      return res.status(400).json({ error: 'Invalid path' });
+    const originalFolder = path.posix.dirname(item.originalPath);
+    const { relativePath: folderPath, fullPath: folderFullPath } = await resolveUploadPath(req.body?.path || originalFolder);
+    const folderStats = await fs.stat(folderFullPath).catch(() => null);
+    if (!folderStats || !folderStats.isDirectory()) {
+      if (req.body?.path) return res.status(404).json({ error: 'Folder not found' });
+      throw new HttpError(409, `The original folder ${originalFolder} no longer exists`, { folderMissing: true, originalFolder });
     }
+    await assertPermission(req.user, folderPath, item.isDirectory ? 'createFolder' : 'upload');
 
-    // Check if source exists
-    if (!await fs.pathExists(fullOldPath)) {
-      return res.status(404).json({ error: 'Source file or folder not found' });
+    const target = await resolveConflict(folderPath, item.name, conflictPolicy, { isDirectory: item.isDirectory });
+    if (target.exists && conflictPolicy === 'skip') {
+      return res.json({ message: `"${item.name}" already exists in this folder, restore skipped`, skipped: true });
     }
+    if (target.exists) await assertPermission(req.user, target.relativePath, 'delete');
+
+    // A replaced file goes to the trash in turn
+    const restoredPath = await restoreTrashItem(item.id, async (dataPath) => {
+      if (target.exists) await moveToTrash(req, target.relativePath, target.fullPath);
+      await fs.move(dataPath, target.fullPath);
+      await moveFileRecords(item.storedPath, target.relativePath);
+      return target.relativePath;
+    });
+
+    res.json({ message: 'Restored successfully', path: restoredPath });
+  } catch (error) {
+    if (!error.status) console.error('Error restoring from trash:', error);
+    sendError(res, error, 'Failed to restore from trash');
+  }
+});
+
+// Delete for good
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    const item = await getTrashItem(req.params.id);
+    await assertPermission(req.user, item.originalPath, 'delete');
+    await purgeTrashItem(item.id);
+    res.json({ message: 'Deleted permanently' });
+  } catch (error) {
+    if (!error.status) console.error('Error purging from trash:', error);
+    sendError(res, error, 'Failed to delete permanently');
+  }
+});
 
-    // Check if destination already exists
-    if (await fs.pathExists(fullNewPath)) {
-      return res.status(409).json({ error: 'A file or folder with that name already exists' });
+// Empty the trash - only the items the user could restore or delete
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const items = await listTrash(item => canManageTrashItem(req.user, item));
+    for (const item of items) {
+      await purgeTrashItem(item.id).catch((error) => {
+        if (error.status !== 404) throw error;
+      });
     }
+    res.json({ message: 'Trash emptied', purged: items.length });
+  } catch (error) {
+    if (!error.status) console.error('Error emptying trash:', error);
+    sendError(res, error, 'Failed to empty trash');
+  }
+});
 
-    await fs.move(fullOldPath, fullNewPath);
-    
+// Version history of a file (lib/versions.js) - `path` is the file's path
+const resolveVersionedFile = async (req, action) => {
+  if (!req.query.path && !req.body?.path) throw new HttpError(400, 'File path is required');
+  const target = await resolveUploadPath(req.query.path || req.body.path);
+  await assertPermission(req.user, target.relativePath, action);
+  return target;
+};
+
+app.get('/api/versions', async (req, res) => {
+  try {
+    const { relativePath } = await resolveVersionedFile(req, 'view');
+    const [versions, users] = await Promise.all([listVersions(relativePath), listUsers()]);
+    const usernames = new Map(users.map(user => [user.id, user.username]));
     res.json({
-      message: 'Renamed successfully',
-      newPath: path.relative(UPLOADS_DIR, fullNewPath),
-      sanitizedName: sanitizedNewName
+      path: relativePath,
+      versions: await Promise.all(versions.map(async version => ({
+        ...version,
+        replacedByName: await describeUploadOwner(version.replacedBy, usernames)
+      }))),
+      retention: getVersionsRetention()
+    });
+  } catch (error) {
+    if (!error.status) console.error('Error listing versions:', error);
+    sendError(res, error, 'Failed to list versions');
+  }
+});
+
+// Downloads as "name (2024-05-01).ext", the day the version was replaced
+app.get('/api/versions/:id/download', async (req, res) => {
+  try {
+    const { relativePath } = await resolveVersionedFile(req, 'view');
+    const version = await getVersion(relativePath, req.params.id);
+    const name = path.posix.basename(relativePath);
+    const ext = path.extname(name);
+    // Versions live in the hidden internal folder, which send() refuses by default
+    res.download(version.dataPath, `${path.basename(name, ext)} (${version.replacedAt.slice(0, 10)})${ext}`, { dotfiles: 'allow' });
+  } catch (error) {
+    if (!error.status) console.error('Error downloading version:', error);
+    sendError(res, error, 'Failed to download version');
+  }
+});
+
+// The version becomes the current file again; the current file is kept as a version
+app.post('/api/versions/:id/restore', async (req, res) => {
+  try {
+    const { relativePath, fullPath } = await resolveVersionedFile(req, 'upload');
+    await restoreVersion(relativePath, req.params.id, async (dataPath, version) => {
+      await keepPreviousVersion(req, relativePath, fullPath);
+      await fs.ensureDir(path.dirname(fullPath));
+      await fs.move(dataPath, fullPath, { overwrite: true });
+      if (version.sha256) await recordFileHash(relativePath, fullPath, version.sha256);
+      await recordFileOwner(relativePath, req.user.id, version.size);
+      await queueScan(relativePath, uploadOwner(req));
+      await indexItem(relativePath);
     });
+    res.json({ message: 'Version restored', path: relativePath });
+  } catch (error) {
+    if (!error.status) console.error('Error restoring version:', error);
+    sendError(res, error, 'Failed to restore version');
+  }
+});
+
+app.delete('/api/versions/:id', async (req, res) => {
+  try {
+    const { relativePath } = await resolveVersionedFile(req, 'delete');
+    await deleteVersion(relativePath, req.params.id);
+    res.json({ message: 'Version deleted' });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting version:', error);
+    sendError(res, error, 'Failed to delete version');
+  }
+});
+
+// Prune a file's history down to its `keep` newest versions (default: remove all)
+app.delete('/api/versions', async (req, res) => {
+  try {
+    const { relativePath } = await resolveVersionedFile(req, 'delete');
+    const removed = await pruneVersions(relativePath, req.query.keep ?? req.body?.keep ?? 0);
+    res.json({ message: `${removed} version${removed === 1 ? '' : 's'} removed`, removed });
+  } catch (error) {
+    if (!error.status) console.error('Error pruning versions:', error);
+    sendError(res, error, 'Failed to prune versions');
+  }
+});
+
+// Rename a file or folder within its folder
+const renameItem = async (req, { oldPath, newName, conflict }) => {
+  if (!oldPath || !newName) {
+    throw new HttpError(400, 'Old path and new name are required');
+  }
+
+  // Sanitize the new name on server side as well (consistency with upload)
+  const conflictPolicy = parseConflictPolicy(conflict, 'fail');
+  const sanitizedNewName = assertSafeName(sanitizeFilename(String(newName)));
+
+  const { relativePath: sourcePath, fullPath: fullOldPath } = await resolveUploadPath(oldPath);
+  if (sourcePath === '/') {
+    throw new HttpError(400, 'Cannot rename the root folder');
+  }
+  const parentPath = path.posix.dirname(sourcePath);
+  await resolveChildPath(parentPath, sanitizedNewName);
+
+  // Renaming needs edit rights on the item (and everything inside it)
+  await assertPermission(req.user, sourcePath, 'rename', { recursive: true });
+
+  // Check if source exists
+  const sourceStats = await fs.lstat(fullOldPath).catch(() => null);
+  if (!sourceStats) {
+    throw new HttpError(404, 'Source file or folder not found');
+  }
+
+  // Check if destination already exists
+  const {
+    relativePath: targetPath,
+    fullPath: fullNewPath,
+    name: finalName,
+    exists
+  } = await resolveConflict(parentPath, sanitizedNewName, conflictPolicy, { isDirectory: sourceStats.isDirectory() });
+
+  if (exists && (conflictPolicy === 'skip' || targetPath === sourcePath)) {
+    return {
+      message: 'A file or folder with that name already exists, rename skipped',
+      newPath: path.relative(UPLOADS_DIR, fullOldPath),
+      skipped: true
+    };
+  }
+
+  // The file that is overwritten goes to the trash
+  if (exists) {
+    await assertPermission(req.user, targetPath, 'delete');
+    await moveToTrash(req, targetPath, fullNewPath);
+  }
+  await fs.move(fullOldPath, fullNewPath);
+  await moveFileRecords(sourcePath, targetPath);
+
+  return {
+    message: 'Renamed successfully',
+    newPath: path.relative(UPLOADS_DIR, fullNewPath),
+    sanitizedName: finalName
+  };
+};
+
+app.post('/api/rename', async (req, res) => {
+  try {
+    res.json(await renameItem(req, req.body || {}));
   } catch (error) {
+    if (error.status) return sendError(res, error);
     console.error('Error renaming:', error);
     // Provide more specific error messages
     if (error.code === 'ENOENT') {
@@ -569,16 +2153,430 @@ app.post('/api/rename', async (req, res) => {
   }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// Moving and copying across folders (copies are background jobs, lib/copies.js):
+//   POST   /api/move        { path, destination, conflict? } - moves right away
+//   POST   /api/copies      { path, destination, conflict? } -> job
+//   GET    /api/copies      the user's copies (admins see everyone's)
+//   GET    /api/copies/:id  progress
+//   DELETE /api/copies/:id  cancel (a finished copy is removed from the list)
+// `destination` is the folder the item goes into; a name clash there is handled by
+// `conflict` (lib/conflicts.js), refused by default.
+const copyOwner = (req) => (req.user.role === 'admin' ? null : req.user.id);
+
+// The item to move or copy - the user needs `action` on it and everything inside it
+const resolveTransferSource = async (req, itemPath, action) => {
+  if (!itemPath) throw new HttpError(400, 'Path is required');
+  const source = await resolveUploadPath(itemPath);
+  if (source.relativePath === '/') throw new HttpError(400, 'The root folder cannot be moved or copied');
+  await assertPermission(req.user, source.relativePath, action, { recursive: true });
+
+  const stats = await fs.lstat(source.fullPath).catch(() => null);
+  if (!stats) throw new HttpError(404, 'File or folder not found');
+  return { ...source, name: path.posix.basename(source.relativePath), isDirectory: stats.isDirectory() };
+};
+
+// The folder it goes into: an existing folder the user may upload to, outside the item
+const resolveTransferDestination = async (req, source, destination) => {
+  if (!destination) throw new HttpError(400, 'Destination folder is required');
+  const target = await resolveUploadPath(destination);
+  const stats = await fs.stat(target.fullPath).catch(() => null);
+  if (!stats?.isDirectory()) throw new HttpError(404, 'Destination folder not found');
+  if (isSameOrInside(source.relativePath, target.relativePath)) {
+    throw new HttpError(400, 'A folder cannot be moved or copied into itself');
+  }
+  await assertPermission(req.user, target.relativePath, 'upload');
+  return target;
+};
+
+// Every file has to pass the content policy of the folder it ends up in (lib/contentTypes.js)
+const assertTransferContent = async (source, entries, targetPath) => {
+  for (const entry of entries) {
+    if (entry.isDirectory) continue;
+    const newPath = path.posix.join(targetPath, source.name, entry.path);
+    const head = await readFileHead(path.join(source.fullPath, entry.path));
+    await assertContentAllowed(path.posix.dirname(newPath), path.posix.basename(newPath), head);
+  }
+};
+
+const moveItem = async (req, { path: itemPath, destination, conflict }) => {
+  const conflictPolicy = parseConflictPolicy(conflict, 'fail');
+
+  // Moving takes the item out of its folder, so it needs the same rights as deleting it
+  const source = await resolveTransferSource(req, itemPath, 'delete');
+  const target = await resolveTransferDestination(req, source, destination);
+  if (target.relativePath === path.posix.dirname(source.relativePath)) {
+    throw new HttpError(400, `"${source.name}" is already in this folder`);
+  }
+
+  const entries = await listTree(source.fullPath);
+  await assertTransferContent(source, entries, target.relativePath);
+  // Moving between top-level folders moves the bytes from one folder quota to the other
+  if (topLevelFolder(target.relativePath) !== topLevelFolder(source.relativePath)) {
+    const size = entries.reduce((sum, entry) => sum + entry.size, 0);
+    await assertUploadAllowed({ userId: null, targetPath: target.relativePath, size, onDisk: true });
+  }
+
+  const {
+    relativePath: newPath,
+    fullPath: newFullPath,
+    name,
+    exists
+  } = await resolveConflict(target.relativePath, source.name, conflictPolicy, { isDirectory: source.isDirectory });
+
+  if (exists && conflictPolicy === 'skip') {
+    return {
+      message: 'A file or folder with that name already exists, move skipped',
+      path: source.relativePath,
+      skipped: true
+    };
+  }
+
+  // The file that is overwritten goes to the trash
+  if (exists) {
+    await assertPermission(req.user, newPath, 'delete');
+    await moveToTrash(req, newPath, newFullPath);
+  }
+  await fs.move(source.fullPath, newFullPath);
+  await moveFileRecords(source.relativePath, newPath);
+
+  return { message: 'Moved successfully', path: newPath, name };
+};
+
+app.post('/api/move', async (req, res) => {
+  try {
+    res.json(await moveItem(req, req.body || {}));
+  } catch (error) {
+    if (!error.status) console.error('Move error:', error);
+    sendError(res, error, 'Failed to move');
+  }
+});
+
+// Moves a finished copy or extraction from its staging folder into `finished.targetPath`.
+// Both finish in the background, so the user's permissions and quotas are checked again
+// before anything lands. `size` is what it adds to the quotas.
+const placeStagedItem = async (userId, stagingPath, finished, { isDirectory, size }) => {
+  const user = await findUserById(userId);
+  if (!user) throw new HttpError(410, 'The user who started this no longer exists');
+  await assertPermission(user, finished.targetPath, 'upload');
+  await assertUploadAllowed({ userId, targetPath: finished.targetPath, size, onDisk: true });
+
+  const {
+    relativePath: placedPath,
+    fullPath: placedFullPath,
+    name,
+    exists
+  } = await resolveConflict(finished.targetPath, finished.name, finished.conflict, { isDirectory });
+  if (exists && finished.conflict === 'skip') return { path: placedPath, name, skipped: true };
+
+  if (exists) await keepPreviousVersion({ user }, placedPath, placedFullPath);
+  await fs.move(stagingPath, placedFullPath, { overwrite: true });
+
+  // The files are new files of whoever copied or extracted them
+  for (const entry of finished.entries) {
+    if (entry.isDirectory) continue;
+    const filePath = entry.path ? `${placedPath}/${entry.path}` : placedPath;
+    await recordFileHash(filePath, path.join(placedFullPath, entry.path), entry.sha256);
+    await recordFileOwner(filePath, userId, entry.size);
+    await queueScan(filePath, `user:${userId}`);
+  }
+  await indexTree(placedPath);
+  return { path: placedPath, name };
+};
+
+// Starts the copy job - the checks that need the whole tree happen once it runs
+const startCopy = async (req, { path: itemPath, destination, conflict }) => {
+  const conflictPolicy = parseConflictPolicy(conflict, 'fail');
+
+  const source = await resolveTransferSource(req, itemPath, 'view');
+  const target = await resolveTransferDestination(req, source, destination);
+  if (conflictPolicy === 'fail') {
+    await resolveConflict(target.relativePath, source.name, 'fail');
+  }
+
+  const userId = req.user.id;
+  return createCopy({
+    sourcePath: source.relativePath,
+    targetPath: target.relativePath,
+    conflict: conflictPolicy,
+    owner: userId,
+    // Once the tree has been listed: the copy counts towards the user's quota
+    check: async (entries, listed) => {
+      await assertTransferContent(source, entries, target.relativePath);
+      await assertUploadAllowed({ userId, targetPath: target.relativePath, size: listed.totalBytes });
+    },
+    place: (stagingPath, finished) =>
+      placeStagedItem(userId, stagingPath, finished, { isDirectory: source.isDirectory, size: finished.totalBytes })
+  });
+};
+
+app.post('/api/copies', async (req, res) => {
+  try {
+    res.status(202).json({ job: await startCopy(req, req.body || {}) });
+  } catch (error) {
+    if (!error.status) console.error('Start copy error:', error);
+    sendError(res, error, 'Failed to start copy');
+  }
+});
+
+app.get('/api/copies', (req, res) => {
+  res.json({ jobs: listCopies(copyOwner(req)) });
+});
+
+app.get('/api/copies/:id', (req, res) => {
+  try {
+    res.json({ job: getCopy(req.params.id, copyOwner(req)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load copy');
+  }
+});
+
+app.delete('/api/copies/:id', (req, res) => {
+  try {
+    const job = cancelCopy(req.params.id, copyOwner(req));
+    res.json({ message: job ? 'Copy cancelled' : 'Copy removed', job });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel copy');
+  }
+});
+
+// Extractions (lib/extractions.js): an archive is unpacked into a new folder named after
+// it, inside `destination` - by default the folder the archive is in
+const extractionOwner = (req) => (req.user.role === 'admin' ? null : req.user.id);
+
+const startExtraction = async (req, { path: archivePath, destination, conflict }) => {
+  const conflictPolicy = parseConflictPolicy(conflict, 'fail');
+
+  const source = await resolveTransferSource(req, archivePath, 'view');
+  const type = source.isDirectory ? null : archiveType(source.name);
+  if (!type) throw new HttpError(400, 'Only .zip, .tar and .tar.gz archives can be extracted');
+  await assertScanned(source.relativePath);
+  const target = await resolveTransferDestination(req, source, destination || path.posix.dirname(source.relativePath));
+
+  const name = sanitizeFilename(archiveBaseName(source.name)).replace(/^\.+/, '') || 'archive';
+  if (conflictPolicy === 'fail') {
+    await resolveConflict(target.relativePath, name, 'fail');
+  }
+
+  const userId = req.user.id;
+  return createExtraction({
+    sourcePath: source.relativePath,
+    archiveType: type,
+    targetPath: target.relativePath,
+    name,
+    conflict: conflictPolicy,
+    owner: userId,
+    // Once everything is unpacked: each file meets the folder's content policy, and
+    // the whole counts towards the user's quota
+    check: async (entries, extracted, stagingPath) => {
+      await assertTransferContent({ fullPath: stagingPath, name }, entries, target.relativePath);
+      await assertUploadAllowed({ userId, targetPath: target.relativePath, size: extracted.extractedBytes });
+    },
+    place: (stagingPath, finished) =>
+      placeStagedItem(userId, stagingPath, finished, { isDirectory: true, size: finished.extractedBytes })
+  });
+};
+
+app.post('/api/extractions', async (req, res) => {
+  try {
+    res.status(202).json({ job: await startExtraction(req, req.body || {}) });
+  } catch (error) {
+    if (!error.status) console.error('Start extraction error:', error);
+    sendError(res, error, 'Failed to start extraction');
+  }
+});
+
+app.get('/api/extractions', (req, res) => {
+  res.json({ jobs: listExtractions(extractionOwner(req)) });
+});
+
+app.get('/api/extractions/:id', (req, res) => {
+  try {
+    res.json({ job: getExtraction(req.params.id, extractionOwner(req)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load extraction');
+  }
+});
+
+app.delete('/api/extractions/:id', (req, res) => {
+  try {
+    const job = cancelExtraction(req.params.id, extractionOwner(req));
+    res.json({ message: job ? 'Extraction cancelled' : 'Extraction removed', job });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel extraction');
+  }
+});
+
+// Batches (lib/batches.js) - many operations run on the server as one job:
+//   POST   /api/batches      { operations: [{ op, ... }], stopOnError? } -> job
+//   GET    /api/batches      the user's batches, progress only (admins see everyone's)
+//   GET    /api/batches/:id  progress and the result of every operation
+//   DELETE /api/batches/:id  stop after the operation in progress (a finished batch is removed)
+// Operations take the fields of the single-item endpoints:
+//   { op: 'delete', path }                            like DELETE /api/file and /api/folder
+//   { op: 'move' | 'copy', path, destination, conflict? }
+//   { op: 'mkdir', path, name, conflict? }            creates `name` inside `path`
+//   { op: 'rename', path, newName, conflict? }
+//   { op: 'metadata', path, tags?, addTags?, removeTags?, fields? }   like PATCH /api/metadata
+// A copy counts as done once it has landed.
+const batchOwner = (req) => (req.user.role === 'admin' ? null : req.user.id);
+
+const runBatchOperation = async (req, operation) => {
+  switch (operation.op) {
+    case 'delete':
+      return deleteItem(req, operation.path);
+    case 'move':
+      return moveItem(req, operation);
+    case 'copy': {
+      const copy = await waitForCopy((await startCopy(req, operation)).id);
+      if (copy.status === 'cancelled') throw new HttpError(409, 'The copy was cancelled');
+      if (copy.status !== 'complete') throw new HttpError(500, copy.error);
+      return copy.result;
+    }
+    case 'mkdir':
+      return createFolder(req, { name: operation.name, path: operation.path, conflict: operation.conflict });
+    case 'rename':
+      return renameItem(req, { oldPath: operation.path, newName: operation.newName, conflict: operation.conflict });
+    case 'metadata':
+      return updateMetadata(req, operation);
+  }
+};
+
+app.post('/api/batches', async (req, res) => {
+  try {
+    const { operations, stopOnError } = req.body || {};
+    const userId = req.user.id;
+    const job = createBatch({
+      operations,
+      stopOnError,
+      owner: userId,
+      // Batches run in the background - every operation is checked against the user's
+      // permissions as they are when it runs
+      execute: async (operation) => {
+        const user = await findUserById(userId);
+        if (!user) throw new HttpError(410, 'The user who started this batch no longer exists');
+        return runBatchOperation({ user, ip: req.ip }, operation);
+      }
+    });
+    res.status(202).json({ job });
+  } catch (error) {
+    if (!error.status) console.error('Start batch error:', error);
+    sendError(res, error, 'Failed to start batch');
+  }
+});
+
+app.get('/api/batches', (req, res) => {
+  res.json({ jobs: listBatches(batchOwner(req)) });
+});
+
+app.get('/api/batches/:id', (req, res) => {
+  try {
+    res.json({ job: getBatch(req.params.id, batchOwner(req)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load batch');
+  }
+});
+
+app.delete('/api/batches/:id', (req, res) => {
+  try {
+    const job = cancelBatch(req.params.id, batchOwner(req));
+    res.json({ message: job ? 'Batch stopped' : 'Batch removed', job });
+  } catch (error) {
+    sendError(res, error, 'Failed to stop batch');
+  }
 });
 
+// ZIP downloads (lib/zip.js) of a folder or a selection, written straight into the response:
+//   GET  /api/zip?path=/a&path=/b&name=...
+//   POST /api/zip { paths: [...], name? }  (JSON or a form - for selections too long for a URL)
+// Items below a folder that the user can't view, or that are held back by the malware
+// scanner, are left out of the archive.
+
+// A name that isn't taken yet at the top of the archive: "clip.mp4", "clip (2).mp4", ...
+const uniqueArchiveName = (name, taken) => {
+  const ext = path.extname(name);
+  const base = path.basename(name, ext);
+  let candidate = name;
+  for (let counter = 2; taken.has(candidate.toLowerCase()); counter++) {
+    candidate = `${base} (${counter})${ext}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Everything that goes into the archive, checked before the first byte is sent
+const collectZipItems = async (req, requestedPaths) => {
+  if (requestedPaths.length === 0) throw new HttpError(400, 'Choose at least one file or folder');
+
+  const items = [];
+  const taken = new Set();
+  let heldBack = 0;
+  for (const requestedPath of requestedPaths) {
+    const { relativePath, fullPath } = await resolveUploadPath(requestedPath);
+    await assertPermission(req.user, relativePath, 'view');
+    const entries = await listTree(fullPath);
+    if (!entries) throw new HttpError(404, `${relativePath} not found`);
+
+    const rootName = uniqueArchiveName(path.posix.basename(relativePath) || 'MediaGrid', taken);
+    for (const entry of entries) {
+      const entryPath = entry.path ? path.posix.join(relativePath, entry.path) : relativePath;
+      if (entry.path && !roleAllows(await getEffectiveRole(req.user, entryPath), 'view')) continue;
+      const scan = entry.isDirectory ? null : await getScanStatus(entryPath);
+      if (scan && scan.status !== 'clean') {
+        heldBack += 1;
+        continue;
+      }
+
+      const entryFullPath = path.join(fullPath, entry.path);
+      const contentType = entry.isDirectory
+        ? null
+        : getIndexedItem(entryPath)?.contentType ?? await getFileContentType(entryFullPath);
+      items.push({
+        name: entry.path ? `${rootName}/${entry.path}` : rootName,
+        fullPath: entryFullPath,
+        isDirectory: entry.isDirectory,
+        size: entry.size,
+        modified: entry.modified,
+        store: isStoredType(contentType)
+      });
+    }
+  }
+  // Only files that were asked for one by one and are held back by the malware scan
+  if (items.length === 0) {
+    throw heldBack > 0
+      ? new HttpError(423, 'These files are still being scanned for malware or are held back')
+      : new HttpError(404, 'Nothing to download');
+  }
+  return items;
+};
+
+const sendZip = async (req, res, { paths, name }) => {
+  try {
+    const requestedPaths = [].concat(paths ?? []).filter(Boolean);
+    const items = await collectZipItems(req, requestedPaths);
+    const defaultName = requestedPaths.length === 1
+      ? path.posix.basename((await resolveUploadPath(requestedPaths[0])).relativePath) || 'MediaGrid'
+      : 'MediaGrid';
+    res.attachment(`${path.basename(String(name || defaultName))}.zip`);
+    await pipeline(createZipStream(items), res);
+  } catch (error) {
+    if (!res.headersSent) {
+      if (!error.status) console.error('Error creating ZIP:', error);
+      return sendError(res, error, 'Failed to create ZIP');
+    }
+    // Half an archive is no use - cut the download off so it shows as failed
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Error streaming ZIP:', error);
+    res.destroy();
+  }
+};
+
+app.get('/api/zip', (req, res) => sendZip(req, res, { paths: req.query.path, name: req.query.name }));
+app.post('/api/zip', (req, res) => sendZip(req, res, req.body || {}));
+
 // Catch-all handler for SPA routing (must be last)
 if (clientBuildExists) {
   app.use((req, res, next) => {
-    // Don't serve index.html for API routes or video files
-    if (req.path.startsWith('/api/') || req.path.startsWith('/videos/')) {
+    // Don't serve index.html for API routes, video files or share links
+    if (req.path.startsWith('/api/') || req.path.startsWith('/videos/') || req.path.startsWith('/s/')) {
       return next(); // Let other middleware handle it
     }
     
@@ -587,6 +2585,19 @@ if (clientBuildExists) {
   });
 }
 
+// Catch the metadata index up with whatever changed on disk while the server was down
+const reconciled = await reconcileIndex();
+console.log(`🗂️  Indexed ${reconciled.items} items (${reconciled.updated} updated, ${reconciled.removed} removed)`);
+
+// Scans still pending from before a restart start again; infected files leave the tree
+await startScanner({ onQuarantined: (relativePath) => forgetFileRecords(relativePath) });
+startTrashPurge({ onPurged: (item) => forgetFileRecords(item.storedPath) });
+
+// Files copied into the upload folder behind MediaGrid's back are indexed as they arrive
+if (startWatcher({ onChange: publishChanges })) {
+  console.log(`👀 Watching ${UPLOADS_DIR} for changes`);
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 MediaGrid Server running on http://localhost:${PORT}`);
   console.log(`📁 Upload directory: ${UPLOADS_DIR}`);
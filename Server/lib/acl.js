@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import path from 'path';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { normalizeRelativePath, isSameOrInside } from './paths.js';
+import { DATA_DIR } from '../config.js';
+
+// Roles from least to most privileged - each role includes everything below it
+export const ROLES = ['none', 'viewer', 'uploader', 'editor', 'admin'];
+
+// Minimum role needed for each action
+const ACTION_ROLES = {
+  view: 'viewer',
+  upload: 'uploader',
+  createFolder: 'uploader',
+  rename: 'editor',
+  delete: 'editor',
+  share: 'editor',
+  tag: 'editor'
+};
+
+const roleLevel = (role) => Math.max(ROLES.indexOf(role), 0);
+
+const aclStore = createJsonStore(path.join(DATA_DIR, 'acl.json'), { rules: [] });
+
+// Rules
+
+export const listRules = async () => {
+  const { rules } = await aclStore.read();
+  return [...rules].sort((a, b) => a.path.localeCompare(b.path));
+};
+
+export const addRule = async ({ path: rulePath, userId, role }) => {
+  if (!userId) throw new HttpError(400, 'User is required');
+  if (!ROLES.includes(role) || role === 'admin') {
+    throw new HttpError(400, `Role must be one of: ${ROLES.filter(r => r !== 'admin').join(', ')}`);
+  }
+  const normalizedPath = normalizeRelativePath(rulePath);
+
+  return aclStore.update((data) => {
+    // One rule per user and folder - adding again replaces the role
+    const existing = data.rules.find(rule => rule.userId === userId && rule.path === normalizedPath);
+    if (existing) {
+      existing.role = role;
+      return existing;
+    }
+    const rule = {
+      id: crypto.randomUUID(),
+      path: normalizedPath,
+      userId,
+      role,
+      createdAt: new Date().toISOString()
+    };
+    data.rules.push(rule);
+    return rule;
+  });
+};
+
+export const removeRule = async (id) => {
+  await aclStore.update((data) => {
+    if (!data.rules.some(rule => rule.id === id)) {
+      throw new HttpError(404, 'Rule not found');
+    }
+    data.rules = data.rules.filter(rule => rule.id !== id);
+  });
+};
+
+// Drop every rule of a deleted user
+export const removeUserRules = async (userId) => {
+  await aclStore.update((data) => {
+    data.rules = data.rules.filter(rule => rule.userId !== userId);
+  });
+};
+
+// Permission checks
+
+// Effective role of a user on a path: admins can do anything, otherwise the rule
+// on the closest ancestor folder wins, falling back to the user's global role
+export const getEffectiveRole = async (user, relativePath) => {
+  if (!user) return 'none';
+  if (user.role === 'admin') return 'admin';
+
+  const targetPath = normalizeRelativePath(relativePath);
+  const { rules } = await aclStore.read();
+
+  let closest = null;
+  for (const rule of rules) {
+    if (rule.userId !== user.id || !isSameOrInside(rule.path, targetPath)) continue;
+    if (!closest || rule.path.length > closest.path.length) closest = rule;
+  }
+
+  return closest ? closest.role : (ROLES.includes(user.role) ? user.role : 'none');
+};
+
+export const roleAllows = (role, action) => roleLevel(role) >= roleLevel(ACTION_ROLES[action]);
+
+// Throw 403 unless the user may perform `action` on the path. With `recursive`
+// the check also covers rules on anything below the path (deleting or renaming a
+// folder must not take out a subtree the user only has lesser rights on).
+export const assertPermission = async (user, relativePath, action, { recursive = false } = {}) => {
+  const targetPath = normalizeRelativePath(relativePath);
+  const role = await getEffectiveRole(user, targetPath);
+  if (!roleAllows(role, action)) {
+    throw new HttpError(403, 'You do not have permission to do that here');
+  }
+
+  if (recursive && user.role !== 'admin') {
+    const { rules } = await aclStore.read();
+    const restricted = rules.some(rule =>
+      rule.userId === user.id &&
+      rule.path !== targetPath &&
+      isSameOrInside(targetPath, rule.path) &&
+      !roleAllows(rule.role, action)
+    );
+    if (restricted) {
+      throw new HttpError(403, 'This folder contains items you do not have permission to change');
+    }
+  }
+
+  return role;
+};
+
+// True when the user has a grant somewhere below the path, so the folder must
+// stay visible for navigation even though its own contents are hidden
+export const canTraverse = async (user, relativePath) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const targetPath = normalizeRelativePath(relativePath);
+  const { rules } = await aclStore.read();
+  return rules.some(rule =>
+    rule.userId === user.id &&
+    rule.path !== targetPath &&
+    isSameOrInside(targetPath, rule.path) &&
+    roleAllows(rule.role, 'view')
+  );
+};
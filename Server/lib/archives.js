@@ -0,0 +1,362 @@
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { HttpError } from './errors.js';
+
+// Readers for the archive formats MediaGrid can extract: ZIP (with ZIP64) and tar, plain or
+// gzipped (ustar, GNU long names and pax headers). Entries come out one at a time as
+// { name, isDirectory, isFile, size, data } - `name` is the raw path stored in the archive,
+// which the caller must not trust, `data` the file's bytes (files only), which must be read
+// before asking for the next entry. Links and other special entries come out with neither
+// isDirectory nor isFile, for the caller to skip. Nothing is trusted until it has been read:
+// `size` is what the archive claims, the data is what it really contains.
+
+const ARCHIVE_TYPES = [
+  { type: 'tar.gz', pattern: /\.(tar\.gz|tgz)$/i },
+  { type: 'tar', pattern: /\.tar$/i },
+  { type: 'zip', pattern: /\.zip$/i }
+];
+
+// 'zip', 'tar', 'tar.gz' or null, by file name
+export const archiveType = (name) => ARCHIVE_TYPES.find(({ pattern }) => pattern.test(name))?.type ?? null;
+
+// The name without its archive extension: "project.tar.gz" -> "project"
+export const archiveBaseName = (name) => {
+  const match = ARCHIVE_TYPES.find(({ pattern }) => pattern.test(name));
+  return match ? name.replace(match.pattern, '') : name;
+};
+
+const invalid = (type) => new HttpError(400, `This is not a valid ${type === 'zip' ? 'ZIP' : 'tar'} archive`);
+
+// ZIP
+
+const ZIP_END = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_END = 0x06064b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const MAX_32 = 0xffffffff;
+const ZIP_END_SIZE = 22;
+const MAX_ZIP_COMMENT = 0xffff;
+
+const readAt = async (handle, length, position) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// Where the central directory is and how many entries it lists
+const readZipEnd = async (handle, fileSize) => {
+  const tailSize = Math.min(fileSize, ZIP_END_SIZE + MAX_ZIP_COMMENT);
+  const tail = await readAt(handle, tailSize, fileSize - tailSize);
+  let endOffset = -1;
+  for (let index = tail.length - ZIP_END_SIZE; index >= 0; index--) {
+    if (tail.readUInt32LE(index) === ZIP_END) {
+      endOffset = index;
+      break;
+    }
+  }
+  if (endOffset < 0) throw invalid('zip');
+
+  const end = {
+    count: tail.readUInt16LE(endOffset + 10),
+    directorySize: tail.readUInt32LE(endOffset + 12),
+    directoryOffset: tail.readUInt32LE(endOffset + 16)
+  };
+
+  // ZIP64: the real numbers are in a record the locator right before this one points to
+  const locatorOffset = endOffset - 20;
+  if (locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === ZIP64_LOCATOR) {
+    const zip64End = await readAt(handle, 56, Number(tail.readBigUInt64LE(locatorOffset + 8)));
+    if (zip64End.length < 56 || zip64End.readUInt32LE(0) !== ZIP64_END) throw invalid('zip');
+    end.count = Number(zip64End.readBigUInt64LE(32));
+    end.directorySize = Number(zip64End.readBigUInt64LE(40));
+    end.directoryOffset = Number(zip64End.readBigUInt64LE(48));
+  }
+  if (end.directoryOffset + end.directorySize > fileSize) throw invalid('zip');
+  return end;
+};
+
+// Sizes and offsets too big for 32 bits are in the ZIP64 extra field, in this order
+const applyZip64Extra = (entry, extra) => {
+  for (let offset = 0; offset + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(offset);
+    const size = extra.readUInt16LE(offset + 2);
+    if (id === 0x0001) {
+      let field = offset + 4;
+      for (const key of ['size', 'compressedSize', 'offset']) {
+        if (entry[key] !== MAX_32 || field + 8 > offset + 4 + size) continue;
+        entry[key] = Number(extra.readBigUInt64LE(field));
+        field += 8;
+      }
+    }
+    offset += 4 + size;
+  }
+};
+
+const parseCentralDirectory = (directory, count) => {
+  const entries = [];
+  let offset = 0;
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) throw invalid('zip');
+    const madeBy = directory.readUInt16LE(offset + 4) >> 8;
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const externalAttributes = directory.readUInt32LE(offset + 38);
+    const nameStart = offset + 46;
+    const name = directory.toString('utf8', nameStart, nameStart + nameLength);
+    const entry = {
+      name,
+      flags: directory.readUInt16LE(offset + 8),
+      method: directory.readUInt16LE(offset + 10),
+      crc: directory.readUInt32LE(offset + 16),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      offset: directory.readUInt32LE(offset + 42)
+    };
+    applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+
+    // Unix permissions sit in the upper half of the external attributes
+    const unixType = madeBy === 3 ? (externalAttributes >>> 16) & 0o170000 : 0;
+    entry.isDirectory = name.endsWith('/') || unixType === 0o040000 || Boolean(externalAttributes & 0x10);
+    entry.isFile = !entry.isDirectory && (unixType === 0 || unixType === 0o100000);
+    entries.push(entry);
+    offset = nameStart + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// The entry's bytes, inflated where needed and checked against its CRC
+async function* zipEntryData(fullPath, handle, entry) {
+  if (entry.flags & 0x0001) throw new HttpError(400, `${entry.name} is encrypted - encrypted archives are not supported`);
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new HttpError(400, `${entry.name} uses a compression method MediaGrid can't unpack`);
+  }
+
+  const header = await readAt(handle, 30, entry.offset);
+  if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) throw invalid('zip');
+  const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  let crc = 0;
+  if (entry.compressedSize > 0) {
+    const input = fs.createReadStream(fullPath, { start, end: start + entry.compressedSize - 1 });
+    let output = input;
+    let feeding = null;
+    if (entry.method === 8) {
+      output = zlib.createInflateRaw();
+      feeding = pipeline(input, output);
+      // A read error ends the loop below as well - it is thrown from `await feeding`
+      feeding.catch(() => {});
+    }
+    try {
+      for await (const chunk of output) {
+        crc = zlib.crc32(chunk, crc);
+        yield chunk;
+      }
+      await feeding;
+    } catch (error) {
+      if (error.code?.startsWith('Z_')) throw new HttpError(400, `${entry.name} is damaged`);
+      throw error;
+    } finally {
+      input.destroy();
+      output.destroy();
+    }
+  }
+  if (crc !== entry.crc) throw new HttpError(400, `${entry.name} is damaged (checksum mismatch)`);
+}
+
+// `maxEntries` refuses archives listing more entries before anything is read
+async function* readZip(fullPath, { maxEntries }) {
+  const handle = await fs.promises.open(fullPath);
+  try {
+    const { size: fileSize } = await handle.stat();
+    const end = await readZipEnd(handle, fileSize);
+    if (end.count > maxEntries) {
+      throw new HttpError(413, `The archive has more than ${maxEntries} entries`);
+    }
+    const directory = await readAt(handle, end.directorySize, end.directoryOffset);
+    for (const entry of parseCentralDirectory(directory, end.count)) {
+      yield {
+        name: entry.name,
+        isDirectory: entry.isDirectory,
+        isFile: entry.isFile,
+        size: entry.size,
+        data: entry.isFile ? zipEntryData(fullPath, handle, entry) : null
+      };
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// { files, bytes } a ZIP claims to hold according to its central directory - null for
+// tar archives, which don't say up front
+export const describeArchive = async (fullPath, type) => {
+  if (type !== 'zip') return null;
+  const handle = await fs.promises.open(fullPath);
+  try {
+    const { size: fileSize } = await handle.stat();
+    const end = await readZipEnd(handle, fileSize);
+    const directory = await readAt(handle, end.directorySize, end.directoryOffset);
+    const files = parseCentralDirectory(directory, end.count).filter(entry => entry.isFile);
+    return { files: files.length, bytes: files.reduce((sum, entry) => sum + entry.size, 0) };
+  } finally {
+    await handle.close();
+  }
+};
+
+// tar
+
+const TAR_BLOCK = 512;
+// pax headers and GNU long names are read into memory - real ones are tiny
+const MAX_TAR_META_SIZE = 1024 * 1024;
+
+// Reads a stream of Buffers in exact amounts
+const createByteReader = (source) => {
+  const iterator = source[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let position = 0;
+
+  const fill = async () => {
+    if (buffered.length > 0) return true;
+    const { value, done } = await iterator.next();
+    if (done) return false;
+    buffered = value;
+    return true;
+  };
+
+  // `length` bytes, in pieces as they arrive
+  async function* take(length) {
+    let left = length;
+    while (left > 0) {
+      if (!await fill()) throw invalid('tar');
+      const piece = buffered.subarray(0, left);
+      buffered = buffered.subarray(piece.length);
+      position += piece.length;
+      left -= piece.length;
+      yield piece;
+    }
+  }
+
+  const read = async (length) => {
+    const pieces = [];
+    for await (const piece of take(length)) pieces.push(piece);
+    return Buffer.concat(pieces);
+  };
+
+  const skip = async (length) => {
+    const pieces = take(length);
+    while (!(await pieces.next()).done) { /* discarded */ }
+  };
+
+  return { take, read, skip, atEnd: async () => !await fill(), position: () => position };
+};
+
+const readString = (header, start, length) => {
+  const field = header.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? field.length : end);
+};
+
+// Octal, or base-256 (high bit set) for sizes beyond 8 GB
+const readNumber = (header, start, length) => {
+  const field = header.subarray(start, start + length);
+  if (field[0] & 0x80) {
+    return field.subarray(1).reduce((value, byte) => value * 256 + byte, field[0] & 0x7f);
+  }
+  return parseInt(field.toString('latin1').replace(/[\0 ]/g, ''), 8) || 0;
+};
+
+const hasValidChecksum = (header) => {
+  let sum = 0;
+  for (let index = 0; index < TAR_BLOCK; index++) {
+    sum += index >= 148 && index < 156 ? 0x20 : header[index];
+  }
+  return sum === readNumber(header, 148, 8);
+};
+
+// pax records: "<length> <key>=<value>\n"
+const parsePax = (data) => {
+  const fields = {};
+  for (let offset = 0; offset < data.length;) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('latin1', offset, space), 10);
+    if (space < 0 || !length) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const separator = record.indexOf('=');
+    if (separator > 0) fields[record.slice(0, separator)] = record.slice(separator + 1);
+    offset += length;
+  }
+  return fields;
+};
+
+async function* readTar(fullPath, { gzipped }) {
+  const input = fs.createReadStream(fullPath);
+  let source = input;
+  let feeding = null;
+  if (gzipped) {
+    source = zlib.createGunzip();
+    feeding = pipeline(input, source);
+    // Errors surface through the reader - this only keeps the promise from going unhandled
+    feeding.catch(() => {});
+  }
+
+  const reader = createByteReader(source);
+  let longName = null;
+  let pax = {};
+  try {
+    while (!await reader.atEnd()) {
+      const header = await reader.read(TAR_BLOCK);
+      // A zero block ends the archive
+      if (header.every(byte => byte === 0)) break;
+      if (!hasValidChecksum(header)) throw invalid('tar');
+
+      const type = String.fromCharCode(header[156] || 0x30);
+      const size = pax.size !== undefined ? Number(pax.size) : readNumber(header, 124, 12);
+      const end = reader.position() + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+      // Entries that only describe the next one: GNU long names and pax headers
+      if (['L', 'K', 'x', 'g'].includes(type)) {
+        if (size > MAX_TAR_META_SIZE) throw invalid('tar');
+        const data = await reader.read(size);
+        await reader.skip(end - reader.position());
+        if (type === 'L') longName = readString(data, 0, data.length);
+        if (type === 'x') pax = parsePax(data);
+        continue;
+      }
+
+      const isUstar = header.toString('latin1', 257, 262) === 'ustar';
+      const prefix = isUstar ? readString(header, 345, 155) : '';
+      const headerName = readString(header, 0, 100);
+      const name = pax.path ?? longName ?? (prefix ? `${prefix}/${headerName}` : headerName);
+      longName = null;
+      pax = {};
+
+      const isFile = type === '0' || type === '7';
+      yield {
+        name,
+        isDirectory: type === '5',
+        isFile,
+        size,
+        data: isFile ? reader.take(size) : null
+      };
+      // Whatever the caller didn't read, and the padding up to the next block
+      await reader.skip(end - reader.position());
+    }
+    await feeding;
+  } catch (error) {
+    if (error.code?.startsWith('Z_')) throw new HttpError(400, 'The archive is damaged');
+    throw error;
+  } finally {
+    input.destroy();
+    source.destroy();
+  }
+}
+
+// The entries of the archive at `fullPath` (see the top of this file)
+export const readArchive = (fullPath, type, { maxEntries = Infinity } = {}) => {
+  if (type === 'zip') return readZip(fullPath, { maxEntries });
+  if (type === 'tar' || type === 'tar.gz') return readTar(fullPath, { gzipped: type === 'tar.gz' });
+  throw new HttpError(400, 'Only .zip, .tar and .tar.gz archives can be extracted');
+};
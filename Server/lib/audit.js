@@ -0,0 +1,49 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { DATA_DIR } from '../config.js';
+
+// Append-only log of security relevant events (refused uploads, ...) in
+// DATA_DIR/audit.log, one JSON object per line: { at, type, ...details }.
+// Events are printed to the console as well.
+
+const AUDIT_LOG = path.join(DATA_DIR, 'audit.log');
+
+// Lines are appended one after another so they never interleave
+let writeQueue = Promise.resolve();
+
+export const recordAuditEvent = (type, details = {}) => {
+  const event = { at: new Date().toISOString(), type, ...details };
+  console.warn(`[audit] ${type}`, JSON.stringify(details));
+
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.ensureDir(DATA_DIR);
+      await fs.appendFile(AUDIT_LOG, JSON.stringify(event) + '\n');
+    })
+    .catch((error) => console.error('Failed to write the audit log:', error.message));
+  return writeQueue;
+};
+
+// The latest events, newest first, optionally of one type
+export const readAuditEvents = async ({ type, limit = 100 } = {}) => {
+  let content;
+  try {
+    content = await fs.readFile(AUDIT_LOG, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const events = [];
+  const lines = content.split('\n');
+  for (let index = lines.length - 1; index >= 0 && events.length < limit; index--) {
+    if (!lines[index]) continue;
+    try {
+      const event = JSON.parse(lines[index]);
+      if (!type || event.type === type) events.push(event);
+    } catch {
+      // A line cut short by a crash
+    }
+  }
+  return events;
+};
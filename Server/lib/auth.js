@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import path from 'path';
+import { promisify } from 'util';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { removeUserRules } from './acl.js';
+import {
+  DATA_DIR,
+  SESSION_COOKIE_NAME,
+  SESSION_TTL_HOURS,
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES
+} from '../config.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Global role of an account - applies everywhere unless a folder rule (see acl.js) overrides it
+export const USER_ROLES = ['admin', 'editor', 'uploader', 'viewer', 'none'];
+
+const usersStore = createJsonStore(path.join(DATA_DIR, 'users.json'), { users: [] });
+const sessionsStore = createJsonStore(path.join(DATA_DIR, 'sessions.json'), { sessions: {} });
+
+// Failed login attempts per "ip|username", kept in memory only
+const failedLogins = new Map();
+
+// Password hashing (scrypt with a random salt per user)
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, storedHash) => {
+  const [scheme, saltHex, hashHex] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Session tokens are only stored hashed so a leaked sessions.json cannot be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const validateUsername = (username) => {
+  if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(username)) {
+    throw new HttpError(400, 'Username must be 3-32 characters (letters, numbers, . _ -)');
+  }
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw new HttpError(400, 'Password must be at least 8 characters');
+  }
+};
+
+const validateRole = (role) => {
+  if (!USER_ROLES.includes(role)) {
+    throw new HttpError(400, `Role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+};
+
+// Strip secrets before sending a user to the client
+export const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+// Users
+
+export const listUsers = async () => {
+  const { users } = await usersStore.read();
+  return users.map(publicUser);
+};
+
+export const findUserById = async (id) => {
+  const { users } = await usersStore.read();
+  return users.find(user => user.id === id) || null;
+};
+
+export const createUser = async ({ username, password, role = 'viewer' }) => {
+  validateUsername(username);
+  validatePassword(password);
+  validateRole(role);
+
+  const passwordHash = await hashPassword(password);
+  return usersStore.update((data) => {
+    if (data.users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+      throw new HttpError(409, 'A user with that username already exists');
+    }
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      passwordHash,
+      role,
+      createdAt: new Date().toISOString()
+    };
+    data.users.push(user);
+    return publicUser(user);
+  });
+};
+
+export const updateUser = async (id, { password, role }) => {
+  if (password !== undefined) validatePassword(password);
+  if (role !== undefined) validateRole(role);
+
+  const passwordHash = password !== undefined ? await hashPassword(password) : null;
+  const updated = await usersStore.update((data) => {
+    const user = data.users.find(u => u.id === id);
+    if (!user) throw new HttpError(404, 'User not found');
+
+    if (role !== undefined && role !== 'admin' && user.role === 'admin' &&
+        data.users.filter(u => u.role === 'admin').length === 1) {
+      throw new HttpError(400, 'Cannot demote the last admin');
+    }
+
+    if (passwordHash) user.passwordHash = passwordHash;
+    if (role !== undefined) user.role = role;
+    return publicUser(user);
+  });
+
+  // A password change signs the user out everywhere
+  if (passwordHash) await destroyUserSessions(id);
+  return updated;
+};
+
+export const deleteUser = async (id) => {
+  await usersStore.update((data) => {
+    const user = data.users.find(u => u.id === id);
+    if (!user) throw new HttpError(404, 'User not found');
+    if (user.role === 'admin' && data.users.filter(u => u.role === 'admin').length === 1) {
+      throw new HttpError(400, 'Cannot delete the last admin');
+    }
+    data.users = data.users.filter(u => u.id !== id);
+  });
+  await destroyUserSessions(id);
+  await removeUserRules(id);
+};
+
+// Create the first admin account on a fresh install
+export const ensureInitialAdmin = async () => {
+  const { users } = await usersStore.read();
+  if (users.length > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+  await createUser({ username, password, role: 'admin' });
+
+  console.log(`👤 Created initial admin user "${username}"`);
+  if (generated) {
+    console.log(`🔑 Generated password: ${password}`);
+    console.log('   Change it after logging in, or set ADMIN_PASSWORD before the first start.');
+  }
+};
+
+// Login / sessions
+
+export const authenticate = async (username, password, ip) => {
+  const attemptKey = `${ip}|${String(username).toLowerCase()}`;
+  const attempts = failedLogins.get(attemptKey);
+  if (attempts && attempts.count >= LOGIN_MAX_ATTEMPTS && attempts.lockedUntil > Date.now()) {
+    throw new HttpError(429, 'Too many failed login attempts, try again later');
+  }
+
+  const { users } = await usersStore.read();
+  const user = users.find(u => u.username.toLowerCase() === String(username).toLowerCase());
+  const valid = user ? await verifyPassword(String(password), user.passwordHash) : false;
+
+  if (!valid) {
+    const count = (attempts && attempts.lockedUntil > Date.now() ? attempts.count : 0) + 1;
+    failedLogins.set(attemptKey, {
+      count,
+      lockedUntil: Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000
+    });
+    throw new HttpError(401, 'Invalid username or password');
+  }
+
+  failedLogins.delete(attemptKey);
+  return user;
+};
+
+export const createSession = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  await sessionsStore.update((data) => {
+    // Drop expired sessions whenever a new one is written
+    for (const [key, session] of Object.entries(data.sessions)) {
+      if (session.expiresAt < now) delete data.sessions[key];
+    }
+    data.sessions[hashToken(token)] = {
+      userId,
+      createdAt: now,
+      expiresAt: now + SESSION_TTL_HOURS * 60 * 60 * 1000
+    };
+  });
+  return token;
+};
+
+export const destroySession = async (token) => {
+  if (!token) return;
+  await sessionsStore.update((data) => {
+    delete data.sessions[hashToken(token)];
+  });
+};
+
+const destroyUserSessions = async (userId) => {
+  await sessionsStore.update((data) => {
+    for (const [key, session] of Object.entries(data.sessions)) {
+      if (session.userId === userId) delete data.sessions[key];
+    }
+  });
+};
+
+export const getSessionUser = async (token) => {
+  if (!token) return null;
+  const { sessions } = await sessionsStore.read();
+  const session = sessions[hashToken(token)];
+  if (!session || session.expiresAt < Date.now()) return null;
+  return findUserById(session.userId);
+};
+
+// Cookie helpers (no cookie-parser dependency needed for a few cookies)
+export const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+};
+
+// Accept either the session cookie (browser) or a bearer token (scripts)
+export const getRequestToken = (req) => {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE_NAME);
+};
+
+export const setSessionCookie = (req, res, token) => {
+  res.cookie(SESSION_COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000,
+    path: '/'
+  });
+};
+
+export const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+};
+
+// Middleware
+
+export const requireAuth = async (req, res, next) => {
+  try {
+    const user = await getSessionUser(getRequestToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { HttpError } from './errors.js';
+import { BATCH_MAX_OPERATIONS } from '../config.js';
+
+// Batches: a list of file operations the server works through as one job, so a large
+// cleanup doesn't depend on the browser tab that started it. Operations run one after
+// another, in order, and each gets its own result. A failed operation doesn't stop the
+// rest unless `stopOnError` is set. Jobs live in memory only, like copies and imports.
+//
+// Job status: running -> complete | cancelled
+// Result status: pending -> done | skipped | failed | cancelled
+
+// Operation -> the fields it needs (other fields are passed along as they are)
+export const BATCH_OPERATIONS = {
+  delete: ['path'],
+  move: ['path', 'destination'],
+  copy: ['path', 'destination'],
+  mkdir: ['path', 'name'],
+  rename: ['path', 'newName'],
+  metadata: ['path']
+};
+
+// Finished jobs stay listed for a while so the client can show how they ended
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+// Check the shape of a batch before anything runs: [{ op, ...fields }]
+export const parseOperations = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new HttpError(400, 'operations must be a non-empty list');
+  }
+  if (value.length > BATCH_MAX_OPERATIONS) {
+    throw new HttpError(400, `A batch can have at most ${BATCH_MAX_OPERATIONS} operations`);
+  }
+  return value.map((operation, index) => {
+    const fields = BATCH_OPERATIONS[operation?.op];
+    if (!fields) {
+      throw new HttpError(400, `Operation ${index}: op must be one of: ${Object.keys(BATCH_OPERATIONS).join(', ')}`);
+    }
+    const missing = fields.filter(field => typeof operation[field] !== 'string' || !operation[field]);
+    if (missing.length > 0) {
+      throw new HttpError(400, `Operation ${index} (${operation.op}) needs ${missing.join(', ')}`);
+    }
+    return operation;
+  });
+};
+
+const counts = (job) => {
+  const byStatus = { done: 0, skipped: 0, failed: 0 };
+  for (const result of job.results) {
+    if (result.status in byStatus) byStatus[result.status] += 1;
+  }
+  return byStatus;
+};
+
+// Without `withResults` only the progress - results of large batches are long
+const publicJob = (job, { withResults = true } = {}) => ({
+  id: job.id,
+  status: job.status,
+  stopOnError: job.stopOnError,
+  total: job.results.length,
+  processed: job.processed,
+  ...counts(job),
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  ...(withResults ? { results: job.results } : {})
+});
+
+const touch = (job) => {
+  job.updatedAt = new Date().toISOString();
+};
+
+// Operations that never ran once the batch stopped
+const cancelRemaining = (job) => {
+  for (const result of job.results) {
+    if (result.status === 'pending') result.status = 'cancelled';
+  }
+};
+
+const runBatch = async (job, operations) => {
+  for (const [index, operation] of operations.entries()) {
+    if (job.status !== 'running') break;
+
+    const result = job.results[index];
+    try {
+      const outcome = await job.execute(operation);
+      result.status = outcome?.skipped ? 'skipped' : 'done';
+      result.result = outcome ?? null;
+    } catch (error) {
+      if (!error.status) console.error(`Batch ${job.id}: ${operation.op} ${operation.path} failed:`, error);
+      result.status = 'failed';
+      result.error = error.status ? error.message : `${operation.op} failed: ${error.message}`;
+    }
+    job.processed += 1;
+    touch(job);
+
+    if (result.status === 'failed' && job.stopOnError) break;
+  }
+
+  cancelRemaining(job);
+  if (job.status === 'running') job.status = 'complete';
+  job.finishedAt = Date.now();
+  touch(job);
+};
+
+// Forget jobs that finished a while ago
+const pruneJobs = () => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+};
+
+// Start working through `operations` (see parseOperations). `execute(operation)` does one
+// of them and resolves to its outcome - `{ skipped: true }` counts as skipped. `owner`
+// is the user id.
+export const createBatch = ({ operations, stopOnError = false, owner, execute }) => {
+  pruneJobs();
+  const parsed = parseOperations(operations);
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    status: 'running',
+    stopOnError: Boolean(stopOnError),
+    processed: 0,
+    results: parsed.map((operation, index) => ({
+      index,
+      op: operation.op,
+      path: operation.path,
+      status: 'pending',
+      result: null,
+      error: null
+    })),
+    createdAt: now,
+    updatedAt: now,
+    execute
+  };
+  jobs.set(job.id, job);
+  runBatch(job, parsed).catch(error => console.error(`Batch ${job.id} failed:`, error));
+  return publicJob(job);
+};
+
+// `owner` null skips the owner check (admins)
+const findJob = (id, owner) => {
+  const job = jobs.get(id);
+  if (!job || (owner !== null && job.owner !== owner)) throw new HttpError(404, 'Batch not found');
+  return job;
+};
+
+export const getBatch = (id, owner) => publicJob(findJob(id, owner));
+
+// Newest first, without results
+export const listBatches = (owner) => {
+  pruneJobs();
+  return [...jobs.values()]
+    .filter(job => owner === null || job.owner === owner)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(job => ({ ...publicJob(job, { withResults: false }), owner: job.owner }));
+};
+
+// Stops a running batch after the operation in progress; a finished one is just removed
+// from the list
+export const cancelBatch = (id, owner) => {
+  const job = findJob(id, owner);
+  if (job.status === 'running') {
+    job.status = 'cancelled';
+    touch(job);
+    return publicJob(job, { withResults: false });
+  }
+  jobs.delete(id);
+  return null;
+};
@@ -0,0 +1,44 @@
+// Server-sent events for open browser windows. Each subscriber is an open response
+// plus a check of which folders its user may see; changes to other folders are not
+// sent. A comment line every HEARTBEAT_MS keeps proxies from closing idle streams.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const subscribers = new Set();
+
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn `res` into an event stream until the client goes away.
+// `canSee(folderPath)` resolves to whether the folder's changes are sent.
+export const subscribeToChanges = (req, res, canSee) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // nginx would otherwise hold events back in its buffer
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  send(res, 'ready', {});
+
+  const subscriber = { res, canSee };
+  subscribers.add(subscriber);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+};
+
+// Tell every subscriber which of the folders they can see changed
+export const publishChanges = async (folders) => {
+  for (const { res, canSee } of subscribers) {
+    const visible = [];
+    for (const folder of folders) {
+      if (await canSee(folder).catch(() => false)) visible.push(folder);
+    }
+    if (visible.length > 0 && !res.writableEnded) send(res, 'change', { paths: visible });
+  }
+};
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { isSameOrInside } from './paths.js';
+import { DATA_DIR } from '../config.js';
+
+// SHA-256 integrity checks for uploads. Clients may send a checksum per chunk
+// (X-Chunk-SHA256 header) and one for the whole file; the server verifies both and
+// remembers the hash of every file it assembled so listings can show it.
+
+export const CHUNK_CHECKSUM_HEADER = 'X-Chunk-SHA256';
+
+// Hashes of stored files by relative path. Size and mtime are kept alongside so a
+// file changed behind MediaGrid's back doesn't show a stale hash.
+const hashStore = createJsonStore(path.join(DATA_DIR, 'file-hashes.json'), { files: {} });
+
+export const sha256Hex = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Stream a file through SHA-256
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (data) => hash.update(data))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// Client supplied checksum -> lowercase hex, or null when none was sent
+export const parseSha256 = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const hex = String(value).trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hex)) {
+    throw new HttpError(400, 'SHA-256 checksums must be 64 hex characters');
+  }
+  return hex;
+};
+
+// A corrupted chunk is worth sending again, so the error says it's retryable
+export const assertChunkChecksum = (buffer, expected) => {
+  const checksum = parseSha256(expected);
+  if (checksum && sha256Hex(buffer) !== checksum) {
+    throw new HttpError(422, 'Chunk checksum mismatch, please send it again', { retryable: true });
+  }
+};
+
+export const fileChecksumMismatch = () =>
+  new HttpError(422, 'File checksum mismatch, the upload was corrupted on the way - please upload it again', { retryable: true });
+
+export const recordFileHash = async (relativePath, fullPath, sha256) => {
+  const stats = await fs.stat(fullPath);
+  await hashStore.update((data) => {
+    data.files[relativePath] = { sha256, size: stats.size, mtimeMs: stats.mtime.getTime() };
+  });
+};
+
+// Hash of a listed file, if it is still the file that was hashed
+export const getFileHash = async (relativePath, stats) => {
+  const { files } = await hashStore.read();
+  const entry = files[relativePath];
+  if (!entry || entry.size !== stats.size || entry.mtimeMs !== stats.modified.getTime()) return null;
+  return entry.sha256;
+};
+
+// Keep hashes attached to files (and folder contents) that are renamed or deleted
+export const moveFileHashes = async (fromPath, toPath) => {
+  await hashStore.update((data) => {
+    for (const key of Object.keys(data.files)) {
+      if (!isSameOrInside(fromPath, key)) continue;
+      const entry = data.files[key];
+      delete data.files[key];
+      if (toPath) data.files[toPath + key.slice(fromPath.length)] = entry;
+    }
+  });
+};
+
+export const forgetFileHashes = (relativePath) => moveFileHashes(relativePath, null);
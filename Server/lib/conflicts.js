@@ -0,0 +1,57 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { HttpError } from './errors.js';
+import { resolveChildPath } from './paths.js';
+
+// What a write does when its target name is already taken:
+//   overwrite - replace the existing file
+//   skip      - keep the existing item and drop the new one
+//   rename    - keep both, the new one becomes "name (1).ext", "name (2).ext", ...
+//   fail      - refuse with 409 (the body carries `conflict: true` so clients can ask the user)
+export const CONFLICT_POLICIES = ['overwrite', 'skip', 'rename', 'fail'];
+
+export const parseConflictPolicy = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (!CONFLICT_POLICIES.includes(value)) {
+    throw new HttpError(400, `Conflict policy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+  }
+  return value;
+};
+
+// lstat rather than pathExists so a dangling symlink still counts as taken
+const getExisting = (fullPath) => fs.lstat(fullPath).catch(() => null);
+
+// "clip.mp4" -> "clip (2).mp4", folders keep dots in their name: "v1.2" -> "v1.2 (2)"
+const numberedName = (name, number, isDirectory) => {
+  const ext = isDirectory ? '' : path.extname(name);
+  return `${path.basename(name, ext)} (${number})${ext}`;
+};
+
+// Where a new item called `name` goes inside `parentPath` under `policy`. Resolves to
+// { relativePath, fullPath, name, exists }: `exists` means the name is taken and the
+// caller either skips the write (skip) or replaces the existing file (overwrite).
+// Only files can be overwritten - a folder is never replaced wholesale.
+export const resolveConflict = async (parentPath, name, policy, { isDirectory = false } = {}) => {
+  const target = await resolveChildPath(parentPath, name);
+  const existing = await getExisting(target.fullPath);
+  if (!existing) return { ...target, name, exists: false };
+
+  if (policy === 'fail') {
+    throw new HttpError(409, `"${name}" already exists in this folder`, { conflict: true, name });
+  }
+
+  if (policy === 'rename') {
+    for (let number = 1; ; number++) {
+      const candidate = numberedName(name, number, isDirectory);
+      const candidateTarget = await resolveChildPath(parentPath, candidate);
+      if (!await getExisting(candidateTarget.fullPath)) {
+        return { ...candidateTarget, name: candidate, exists: false };
+      }
+    }
+  }
+
+  if (policy === 'overwrite' && (isDirectory || existing.isDirectory())) {
+    throw new HttpError(409, `"${name}" is a folder and can't be overwritten`, { conflict: true, name });
+  }
+  return { ...target, name, exists: true };
+};
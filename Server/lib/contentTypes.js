@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { normalizeRelativePath, isSameOrInside } from './paths.js';
+import { DATA_DIR, CONTENT_TYPES_ALLOW, CONTENT_TYPES_BLOCK } from '../config.js';
+
+// What a file really is, judged by its first bytes rather than its name, and which
+// kinds of files each folder accepts. A policy has allow and block patterns - MIME
+// types ("application/pdf") or families ("video/*"). A file is accepted when it
+// matches no block pattern and, if there are allow patterns, one of those.
+// The policy on the closest folder wins (like access rules); without one the
+// CONTENT_TYPES_ALLOW / CONTENT_TYPES_BLOCK defaults apply.
+
+// Enough for every signature below (and a look at the start of text files)
+export const SNIFF_BYTES = 4100;
+
+const FALLBACK_TYPE = 'application/octet-stream';
+
+const policyStore = createJsonStore(path.join(DATA_DIR, 'content-policies.json'), { policies: [] });
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+const containsAscii = (buffer, text, end) => buffer.subarray(0, end).includes(Buffer.from(text, 'latin1'));
+
+// ISO base media files (mp4, mov, heic, ...) by their major brand
+const ftypType = (brand) => {
+  if (brand === 'qt  ') return 'video/quicktime';
+  if (['M4A ', 'M4B ', 'M4P ', 'F4A ', 'F4B '].includes(brand)) return 'audio/mp4';
+  if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'].includes(brand)) return 'image/heic';
+  if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+  if (brand === 'avif' || brand === 'avis') return 'image/avif';
+  if (brand.startsWith('3g2')) return 'video/3gpp2';
+  if (brand.startsWith('3g')) return 'video/3gpp';
+  return 'video/mp4';
+};
+
+// Plain text when the bytes decode as UTF-8 without control characters
+const textType = (buffer) => {
+  if (buffer.length === 0) return null;
+  let text;
+  try {
+    // `stream` so a character cut off at the end of the sample is not an error
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+  } catch {
+    return null;
+  }
+  if (/[\x00-\x08\x0e-\x1a\x1c-\x1f]/.test(text)) return null;
+
+  const start = text.replace(/^\uFEFF/, '').trimStart().slice(0, 512).toLowerCase();
+  if (start.startsWith('<svg') || (start.startsWith('<?xml') && start.includes('<svg'))) return 'image/svg+xml';
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) return 'text/html';
+  if (start.startsWith('<?xml')) return 'application/xml';
+  if (start.startsWith('#!')) return 'text/x-shellscript';
+  return 'text/plain';
+};
+
+// MIME type of a file from its first bytes (at most SNIFF_BYTES are looked at)
+export const sniffContentType = (buffer) => {
+  if (startsWith(buffer, ascii('ftyp'), 4)) return ftypType(buffer.subarray(8, 12).toString('latin1'));
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return containsAscii(buffer, 'webm', 64) ? 'video/webm' : 'video/x-matroska';
+  }
+  if (startsWith(buffer, ascii('RIFF'))) {
+    const format = buffer.subarray(8, 12).toString('latin1');
+    if (format === 'AVI ') return 'video/x-msvideo';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'WEBP') return 'image/webp';
+  }
+  if (startsWith(buffer, [0x46, 0x4c, 0x56, 0x01])) return 'video/x-flv';
+  if (startsWith(buffer, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11])) return 'video/x-ms-asf';
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0xba]) || startsWith(buffer, [0x00, 0x00, 0x01, 0xb3])) return 'video/mpeg';
+  if (buffer[0] === 0x47 && buffer.length > 376 && buffer[188] === 0x47 && buffer[376] === 0x47) return 'video/mp2t';
+  if (startsWith(buffer, ascii('OggS'))) {
+    if (containsAscii(buffer, 'theora', 64)) return 'video/ogg';
+    return containsAscii(buffer, 'vorbis', 64) || containsAscii(buffer, 'OpusHead', 64) ? 'audio/ogg' : 'application/ogg';
+  }
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (startsWith(buffer, ascii('BM')) && buffer.length > 14 && buffer.readUInt32LE(2) > 0 && buffer[14] !== 0) return 'image/bmp';
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0x00])) return 'image/x-icon';
+
+  if (startsWith(buffer, ascii('ID3'))) return 'audio/mpeg';
+  if (startsWith(buffer, ascii('fLaC'))) return 'audio/flac';
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'audio/aac';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06])) return 'application/zip';
+  if (startsWith(buffer, [0x1f, 0x8b])) return 'application/gzip';
+  if (startsWith(buffer, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return 'application/x-7z-compressed';
+  if (startsWith(buffer, ascii('Rar!\x1a\x07'))) return 'application/vnd.rar';
+  if (startsWith(buffer, ascii('MZ'))) return 'application/x-msdownload';
+  if (startsWith(buffer, [0x7f, 0x45, 0x4c, 0x46])) return 'application/x-executable';
+  if (startsWith(buffer, [0xcf, 0xfa, 0xed, 0xfe]) || startsWith(buffer, [0xca, 0xfe, 0xba, 0xbe])) return 'application/x-mach-binary';
+
+  return textType(buffer) || FALLBACK_TYPE;
+};
+
+// First SNIFF_BYTES of a file
+export const readFileHead = async (filePath) => {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await fs.read(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(fd);
+  }
+};
+
+// Content types of listed files, until they change (size or mtime)
+const typeCache = new Map();
+
+// MIME type of a stored file (sniffed again once its size or mtime changes)
+export const getFileContentType = async (filePath) => {
+  const stats = await fs.stat(filePath);
+  const cached = typeCache.get(filePath);
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) return cached.type;
+
+  const type = sniffContentType(await readFileHead(filePath).catch(() => Buffer.alloc(0)));
+  typeCache.set(filePath, { type, size: stats.size, mtimeMs: stats.mtimeMs });
+  return type;
+};
+
+export const isVideoType = (type) => type.startsWith('video/');
+
+// Policies
+
+const PATTERN = /^(\*\/\*|[a-z0-9.+-]+\/([a-z0-9.+-]+|\*))$/;
+
+// "video/*, application/pdf" or an array -> lowercase patterns
+export const parseTypePatterns = (value) => {
+  const patterns = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(pattern => String(pattern).trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = patterns.find(pattern => !PATTERN.test(pattern));
+  if (invalid) {
+    throw new HttpError(400, `"${invalid}" is not a MIME type or family like "video/*"`);
+  }
+  return [...new Set(patterns)];
+};
+
+const matchesPattern = (type, pattern) => {
+  if (pattern === '*/*') return true;
+  const [family, subtype] = pattern.split('/');
+  return subtype === '*' ? type.startsWith(`${family}/`) : type === pattern;
+};
+
+const DEFAULT_POLICY = {
+  id: null,
+  path: '/',
+  allow: parseTypePatterns(CONTENT_TYPES_ALLOW),
+  block: parseTypePatterns(CONTENT_TYPES_BLOCK)
+};
+
+export const listContentPolicies = async () => {
+  const { policies } = await policyStore.read();
+  return {
+    policies: [...policies].sort((a, b) => a.path.localeCompare(b.path)),
+    defaultPolicy: DEFAULT_POLICY
+  };
+};
+
+// One policy per folder - setting it again replaces the patterns
+export const setContentPolicy = async ({ path: policyPath, allow, block }) => {
+  const normalizedPath = normalizeRelativePath(policyPath);
+  const patterns = { allow: parseTypePatterns(allow), block: parseTypePatterns(block) };
+
+  return policyStore.update((data) => {
+    const existing = data.policies.find(policy => policy.path === normalizedPath);
+    if (existing) {
+      Object.assign(existing, patterns, { updatedAt: new Date().toISOString() });
+      return existing;
+    }
+    const policy = {
+      id: crypto.randomUUID(),
+      path: normalizedPath,
+      ...patterns,
+      createdAt: new Date().toISOString()
+    };
+    data.policies.push(policy);
+    return policy;
+  });
+};
+
+export const removeContentPolicy = async (id) => {
+  await policyStore.update((data) => {
+    if (!data.policies.some(policy => policy.id === id)) {
+      throw new HttpError(404, 'Policy not found');
+    }
+    data.policies = data.policies.filter(policy => policy.id !== id);
+  });
+};
+
+// The policy for uploads into a folder: the closest folder's, else the default
+export const getContentPolicy = async (folderPath) => {
+  const targetPath = normalizeRelativePath(folderPath);
+  const { policies } = await policyStore.read();
+
+  let closest = null;
+  for (const policy of policies) {
+    if (!isSameOrInside(policy.path, targetPath)) continue;
+    if (!closest || policy.path.length > closest.path.length) closest = policy;
+  }
+  return closest || DEFAULT_POLICY;
+};
+
+// Sniff the first bytes of a file going into `folderPath` and throw 415 unless the folder's
+// policy accepts what it really is. Resolves to the detected type.
+export const assertContentAllowed = async (folderPath, filename, head) => {
+  const type = sniffContentType(head);
+  const policy = await getContentPolicy(folderPath);
+
+  const blocked = policy.block.some(pattern => matchesPattern(type, pattern));
+  const allowed = policy.allow.length === 0 || policy.allow.some(pattern => matchesPattern(type, pattern));
+  if (blocked || !allowed) {
+    throw new HttpError(415, `"${filename}" is ${type}, which can't be uploaded to this folder`, {
+      contentType: type,
+      policyPath: policy.path
+    });
+  }
+  return type;
+};
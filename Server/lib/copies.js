@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { HttpError } from './errors.js';
+import { INTERNAL_DIR, UPLOADS_DIR, COPY_CONCURRENCY } from '../config.js';
+
+// Copies of files and folders. A copy is a job the client polls for progress and may
+// cancel, like a URL import: the tree is copied into a staging folder inside the
+// internal folder (where listings and the watcher don't see it) and only moved into
+// its destination once it is complete. Jobs live in memory only - a restart forgets
+// them, and the data of unfinished copies is removed on startup.
+//
+// Job status: queued -> preparing -> copying -> placing -> complete | failed | cancelled
+// A copy that is being placed can no longer be cancelled.
+
+const COPIES_DIR = path.join(INTERNAL_DIR, 'copies');
+
+// Finished jobs stay listed for a while so the client can show how they ended
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+let running = 0;
+
+// Everything a copy of `fullPath` consists of: [{ path, isDirectory, size, modified }],
+// paths relative to it ('' is the item itself). Hidden entries and symlinks below it are
+// left out, like in listings. Resolves to null when there is nothing at `fullPath`.
+export const listTree = async (fullPath) => {
+  const stats = await fs.stat(fullPath).catch(() => null);
+  if (!stats) return null;
+  if (!stats.isDirectory()) return [{ path: '', isDirectory: false, size: stats.size, modified: stats.mtime }];
+
+  const entries = [{ path: '', isDirectory: true, size: 0, modified: stats.mtime }];
+  const walk = async (relativePath) => {
+    const children = await fs.readdir(path.join(fullPath, relativePath), { withFileTypes: true });
+    for (const child of children) {
+      if (child.name.startsWith('.') || child.isSymbolicLink()) continue;
+      const childPath = relativePath ? `${relativePath}/${child.name}` : child.name;
+      if (!child.isDirectory() && !child.isFile()) continue;
+      const { size, mtime } = await fs.stat(path.join(fullPath, childPath));
+      if (child.isDirectory()) {
+        entries.push({ path: childPath, isDirectory: true, size: 0, modified: mtime });
+        await walk(childPath);
+      } else {
+        entries.push({ path: childPath, isDirectory: false, size, modified: mtime });
+      }
+    }
+  };
+  await walk('');
+  return entries;
+};
+
+const publicJob = (job) => ({
+  id: job.id,
+  sourcePath: job.sourcePath,
+  targetPath: job.targetPath,
+  name: job.name,
+  status: job.status,
+  totalFiles: job.totalFiles,
+  copiedFiles: job.copiedFiles,
+  totalBytes: job.totalBytes,
+  copiedBytes: job.copiedBytes,
+  error: job.error,
+  result: job.result,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+const touch = (job) => {
+  job.updatedAt = new Date().toISOString();
+};
+
+const finish = (job, status, fields = {}) => {
+  Object.assign(job, fields, { status });
+  touch(job);
+  job.finishedAt = Date.now();
+  job.settle();
+};
+
+// Copy one file, hashing it on the way - resolves to its SHA-256
+const copyFile = async (job, fromPath, toPath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(
+    fs.createReadStream(fromPath),
+    async function* (source) {
+      for await (const data of source) {
+        job.copiedBytes += data.length;
+        touch(job);
+        hash.update(data);
+        yield data;
+      }
+    },
+    fs.createWriteStream(toPath),
+    { signal: job.controller.signal }
+  );
+  return hash.digest('hex');
+};
+
+// List the tree, let `check(entries, job)` refuse it (permissions, quotas, content
+// policies), copy it into the staging folder and let `place(stagingPath, job)` move it
+// into the folder tree (name conflicts and records are the caller's business)
+const runCopy = async (job) => {
+  const stagingRoot = path.join(COPIES_DIR, job.id);
+  const stagingPath = path.join(stagingRoot, job.name);
+  job.status = 'preparing';
+  touch(job);
+
+  try {
+    const sourceFullPath = path.join(UPLOADS_DIR, job.sourcePath);
+    const entries = await listTree(sourceFullPath);
+    if (!entries) throw new HttpError(404, 'The item to copy no longer exists');
+    const files = entries.filter(entry => !entry.isDirectory);
+    job.totalFiles = files.length;
+    job.totalBytes = files.reduce((sum, entry) => sum + entry.size, 0);
+    await job.check(entries, publicJob(job));
+    if (job.status === 'cancelled') return;
+
+    job.status = 'copying';
+    touch(job);
+    for (const entry of entries) {
+      // Cancelled between two files
+      if (job.controller.signal.aborted) return;
+      const toPath = path.join(stagingPath, entry.path);
+      if (entry.isDirectory) {
+        await fs.ensureDir(toPath);
+        continue;
+      }
+      await fs.ensureDir(path.dirname(toPath));
+      entry.sha256 = await copyFile(job, path.join(sourceFullPath, entry.path), toPath);
+      job.copiedFiles += 1;
+    }
+    if (job.status === 'cancelled') return;
+
+    job.status = 'placing';
+    touch(job);
+    const result = await job.place(stagingPath, { ...publicJob(job), conflict: job.conflict, entries });
+    finish(job, 'complete', { result });
+  } catch (error) {
+    if (job.status === 'cancelled') return;
+    if (!error.status) console.error(`Copying ${job.sourcePath} failed:`, error);
+    finish(job, 'failed', { error: error.status ? error.message : `Copy failed: ${error.message}` });
+  } finally {
+    await fs.remove(stagingRoot);
+  }
+};
+
+// Start queued jobs while there is room
+const startQueued = () => {
+  for (const job of jobs.values()) {
+    if (running >= COPY_CONCURRENCY) return;
+    if (job.status !== 'queued') continue;
+    running += 1;
+    runCopy(job).finally(() => {
+      running -= 1;
+      startQueued();
+    });
+  }
+};
+
+// Forget jobs that finished a while ago
+const pruneJobs = () => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+};
+
+// Copy `sourcePath` into the folder `targetPath`. `owner` is the user id, `check` and
+// `place` see runCopy.
+export const createCopy = ({ sourcePath, targetPath, conflict, owner, check, place }) => {
+  pruneJobs();
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    sourcePath,
+    targetPath,
+    name: path.posix.basename(sourcePath),
+    conflict,
+    owner,
+    status: 'queued',
+    totalFiles: null,
+    copiedFiles: 0,
+    totalBytes: null,
+    copiedBytes: 0,
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+    check,
+    place
+  };
+  job.finished = new Promise((resolve) => {
+    job.settle = resolve;
+  });
+  jobs.set(job.id, job);
+  startQueued();
+  return publicJob(job);
+};
+
+// `owner` null skips the owner check (admins)
+const findJob = (id, owner) => {
+  const job = jobs.get(id);
+  if (!job || (owner !== null && job.owner !== owner)) throw new HttpError(404, 'Copy not found');
+  return job;
+};
+
+export const getCopy = (id, owner) => publicJob(findJob(id, owner));
+
+// Resolves to the job once it is complete, failed or cancelled
+export const waitForCopy = async (id) => {
+  const job = findJob(id, null);
+  await job.finished;
+  return publicJob(job);
+};
+
+// Newest first
+export const listCopies = (owner) => {
+  pruneJobs();
+  return [...jobs.values()]
+    .filter(job => owner === null || job.owner === owner)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(job => ({ ...publicJob(job), owner: job.owner }));
+};
+
+// Cancels a queued or running copy; a finished one is just removed from the list
+export const cancelCopy = (id, owner) => {
+  const job = findJob(id, owner);
+  if (job.status === 'placing') throw new HttpError(409, 'The copy is being placed and can no longer be cancelled');
+  if (['queued', 'preparing', 'copying'].includes(job.status)) {
+    finish(job, 'cancelled');
+    job.controller.abort();
+    return publicJob(job);
+  }
+  jobs.delete(id);
+  return null;
+};
+
+// Data of copies interrupted by a restart
+export const removeInterruptedCopies = () => fs.remove(COPIES_DIR);
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import path from 'path';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { signToken, verifyToken } from './tokens.js';
+import { normalizeRelativePath } from './paths.js';
+import { DATA_DIR, SHARE_MAX_EXPIRY_DAYS } from '../config.js';
+
+const dropsStore = createJsonStore(path.join(DATA_DIR, 'drops.json'), { drops: [] });
+
+const isActive = (drop, now = Date.now()) => !drop.revoked && drop.expiresAt > now;
+
+// "mp4, .MOV mxf" -> ['.mp4', '.mov', '.mxf']
+const parseExtensions = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(list
+    .map(ext => String(ext).trim().toLowerCase().replace(/^\.*/, ''))
+    .filter(ext => /^[a-z0-9]+$/.test(ext))
+    .map(ext => `.${ext}`))];
+};
+
+// What the management UI gets to see
+const publicDrop = async (drop) => ({
+  id: drop.id,
+  path: drop.path,
+  title: drop.title,
+  createdBy: drop.createdBy,
+  createdAt: drop.createdAt,
+  expiresAt: new Date(drop.expiresAt).toISOString(),
+  maxTotalSize: drop.maxTotalSize,
+  allowedExtensions: drop.allowedExtensions,
+  usedBytes: drop.usedBytes,
+  uploadCount: drop.uploadCount,
+  token: await signToken({ type: 'drop', id: drop.id, exp: drop.expiresAt })
+});
+
+// What the outside uploader gets to see - no paths, nothing about the folder contents
+export const dropInfo = (drop) => ({
+  title: drop.title,
+  expiresAt: new Date(drop.expiresAt).toISOString(),
+  maxTotalSize: drop.maxTotalSize,
+  remainingBytes: Math.max(drop.maxTotalSize - drop.usedBytes, 0),
+  allowedExtensions: drop.allowedExtensions
+});
+
+export const createDrop = async ({ path: dropPath, title, createdBy, expiresInHours, maxTotalSize, allowedExtensions }) => {
+  const hours = Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > SHARE_MAX_EXPIRY_DAYS * 24) {
+    throw new HttpError(400, `Expiry must be between 1 hour and ${SHARE_MAX_EXPIRY_DAYS} days`);
+  }
+
+  const sizeLimit = Number(maxTotalSize);
+  if (!Number.isFinite(sizeLimit) || sizeLimit <= 0) {
+    throw new HttpError(400, 'Max total size must be a positive number of bytes');
+  }
+
+  const normalizedPath = normalizeRelativePath(dropPath);
+  const now = Date.now();
+  const drop = {
+    id: crypto.randomUUID(),
+    path: normalizedPath,
+    title: String(title || '').trim().slice(0, 100) || path.posix.basename(normalizedPath) || 'File request',
+    createdBy,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + Math.round(hours * 60 * 60 * 1000),
+    maxTotalSize: Math.floor(sizeLimit),
+    allowedExtensions: parseExtensions(allowedExtensions),
+    usedBytes: 0,
+    uploadCount: 0,
+    revoked: false
+  };
+
+  await dropsStore.update((data) => {
+    // Forget drop boxes that expired long ago while we're writing anyway
+    const cutoff = now - 30 * 24 * 60 * 60 * 1000;
+    data.drops = data.drops.filter(d => d.expiresAt > cutoff);
+    data.drops.push(drop);
+  });
+
+  return publicDrop(drop);
+};
+
+// Active drop boxes - all of them for admins, otherwise only the user's own
+export const listDrops = async (user) => {
+  const { drops } = await dropsStore.read();
+  const visible = drops.filter(drop =>
+    isActive(drop) && (user.role === 'admin' || drop.createdBy === user.id)
+  );
+  return Promise.all(visible.map(publicDrop));
+};
+
+export const revokeDrop = async (id, user) => {
+  await dropsStore.update((data) => {
+    const drop = data.drops.find(d => d.id === id);
+    if (!drop) throw new HttpError(404, 'Upload link not found');
+    if (user.role !== 'admin' && drop.createdBy !== user.id) {
+      throw new HttpError(403, 'You can only revoke your own upload links');
+    }
+    drop.revoked = true;
+  });
+};
+
+export const findDropById = async (id) => {
+  const { drops } = await dropsStore.read();
+  return drops.find(drop => drop.id === id) || null;
+};
+
+// Resolve a public token to its drop box, or explain why it no longer works
+export const getDropByToken = async (token) => {
+  const payload = await verifyToken(token, 'drop');
+  if (!payload) throw new HttpError(404, 'This upload link is invalid or has expired');
+
+  const { drops } = await dropsStore.read();
+  const drop = drops.find(d => d.id === payload.id);
+  if (!drop || !isActive(drop)) {
+    throw new HttpError(410, 'This upload link has been revoked or has expired');
+  }
+  return drop;
+};
+
+export const isExtensionAllowed = (drop, filename) =>
+  drop.allowedExtensions.length === 0 ||
+  drop.allowedExtensions.includes(path.extname(filename).toLowerCase());
+
+// Throw 413 when `bytes` more would not fit in the drop box
+export const assertDropSpace = (drop, bytes) => {
+  if (drop.usedBytes + bytes > drop.maxTotalSize) {
+    throw new HttpError(413, 'This upload link has no space left for this file');
+  }
+};
+
+// Count a finished upload against the size limit, refusing it once the limit is reached
+export const recordDropUpload = async (id, bytes) => {
+  await dropsStore.update((data) => {
+    const drop = data.drops.find(d => d.id === id);
+    if (!drop || !isActive(drop)) {
+      throw new HttpError(410, 'This upload link has been revoked or has expired');
+    }
+    assertDropSpace(drop, bytes);
+    drop.usedBytes += bytes;
+    drop.uploadCount += 1;
+  });
+};
@@ -0,0 +1,19 @@
+// Error carrying the HTTP status a route handler should answer with. `details` are
+// extra fields for the JSON body, e.g. { retryable: true }.
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send a thrown error as JSON - HttpErrors keep their status and message,
+// anything else becomes a 500 with the given fallback message
+export const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  return res.status(500).json({ error: fallbackMessage });
+};
@@ -0,0 +1,302 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { HttpError } from './errors.js';
+import { sanitizeFilename } from './paths.js';
+import { formatBytes } from './quotas.js';
+import { readArchive, describeArchive } from './archives.js';
+import {
+  INTERNAL_DIR,
+  UPLOADS_DIR,
+  EXTRACT_CONCURRENCY,
+  EXTRACT_MAX_ENTRIES,
+  EXTRACT_MAX_BYTES,
+  EXTRACT_MAX_RATIO
+} from '../config.js';
+
+// Extraction of uploaded archives into a new folder, as background jobs the client polls
+// and may cancel - like copies. The archive is unpacked into a staging folder inside the
+// internal folder and only moved into the tree once it is complete. Archives are treated
+// as hostile:
+// - every path is rebuilt from sanitized segments; entries that would land outside the
+//   folder ("zip-slip"), hidden entries, links and special files are skipped and reported
+// - the unpacked size is counted as it is written, not taken from the archive, and the
+//   job fails past EXTRACT_MAX_BYTES or EXTRACT_MAX_RATIO times the archive's size
+//   ("zip bombs"); so does an archive with more than EXTRACT_MAX_ENTRIES entries
+//
+// Job status: queued -> extracting -> placing -> complete | failed | cancelled
+// An extraction that is being placed can no longer be cancelled.
+
+const EXTRACTIONS_DIR = path.join(INTERNAL_DIR, 'extractions');
+
+// Small archives of text can legitimately compress far better than EXTRACT_MAX_RATIO
+const RATIO_FREE_BYTES = 64 * 1024 * 1024;
+
+// Finished jobs stay listed for a while so the client can show how they ended
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+// Skipped entries listed per job - the count goes on
+const MAX_SKIPPED_LISTED = 100;
+
+const jobs = new Map();
+let running = 0;
+
+// The entry's path inside the new folder, every segment sanitized like an uploaded file's
+// name - or null when it would climb out of the folder or nothing usable is left
+const safeEntryPath = (name) => {
+  const segments = name.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) return null;
+  const safe = segments.map(segment => sanitizeFilename(segment));
+  if (safe.some(segment => !segment || segment.startsWith('.') || segment.length > 255)) return null;
+  return safe.join('/');
+};
+
+const publicJob = (job) => ({
+  id: job.id,
+  sourcePath: job.sourcePath,
+  targetPath: job.targetPath,
+  name: job.name,
+  status: job.status,
+  totalFiles: job.totalFiles,
+  extractedFiles: job.extractedFiles,
+  totalBytes: job.totalBytes,
+  extractedBytes: job.extractedBytes,
+  skipped: job.skipped,
+  skippedCount: job.skippedCount,
+  error: job.error,
+  result: job.result,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+const touch = (job) => {
+  job.updatedAt = new Date().toISOString();
+};
+
+const finish = (job, status, fields = {}) => {
+  Object.assign(job, fields, { status });
+  touch(job);
+  job.finishedAt = Date.now();
+  job.controller = null;
+};
+
+const skip = (job, name, reason) => {
+  job.skippedCount += 1;
+  if (job.skipped.length < MAX_SKIPPED_LISTED) job.skipped.push({ name, reason });
+};
+
+// Write one file, counting and hashing it on the way - resolves to its SHA-256
+const writeFile = async (job, data, toPath, maxBytes) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(
+    data,
+    async function* (source) {
+      for await (const chunk of source) {
+        job.extractedBytes += chunk.length;
+        if (job.extractedBytes > maxBytes) {
+          throw new HttpError(413, `The archive unpacks to more than ${formatBytes(maxBytes)}, which is not allowed`);
+        }
+        touch(job);
+        hash.update(chunk);
+        yield chunk;
+      }
+    },
+    fs.createWriteStream(toPath, { flags: 'wx' }),
+    { signal: job.controller.signal }
+  );
+  return hash.digest('hex');
+};
+
+// Unpack the archive into the staging folder, let `check(entries, job, stagingPath)` refuse
+// the result (content policies, quotas) and `place(stagingPath, job)` move it into the tree
+// (name conflicts and records are the caller's business). `entries` are like those of
+// listTree in copies.js, with the SHA-256 of every file.
+const runExtraction = async (job) => {
+  const stagingRoot = path.join(EXTRACTIONS_DIR, job.id);
+  const stagingPath = path.join(stagingRoot, job.name);
+  job.status = 'extracting';
+  touch(job);
+
+  try {
+    const archivePath = path.join(UPLOADS_DIR, job.sourcePath);
+    const stats = await fs.stat(archivePath).catch(() => null);
+    if (!stats?.isFile()) throw new HttpError(404, 'The archive no longer exists');
+    const maxBytes = Math.min(EXTRACT_MAX_BYTES, Math.max(stats.size * EXTRACT_MAX_RATIO, RATIO_FREE_BYTES));
+
+    // ZIPs say up front what they hold - an archive that admits to being too big fails
+    // before anything is written
+    const declared = await describeArchive(archivePath, job.archiveType);
+    if (declared) {
+      job.totalFiles = declared.files;
+      job.totalBytes = declared.bytes;
+      if (declared.bytes > maxBytes) {
+        throw new HttpError(413, `The archive unpacks to more than ${formatBytes(maxBytes)}, which is not allowed`);
+      }
+    }
+
+    await fs.ensureDir(stagingPath);
+    const entries = [{ path: '', isDirectory: true, size: 0 }];
+    // What each path became, 'directory' or 'file' - first one wins
+    const created = new Map();
+    let count = 0;
+
+    for await (const entry of readArchive(archivePath, job.archiveType, { maxEntries: EXTRACT_MAX_ENTRIES })) {
+      if (job.status === 'cancelled') return;
+      count += 1;
+      if (count > EXTRACT_MAX_ENTRIES) {
+        throw new HttpError(413, `The archive has more than ${EXTRACT_MAX_ENTRIES} entries`);
+      }
+
+      if (!entry.isFile && !entry.isDirectory) {
+        skip(job, entry.name, 'Links and special files are not extracted');
+        continue;
+      }
+      const relativePath = safeEntryPath(entry.name);
+      const toPath = relativePath && path.join(stagingPath, relativePath);
+      // The sanitized segments can't climb out - checked once more all the same
+      if (!relativePath || !toPath.startsWith(stagingPath + path.sep)) {
+        skip(job, entry.name, 'The path is unsafe or hidden');
+        continue;
+      }
+
+      const segments = relativePath.split('/');
+      const parents = segments.slice(0, -1).map((segment, index) => segments.slice(0, index + 1).join('/'));
+      if (parents.some(parent => created.get(parent) === 'file')) {
+        skip(job, entry.name, 'A file of the same name is in the way');
+        continue;
+      }
+      const existing = created.get(relativePath);
+      if (existing && (entry.isFile || existing === 'file')) {
+        skip(job, entry.name, 'Another entry has the same name');
+        continue;
+      }
+
+      for (const parent of parents) {
+        if (created.has(parent)) continue;
+        created.set(parent, 'directory');
+        entries.push({ path: parent, isDirectory: true, size: 0 });
+      }
+      if (entry.isDirectory) {
+        await fs.ensureDir(toPath);
+        if (!existing) {
+          created.set(relativePath, 'directory');
+          entries.push({ path: relativePath, isDirectory: true, size: 0 });
+        }
+        continue;
+      }
+
+      await fs.ensureDir(path.dirname(toPath));
+      const sizeBefore = job.extractedBytes;
+      const sha256 = await writeFile(job, entry.data, toPath, maxBytes);
+      created.set(relativePath, 'file');
+      entries.push({ path: relativePath, isDirectory: false, size: job.extractedBytes - sizeBefore, sha256 });
+      job.extractedFiles += 1;
+    }
+    if (job.status === 'cancelled') return;
+
+    await job.check(entries, publicJob(job), stagingPath);
+    if (job.status === 'cancelled') return;
+
+    job.status = 'placing';
+    touch(job);
+    const result = await job.place(stagingPath, { ...publicJob(job), conflict: job.conflict, entries });
+    finish(job, 'complete', { result });
+  } catch (error) {
+    if (job.status === 'cancelled') return;
+    if (!error.status) console.error(`Extracting ${job.sourcePath} failed:`, error);
+    finish(job, 'failed', { error: error.status ? error.message : `Extraction failed: ${error.message}` });
+  } finally {
+    await fs.remove(stagingRoot);
+  }
+};
+
+// Start queued jobs while there is room
+const startQueued = () => {
+  for (const job of jobs.values()) {
+    if (running >= EXTRACT_CONCURRENCY) return;
+    if (job.status !== 'queued') continue;
+    running += 1;
+    runExtraction(job).finally(() => {
+      running -= 1;
+      startQueued();
+    });
+  }
+};
+
+// Forget jobs that finished a while ago
+const pruneJobs = () => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+};
+
+// Extract the archive at `sourcePath` (of `archiveType`, see archives.js) into a new
+// folder `name` inside the folder `targetPath`. `owner` is the user id, `check` and
+// `place` see runExtraction.
+export const createExtraction = ({ sourcePath, archiveType, targetPath, name, conflict, owner, check, place }) => {
+  pruneJobs();
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    sourcePath,
+    archiveType,
+    targetPath,
+    name,
+    conflict,
+    owner,
+    status: 'queued',
+    totalFiles: null,
+    extractedFiles: 0,
+    totalBytes: null,
+    extractedBytes: 0,
+    skipped: [],
+    skippedCount: 0,
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+    check,
+    place
+  };
+  jobs.set(job.id, job);
+  startQueued();
+  return publicJob(job);
+};
+
+// `owner` null skips the owner check (admins)
+const findJob = (id, owner) => {
+  const job = jobs.get(id);
+  if (!job || (owner !== null && job.owner !== owner)) throw new HttpError(404, 'Extraction not found');
+  return job;
+};
+
+export const getExtraction = (id, owner) => publicJob(findJob(id, owner));
+
+// Newest first
+export const listExtractions = (owner) => {
+  pruneJobs();
+  return [...jobs.values()]
+    .filter(job => owner === null || job.owner === owner)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(job => ({ ...publicJob(job), owner: job.owner }));
+};
+
+// Cancels a queued or running extraction; a finished one is just removed from the list
+export const cancelExtraction = (id, owner) => {
+  const job = findJob(id, owner);
+  if (job.status === 'placing') throw new HttpError(409, 'The extraction is being placed and can no longer be cancelled');
+  if (['queued', 'extracting'].includes(job.status)) {
+    const controller = job.controller;
+    finish(job, 'cancelled');
+    controller.abort();
+    return publicJob(job);
+  }
+  jobs.delete(id);
+  return null;
+};
+
+// Data of extractions interrupted by a restart
+export const removeInterruptedExtractions = () => fs.remove(EXTRACTIONS_DIR);
@@ -0,0 +1,351 @@
+import path from 'path';
+import fs from 'fs-extra';
+import Database from 'better-sqlite3';
+import { isInsideUploads } from './paths.js';
+import { getFileHash } from './checksums.js';
+import { getFileContentType } from './contentTypes.js';
+import { getFileOwner } from './quotas.js';
+import { probeMedia } from './mediaInfo.js';
+import { UPLOADS_DIR, DATA_DIR } from '../config.js';
+
+// Metadata index of the upload tree in SQLite (DATA_DIR/index.sqlite): one row per file
+// and folder with what the file system knows (size, dates) and what MediaGrid knows
+// (hash, content type, media info, uploader, tags and fields - see metadata.js).
+// Listings read from here instead of the disk. Write endpoints keep it up to date
+// (indexItem, moveIndexedItems), the watcher (lib/watcher.js) follows changes made
+// behind MediaGrid's back, and it is reconciled with the disk on startup. Rows below
+// hidden folders (the trash) are kept for restores.
+
+let db = null;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS items (
+    path TEXT PRIMARY KEY,
+    parent TEXT NOT NULL,
+    name TEXT NOT NULL,
+    is_directory INTEGER NOT NULL,
+    size INTEGER NOT NULL DEFAULT 0,
+    created_ms REAL,
+    modified_ms REAL,
+    sha256 TEXT,
+    content_type TEXT,
+    media TEXT,
+    uploaded_by TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    fields TEXT NOT NULL DEFAULT '{}',
+    indexed_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS items_parent ON items (parent);
+`;
+
+// "path is `relativePath` or below it"
+const INSIDE = "(path = @path OR substr(path, 1, length(@path) + 1) = @path || '/')";
+
+let statements = null;
+
+const getDb = () => {
+  if (db) return db;
+  fs.ensureDirSync(DATA_DIR);
+  db = new Database(path.join(DATA_DIR, 'index.sqlite'));
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  statements = {
+    get: db.prepare('SELECT * FROM items WHERE path = ?'),
+    children: db.prepare('SELECT * FROM items WHERE parent = ?'),
+    inside: db.prepare(`SELECT * FROM items WHERE ${INSIDE}`),
+    remove: db.prepare(`DELETE FROM items WHERE ${INSIDE}`),
+    all: db.prepare('SELECT path, is_directory, size, modified_ms FROM items'),
+    removeOne: db.prepare('DELETE FROM items WHERE path = ?'),
+    // Tags and fields belong to MediaGrid alone and survive re-indexing; media info only while the file is unchanged
+    upsert: db.prepare(`
+      INSERT INTO items (path, parent, name, is_directory, size, created_ms, modified_ms, sha256, content_type, uploaded_by, indexed_at)
+      VALUES (@path, @parent, @name, @isDirectory, @size, @createdMs, @modifiedMs, @sha256, @contentType, @uploadedBy, @indexedAt)
+      ON CONFLICT (path) DO UPDATE SET
+        is_directory = excluded.is_directory,
+        media = CASE WHEN items.size = excluded.size AND items.modified_ms = excluded.modified_ms THEN items.media ELSE NULL END,
+        size = excluded.size,
+        created_ms = excluded.created_ms,
+        modified_ms = excluded.modified_ms,
+        sha256 = excluded.sha256,
+        content_type = excluded.content_type,
+        uploaded_by = COALESCE(excluded.uploaded_by, items.uploaded_by),
+        indexed_at = excluded.indexed_at
+    `),
+    insertRow: db.prepare(`
+      INSERT OR REPLACE INTO items (path, parent, name, is_directory, size, created_ms, modified_ms, sha256, content_type, media, uploaded_by, tags, fields, indexed_at)
+      VALUES (@path, @parent, @name, @is_directory, @size, @created_ms, @modified_ms, @sha256, @content_type, @media, @uploaded_by, @tags, @fields, @indexed_at)
+    `),
+    setMedia: db.prepare('UPDATE items SET media = @media WHERE path = @path AND size = @size AND modified_ms = @modifiedMs'),
+    setMetadata: db.prepare('UPDATE items SET tags = @tags, fields = @fields WHERE path = @path'),
+    tagged: db.prepare(`SELECT path, tags FROM items WHERE tags != '[]' AND ${INSIDE}`)
+  };
+  return db;
+};
+
+const parentOf = (relativePath) => path.posix.dirname(relativePath);
+
+// Row -> what listings return
+const toItem = (row) => ({
+  name: row.name,
+  path: row.path,
+  isDirectory: Boolean(row.is_directory),
+  size: row.size,
+  created: row.created_ms === null ? null : new Date(row.created_ms),
+  modified: row.modified_ms === null ? null : new Date(row.modified_ms),
+  sha256: row.sha256,
+  contentType: row.content_type,
+  media: row.media ? JSON.parse(row.media) : null,
+  uploadedBy: row.uploaded_by,
+  tags: JSON.parse(row.tags),
+  fields: JSON.parse(row.fields)
+});
+
+// Media info is read in the background, one file at a time
+let probeQueue = Promise.resolve();
+
+const queueProbe = (relativePath, fullPath, stats) => {
+  probeQueue = probeQueue
+    .then(async () => {
+      const media = await probeMedia(fullPath);
+      if (!media) return;
+      getDb();
+      statements.setMedia.run({ path: relativePath, media: JSON.stringify(media), size: stats.size, modifiedMs: stats.mtimeMs });
+    })
+    .catch(error => console.error(`Reading media info of ${relativePath} failed:`, error.message));
+};
+
+const isMediaType = (type) => /^(video|audio)\//.test(type || '');
+
+// (Re-)index one file or folder from the disk, and its parent folders when they are
+// missing. A path that no longer exists is dropped from the index (with its contents).
+export const indexItem = async (relativePath) => {
+  getDb();
+  if (relativePath === '/') return null;
+
+  const fullPath = path.join(UPLOADS_DIR, relativePath);
+  const stats = await fs.stat(fullPath).catch(() => null);
+  if (!stats) {
+    statements.remove.run({ path: relativePath });
+    return null;
+  }
+
+  const parent = parentOf(relativePath);
+  if (parent !== '/' && !statements.get.get(parent)) await indexItem(parent);
+
+  const isDirectory = stats.isDirectory();
+  const contentType = isDirectory ? null : await getFileContentType(fullPath);
+  statements.upsert.run({
+    path: relativePath,
+    parent,
+    name: path.posix.basename(relativePath),
+    isDirectory: isDirectory ? 1 : 0,
+    size: isDirectory ? 0 : stats.size,
+    createdMs: stats.birthtimeMs,
+    modifiedMs: stats.mtimeMs,
+    sha256: isDirectory ? null : await getFileHash(relativePath, { size: stats.size, modified: stats.mtime }),
+    contentType,
+    uploadedBy: isDirectory ? null : await getFileOwner(relativePath),
+    indexedAt: new Date().toISOString()
+  });
+
+  const row = statements.get.get(relativePath);
+  if (isMediaType(contentType) && !row.media) queueProbe(relativePath, fullPath, stats);
+  return toItem(row);
+};
+
+// Index a folder and everything below it (hidden entries skipped, symlinked folders not entered)
+export const indexTree = async (relativePath) => {
+  await indexItem(relativePath);
+  const fullPath = path.join(UPLOADS_DIR, relativePath);
+  const entries = await fs.readdir(fullPath, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const childPath = path.posix.join(relativePath, entry.name);
+    if (entry.isDirectory()) await indexTree(childPath);
+    else await indexItem(childPath);
+  }
+};
+
+// Follow a rename (or a move into the trash): rows keep their tags, fields and media info.
+// Without `toPath` the rows are dropped.
+export const moveIndexedItems = (fromPath, toPath) => {
+  getDb();
+  db.transaction(() => {
+    const rows = statements.inside.all({ path: fromPath });
+    statements.remove.run({ path: fromPath });
+    if (!toPath) return;
+    for (const row of rows) {
+      const newPath = toPath + row.path.slice(fromPath.length);
+      statements.insertRow.run({ ...row, path: newPath, parent: parentOf(newPath), name: path.posix.basename(newPath) });
+    }
+  })();
+};
+
+export const forgetIndexedItems = (relativePath) => moveIndexedItems(relativePath, null);
+
+export const getIndexedItem = (relativePath) => {
+  getDb();
+  const row = statements.get.get(relativePath);
+  return row ? toItem(row) : null;
+};
+
+// Files and folders directly inside a folder
+export const listIndexedFolder = (relativePath) => {
+  getDb();
+  return statements.children.all(relativePath).map(toItem);
+};
+
+// Replace the tags and fields of an indexed item (see metadata.js for what they may hold)
+export const setIndexedMetadata = (relativePath, { tags, fields }) => {
+  getDb();
+  statements.setMetadata.run({ path: relativePath, tags: JSON.stringify(tags), fields: JSON.stringify(fields) });
+  return getIndexedItem(relativePath);
+};
+
+// Paths and tags of every tagged item at or below a folder, hidden ones left out
+export const listTaggedItems = (relativePath) => {
+  getDb();
+  return statements.tagged
+    .all({ path: relativePath === '/' ? '' : relativePath })
+    .filter(row => !row.path.includes('/.'))
+    .map(row => ({ path: row.path, tags: JSON.parse(row.tags) }));
+};
+
+const SEARCH_ORDER = {
+  name: 'name COLLATE NOCASE',
+  size: 'size',
+  modified: 'modified_ms'
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, character => `\\${character}`);
+
+// Files and folders below `path` that match every filter given, hidden entries left out:
+// - `text`: part of the name (case-insensitive)
+// - `glob`: a pattern with * ? [...] for the whole name; one with a "/" matches the end of
+//   the path ("clips/*.mp4"), or the whole path when it starts with "/"
+// - `extensions`: ["mp4", "mov"]
+// - `minSize` / `maxSize` (bytes, files only), `modifiedFrom` / `modifiedTo` (ms, the latter exclusive)
+// - `contentType`: a family ("video") or a full type ("video/mp4")
+// - `kind`: 'file' or 'folder'
+// - `tags`: ["approved", "raw"] - items with all of them (case-insensitive)
+// In `sort` order (name, size or modified; ties by name), `limit` rows from `offset` on
+// when a limit is given.
+export const searchIndex = ({
+  path: scope = '/',
+  text,
+  glob,
+  extensions = [],
+  minSize,
+  maxSize,
+  modifiedFrom,
+  modifiedTo,
+  contentType,
+  kind,
+  tags = [],
+  sort = 'name',
+  order = 'asc',
+  limit,
+  offset = 0
+} = {}) => {
+  getDb();
+  const conditions = ['substr(path, 1, length(@prefix)) = @prefix', "instr(path, '/.') = 0"];
+  const params = { prefix: scope === '/' ? '/' : `${scope}/` };
+
+  if (text) {
+    conditions.push("name LIKE @text ESCAPE '\\'");
+    params.text = `%${escapeLike(text)}%`;
+  }
+  if (glob) {
+    conditions.push(`lower(${glob.includes('/') ? 'path' : 'name'}) GLOB @glob`);
+    params.glob = (glob.includes('/') && !glob.startsWith('/') ? `*/${glob}` : glob).toLowerCase();
+  }
+  if (extensions.length > 0) {
+    conditions.push(`(${extensions.map((extension, index) => `lower(name) LIKE @extension${index} ESCAPE '\\'`).join(' OR ')})`);
+    extensions.forEach((extension, index) => {
+      params[`extension${index}`] = `%.${escapeLike(extension.toLowerCase())}`;
+    });
+  }
+  if (minSize !== undefined || maxSize !== undefined) conditions.push('is_directory = 0');
+  if (minSize !== undefined) {
+    conditions.push('size >= @minSize');
+    params.minSize = minSize;
+  }
+  if (maxSize !== undefined) {
+    conditions.push('size <= @maxSize');
+    params.maxSize = maxSize;
+  }
+  if (modifiedFrom !== undefined) {
+    conditions.push('modified_ms >= @modifiedFrom');
+    params.modifiedFrom = modifiedFrom;
+  }
+  if (modifiedTo !== undefined) {
+    conditions.push('modified_ms < @modifiedTo');
+    params.modifiedTo = modifiedTo;
+  }
+  if (contentType) {
+    conditions.push(contentType.includes('/') ? 'content_type = @contentType' : "content_type LIKE @contentType || '/%'");
+    params.contentType = contentType;
+  }
+  if (kind) conditions.push(`is_directory = ${kind === 'folder' ? 1 : 0}`);
+  tags.forEach((tag, index) => {
+    conditions.push(`EXISTS (SELECT 1 FROM json_each(items.tags) WHERE lower(json_each.value) = @tag${index})`);
+    params[`tag${index}`] = tag.toLowerCase();
+  });
+
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const orderBy = sort === 'name'
+    ? `${SEARCH_ORDER.name} ${direction}`
+    : `${SEARCH_ORDER[sort]} ${direction}, ${SEARCH_ORDER.name}`;
+  let page = '';
+  if (limit !== undefined) {
+    page = ' LIMIT @limit OFFSET @offset';
+    Object.assign(params, { limit, offset });
+  }
+  return db
+    .prepare(`SELECT * FROM items WHERE ${conditions.join(' AND ')} ORDER BY ${orderBy}, path${page}`)
+    .all(params)
+    .map(toItem);
+};
+
+// Bring the index in line with the disk: new and changed entries are indexed, rows of
+// entries that are gone removed. Symlinks are only indexed when they stay inside the
+// uploads folder, and never entered.
+export const reconcileIndex = async () => {
+  getDb();
+  const known = new Map(statements.all.all().map(row => [row.path, row]));
+  const seen = new Set();
+  let updated = 0;
+
+  const walk = async (relativePath) => {
+    const fullPath = path.join(UPLOADS_DIR, relativePath);
+    const entries = await fs.readdir(fullPath, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const childPath = path.posix.join(relativePath, entry.name);
+      const childFullPath = path.join(fullPath, entry.name);
+      const stats = await fs.stat(childFullPath).catch(() => null);
+      if (!stats || (entry.isSymbolicLink() && !await isInsideUploads(childFullPath))) continue;
+
+      seen.add(childPath);
+      const row = known.get(childPath);
+      const changed = !row
+        || Boolean(row.is_directory) !== stats.isDirectory()
+        || (!stats.isDirectory() && (row.size !== stats.size || row.modified_ms !== stats.mtimeMs));
+      if (changed) {
+        await indexItem(childPath);
+        updated += 1;
+      }
+      if (stats.isDirectory() && !entry.isSymbolicLink()) await walk(childPath);
+    }
+  };
+  await walk('/');
+
+  let removed = 0;
+  for (const rowPath of known.keys()) {
+    if (seen.has(rowPath) || rowPath.split('/').some(segment => segment.startsWith('.'))) continue;
+    statements.removeOne.run(rowPath);
+    removed += 1;
+  }
+  return { items: seen.size, updated, removed };
+};
@@ -0,0 +1,197 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { HttpError } from './errors.js';
+import {
+  listUploadSessions,
+  removeUploadSession,
+  pruneUploadSessions
+} from './uploadSessions.js';
+import { listTusUploads, removeTusUpload, pruneTusUploads } from './tus.js';
+import { UPLOADS_DIR, INTERNAL_DIR, UPLOAD_TTL_HOURS, JANITOR_INTERVAL_MINUTES } from '../config.js';
+
+// Background cleanup of unfinished uploads. Everything an interrupted upload can leave
+// behind is listed here as one "pending upload":
+//   session  - upload session (lib/uploadSessions.js)
+//   tus      - tus upload (lib/tus.js)
+//   chunks   - legacy chunk files of one file in a folder's .chunks directory
+//   temp     - temp file of a direct upload that never finished (server crash)
+// Pending uploads untouched for UPLOAD_TTL_HOURS are stale and removed on the next run.
+
+const TTL_MS = UPLOAD_TTL_HOURS * 60 * 60 * 1000;
+
+const TEMP_FILE_PATTERN = /^\.upload-[\w-]+\.tmp$/;
+const CHUNK_FILE_PATTERN = /^(.+)\.(part\d+|assembling)$/;
+
+let lastRun = null;
+
+const toRelative = (fullPath) => '/' + path.relative(UPLOADS_DIR, fullPath).split(path.sep).join('/');
+
+// Leftovers in the folder tree itself. Internal and other hidden folders are skipped,
+// symlinks are never followed.
+const findLeftovers = async (dirPath = UPLOADS_DIR, leftovers = []) => {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+
+    if (entry.isFile() && TEMP_FILE_PATTERN.test(entry.name)) {
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (!stats) continue;
+      leftovers.push({
+        kind: 'temp',
+        id: Buffer.from(toRelative(entryPath)).toString('base64url'),
+        name: entry.name,
+        folder: toRelative(dirPath),
+        size: stats.size,
+        updatedAt: stats.mtime,
+        files: [entryPath]
+      });
+    } else if (entry.isDirectory() && entry.name === '.chunks') {
+      // One pending upload per file name
+      const groups = new Map();
+      for (const chunkFile of await fs.readdir(entryPath).catch(() => [])) {
+        const match = chunkFile.match(CHUNK_FILE_PATTERN);
+        const stats = match && await fs.stat(path.join(entryPath, chunkFile)).catch(() => null);
+        if (!stats) continue;
+
+        const group = groups.get(match[1]) || { size: 0, updatedAt: new Date(0), files: [] };
+        group.size += stats.size;
+        if (stats.mtime > group.updatedAt) group.updatedAt = stats.mtime;
+        group.files.push(path.join(entryPath, chunkFile));
+        groups.set(match[1], group);
+      }
+
+      for (const [name, group] of groups) {
+        leftovers.push({
+          kind: 'chunks',
+          id: Buffer.from(`${toRelative(entryPath)}/${name}`).toString('base64url'),
+          name,
+          folder: toRelative(dirPath),
+          chunkDir: entryPath,
+          ...group
+        });
+      }
+    } else if (entry.isDirectory() && !entry.name.startsWith('.') && entryPath !== INTERNAL_DIR) {
+      await findLeftovers(entryPath, leftovers);
+    }
+  }
+
+  return leftovers;
+};
+
+const removeLeftover = async (leftover) => {
+  await Promise.all(leftover.files.map(file => fs.remove(file)));
+  if (leftover.chunkDir) {
+    // Only goes when empty - other files may still be uploading into it
+    await fs.rmdir(leftover.chunkDir).catch(() => {});
+  }
+};
+
+// Everything unfinished, newest first. `owner` is "user:<id>", "drop:<id>" or null
+// when unknown (legacy chunks, temp files).
+const collectPendingUploads = async () => {
+  const now = Date.now();
+  const cutoff = now - TTL_MS;
+  const pending = [];
+
+  for (const session of await listUploadSessions()) {
+    if (session.status === 'complete') continue;
+    pending.push({
+      kind: 'session',
+      id: session.id,
+      name: session.filename,
+      folder: session.targetPath,
+      owner: session.owner,
+      size: session.receivedBytes,
+      totalSize: session.size,
+      status: session.status,
+      updatedAt: session.updatedAt,
+      stale: Date.parse(session.updatedAt) < cutoff
+    });
+  }
+
+  for (const upload of await listTusUploads()) {
+    if (upload.status === 'complete') continue;
+    pending.push({
+      kind: 'tus',
+      id: upload.id,
+      name: upload.filename,
+      folder: upload.targetPath,
+      owner: upload.owner,
+      size: upload.offset,
+      totalSize: upload.size,
+      status: upload.status,
+      updatedAt: upload.updatedAt || upload.createdAt,
+      stale: upload.expired
+    });
+  }
+
+  for (const leftover of await findLeftovers()) {
+    pending.push({
+      ...leftover,
+      owner: null,
+      totalSize: null,
+      status: 'open',
+      updatedAt: leftover.updatedAt.toISOString(),
+      stale: leftover.updatedAt.getTime() < cutoff
+    });
+  }
+
+  return pending.sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+};
+
+const removePendingUpload = async (upload) => {
+  if (upload.kind === 'session') return removeUploadSession(upload.id);
+  if (upload.kind === 'tus') return removeTusUpload(upload.id);
+  return removeLeftover(upload);
+};
+
+// Pending uploads for the admin overview (internal file lists left out)
+export const listPendingUploads = async () =>
+  (await collectPendingUploads()).map(({ files, chunkDir, ...upload }) => upload);
+
+export const cancelPendingUpload = async (kind, id) => {
+  const upload = (await collectPendingUploads()).find(u => u.kind === kind && u.id === id);
+  if (!upload) throw new HttpError(404, 'Upload not found');
+  await removePendingUpload(upload);
+};
+
+// One janitor run: remove every stale pending upload, then tidy up the upload records
+export const collectAbandonedUploads = async () => {
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const upload of await collectPendingUploads()) {
+    if (!upload.stale) continue;
+    try {
+      await removePendingUpload(upload);
+      removed += 1;
+      freedBytes += upload.size;
+    } catch (error) {
+      // Busy right now (a chunk is being written) - the next run gets it
+      if (!error.status) console.error(`Janitor could not remove ${upload.kind} upload ${upload.name}:`, error);
+    }
+  }
+
+  await pruneUploadSessions(Date.now() - TTL_MS);
+  await pruneTusUploads(Date.now() - TTL_MS);
+
+  lastRun = { finishedAt: new Date().toISOString(), removed, freedBytes };
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} abandoned upload${removed > 1 ? 's' : ''} (${freedBytes} bytes)`);
+  }
+  return lastRun;
+};
+
+export const getJanitorStatus = () => ({
+  ttlHours: UPLOAD_TTL_HOURS,
+  intervalMinutes: JANITOR_INTERVAL_MINUTES,
+  lastRun
+});
+
+// Run once shortly after startup, then every JANITOR_INTERVAL_MINUTES
+export const startJanitor = () => {
+  const run = () => collectAbandonedUploads().catch(error => console.error('Janitor error:', error));
+  setTimeout(run, 10 * 1000).unref();
+  setInterval(run, JANITOR_INTERVAL_MINUTES * 60 * 1000).unref();
+};
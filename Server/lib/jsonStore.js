@@ -0,0 +1,49 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Small JSON-file backed store used for MediaGrid's own state (users, sessions, ...).
+// Data is cached in memory after the first read and every write goes through a
+// queue so concurrent requests never interleave partial writes. Only a missing file
+// starts from the defaults - one that can't be read or parsed is never overwritten.
+export const createJsonStore = (filePath, defaults = {}) => {
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = { ...structuredClone(defaults), ...(await fs.readJson(filePath)) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${filePath}: ${error.message} - repair the file or move it aside`, { cause: error });
+      }
+      data = structuredClone(defaults);
+    }
+    return data;
+  };
+
+  // Write to a temp file first and rename so a crash never leaves a truncated file
+  const persist = async () => {
+    await fs.ensureDir(path.dirname(filePath));
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, data, { spaces: 2 });
+    await fs.rename(tempPath, filePath);
+  };
+
+  return {
+    read: load,
+
+    // Apply a mutation and persist it; returns whatever the mutator returns
+    update: async (mutator) => {
+      const run = writeQueue.then(async () => {
+        await load();
+        const result = await mutator(data);
+        await persist();
+        return result;
+      });
+      // Keep the queue alive even if this write fails
+      writeQueue = run.catch(() => {});
+      return run;
+    }
+  };
+};
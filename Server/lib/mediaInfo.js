@@ -0,0 +1,46 @@
+import ffmpeg from 'fluent-ffmpeg';
+
+// Media info (duration, resolution, codecs) of audio and video files, read with ffprobe.
+// ffprobe is looked up on the PATH, or at FFPROBE_PATH. Without it there is no media
+// info - that is reported once and not tried again.
+
+let ffprobeMissing = false;
+
+const ffprobe = (filePath) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(filePath, (error, data) => (error ? reject(error) : resolve(data)));
+});
+
+const parseRate = (rate) => {
+  const [numerator, denominator] = String(rate || '').split('/').map(Number);
+  return denominator ? Math.round((numerator / denominator) * 100) / 100 : null;
+};
+
+// { duration, bitrate, format, video: { codec, width, height, fps } | null, audio: { codec, channels, sampleRate } | null },
+// or null when the file can't be probed
+export const probeMedia = async (filePath) => {
+  if (ffprobeMissing) return null;
+  let data;
+  try {
+    data = await ffprobe(filePath);
+  } catch (error) {
+    if (/ENOENT|Cannot find ffprobe/i.test(error.message)) {
+      ffprobeMissing = true;
+      console.warn('⚠️  ffprobe was not found - install ffmpeg (or set FFPROBE_PATH) for media info');
+    }
+    return null;
+  }
+
+  const video = data.streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audio = data.streams.find(stream => stream.codec_type === 'audio');
+  return {
+    duration: Number(data.format.duration) || null,
+    bitrate: Number(data.format.bit_rate) || null,
+    format: data.format.format_name || null,
+    video: video
+      ? { codec: video.codec_name, width: video.width, height: video.height, fps: parseRate(video.avg_frame_rate) }
+      : null,
+    audio: audio
+      ? { codec: audio.codec_name, channels: audio.channels, sampleRate: Number(audio.sample_rate) || null }
+      : null
+  };
+};
@@ -0,0 +1,104 @@
+import { HttpError } from './errors.js';
+
+// User-defined metadata of files and folders, kept in the metadata index (fileIndex.js):
+// - tags: short labels like "approved" or "client-X", compared ignoring case
+// - fields: key/value text like { "Project code": "P-104", "Shoot date": "2024-05-02" }
+// Both follow the item through renames, moves and the trash.
+
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 64;
+const MAX_FIELDS = 50;
+const MAX_FIELD_KEY_LENGTH = 64;
+const MAX_FIELD_VALUE_LENGTH = 1000;
+
+// Control characters - never part of a tag or a field name
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+const cleanText = (value) => String(value).trim().replace(/\s+/g, ' ');
+
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Whether `tags` include every one of `wanted`
+export const hasAllTags = (tags, wanted) => wanted.every(tag => tags.some(other => sameText(other, tag)));
+
+// One tag as typed -> the tag that is stored. Commas separate tags in queries, so they
+// can't be part of one.
+const parseTag = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') throw new HttpError(400, 'Tags must be text');
+  const tag = cleanText(value);
+  if (!tag) throw new HttpError(400, 'Tags cannot be empty');
+  if (tag.length > MAX_TAG_LENGTH) throw new HttpError(400, `Tags can be at most ${MAX_TAG_LENGTH} characters`);
+  if (tag.includes(',') || CONTROL_CHARACTERS.test(tag)) throw new HttpError(400, `"${tag}" is not a valid tag`);
+  return tag;
+};
+
+// A list of tags (or one comma-separated string) without duplicates - the first spelling wins
+export const parseTagList = (value, label = 'tags') => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = typeof value === 'string' ? value.split(',').filter(tag => tag.trim()) : value;
+  if (!Array.isArray(list)) throw new HttpError(400, `${label} must be a list of tags`);
+  const tags = [];
+  for (const tag of list.map(parseTag)) {
+    if (!tags.some(existing => sameText(existing, tag))) tags.push(tag);
+  }
+  return tags;
+};
+
+const parseFieldKey = (value) => {
+  const key = cleanText(value);
+  if (!key) throw new HttpError(400, 'Field names cannot be empty');
+  if (key.length > MAX_FIELD_KEY_LENGTH) throw new HttpError(400, `Field names can be at most ${MAX_FIELD_KEY_LENGTH} characters`);
+  // "__proto__" would not be stored as a field of a plain object
+  if (CONTROL_CHARACTERS.test(key) || key === '__proto__') throw new HttpError(400, `"${key}" is not a valid field name`);
+  return key;
+};
+
+// { key: value } -> the same with clean keys and text values; null or "" removes the field
+const parseFieldChanges = (value) => {
+  if (value === undefined) return {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new HttpError(400, 'fields must be an object of names and values');
+  }
+  const changes = {};
+  for (const [rawKey, rawValue] of Object.entries(value)) {
+    const key = parseFieldKey(rawKey);
+    if (rawValue === null || rawValue === '') {
+      changes[key] = null;
+      continue;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof rawValue)) {
+      throw new HttpError(400, `The value of "${key}" must be text`);
+    }
+    const text = String(rawValue).trim();
+    if (text.length > MAX_FIELD_VALUE_LENGTH) {
+      throw new HttpError(400, `The value of "${key}" can be at most ${MAX_FIELD_VALUE_LENGTH} characters`);
+    }
+    changes[key] = text || null;
+  }
+  return changes;
+};
+
+// Apply a change to an item's metadata ({ tags, fields }):
+//   tags        replaces all tags          addTags / removeTags   adds or removes some
+//   fields      { name: value } merged in - a null or empty value removes the field
+// Returns the new { tags, fields }; throws 400 for anything invalid.
+export const applyMetadataChanges = (current, { tags, addTags, removeTags, fields } = {}) => {
+  let nextTags = tags === undefined ? [...current.tags] : parseTagList(tags);
+  for (const tag of parseTagList(addTags, 'addTags')) {
+    if (!nextTags.some(existing => sameText(existing, tag))) nextTags.push(tag);
+  }
+  const removed = parseTagList(removeTags, 'removeTags');
+  nextTags = nextTags.filter(tag => !removed.some(other => sameText(other, tag)));
+  if (nextTags.length > MAX_TAGS) throw new HttpError(400, `An item can have at most ${MAX_TAGS} tags`);
+
+  const nextFields = { ...current.fields };
+  for (const [key, value] of Object.entries(parseFieldChanges(fields))) {
+    // Field names are matched ignoring case too - the new spelling replaces the old
+    const existing = Object.keys(nextFields).find(other => sameText(other, key));
+    if (existing) delete nextFields[existing];
+    if (value !== null) nextFields[key] = value;
+  }
+  if (Object.keys(nextFields).length > MAX_FIELDS) throw new HttpError(400, `An item can have at most ${MAX_FIELDS} fields`);
+
+  return { tags: nextTags, fields: nextFields };
+};
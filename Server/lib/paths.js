@@ -0,0 +1,103 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { HttpError } from './errors.js';
+import { UPLOADS_DIR } from '../config.js';
+
+// Normalize a client supplied path relative to the uploads root into the
+// canonical "/a/b" form used for listings, ACL rules and responses
+export const normalizeRelativePath = (relativePath = '/') => {
+  const normalized = path.posix.normalize('/' + String(relativePath).replace(/\\/g, '/'));
+  return normalized.length > 1 ? normalized.replace(/\/+$/, '') : '/';
+};
+
+// True when `childPath` is `parentPath` itself or lies somewhere below it
+export const isSameOrInside = (parentPath, childPath) => {
+  if (parentPath === '/') return true;
+  return childPath === parentPath || childPath.startsWith(parentPath + '/');
+};
+
+// Safe resolution of client supplied paths against the uploads root.
+// Every route that touches the file system goes through resolveUploadPath, which
+//  - canonicalizes the path ("a//b/../c" -> "/a/c", never above the root)
+//  - refuses hidden segments (".chunks" and other internal entries)
+//  - checks the real path of the target (or of its closest existing parent) so a
+//    symlink inside the uploads folder cannot lead outside of it
+
+// True when `childPath` is `rootPath` or below it (absolute paths) - path.relative
+// instead of startsWith so a sibling like "uploads-evil" never counts as inside
+const isInsideDir = (rootPath, childPath) => {
+  const relative = path.relative(rootPath, childPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+let uploadsRealPath = null;
+
+const getUploadsRealPath = async () => {
+  if (!uploadsRealPath) uploadsRealPath = await fs.realpath(UPLOADS_DIR);
+  return uploadsRealPath;
+};
+
+// Real path of `fullPath`, or of its closest existing parent when it does not exist yet.
+// Null for dangling symlinks - writing through one could create a file anywhere.
+const realPathOfExisting = async (fullPath) => {
+  let current = fullPath;
+  for (;;) {
+    try {
+      return await fs.realpath(current);
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== 'ENOENT' || parent === current) throw error;
+      if (await fs.lstat(current).catch(() => null)) return null;
+      current = parent;
+    }
+  }
+};
+
+// True when `fullPath` really lives inside the uploads root once symlinks are followed
+export const isInsideUploads = async (fullPath) => {
+  if (!isInsideDir(UPLOADS_DIR, fullPath)) return false;
+  const realPath = await realPathOfExisting(fullPath);
+  return realPath !== null && isInsideDir(await getUploadsRealPath(), realPath);
+};
+
+// Resolve a client supplied path to { relativePath, fullPath } or throw 400
+export const resolveUploadPath = async (relativePath = '/') => {
+  if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+    throw new HttpError(400, 'Invalid path');
+  }
+
+  const normalized = normalizeRelativePath(relativePath);
+  if (normalized.split('/').some(segment => segment.startsWith('.'))) {
+    throw new HttpError(400, 'Invalid path');
+  }
+
+  const fullPath = normalized === '/' ? UPLOADS_DIR : path.join(UPLOADS_DIR, normalized);
+  if (!await isInsideUploads(fullPath)) {
+    throw new HttpError(400, 'Invalid path');
+  }
+
+  return { relativePath: normalized, fullPath };
+};
+
+// Validate a single file or folder name (new folders, renames, uploaded files)
+export const assertSafeName = (name, label = 'name') => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 255 || /[/\\\0]/.test(trimmed) || trimmed.startsWith('.')) {
+    throw new HttpError(400, `Invalid ${label}`);
+  }
+  return trimmed;
+};
+
+// Utility function to sanitize filename (uploads, renames, extracted archives)
+export const sanitizeFilename = (filename) => {
+  // Replace spaces with hyphens and remove special characters
+  return filename
+    .replace(/\s+/g, '-')           // Replace spaces with hyphens
+    .replace(/[^\w\-_.]/g, '')      // Remove special characters except hyphens, underscores, dots
+    .replace(/--+/g, '-')           // Replace multiple hyphens with single hyphen
+    .replace(/^-+|-+$/g, '');       // Remove leading/trailing hyphens
+};
+
+// Resolve `name` inside the folder at `parentPath`
+export const resolveChildPath = async (parentPath, name, label) =>
+  resolveUploadPath(path.posix.join(normalizeRelativePath(parentPath), assertSafeName(name, label)));
@@ -0,0 +1,292 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { isSameOrInside, normalizeRelativePath } from './paths.js';
+import { listUploadSessions } from './uploadSessions.js';
+import { listTusUploads } from './tus.js';
+import { findDropById } from './drops.js';
+import { getVersionUsage } from './versions.js';
+import {
+  UPLOADS_DIR,
+  DATA_DIR,
+  DISK_RESERVE_BYTES,
+  DEFAULT_USER_QUOTA,
+  FOLDER_USAGE_CACHE_SECONDS
+} from '../config.js';
+
+// Disk space preflight and storage quotas. Before an upload accepts any data it is
+// checked against three limits (507 Insufficient Storage when one is exceeded):
+//   disk   - free space on the uploads disk, less DISK_RESERVE_BYTES and what
+//            unfinished uploads will still write
+//   user   - bytes of the files a user uploaded (drop box uploads count for the
+//            link's creator) and of the versions kept of them, plus their unfinished uploads
+//   folder - bytes stored below a top-level folder plus unfinished uploads into it
+// User usage is tracked as files land, so files from before quotas existed (or copied
+// in behind MediaGrid's back) are not counted. Folder usage is measured on disk.
+
+// Limits in bytes: { users: { <userId>: bytes }, folders: { "/Projects": bytes } }
+const quotaStore = createJsonStore(path.join(DATA_DIR, 'quotas.json'), { users: {}, folders: {} });
+
+// Who stored each file, by relative path: { owner: <userId>, size }
+const ownerStore = createJsonStore(path.join(DATA_DIR, 'file-owners.json'), { files: {} });
+
+// Measured folder sizes: "/Projects" -> { bytes, measuredAt }
+const folderUsageCache = new Map();
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} bytes`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit++;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${parseFloat(value.toFixed(1))} ${units[unit]}`;
+};
+
+// Folder a file or folder counts towards: "/Projects/2024" -> "/Projects".
+// Items directly in the root belong to no folder.
+export const topLevelFolder = (folderPath) => {
+  const [first] = normalizeRelativePath(folderPath).split('/').filter(Boolean);
+  return first ? `/${first}` : null;
+};
+
+// Measure again after a change below `relativePath`
+export const forgetFolderUsage = (relativePath) => {
+  folderUsageCache.delete(topLevelFolder(relativePath));
+};
+
+// Size of everything below a folder - hidden entries (.chunks, temp files) are
+// skipped and symlinks never followed, like in listings
+const measureFolder = async (fullPath) => {
+  let bytes = 0;
+  const entries = await fs.readdir(fullPath, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const entryPath = path.join(fullPath, entry.name);
+    if (entry.isDirectory()) {
+      bytes += await measureFolder(entryPath);
+    } else if (entry.isFile()) {
+      const stats = await fs.lstat(entryPath).catch(() => null);
+      bytes += stats ? stats.size : 0;
+    }
+  }
+  return bytes;
+};
+
+const getFolderUsage = async (folder) => {
+  const cached = folderUsageCache.get(folder);
+  if (cached && cached.measuredAt > Date.now() - FOLDER_USAGE_CACHE_SECONDS * 1000) return cached.bytes;
+  const bytes = await measureFolder(path.join(UPLOADS_DIR, folder));
+  folderUsageCache.set(folder, { bytes, measuredAt: Date.now() });
+  return bytes;
+};
+
+const getUserUsage = async (userId) => {
+  const { files } = await ownerStore.read();
+  const fileBytes = Object.values(files).reduce((total, entry) => total + (entry.owner === userId ? entry.size : 0), 0);
+  return fileBytes + await getVersionUsage(userId);
+};
+
+// Unfinished upload sessions and tus uploads: where they go, for whom, their full
+// size and what they still have to write
+const listPendingBytes = async () => {
+  const [sessions, tusUploads] = await Promise.all([listUploadSessions(), listTusUploads()]);
+  const pending = [
+    ...sessions
+      .filter(session => session.status !== 'complete')
+      .map(session => ({ owner: session.owner, targetPath: session.targetPath, size: session.size, received: session.receivedBytes })),
+    ...tusUploads
+      .filter(upload => upload.status !== 'complete' && !upload.expired)
+      .map(upload => ({ owner: upload.owner, targetPath: upload.targetPath, size: upload.size, received: upload.offset }))
+  ];
+
+  // "user:<id>" / "drop:<id>" -> the user the bytes count for
+  const dropCreators = new Map();
+  for (const entry of pending) {
+    const [type, id] = String(entry.owner).split(':');
+    if (type === 'drop' && !dropCreators.has(id)) {
+      dropCreators.set(id, (await findDropById(id))?.createdBy || null);
+    }
+    entry.userId = type === 'drop' ? dropCreators.get(id) : id;
+    entry.folder = topLevelFolder(entry.targetPath);
+    entry.remaining = Math.max(0, entry.size - entry.received);
+  }
+  return pending;
+};
+
+const sumBytes = (entries, field) => entries.reduce((total, entry) => total + (Number(entry[field]) || 0), 0);
+
+export const getDiskSpace = async () => {
+  const stats = await fs.statfs(UPLOADS_DIR);
+  return { total: stats.blocks * stats.bsize, free: stats.bavail * stats.bsize };
+};
+
+// A user's own limit, else the default. null = unlimited.
+const userLimit = (quotas, userId) => {
+  const limit = quotas.users[userId] ?? DEFAULT_USER_QUOTA;
+  return limit > 0 ? limit : null;
+};
+
+// Storage a user has left for uploads into `folderPath` (a folder path, "/" for the root):
+// { disk, user, folder } each with used/pending/limit/available bytes. `available` is
+// null when there is no limit. `folder` is null for the root, `user` without a user id.
+export const getStorageSummary = async (userId, folderPath = '/') => {
+  const [disk, pending, quotas] = await Promise.all([getDiskSpace(), listPendingBytes(), quotaStore.read()]);
+  const diskPending = sumBytes(pending, 'remaining');
+
+  const summary = {
+    disk: {
+      total: disk.total,
+      free: disk.free,
+      reserved: DISK_RESERVE_BYTES,
+      pending: diskPending,
+      available: Math.max(0, disk.free - DISK_RESERVE_BYTES - diskPending)
+    },
+    user: null,
+    folder: null
+  };
+
+  if (userId) {
+    const used = await getUserUsage(userId);
+    const userPending = sumBytes(pending.filter(entry => entry.userId === userId), 'size');
+    const limit = userLimit(quotas, userId);
+    summary.user = {
+      used,
+      pending: userPending,
+      limit,
+      available: limit === null ? null : Math.max(0, limit - used - userPending)
+    };
+  }
+
+  const folder = topLevelFolder(folderPath);
+  if (folder) {
+    const used = await getFolderUsage(folder);
+    const folderPending = sumBytes(pending.filter(entry => entry.folder === folder), 'size');
+    const limit = quotas.folders[folder] ?? null;
+    summary.folder = {
+      path: folder,
+      used,
+      pending: folderPending,
+      limit,
+      available: limit === null ? null : Math.max(0, limit - used - folderPending)
+    };
+  }
+
+  return summary;
+};
+
+// Refuse an upload of `size` bytes into `targetPath` that would not fit. `onDisk` is for
+// data that was already received into a temp file - only the quotas are checked then.
+export const assertUploadAllowed = async ({ userId, targetPath, size, onDisk = false }) => {
+  const bytes = Math.max(0, Number(size) || 0);
+  const summary = await getStorageSummary(userId, targetPath);
+  const refuse = (quota, message, available) => {
+    throw new HttpError(507, message, { quota, needed: bytes, available });
+  };
+
+  if (!onDisk && bytes > summary.disk.available) {
+    refuse('disk', `Not enough disk space: ${formatBytes(bytes)} needed, ${formatBytes(summary.disk.available)} available`, summary.disk.available);
+  }
+  if (summary.user && summary.user.available !== null && bytes > summary.user.available) {
+    refuse('user', `This upload would exceed your storage quota of ${formatBytes(summary.user.limit)} (${formatBytes(summary.user.available)} left)`, summary.user.available);
+  }
+  if (summary.folder && summary.folder.available !== null && bytes > summary.folder.available) {
+    refuse('folder', `This upload would exceed the quota of ${summary.folder.path} of ${formatBytes(summary.folder.limit)} (${formatBytes(summary.folder.available)} left)`, summary.folder.available);
+  }
+  return summary;
+};
+
+// Remember who stored a file (a replaced file changes hands)
+export const recordFileOwner = async (relativePath, userId, size) => {
+  await ownerStore.update((data) => {
+    data.files[relativePath] = { owner: userId, size };
+  });
+  forgetFolderUsage(relativePath);
+};
+
+// User id of whoever stored a file through MediaGrid, null when unknown
+export const getFileOwner = async (relativePath) => {
+  const { files } = await ownerStore.read();
+  return files[relativePath]?.owner ?? null;
+};
+
+// Keep owners attached to files (and folder contents) that are renamed or deleted
+export const moveFileOwners = async (fromPath, toPath) => {
+  await ownerStore.update((data) => {
+    for (const key of Object.keys(data.files)) {
+      if (!isSameOrInside(fromPath, key)) continue;
+      const entry = data.files[key];
+      delete data.files[key];
+      if (toPath) data.files[toPath + key.slice(fromPath.length)] = entry;
+    }
+  });
+  forgetFolderUsage(fromPath);
+  if (toPath) forgetFolderUsage(toPath);
+
+  // A renamed top-level folder keeps its quota, a deleted one loses it
+  const { folders } = await quotaStore.read();
+  if (fromPath in folders) {
+    await quotaStore.update((data) => {
+      const limit = data.folders[fromPath];
+      delete data.folders[fromPath];
+      if (toPath && topLevelFolder(toPath) === toPath) data.folders[toPath] = limit;
+    });
+  }
+};
+
+export const forgetFileOwners = (relativePath) => moveFileOwners(relativePath, null);
+
+// Limits are whole bytes; null removes one (a user falls back to DEFAULT_USER_QUOTA,
+// a folder has no limit). 0 makes a user unlimited and removes a folder's limit.
+const parseLimit = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new HttpError(400, 'A quota must be a whole number of bytes (or null to remove it)');
+  }
+  return limit;
+};
+
+export const setUserQuota = async (userId, value) => {
+  const limit = parseLimit(value);
+  await quotaStore.update((data) => {
+    if (limit === null) delete data.users[userId];
+    else data.users[userId] = limit;
+  });
+};
+
+// Only top-level folders have quotas
+export const setFolderQuota = async (folderPath, value) => {
+  const folder = topLevelFolder(folderPath);
+  if (!folder || folder !== normalizeRelativePath(folderPath)) {
+    throw new HttpError(400, 'Quotas can only be set on top-level folders');
+  }
+  const limit = parseLimit(value);
+  await quotaStore.update((data) => {
+    if (limit === null || limit === 0) delete data.folders[folder];
+    else data.folders[folder] = limit;
+  });
+};
+
+// Every configured limit with its current usage, for the admin overview
+export const listQuotas = async (users) => {
+  const quotas = await quotaStore.read();
+  return {
+    defaultUserQuota: DEFAULT_USER_QUOTA || null,
+    users: await Promise.all(users.map(async user => ({
+      id: user.id,
+      username: user.username,
+      limit: userLimit(quotas, user.id),
+      custom: user.id in quotas.users,
+      used: await getUserUsage(user.id)
+    }))),
+    folders: await Promise.all(Object.entries(quotas.folders).map(async ([folder, limit]) => ({
+      path: folder,
+      limit,
+      used: await getFolderUsage(folder)
+    })))
+  };
+};
@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import path from 'path';
+import net from 'net';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs-extra';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { isSameOrInside } from './paths.js';
+import { recordAuditEvent } from './audit.js';
+import {
+  UPLOADS_DIR,
+  DATA_DIR,
+  INTERNAL_DIR,
+  SCAN_COMMAND,
+  CLAMD_SOCKET,
+  SCAN_TIMEOUT_SECONDS,
+  SCAN_CONCURRENCY
+} from '../config.js';
+
+// Malware scanning of finished uploads. Every file that lands through an upload gets
+// a scan status, and is only served once it is clean:
+//   pending  - waiting for (or in) the scanner
+//   clean    - nothing found (or released from quarantine by an admin)
+//   error    - the scanner failed; the file stays held back until it is scanned again
+// Infected files are moved into the quarantine folder inside the internal folder and
+// leave the tree. Files without a status (scanning off, or stored before it was on) are
+// served as usual. Scans run in the background, SCAN_CONCURRENCY at a time.
+
+const QUARANTINE_DIR = path.join(INTERNAL_DIR, 'quarantine');
+
+// Output kept from a scanner command, plenty for its verdict
+const MAX_SCANNER_OUTPUT = 64 * 1024;
+
+// { files: { <relativePath>: { id, status, uploadedBy, queuedAt, scannedAt, error } },
+//   quarantine: [{ id, originalPath, signature, uploadedBy, size, quarantinedAt }] }
+const scanStore = createJsonStore(path.join(DATA_DIR, 'scans.json'), { files: {}, quarantine: [] });
+
+const queue = [];
+let running = 0;
+let onQuarantined = async () => {};
+
+export const isScanningEnabled = () => Boolean(SCAN_COMMAND || CLAMD_SOCKET);
+
+// "path: Eicar-Signature FOUND" -> "Eicar-Signature"
+const parseSignature = (output) => {
+  const found = output.split('\n').map(line => line.trim()).find(line => line.endsWith('FOUND'));
+  if (found) return found.replace(/^.*?:\s*/, '').replace(/\s*FOUND$/, '') || 'unknown';
+  return output.trim().split('\n')[0] || 'unknown';
+};
+
+// Runs SCAN_COMMAND on a file - resolves to { infected, signature }
+const scanWithCommand = (filePath) => new Promise((resolve, reject) => {
+  const [command, ...args] = SCAN_COMMAND.trim().split(/\s+/);
+  const argv = args.includes('{file}') ? args.map(arg => (arg === '{file}' ? filePath : arg)) : [...args, filePath];
+  const child = spawn(command, argv, { stdio: ['ignore', 'pipe', 'pipe'], timeout: SCAN_TIMEOUT_SECONDS * 1000 });
+
+  let output = '';
+  const collect = (data) => {
+    if (output.length < MAX_SCANNER_OUTPUT) output += data;
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  child.on('error', reject);
+  child.on('close', (code, signal) => {
+    if (code === 0) return resolve({ infected: false });
+    if (code === 1) return resolve({ infected: true, signature: parseSignature(output) });
+    reject(new Error(signal
+      ? `The scanner was stopped (${signal}) - it may have run longer than ${SCAN_TIMEOUT_SECONDS} seconds`
+      : `The scanner exited with code ${code}: ${output.trim().slice(0, 200)}`));
+  });
+});
+
+// clamd listens on a unix socket ("/run/clamav/clamd.ctl") or TCP ("127.0.0.1:3310")
+const clamdAddress = () => {
+  if (CLAMD_SOCKET.startsWith('/')) return { path: CLAMD_SOCKET };
+  const [host, port] = CLAMD_SOCKET.split(':');
+  return { host: host || '127.0.0.1', port: Number(port) || 3310 };
+};
+
+// Streams a file to clamd (INSTREAM: length prefixed chunks, then a zero length)
+const scanWithClamd = (filePath) => new Promise((resolve, reject) => {
+  const socket = net.createConnection(clamdAddress());
+  let reply = '';
+
+  socket.setTimeout(SCAN_TIMEOUT_SECONDS * 1000, () => {
+    socket.destroy(new Error(`clamd did not answer within ${SCAN_TIMEOUT_SECONDS} seconds`));
+  });
+  socket.on('data', (data) => {
+    reply += data;
+  });
+  socket.on('error', reject);
+  socket.on('close', () => {
+    const answer = reply.replace(/\0/g, '').trim();
+    if (/: OK$/.test(answer)) return resolve({ infected: false });
+    const found = answer.match(/: (.+) FOUND$/);
+    if (found) return resolve({ infected: true, signature: found[1] });
+    reject(new Error(`Unexpected answer from clamd: ${answer || 'none'}`));
+  });
+
+  socket.on('connect', async () => {
+    try {
+      socket.write('zINSTREAM\0');
+      for await (const data of fs.createReadStream(filePath, { highWaterMark: 64 * 1024 })) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        socket.write(length);
+        if (!socket.write(data)) await once(socket, 'drain');
+      }
+      socket.write(Buffer.alloc(4));
+    } catch (error) {
+      socket.destroy(error);
+    }
+  });
+});
+
+const scanFile = (filePath) => (SCAN_COMMAND ? scanWithCommand(filePath) : scanWithClamd(filePath));
+
+// Path a scan's file currently has - it may have been renamed (or deleted) meanwhile
+const findScannedPath = (files, id) => Object.keys(files).find(key => files[key].id === id) || null;
+
+const runScan = async (id) => {
+  const { files } = await scanStore.read();
+  const scannedPath = findScannedPath(files, id);
+  if (!scannedPath) return;
+
+  let result;
+  try {
+    result = await scanFile(path.join(UPLOADS_DIR, scannedPath));
+  } catch (error) {
+    console.error(`Scanning ${scannedPath} failed:`, error.message);
+    result = { error: error.message };
+  }
+
+  const { files: current } = await scanStore.read();
+  const relativePath = findScannedPath(current, id);
+  if (!relativePath) return;
+
+  if (!result.infected) {
+    await scanStore.update((data) => {
+      const entry = data.files[relativePath];
+      if (!entry || entry.id !== id) return;
+      Object.assign(entry, {
+        status: result.error ? 'error' : 'clean',
+        error: result.error || null,
+        scannedAt: new Date().toISOString()
+      });
+    });
+    return;
+  }
+
+  // Infected: out of the tree, into quarantine
+  const fullPath = path.join(UPLOADS_DIR, relativePath);
+  const size = (await fs.stat(fullPath).catch(() => null))?.size ?? null;
+  await fs.move(fullPath, path.join(QUARANTINE_DIR, id), { overwrite: true });
+  const entry = current[relativePath];
+  await scanStore.update((data) => {
+    delete data.files[relativePath];
+    data.quarantine.push({
+      id,
+      originalPath: relativePath,
+      signature: result.signature,
+      uploadedBy: entry.uploadedBy,
+      size,
+      quarantinedAt: new Date().toISOString()
+    });
+  });
+  recordAuditEvent('scan.infected', { path: relativePath, signature: result.signature, uploadedBy: entry.uploadedBy, quarantineId: id });
+  await onQuarantined(relativePath);
+};
+
+const startQueued = () => {
+  while (running < SCAN_CONCURRENCY && queue.length > 0) {
+    const id = queue.shift();
+    running += 1;
+    runScan(id)
+      .catch(error => console.error('Scanner error:', error))
+      .finally(() => {
+        running -= 1;
+        startQueued();
+      });
+  }
+};
+
+// Scan a file that just landed at `relativePath`. `uploadedBy` is kept for the
+// quarantine record ("user:<id>" / "drop:<id>"). Does nothing with scanning off.
+export const queueScan = async (relativePath, uploadedBy) => {
+  if (!isScanningEnabled()) return;
+  const id = crypto.randomUUID();
+  await scanStore.update((data) => {
+    data.files[relativePath] = { id, status: 'pending', uploadedBy, queuedAt: new Date().toISOString(), scannedAt: null, error: null };
+  });
+  queue.push(id);
+  startQueued();
+};
+
+// Scan status of a file - null when it was never scanned
+export const getScanStatus = async (relativePath) => {
+  const { files } = await scanStore.read();
+  const entry = files[relativePath];
+  return entry ? { status: entry.status, scannedAt: entry.scannedAt, error: entry.error } : null;
+};
+
+// Throw unless a file may be served: never scanned or clean
+export const assertScanned = async (relativePath) => {
+  const scan = await getScanStatus(relativePath);
+  if (!scan || scan.status === 'clean') return;
+  throw scan.status === 'pending'
+    ? new HttpError(423, 'This file is still being scanned for malware, try again in a moment')
+    : new HttpError(423, 'This file could not be scanned for malware and is held back');
+};
+
+// Keep scan results attached to files (and folder contents) that are renamed or deleted
+export const moveFileScans = async (fromPath, toPath) => {
+  await scanStore.update((data) => {
+    for (const key of Object.keys(data.files)) {
+      if (!isSameOrInside(fromPath, key)) continue;
+      const entry = data.files[key];
+      delete data.files[key];
+      if (toPath) data.files[toPath + key.slice(fromPath.length)] = entry;
+    }
+  });
+};
+
+export const forgetFileScans = (relativePath) => moveFileScans(relativePath, null);
+
+// Scan a stored file again, e.g. after the scanner failed on it
+export const rescanFile = async (relativePath) => {
+  if (!isScanningEnabled()) throw new HttpError(400, 'Malware scanning is not configured');
+  const { files } = await scanStore.read();
+  await queueScan(relativePath, files[relativePath]?.uploadedBy ?? null);
+};
+
+// Quarantine
+
+export const listQuarantine = async () => {
+  const { quarantine } = await scanStore.read();
+  return [...quarantine].sort((a, b) => Date.parse(b.quarantinedAt) - Date.parse(a.quarantinedAt));
+};
+
+const takeFromQuarantine = (id) => scanStore.update((data) => {
+  const entry = data.quarantine.find(item => item.id === id);
+  if (!entry) throw new HttpError(404, 'Quarantined file not found');
+  data.quarantine = data.quarantine.filter(item => item.id !== id);
+  return entry;
+});
+
+export const deleteQuarantined = async (id) => {
+  await takeFromQuarantine(id);
+  await fs.remove(path.join(QUARANTINE_DIR, id));
+};
+
+// A false positive: `place(dataPath, entry)` puts the file back (name conflicts are the
+// caller's business) and resolves to its new relative path, which is marked clean
+export const releaseQuarantined = async (id, place) => {
+  const { quarantine } = await scanStore.read();
+  const entry = quarantine.find(item => item.id === id);
+  if (!entry) throw new HttpError(404, 'Quarantined file not found');
+
+  const relativePath = await place(path.join(QUARANTINE_DIR, id), entry);
+  await takeFromQuarantine(id);
+  await scanStore.update((data) => {
+    data.files[relativePath] = {
+      id: crypto.randomUUID(),
+      status: 'clean',
+      uploadedBy: entry.uploadedBy,
+      queuedAt: entry.quarantinedAt,
+      scannedAt: new Date().toISOString(),
+      error: null,
+      releasedFrom: entry.signature
+    };
+  });
+  return relativePath;
+};
+
+// Start scanning: files still pending from before a restart are queued again.
+// `onQuarantined(relativePath)` runs after an infected file left the tree.
+export const startScanner = async ({ onQuarantined: handler } = {}) => {
+  if (handler) onQuarantined = handler;
+  if (!isScanningEnabled()) return;
+  const { files } = await scanStore.read();
+  for (const entry of Object.values(files)) {
+    if (entry.status === 'pending') queue.push(entry.id);
+  }
+  startQueued();
+};
@@ -0,0 +1,91 @@
+// Minimal server-rendered pages for public share links. Visitors never load the
+// React app, so these stay self-contained (inline styles, no scripts).
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const renderPage = (title, content) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - MediaGrid</title>
+  <style>
+    body { margin: 0; font-family: system-ui, -apple-system, sans-serif; background: #f9fafb; color: #1f2937; }
+    main { max-width: 720px; margin: 48px auto; background: #fff; border: 1px solid #e5e7eb; border-radius: 12px; box-shadow: 0 10px 25px -5px rgba(0,0,0,.1); overflow: hidden; }
+    header { padding: 20px 24px; border-bottom: 1px solid #e5e7eb; }
+    h1 { margin: 0; font-size: 20px; }
+    .brand { font-size: 13px; font-weight: 700; color: #2563eb; margin-bottom: 4px; }
+    .muted { color: #6b7280; font-size: 13px; margin-top: 4px; }
+    ul { list-style: none; margin: 0; padding: 0; }
+    li { display: flex; align-items: center; justify-content: space-between; padding: 14px 24px; border-bottom: 1px solid #f3f4f6; }
+    li a { color: #1f2937; text-decoration: none; font-weight: 600; }
+    li a:hover { color: #2563eb; }
+    .actions a { font-size: 12px; font-weight: 500; color: #2563eb; margin-left: 12px; }
+    .content { padding: 24px; }
+    input { padding: 10px 14px; border: 1px solid #d1d5db; border-radius: 10px; font-size: 14px; width: 100%; box-sizing: border-box; }
+    button { margin-top: 12px; padding: 10px 20px; border: 0; border-radius: 10px; background: #2563eb; color: #fff; font-weight: 600; cursor: pointer; }
+    .error { color: #991b1b; background: #fef2f2; border: 1px solid #fecaca; border-radius: 10px; padding: 8px 14px; margin-bottom: 12px; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <main>${content}</main>
+</body>
+</html>`;
+
+export const renderErrorPage = (message) => renderPage('Link unavailable', `
+  <header>
+    <div class="brand">MediaGrid</div>
+    <h1>Link unavailable</h1>
+    <div class="muted">${escapeHtml(message)}</div>
+  </header>`);
+
+export const renderPasswordPage = (name, error = null) => renderPage(name, `
+  <header>
+    <div class="brand">MediaGrid</div>
+    <h1>🔒 ${escapeHtml(name)}</h1>
+    <div class="muted">This link is password protected.</div>
+  </header>
+  <form class="content" method="post">
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    <input type="password" name="password" placeholder="Password" autofocus required>
+    <button type="submit">Open</button>
+  </form>`);
+
+// Read-only folder listing. `baseUrl` is the share URL of the folder being shown.
+export const renderFolderPage = ({ title, subtitle, baseUrl, parentUrl, folders, files }) => {
+  const itemUrl = (name) => `${baseUrl.replace(/\/$/, '')}/${encodeURIComponent(name)}`;
+
+  const rows = [
+    parentUrl ? `<li><a href="${escapeHtml(parentUrl)}">⬆️ ..</a></li>` : '',
+    ...folders.map(folder => `
+      <li><a href="${escapeHtml(itemUrl(folder.name))}/">📁 ${escapeHtml(folder.name)}</a></li>`),
+    ...files.map(file => `
+      <li>
+        <span><a href="${escapeHtml(itemUrl(file.name))}">${file.isVideo ? '🎬' : '📄'} ${escapeHtml(file.name)}</a>
+        <span class="muted">${formatFileSize(file.size)}</span></span>
+        <span class="actions"><a href="${escapeHtml(itemUrl(file.name))}?download=1">Download</a></span>
+      </li>`)
+  ].join('');
+
+  return renderPage(title, `
+  <header>
+    <div class="brand">MediaGrid</div>
+    <h1>📁 ${escapeHtml(title)}</h1>
+    <div class="muted">${escapeHtml(subtitle)}</div>
+  </header>
+  <ul>${rows || '<li class="muted">This folder is empty.</li>'}</ul>`);
+};
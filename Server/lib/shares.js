@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import path from 'path';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { signToken, verifyToken, signValue } from './tokens.js';
+import { hashPassword, verifyPassword } from './auth.js';
+import { normalizeRelativePath } from './paths.js';
+import { DATA_DIR, SHARE_MAX_EXPIRY_DAYS } from '../config.js';
+
+const sharesStore = createJsonStore(path.join(DATA_DIR, 'shares.json'), { shares: [] });
+
+const isActive = (share, now = Date.now()) =>
+  !share.revoked &&
+  share.expiresAt > now &&
+  (!share.maxDownloads || share.downloads < share.maxDownloads);
+
+// What the management UI gets to see - never the password hash
+const publicShare = async (share) => ({
+  id: share.id,
+  path: share.path,
+  isFolder: share.isFolder,
+  createdBy: share.createdBy,
+  createdAt: share.createdAt,
+  expiresAt: new Date(share.expiresAt).toISOString(),
+  hasPassword: !!share.passwordHash,
+  maxDownloads: share.maxDownloads,
+  downloads: share.downloads,
+  token: await signToken({ type: 'share', id: share.id, exp: share.expiresAt })
+});
+
+export const createShare = async ({ path: sharePath, isFolder, createdBy, expiresInHours, password, maxDownloads }) => {
+  const hours = Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > SHARE_MAX_EXPIRY_DAYS * 24) {
+    throw new HttpError(400, `Expiry must be between 1 hour and ${SHARE_MAX_EXPIRY_DAYS} days`);
+  }
+
+  let downloadLimit = null;
+  if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== '') {
+    downloadLimit = parseInt(maxDownloads);
+    if (!Number.isInteger(downloadLimit) || downloadLimit < 1) {
+      throw new HttpError(400, 'Download limit must be a positive number');
+    }
+  }
+
+  if (password && String(password).length < 4) {
+    throw new HttpError(400, 'Share password must be at least 4 characters');
+  }
+
+  const now = Date.now();
+  const share = {
+    id: crypto.randomUUID(),
+    path: normalizeRelativePath(sharePath),
+    isFolder: !!isFolder,
+    createdBy,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + Math.round(hours * 60 * 60 * 1000),
+    passwordHash: password ? await hashPassword(String(password)) : null,
+    maxDownloads: downloadLimit,
+    downloads: 0,
+    revoked: false
+  };
+
+  await sharesStore.update((data) => {
+    // Forget links that expired long ago while we're writing anyway
+    const cutoff = now - 30 * 24 * 60 * 60 * 1000;
+    data.shares = data.shares.filter(s => s.expiresAt > cutoff);
+    data.shares.push(share);
+  });
+
+  return publicShare(share);
+};
+
+// Active links - all of them for admins, otherwise only the user's own
+export const listShares = async (user) => {
+  const { shares } = await sharesStore.read();
+  const visible = shares.filter(share =>
+    isActive(share) && (user.role === 'admin' || share.createdBy === user.id)
+  );
+  return Promise.all(visible.map(publicShare));
+};
+
+export const revokeShare = async (id, user) => {
+  await sharesStore.update((data) => {
+    const share = data.shares.find(s => s.id === id);
+    if (!share) throw new HttpError(404, 'Share link not found');
+    if (user.role !== 'admin' && share.createdBy !== user.id) {
+      throw new HttpError(403, 'You can only revoke your own share links');
+    }
+    share.revoked = true;
+  });
+};
+
+// Resolve a public token to its share record, or explain why it no longer works
+export const getShareByToken = async (token) => {
+  const payload = await verifyToken(token, 'share');
+  if (!payload) throw new HttpError(404, 'This link is invalid or has expired');
+
+  const { shares } = await sharesStore.read();
+  const share = shares.find(s => s.id === payload.id);
+  if (!share || share.revoked || share.expiresAt < Date.now()) {
+    throw new HttpError(410, 'This link has been revoked or has expired');
+  }
+  if (share.maxDownloads && share.downloads >= share.maxDownloads) {
+    throw new HttpError(410, 'This link has reached its download limit');
+  }
+  return share;
+};
+
+// Count a download, refusing it once the limit has been reached
+export const recordDownload = async (id) => {
+  await sharesStore.update((data) => {
+    const share = data.shares.find(s => s.id === id);
+    if (!share || !isActive(share)) {
+      throw new HttpError(410, 'This link has reached its download limit');
+    }
+    share.downloads += 1;
+  });
+};
+
+// Password protected links: after the password is entered the visitor gets a
+// cookie carrying a signature over the share id and its password hash
+export const sharePasswordCookieName = (share) => `mediagrid_share_${share.id}`;
+
+export const sharePasswordCookieValue = (share) => signValue(`${share.id}:${share.passwordHash}`);
+
+export const checkSharePassword = (share, password) =>
+  verifyPassword(String(password || ''), share.passwordHash);
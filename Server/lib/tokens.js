@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { DATA_DIR } from '../config.js';
+
+// HMAC signing key for public tokens (share links, drop boxes). Taken from
+// TOKEN_SECRET when set, otherwise generated once and kept in the data directory.
+const SECRET_PATH = path.join(DATA_DIR, 'token-secret.key');
+let signingKey = null;
+
+const getSigningKey = async () => {
+  if (signingKey) return signingKey;
+  if (process.env.TOKEN_SECRET) {
+    signingKey = Buffer.from(process.env.TOKEN_SECRET);
+    return signingKey;
+  }
+  try {
+    signingKey = Buffer.from(await fs.readFile(SECRET_PATH, 'utf8'), 'hex');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    signingKey = crypto.randomBytes(32);
+    await fs.ensureDir(DATA_DIR);
+    await fs.writeFile(SECRET_PATH, signingKey.toString('hex'), { mode: 0o600 });
+  }
+  return signingKey;
+};
+
+const sign = (key, value) => crypto.createHmac('sha256', key).update(value).digest('base64url');
+
+// Token format: base64url(JSON payload) + "." + HMAC signature
+export const signToken = async (payload) => {
+  const key = await getSigningKey();
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(key, body)}`;
+};
+
+// Returns the payload of a valid, unexpired token of the given type, otherwise null
+export const verifyToken = async (token, type) => {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const key = await getSigningKey();
+  const expected = Buffer.from(sign(key, body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.type !== type) return null;
+    if (payload.exp && payload.exp < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// Signature over an arbitrary value, e.g. for cookies proving a share password was entered
+export const signValue = async (value) => sign(await getSigningKey(), value);
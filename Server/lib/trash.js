@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { UPLOADS_DIR, DATA_DIR, INTERNAL_DIR, TRASH_RETENTION_DAYS, JANITOR_INTERVAL_MINUTES } from '../config.js';
+
+// Trash for deleted files and folders. A deleted item is moved (not copied) to
+// .mediagrid/trash/<id>/<name> and remembered with where it came from, who deleted it
+// and when. It can be restored - to its old place or anywhere else - or purged; items
+// older than TRASH_RETENTION_DAYS are purged automatically. Trashed files keep their
+// recorded hashes, owners and scan results under their path in the trash (`storedPath`),
+// so they count towards quotas until they are purged.
+
+const TRASH_DIR = path.join(INTERNAL_DIR, 'trash');
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// { items: [{ id, originalPath, name, isDirectory, size, deletedBy: { id, username }, deletedAt, storedPath }] }
+const trashStore = createJsonStore(path.join(DATA_DIR, 'trash.json'), { items: [] });
+
+let onPurged = async () => {};
+
+// Bytes of a file, or of everything inside a folder
+const measureItem = async (fullPath) => {
+  const stats = await fs.lstat(fullPath);
+  if (!stats.isDirectory()) return stats.size;
+  let bytes = 0;
+  for (const entry of await fs.readdir(fullPath)) {
+    bytes += await measureItem(path.join(fullPath, entry)).catch(() => 0);
+  }
+  return bytes;
+};
+
+const expiresAt = (item) => new Date(Date.parse(item.deletedAt) + RETENTION_MS).toISOString();
+
+const withExpiry = (item) => ({ ...item, expiresAt: expiresAt(item) });
+
+// Move an item out of the tree into the trash. Resolves to the trash entry - the caller
+// moves what it recorded about the item from `relativePath` to `entry.storedPath`.
+export const trashItem = async ({ relativePath, fullPath, user }) => {
+  const stats = await fs.lstat(fullPath).catch(() => null);
+  if (!stats) throw new HttpError(404, 'File or folder not found');
+
+  const id = crypto.randomUUID();
+  const name = path.posix.basename(relativePath);
+  const item = {
+    id,
+    originalPath: relativePath,
+    name,
+    isDirectory: stats.isDirectory(),
+    size: await measureItem(fullPath).catch(() => 0),
+    deletedBy: user ? { id: user.id, username: user.username } : null,
+    deletedAt: new Date().toISOString(),
+    storedPath: `/${path.relative(UPLOADS_DIR, TRASH_DIR).split(path.sep).join('/')}/${id}/${name}`
+  };
+
+  await fs.move(fullPath, path.join(TRASH_DIR, id, name));
+  await trashStore.update((data) => {
+    data.items.push(item);
+  });
+  return withExpiry(item);
+};
+
+// Trash entries, most recently deleted first. `filter(item)` narrows them down (permissions).
+export const listTrash = async (filter = async () => true) => {
+  const { items } = await trashStore.read();
+  const visible = [];
+  for (const item of items) {
+    if (await filter(item)) visible.push(withExpiry(item));
+  }
+  return visible.sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt));
+};
+
+export const getTrashItem = async (id) => {
+  const { items } = await trashStore.read();
+  const item = items.find(entry => entry.id === id);
+  if (!item) throw new HttpError(404, 'Item not found in trash');
+  return withExpiry(item);
+};
+
+const takeFromTrash = (id) => trashStore.update((data) => {
+  const item = data.items.find(entry => entry.id === id);
+  if (!item) throw new HttpError(404, 'Item not found in trash');
+  data.items = data.items.filter(entry => entry.id !== id);
+  return item;
+});
+
+// `place(dataPath, item)` moves the item back into the tree (where to and what happens
+// with name conflicts is the caller's business) and resolves to its new relative path
+export const restoreTrashItem = async (id, place) => {
+  const item = await getTrashItem(id);
+  const dataPath = path.join(TRASH_DIR, id, item.name);
+  if (!await fs.pathExists(dataPath)) {
+    throw new HttpError(410, 'The trashed data is gone (quarantined or removed by hand)');
+  }
+
+  const relativePath = await place(dataPath, item);
+  await takeFromTrash(id);
+  await fs.remove(path.join(TRASH_DIR, id));
+  return relativePath;
+};
+
+// Delete an item for good
+export const purgeTrashItem = async (id) => {
+  const item = await takeFromTrash(id);
+  await fs.remove(path.join(TRASH_DIR, id));
+  await onPurged(item);
+  return item;
+};
+
+// Purge everything deleted more than TRASH_RETENTION_DAYS ago
+export const purgeExpiredTrash = async () => {
+  const cutoff = Date.now() - RETENTION_MS;
+  const { items } = await trashStore.read();
+  let purged = 0;
+
+  for (const item of items.filter(entry => Date.parse(entry.deletedAt) < cutoff)) {
+    try {
+      await purgeTrashItem(item.id);
+      purged += 1;
+    } catch (error) {
+      if (!error.status) console.error(`Could not purge ${item.originalPath} from the trash:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} item${purged > 1 ? 's' : ''} from the trash`);
+  }
+  return purged;
+};
+
+export const getTrashRetentionDays = () => TRASH_RETENTION_DAYS;
+
+// Purge expired items shortly after startup, then every JANITOR_INTERVAL_MINUTES.
+// `onPurged(item)` runs after an item left the trash for good.
+export const startTrashPurge = ({ onPurged: handler } = {}) => {
+  if (handler) onPurged = handler;
+  const run = () => purgeExpiredTrash().catch(error => console.error('Trash purge error:', error));
+  setTimeout(run, 10 * 1000).unref();
+  setInterval(run, JANITOR_INTERVAL_MINUTES * 60 * 1000).unref();
+};
@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import express from 'express';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError, sendError } from './errors.js';
+import { fileChecksumMismatch, hashFile, parseSha256 } from './checksums.js';
+import { parseConflictPolicy } from './conflicts.js';
+import { DATA_DIR, INTERNAL_DIR, MAX_FILE_SIZE, TUS_EXPIRY_HOURS } from '../config.js';
+
+// tus 1.0.0 resumable upload server (https://tus.io/protocols/resumable-upload)
+// with the creation, termination, checksum and expiration extensions. Uploads are
+// written into a data file under the internal folder and moved into the folder
+// tree once the last byte has arrived, exactly like upload sessions. A `sha256`
+// metadata entry (hex) is checked against the whole file at that point, a `conflict`
+// entry is the name-conflict policy used when placing it (lib/conflicts.js).
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,checksum,expiration';
+const CHECKSUM_ALGORITHMS = ['sha1', 'md5', 'sha256'];
+
+const TUS_DIR = path.join(INTERNAL_DIR, 'tus');
+
+const tusStore = createJsonStore(path.join(DATA_DIR, 'tus-uploads.json'), { uploads: [] });
+
+// Uploads with a PATCH in progress - tus clients retry on 423
+const lockedUploads = new Set();
+
+const dataFilePath = (id) => path.join(TUS_DIR, `${id}.part`);
+
+// "filename ZmlsZS5tcDQ=,targetPath L2Zvb3RhZ2U=" -> { filename: 'file.mp4', targetPath: '/footage' }
+const parseMetadata = (header = '') => {
+  const metadata = {};
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+};
+
+const isExpired = (upload) => upload.status !== 'complete' && upload.expiresAt < Date.now();
+
+const findUpload = async (id, owner) => {
+  const { uploads } = await tusStore.read();
+  const upload = uploads.find(u => u.id === id);
+  // Someone else's upload looks exactly like a missing one
+  if (!upload || upload.owner !== owner) throw new HttpError(404, 'Upload not found');
+  if (isExpired(upload)) throw new HttpError(410, 'Upload has expired');
+  return upload;
+};
+
+const updateUpload = (id, changes) => tusStore.update((data) => {
+  const upload = data.uploads.find(u => u.id === id);
+  if (upload) Object.assign(upload, changes, { updatedAt: new Date().toISOString() });
+  return upload;
+});
+
+// Remove an upload and its data. `owner` null skips the owner check (admin, janitor).
+const removeUpload = async (id, owner) => {
+  await tusStore.update((data) => {
+    const upload = data.uploads.find(u => u.id === id);
+    if (!upload || (owner && upload.owner !== owner)) throw new HttpError(404, 'Upload not found');
+    if (lockedUploads.has(id)) throw new HttpError(423, 'Upload is busy, try again');
+    data.uploads = data.uploads.filter(u => u.id !== id);
+  });
+  await fs.remove(dataFilePath(id));
+};
+
+// Stream the request body into the data file at `offset`, hashing it on the way when a
+// checksum was sent. Resolves to the number of bytes written and the computed digest.
+const writeBody = (req, id, offset, maxBytes, hash) => new Promise((resolve, reject) => {
+  let written = 0;
+  const output = fs.createWriteStream(dataFilePath(id), { flags: 'r+', start: offset });
+
+  const finish = () => resolve({ written, digest: hash ? hash.digest('base64') : null });
+
+  req.on('data', (chunk) => {
+    if (written + chunk.length > maxBytes) {
+      req.unpipe(output);
+      output.end();
+      reject(new HttpError(413, 'Upload is larger than its declared length'));
+      return;
+    }
+    written += chunk.length;
+    if (hash) hash.update(chunk);
+  });
+  // A dropped connection still keeps everything received so far
+  req.on('aborted', () => output.end());
+  output.on('finish', finish);
+  output.on('error', reject);
+  req.pipe(output);
+});
+
+// Server capabilities. Registered separately from the router because OPTIONS requests
+// need no login (browsers send them as CORS preflights without credentials).
+export const handleTusOptions = (req, res) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(MAX_FILE_SIZE),
+    'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+  });
+  res.status(204).end();
+};
+
+// `resolveTarget(req, targetPath, filename, size, conflict)` validates where an upload may go and
+// `place(req, dataPath, upload)` moves a finished upload into place - both come from
+// the main server so tus uploads follow the same permission and drop box rules.
+export const createTusRouter = ({ getOwner, resolveTarget, place }) => {
+  const router = express.Router();
+
+  // Every response carries the protocol version
+  router.use((req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    if (req.get('Tus-Resumable') !== TUS_VERSION) {
+      res.set('Tus-Version', TUS_VERSION);
+      return res.status(412).json({ error: `Unsupported tus version, expected ${TUS_VERSION}` });
+    }
+    next();
+  });
+
+  const uploadHeaders = (upload) => ({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.size),
+    'Upload-Expires': new Date(upload.expiresAt).toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+
+  // Move the file into place once the last byte is there. A corrupted file can't be
+  // resumed, and neither can one that is refused when it is placed (content policy,
+  // quota, name conflict) - either is thrown away, so HEAD answers 404 instead of
+  // reporting a finished upload, and the client has to start a new upload.
+  const completeIfDone = async (req, upload) => {
+    if (upload.offset < upload.size || upload.status === 'complete') return upload;
+
+    const discard = async () => {
+      await tusStore.update((data) => {
+        data.uploads = data.uploads.filter(u => u.id !== upload.id);
+      });
+      await fs.remove(dataFilePath(upload.id));
+    };
+
+    const sha256 = await hashFile(dataFilePath(upload.id));
+    if (upload.sha256 && upload.sha256 !== sha256) {
+      await discard();
+      throw fileChecksumMismatch();
+    }
+
+    let file;
+    try {
+      file = await place(req, dataFilePath(upload.id), { ...upload, sha256 });
+    } catch (error) {
+      await discard();
+      throw error;
+    }
+    return updateUpload(upload.id, { status: 'complete', file });
+  };
+
+  // Creation
+  router.post('/', async (req, res) => {
+    try {
+      const size = Number(req.get('Upload-Length'));
+      if (!req.get('Upload-Length') || !Number.isInteger(size) || size < 0) {
+        return res.status(400).json({ error: 'Upload-Length header is required' });
+      }
+      if (size > MAX_FILE_SIZE) {
+        return res.status(413).json({ error: `Files can be at most ${MAX_FILE_SIZE} bytes` });
+      }
+
+      const metadata = parseMetadata(req.get('Upload-Metadata'));
+      const filename = metadata.filename || metadata.name;
+      if (!filename) {
+        return res.status(400).json({ error: 'Upload-Metadata must include a filename' });
+      }
+      const sha256 = parseSha256(metadata.sha256);
+      const conflict = parseConflictPolicy(metadata.conflict, 'overwrite');
+      const target = await resolveTarget(req, metadata.targetPath || metadata.path, filename, size, conflict);
+
+      const upload = {
+        id: crypto.randomUUID(),
+        filename: target.filename,
+        targetPath: target.relativePath,
+        size,
+        offset: 0,
+        sha256,
+        conflict,
+        metadata: req.get('Upload-Metadata') || '',
+        owner: getOwner(req),
+        status: 'open',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        expiresAt: Date.now() + TUS_EXPIRY_HOURS * 60 * 60 * 1000
+      };
+
+      await fs.ensureDir(TUS_DIR);
+      await fs.writeFile(dataFilePath(upload.id), '');
+      await tusStore.update((data) => {
+        data.uploads.push(upload);
+      });
+
+      const completed = await completeIfDone(req, upload);
+      res.set(uploadHeaders(completed));
+      res.location(`${req.baseUrl}/${upload.id}`);
+      res.status(201).end();
+    } catch (error) {
+      if (!error.status) console.error('tus create error:', error);
+      sendError(res, error, 'Failed to create upload');
+    }
+  });
+
+  // Current offset, for resuming
+  router.head('/:id', async (req, res) => {
+    try {
+      const upload = await findUpload(req.params.id, getOwner(req));
+      res.set(uploadHeaders(upload));
+      if (upload.metadata) res.set('Upload-Metadata', upload.metadata);
+      res.status(200).end();
+    } catch (error) {
+      res.status(error.status || 500).end();
+    }
+  });
+
+  // Append data at the current offset
+  router.patch('/:id', async (req, res) => {
+    const { id } = req.params;
+    if (lockedUploads.has(id)) {
+      return res.status(423).json({ error: 'Upload is busy, try again' });
+    }
+    lockedUploads.add(id);
+
+    try {
+      if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+        return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+      }
+
+      const upload = await findUpload(id, getOwner(req));
+      const offset = Number(req.get('Upload-Offset'));
+      if (!Number.isInteger(offset) || offset !== upload.offset) {
+        res.set(uploadHeaders(upload));
+        return res.status(409).json({ error: `Upload-Offset must be ${upload.offset}` });
+      }
+      if (upload.status === 'complete') {
+        res.set(uploadHeaders(upload));
+        return res.status(204).end();
+      }
+
+      // Checksum extension: "Upload-Checksum: sha1 <base64 digest>"
+      let hash = null;
+      let expectedDigest = null;
+      const checksumHeader = req.get('Upload-Checksum');
+      if (checksumHeader) {
+        const [algorithm, digest] = checksumHeader.trim().split(' ');
+        if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+          return res.status(400).json({ error: `Unsupported checksum algorithm, use one of: ${CHECKSUM_ALGORITHMS.join(', ')}` });
+        }
+        hash = crypto.createHash(algorithm);
+        expectedDigest = digest;
+      }
+
+      const { written, digest } = await writeBody(req, id, offset, upload.size - offset, hash);
+
+      // A mismatching checksum discards the data - the offset stays where it was
+      if (hash && digest !== expectedDigest) {
+        res.set(uploadHeaders(upload));
+        return res.status(460).json({ error: 'Checksum mismatch' });
+      }
+
+      const updated = await updateUpload(id, { offset: offset + written });
+      const completed = await completeIfDone(req, updated);
+      res.set(uploadHeaders(completed));
+      res.status(204).end();
+    } catch (error) {
+      if (!error.status) console.error('tus write error:', error);
+      sendError(res, error, 'Failed to write upload');
+    } finally {
+      lockedUploads.delete(id);
+    }
+  });
+
+  // Termination
+  router.delete('/:id', async (req, res) => {
+    try {
+      const upload = await findUpload(req.params.id, getOwner(req));
+      await removeUpload(upload.id, upload.owner);
+      res.status(204).end();
+    } catch (error) {
+      if (!error.status) console.error('tus terminate error:', error);
+      sendError(res, error, 'Failed to terminate upload');
+    }
+  });
+
+  return router;
+};
+
+export const removeTusUpload = (id) => removeUpload(id, null);
+
+// Every upload with its owner, for the admin overview
+export const listTusUploads = async () => {
+  const { uploads } = await tusStore.read();
+  return uploads.map(({ metadata, ...upload }) => ({
+    ...upload,
+    expiresAt: new Date(upload.expiresAt).toISOString(),
+    expired: isExpired(upload)
+  }));
+};
+
+// Janitor housekeeping: forget finished uploads last touched before `cutoff` (ms) and
+// remove data files that no upload refers to (e.g. after a crash)
+export const pruneTusUploads = async (cutoff) => {
+  await tusStore.update((data) => {
+    data.uploads = data.uploads.filter(u => u.status !== 'complete' || Date.parse(u.updatedAt || u.createdAt) >= cutoff);
+  });
+
+  const { uploads } = await tusStore.read();
+  const known = new Set(uploads.map(u => u.id));
+  for (const entry of await fs.readdir(TUS_DIR).catch(() => [])) {
+    if (known.has(path.basename(entry, '.part'))) continue;
+    const stats = await fs.stat(path.join(TUS_DIR, entry)).catch(() => null);
+    if (stats && stats.mtimeMs < cutoff) await fs.remove(path.join(TUS_DIR, entry));
+  }
+};
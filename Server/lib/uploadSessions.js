@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { assertChunkChecksum, fileChecksumMismatch, hashFile, parseSha256 } from './checksums.js';
+import { parseConflictPolicy } from './conflicts.js';
+import { DATA_DIR, INTERNAL_DIR, MAX_FILE_SIZE, MAX_CHUNK_SIZE } from '../config.js';
+
+// Upload sessions: the client creates a session for one file, PUTs its chunks by
+// index in any order (and as often as it likes), then finalizes it. Chunks are
+// written straight into one data file at their byte offset, so finalizing is a
+// single rename into the target folder. Chunks may carry a SHA-256 checksum and the
+// whole file is hashed before it is moved into place.
+
+export const DEFAULT_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB
+
+export const UPLOAD_SESSIONS_DIR = path.join(INTERNAL_DIR, 'upload-sessions');
+
+const sessionsStore = createJsonStore(path.join(DATA_DIR, 'upload-sessions.json'), { sessions: [] });
+
+// Chunk writes currently in progress per session - finalizing waits until there are none
+const activeWrites = new Map();
+
+const dataFilePath = (id) => path.join(UPLOAD_SESSIONS_DIR, `${id}.part`);
+
+const chunkLength = (session, index) =>
+  index < session.totalChunks - 1
+    ? session.chunkSize
+    : session.size - session.chunkSize * (session.totalChunks - 1);
+
+// Received chunks as merged byte ranges: [[start, end), ...]
+const receivedRanges = (session) => {
+  const ranges = [];
+  for (const index of [...session.receivedChunks].sort((a, b) => a - b)) {
+    const start = index * session.chunkSize;
+    const end = start + chunkLength(session, index);
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === start) {
+      last[1] = end;
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+  return ranges;
+};
+
+const receivedBytes = (session) =>
+  session.receivedChunks.reduce((total, index) => total + chunkLength(session, index), 0);
+
+const publicSession = (session) => ({
+  id: session.id,
+  filename: session.filename,
+  targetPath: session.targetPath,
+  size: session.size,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+  receivedRanges: receivedRanges(session),
+  receivedBytes: receivedBytes(session),
+  sha256: session.sha256 || null,
+  conflict: session.conflict,
+  status: session.status,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  file: session.file || null
+});
+
+const findSession = (data, id, owner) => {
+  const session = data.sessions.find(s => s.id === id);
+  // Someone else's session looks exactly like a missing one
+  if (!session || session.owner !== owner) throw new HttpError(404, 'Upload session not found');
+  return session;
+};
+
+// `owner` identifies who may continue the session ("user:<id>" or "drop:<id>"),
+// `sha256` is the client's checksum of the whole file (optional, may also come at finalize),
+// `conflict` what happens when the name is taken by the time the file is placed
+export const createUploadSession = async ({
+  filename,
+  targetPath,
+  size,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  sha256,
+  conflict = 'overwrite',
+  owner
+}) => {
+  const fileSize = Number(size);
+  if (!Number.isInteger(fileSize) || fileSize < 0) {
+    throw new HttpError(400, 'File size must be a whole number of bytes');
+  }
+  if (fileSize > MAX_FILE_SIZE) {
+    throw new HttpError(413, `Files can be at most ${MAX_FILE_SIZE} bytes`);
+  }
+
+  const chunkBytes = Number(chunkSize);
+  if (!Number.isInteger(chunkBytes) || chunkBytes < 1 || chunkBytes > MAX_CHUNK_SIZE) {
+    throw new HttpError(400, `Chunk size must be between 1 and ${MAX_CHUNK_SIZE} bytes`);
+  }
+  const expectedSha256 = parseSha256(sha256);
+  const conflictPolicy = parseConflictPolicy(conflict, 'overwrite');
+
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    filename,
+    targetPath,
+    size: fileSize,
+    chunkSize: chunkBytes,
+    totalChunks: Math.max(Math.ceil(fileSize / chunkBytes), 1),
+    receivedChunks: [],
+    sha256: expectedSha256,
+    conflict: conflictPolicy,
+    status: 'open',
+    owner,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Sparse file of the final size - chunks are written into it at their offset
+  await fs.ensureDir(UPLOAD_SESSIONS_DIR);
+  await fs.writeFile(dataFilePath(session.id), '');
+  await fs.truncate(dataFilePath(session.id), fileSize);
+
+  await sessionsStore.update((data) => {
+    data.sessions.push(session);
+  });
+
+  return publicSession(session);
+};
+
+export const getUploadSession = async (id, owner) => {
+  const data = await sessionsStore.read();
+  return publicSession(findSession(data, id, owner));
+};
+
+// Write one chunk at its offset. Re-sending a chunk simply overwrites it.
+// A chunk that doesn't match its `checksum` (SHA-256 hex) is refused.
+export const writeUploadChunk = async (id, owner, chunkIndex, buffer, checksum) => {
+  const data = await sessionsStore.read();
+  const session = findSession(data, id, owner);
+
+  const index = Number(chunkIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw new HttpError(400, 'Invalid chunk index');
+  }
+  const expectedLength = chunkLength(session, index);
+  if (!Buffer.isBuffer(buffer) || buffer.length !== expectedLength) {
+    throw new HttpError(400, `Chunk ${index} must be exactly ${expectedLength} bytes`);
+  }
+  assertChunkChecksum(buffer, checksum);
+
+  // Status check and write registration happen in the same tick, so a finalize
+  // either sees this write in progress or this write sees the session closed
+  if (session.status !== 'open') {
+    throw new HttpError(409, 'This upload has already been finalized');
+  }
+  activeWrites.set(id, (activeWrites.get(id) || 0) + 1);
+
+  try {
+    const fd = await fs.open(dataFilePath(id), 'r+');
+    try {
+      await fs.write(fd, buffer, 0, buffer.length, index * session.chunkSize);
+    } finally {
+      await fs.close(fd);
+    }
+  } finally {
+    activeWrites.set(id, activeWrites.get(id) - 1);
+    if (activeWrites.get(id) === 0) activeWrites.delete(id);
+  }
+
+  return sessionsStore.update((data) => {
+    const current = findSession(data, id, owner);
+    if (!current.receivedChunks.includes(index)) current.receivedChunks.push(index);
+    current.updatedAt = new Date().toISOString();
+    return publicSession(current);
+  });
+};
+
+// Finalize a complete session exactly once. `place(dataPath, session)` moves the
+// data file to its destination and returns the file info for the response. A
+// repeated finalize of a finished session returns the same file info again.
+// When the file's hash doesn't match the client's `sha256`, the received chunks are
+// discarded so the client can send them again. `conflict` replaces the session's
+// policy - e.g. after the user picked one for a name clash reported by a previous try.
+export const finalizeUploadSession = async (id, owner, place, sha256, conflict) => {
+  const expectedSha256 = parseSha256(sha256);
+  const conflictPolicy = parseConflictPolicy(conflict, null);
+
+  const claimed = await sessionsStore.update((data) => {
+    const session = findSession(data, id, owner);
+    if (session.status === 'complete') return null;
+    if (session.status === 'assembling') {
+      throw new HttpError(409, 'This upload is already being finalized');
+    }
+
+    const missing = session.totalChunks - session.receivedChunks.length;
+    if (missing > 0) {
+      throw new HttpError(409, `${missing} chunk${missing > 1 ? 's are' : ' is'} still missing`);
+    }
+    if (activeWrites.get(id)) {
+      throw new HttpError(409, 'Chunks are still being written, try again');
+    }
+
+    session.status = 'assembling';
+    if (expectedSha256) session.sha256 = expectedSha256;
+    if (conflictPolicy) session.conflict = conflictPolicy;
+    session.updatedAt = new Date().toISOString();
+    return { ...session };
+  });
+
+  if (!claimed) {
+    return getUploadSession(id, owner);
+  }
+
+  let corrupted = false;
+  try {
+    const actualSha256 = await hashFile(dataFilePath(id));
+    if (claimed.sha256 && claimed.sha256 !== actualSha256) {
+      corrupted = true;
+      throw fileChecksumMismatch();
+    }
+
+    const file = await place(dataFilePath(id), { ...claimed, sha256: actualSha256 });
+    return sessionsStore.update((data) => {
+      const session = findSession(data, id, owner);
+      session.status = 'complete';
+      session.file = file;
+      session.updatedAt = new Date().toISOString();
+      return publicSession(session);
+    });
+  } catch (error) {
+    // Give the client a chance to retry (e.g. after freeing space) - a corrupted
+    // file has to be sent again completely
+    await sessionsStore.update((data) => {
+      const session = findSession(data, id, owner);
+      session.status = 'open';
+      if (corrupted) session.receivedChunks = [];
+    });
+    throw error;
+  }
+};
+
+// Remove a session and its data. `owner` null skips the owner check (admin, janitor).
+const removeSession = async (id, owner) => {
+  await sessionsStore.update((data) => {
+    const session = data.sessions.find(s => s.id === id);
+    if (!session || (owner && session.owner !== owner)) {
+      throw new HttpError(404, 'Upload session not found');
+    }
+    if (session.status === 'assembling' || activeWrites.get(id)) {
+      throw new HttpError(409, 'This upload is busy right now, try again');
+    }
+    data.sessions = data.sessions.filter(s => s.id !== id);
+  });
+  await fs.remove(dataFilePath(id));
+};
+
+export const abortUploadSession = (id, owner) => removeSession(id, owner);
+
+export const removeUploadSession = (id) => removeSession(id, null);
+
+// Every session with its owner, for the admin overview
+export const listUploadSessions = async () => {
+  const { sessions } = await sessionsStore.read();
+  return sessions.map(session => ({ ...publicSession(session), owner: session.owner }));
+};
+
+// Janitor housekeeping: forget finished sessions last touched before `cutoff` (ms) and
+// remove data files that no session refers to (e.g. after a crash)
+export const pruneUploadSessions = async (cutoff) => {
+  await sessionsStore.update((data) => {
+    data.sessions = data.sessions.filter(s => s.status !== 'complete' || Date.parse(s.updatedAt) >= cutoff);
+  });
+
+  const { sessions } = await sessionsStore.read();
+  const known = new Set(sessions.map(s => s.id));
+  for (const entry of await fs.readdir(UPLOAD_SESSIONS_DIR).catch(() => [])) {
+    if (known.has(path.basename(entry, '.part'))) continue;
+    const stats = await fs.stat(path.join(UPLOAD_SESSIONS_DIR, entry)).catch(() => null);
+    if (stats && stats.mtimeMs < cutoff) await fs.remove(path.join(UPLOAD_SESSIONS_DIR, entry));
+  }
+};
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { HttpError } from './errors.js';
+
+// multer storage engine for direct uploads: every file is streamed into a hidden temp
+// file inside its target folder (hashing it on the way), so nothing is buffered in
+// memory and the handler only has to rename it into place - atomic on the same disk.
+//
+// `resolveTarget(req)` returns { relativePath, fullPath } of the folder the request
+// uploads into and throws when the user may not upload there. It runs once per
+// request, before the first byte is written. `maxRequestSize` caps all files together.
+// `checkFile(req, target, file, head)` may refuse a file from its first `headSize` bytes
+// (by throwing) - nothing of it is written before it passed.
+export const createUploadStorage = ({ resolveTarget, maxRequestSize, checkFile, headSize = 0 }) => {
+  const targets = new WeakMap();
+  const receivedBytes = new WeakMap();
+
+  const targetFor = (req) => {
+    if (!targets.has(req)) targets.set(req, resolveTarget(req));
+    return targets.get(req);
+  };
+
+  const handleFile = async (req, file) => {
+    const target = await targetFor(req);
+    await fs.ensureDir(target.fullPath);
+
+    const tempPath = path.join(target.fullPath, `.upload-${crypto.randomUUID()}.tmp`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let tooLarge = false;
+    let refusal = null;
+    // Data held back until the start of the file was checked
+    let held = checkFile ? [] : null;
+    const check = (head) => Promise.resolve(checkFile(req, target, file, head)).then(() => null, error => error);
+
+    try {
+      await pipeline(
+        file.stream,
+        async function* (source) {
+          for await (const data of source) {
+            const total = (receivedBytes.get(req) || 0) + data.length;
+            receivedBytes.set(req, total);
+            // Past the limit the rest of the file is read but dropped - ending the file
+            // stream early would make multer report an abort instead of this error
+            if (total > maxRequestSize) tooLarge = true;
+            if (tooLarge || refusal) continue;
+            size += data.length;
+            hash.update(data);
+            if (!held) {
+              yield data;
+              continue;
+            }
+            held.push(data);
+            if (size < headSize) continue;
+            refusal = await check(Buffer.concat(held));
+            if (!refusal) yield* held;
+            held = null;
+          }
+          // Files shorter than `headSize`
+          if (held && !tooLarge && !refusal) {
+            refusal = await check(Buffer.concat(held));
+            if (!refusal) yield* held;
+          }
+        },
+        fs.createWriteStream(tempPath)
+      );
+      if (tooLarge) {
+        throw new HttpError(413, `Uploads can be at most ${maxRequestSize} bytes per request`);
+      }
+      if (refusal) throw refusal;
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+
+    return { path: tempPath, size, sha256: hash.digest('hex'), target };
+  };
+
+  return {
+    _handleFile: (req, file, cb) => {
+      handleFile(req, file).then(info => cb(null, info), cb);
+    },
+    // Called by multer for files of a request that failed part way
+    _removeFile: (req, file, cb) => {
+      if (!file.path) return cb(null);
+      fs.remove(file.path).then(() => cb(null), cb);
+    }
+  };
+};
@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { HttpError } from './errors.js';
+import {
+  INTERNAL_DIR,
+  URL_IMPORT_MAX_SIZE,
+  URL_IMPORT_MAX_REDIRECTS,
+  URL_IMPORT_TIMEOUT_SECONDS,
+  URL_IMPORT_CONCURRENCY,
+  URL_IMPORT_ALLOW_PRIVATE
+} from '../config.js';
+
+// Server-side imports: the server downloads a file from an http(s) URL straight into a
+// folder, so large files don't have to go through the browser twice. Each import is a
+// job the client polls for progress and may cancel. Jobs live in memory only - a
+// restart forgets them, and their half-downloaded data is removed on startup.
+//
+// Job status: queued -> downloading -> complete | failed | cancelled
+
+const IMPORTS_DIR = path.join(INTERNAL_DIR, 'imports');
+
+// Finished jobs stay listed for a while so the client can show how they ended
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+let running = 0;
+
+// Loopback, private, link-local and other non-public ranges
+const privateAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  privateAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+const isPrivateAddress = (address) =>
+  privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// dns.lookup that refuses private addresses. Used for the connection itself, so a host
+// name can't resolve to a public address when checked and a private one when connecting.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new HttpError(400, `${hostname} is a private address and can't be imported from`));
+    }
+    callback(null, address, family);
+  });
+};
+
+export const parseImportUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    throw new HttpError(400, 'A valid URL is required');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new HttpError(400, 'Only http and https URLs can be imported');
+  }
+  if (url.username || url.password) {
+    throw new HttpError(400, 'URLs with credentials are not supported');
+  }
+  return url;
+};
+
+// File name from a Content-Disposition header ("filename*=UTF-8''..." wins) or the URL path
+const suggestedFilename = (url, contentDisposition = '') => {
+  const extended = contentDisposition.match(/filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch {
+      // Malformed encoding - fall through to the plain parameter
+    }
+  }
+  const plain = contentDisposition.match(/filename\s*=\s*"?([^";]+)"?/);
+  if (plain) return plain[1].trim();
+
+  const lastSegment = url.pathname.split('/').filter(Boolean).pop();
+  try {
+    return (lastSegment && decodeURIComponent(lastSegment)) || 'download';
+  } catch {
+    return lastSegment;
+  }
+};
+
+// GET a URL, following up to URL_IMPORT_MAX_REDIRECTS redirects. Resolves to the
+// response of the final URL (status 200) and that URL.
+const request = async (url, signal, redirects = 0) => {
+  // An address in the URL is connected to without a lookup, so it is checked here
+  const literal = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (!URL_IMPORT_ALLOW_PRIVATE && net.isIP(literal) && isPrivateAddress(literal)) {
+    throw new HttpError(400, `${literal} is a private address and can't be imported from`);
+  }
+  const client = url.protocol === 'https:' ? https : http;
+  const response = await new Promise((resolve, reject) => {
+    const req = client.get(url, {
+      signal,
+      lookup: URL_IMPORT_ALLOW_PRIVATE ? undefined : publicLookup,
+      headers: { 'User-Agent': 'MediaGrid URL import', 'Accept-Encoding': 'identity' }
+    }, resolve);
+    req.setTimeout(URL_IMPORT_TIMEOUT_SECONDS * 1000, () => {
+      req.destroy(new HttpError(504, `No response from ${url.host} within ${URL_IMPORT_TIMEOUT_SECONDS} seconds`));
+    });
+    req.on('error', reject);
+  });
+
+  if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+    response.destroy();
+    if (redirects >= URL_IMPORT_MAX_REDIRECTS) {
+      throw new HttpError(502, `Too many redirects (more than ${URL_IMPORT_MAX_REDIRECTS})`);
+    }
+    if (!response.headers.location) {
+      throw new HttpError(502, 'Redirect without a location');
+    }
+    return request(parseImportUrl(new URL(response.headers.location, url)), signal, redirects + 1);
+  }
+
+  if (response.statusCode !== 200) {
+    response.destroy();
+    throw new HttpError(502, `The server answered ${response.statusCode} ${response.statusMessage || ''}`.trim());
+  }
+  return { response, url };
+};
+
+const publicJob = (job) => ({
+  id: job.id,
+  url: job.url,
+  filename: job.filename,
+  targetPath: job.targetPath,
+  status: job.status,
+  receivedBytes: job.receivedBytes,
+  totalBytes: job.totalBytes,
+  error: job.error,
+  file: job.file,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+const finish = (job, status, fields = {}) => {
+  Object.assign(job, fields, { status, updatedAt: new Date().toISOString() });
+  job.finishedAt = Date.now();
+  job.controller = null;
+};
+
+// Download into a data file under the internal folder, then let `place` move it into
+// the folder tree (name conflicts, permissions and checksums are the caller's business)
+const runImport = async (job, place, assertSpace) => {
+  job.status = 'downloading';
+  job.updatedAt = new Date().toISOString();
+  const dataPath = path.join(IMPORTS_DIR, job.id);
+
+  try {
+    const { response, url } = await request(new URL(job.url), job.controller.signal);
+
+    const length = Number(response.headers['content-length']);
+    job.totalBytes = Number.isInteger(length) && length >= 0 ? length : null;
+    if (job.totalBytes !== null && job.totalBytes > URL_IMPORT_MAX_SIZE) {
+      response.destroy();
+      throw new HttpError(413, `The file is larger than the import limit of ${URL_IMPORT_MAX_SIZE} bytes`);
+    }
+    if (job.totalBytes !== null && assertSpace) {
+      await assertSpace(job.totalBytes).catch((error) => {
+        response.destroy();
+        throw error;
+      });
+    }
+    job.filename = job.filename || suggestedFilename(url, response.headers['content-disposition']);
+
+    const hash = crypto.createHash('sha256');
+    await fs.ensureDir(IMPORTS_DIR);
+    await pipeline(
+      response,
+      async function* (source) {
+        for await (const data of source) {
+          job.receivedBytes += data.length;
+          job.updatedAt = new Date().toISOString();
+          // Servers may send more than they announced (or announce nothing)
+          if (job.receivedBytes > URL_IMPORT_MAX_SIZE) {
+            throw new HttpError(413, `The file is larger than the import limit of ${URL_IMPORT_MAX_SIZE} bytes`);
+          }
+          hash.update(data);
+          yield data;
+        }
+      },
+      fs.createWriteStream(dataPath),
+      { signal: job.controller.signal }
+    );
+    if (job.totalBytes !== null && job.receivedBytes < job.totalBytes) {
+      throw new HttpError(502, 'The download ended early');
+    }
+
+    const file = await place(dataPath, {
+      ...publicJob(job),
+      conflict: job.conflict,
+      size: job.receivedBytes,
+      sha256: hash.digest('hex')
+    });
+    finish(job, 'complete', { file });
+  } catch (error) {
+    if (job.status === 'cancelled') return;
+    if (!error.status) console.error(`URL import of ${job.url} failed:`, error);
+    finish(job, 'failed', { error: error.status ? error.message : `Import failed: ${error.message}` });
+  } finally {
+    await fs.remove(dataPath);
+  }
+};
+
+// Start queued jobs while there is room
+const startQueued = () => {
+  for (const job of jobs.values()) {
+    if (running >= URL_IMPORT_CONCURRENCY) return;
+    if (job.status !== 'queued') continue;
+    running += 1;
+    runImport(job, job.place, job.assertSpace).finally(() => {
+      running -= 1;
+      startQueued();
+    });
+  }
+};
+
+// Forget jobs that finished a while ago
+const pruneJobs = () => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+};
+
+// `owner` is the user id, `filename` optional (taken from the response otherwise),
+// `assertSpace(bytes)` may refuse a download once its size is announced and
+// `place(dataPath, job)` moves the downloaded file into place, resolving to its info
+export const createUrlImport = ({ url, targetPath, filename, conflict, owner, assertSpace, place }) => {
+  pruneJobs();
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    url: parseImportUrl(url).href,
+    filename: filename || null,
+    targetPath,
+    conflict,
+    owner,
+    status: 'queued',
+    receivedBytes: 0,
+    totalBytes: null,
+    error: null,
+    file: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+    assertSpace,
+    place
+  };
+  jobs.set(job.id, job);
+  startQueued();
+  return publicJob(job);
+};
+
+// `owner` null skips the owner check (admins)
+const findJob = (id, owner) => {
+  const job = jobs.get(id);
+  if (!job || (owner !== null && job.owner !== owner)) throw new HttpError(404, 'Import not found');
+  return job;
+};
+
+export const getUrlImport = (id, owner) => publicJob(findJob(id, owner));
+
+// Newest first
+export const listUrlImports = (owner) => {
+  pruneJobs();
+  return [...jobs.values()]
+    .filter(job => owner === null || job.owner === owner)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(job => ({ ...publicJob(job), owner: job.owner }));
+};
+
+// Cancels a queued or running import; a finished one is just removed from the list
+export const cancelUrlImport = (id, owner) => {
+  const job = findJob(id, owner);
+  if (job.status === 'queued' || job.status === 'downloading') {
+    const controller = job.controller;
+    finish(job, 'cancelled');
+    controller.abort();
+    return publicJob(job);
+  }
+  jobs.delete(id);
+  return null;
+};
+
+// Data of imports interrupted by a restart
+export const removeInterruptedImports = () => fs.remove(IMPORTS_DIR);
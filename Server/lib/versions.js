@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './errors.js';
+import { isSameOrInside } from './paths.js';
+import { DATA_DIR, INTERNAL_DIR, VERSIONS_KEEP, VERSIONS_MAX_AGE_DAYS } from '../config.js';
+
+// Version history of files replaced by uploads. Before an upload overwrites a file, the
+// file is moved to .mediagrid/versions/<id> and listed as a version of its path. A version
+// can be downloaded, restored (the current file becomes a version in turn) or pruned.
+// Each file keeps its VERSIONS_KEEP newest versions, none older than VERSIONS_MAX_AGE_DAYS.
+// Versions follow their file when it is renamed, trashed and restored, and count towards
+// the quota of whoever stored the replaced file (lib/quotas.js).
+
+const VERSIONS_DIR = path.join(INTERNAL_DIR, 'versions');
+
+// { files: { <relativePath>: [{ id, size, sha256, modified, replacedAt, replacedBy, owner }] } }, newest first
+const versionStore = createJsonStore(path.join(DATA_DIR, 'versions.json'), { files: {} });
+
+export const getVersionsRetention = () => ({ keep: VERSIONS_KEEP, maxAgeDays: VERSIONS_MAX_AGE_DAYS || null });
+
+const versionDataPath = (id) => path.join(VERSIONS_DIR, id);
+
+const isExpired = (version) =>
+  VERSIONS_MAX_AGE_DAYS > 0 && Date.parse(version.replacedAt) < Date.now() - VERSIONS_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+// Trim a file's versions to the retention settings (or to `keep` newest) - resolves to the removed ones
+const pruneEntries = (data, relativePath, keep = VERSIONS_KEEP) => {
+  const versions = data.files[relativePath] || [];
+  const kept = versions.filter((version, index) => index < keep && !isExpired(version));
+  const removed = versions.filter(version => !kept.includes(version));
+  if (kept.length > 0) data.files[relativePath] = kept;
+  else delete data.files[relativePath];
+  return removed;
+};
+
+const removeVersionData = (versions) => Promise.all(versions.map(version => fs.remove(versionDataPath(version.id))));
+
+// Keep the file at `fullPath` as a version of `relativePath` before it is replaced - it is
+// moved away, so the caller can put the new file in its place. `replacedBy` is the uploader
+// ("user:<id>" / "drop:<id>"), `owner` the user id the file's bytes counted for and `sha256`
+// the hash recorded for the file, if any.
+export const keepVersion = async (relativePath, fullPath, { sha256 = null, replacedBy = null, owner = null } = {}) => {
+  const stats = await fs.stat(fullPath);
+  if (!stats.isFile()) return null;
+
+  const version = {
+    id: crypto.randomUUID(),
+    size: stats.size,
+    sha256,
+    modified: stats.mtime.toISOString(),
+    replacedAt: new Date().toISOString(),
+    replacedBy,
+    owner
+  };
+  await fs.move(fullPath, versionDataPath(version.id));
+
+  const removed = await versionStore.update((data) => {
+    data.files[relativePath] = [version, ...(data.files[relativePath] || [])];
+    return pruneEntries(data, relativePath);
+  });
+  await removeVersionData(removed);
+  return version;
+};
+
+// Versions of a file, newest first (expired ones are pruned on the way)
+export const listVersions = async (relativePath) => {
+  const { files } = await versionStore.read();
+  if ((files[relativePath] || []).some(isExpired)) {
+    await removeVersionData(await versionStore.update(data => pruneEntries(data, relativePath)));
+  }
+  return [...((await versionStore.read()).files[relativePath] || [])];
+};
+
+// A version of a file and where its data is
+export const getVersion = async (relativePath, id) => {
+  const version = (await listVersions(relativePath)).find(entry => entry.id === id);
+  if (!version) throw new HttpError(404, 'Version not found');
+  return { ...version, dataPath: versionDataPath(id) };
+};
+
+// Take a version out of the history to make it the current file again: `place(dataPath,
+// version)` moves its data into place (after keeping the current file as a version)
+export const restoreVersion = async (relativePath, id, place) => {
+  const version = await getVersion(relativePath, id);
+  await versionStore.update((data) => {
+    data.files[relativePath] = (data.files[relativePath] || []).filter(entry => entry.id !== id);
+    if (data.files[relativePath].length === 0) delete data.files[relativePath];
+  });
+  try {
+    return await place(version.dataPath, version);
+  } catch (error) {
+    // Put it back in the history rather than lose it
+    await versionStore.update((data) => {
+      const versions = [...(data.files[relativePath] || []), version].map(({ dataPath, ...entry }) => entry);
+      data.files[relativePath] = versions.sort((a, b) => Date.parse(b.replacedAt) - Date.parse(a.replacedAt));
+    });
+    throw error;
+  }
+};
+
+export const deleteVersion = async (relativePath, id) => {
+  const removed = await versionStore.update((data) => {
+    const versions = data.files[relativePath] || [];
+    const version = versions.find(entry => entry.id === id);
+    if (!version) throw new HttpError(404, 'Version not found');
+    data.files[relativePath] = versions.filter(entry => entry !== version);
+    if (data.files[relativePath].length === 0) delete data.files[relativePath];
+    return [version];
+  });
+  await removeVersionData(removed);
+};
+
+// Remove all but the `keep` newest versions of a file - resolves to how many were removed
+export const pruneVersions = async (relativePath, keep = 0) => {
+  const count = Number(keep);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new HttpError(400, 'keep must be a whole number of versions');
+  }
+  const removed = await versionStore.update(data => pruneEntries(data, relativePath, count));
+  await removeVersionData(removed);
+  return removed.length;
+};
+
+// Keep versions attached to files (and folder contents) that are renamed; with no
+// `toPath` (deleted for good) their data is removed
+export const moveFileVersions = async (fromPath, toPath) => {
+  const removed = await versionStore.update((data) => {
+    const dropped = [];
+    for (const key of Object.keys(data.files)) {
+      if (!isSameOrInside(fromPath, key)) continue;
+      const versions = data.files[key];
+      delete data.files[key];
+      if (toPath) data.files[toPath + key.slice(fromPath.length)] = versions;
+      else dropped.push(...versions);
+    }
+    return dropped;
+  });
+  await removeVersionData(removed);
+};
+
+export const forgetFileVersions = (relativePath) => moveFileVersions(relativePath, null);
+
+// Bytes of the versions kept of files a user stored
+export const getVersionUsage = async (userId) => {
+  const { files } = await versionStore.read();
+  return Object.values(files).flat().reduce((total, version) => total + (version.owner === userId ? version.size : 0), 0);
+};
@@ -0,0 +1,110 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { isInsideUploads } from './paths.js';
+import { indexItem, indexTree, reconcileIndex } from './fileIndex.js';
+import { forgetFolderUsage } from './quotas.js';
+import { UPLOADS_DIR, WATCH_UPLOADS, WATCH_DEBOUNCE_MS } from '../config.js';
+
+// Watches the upload tree for changes made outside MediaGrid (rsync, scp, a file manager
+// on the server). Events are collected until nothing happened for WATCH_DEBOUNCE_MS -
+// or for at most ten times that while a long copy keeps writing - and then handled in
+// one go: the metadata index is updated, cached folder sizes dropped, and `onChange`
+// told which folders changed. MediaGrid's own writes come by here too, which is how
+// other open windows learn about them. Hidden entries (.mediagrid, .chunks, the temp
+// files of uploads and rsync) are ignored.
+
+const MAX_WAIT_MS = WATCH_DEBOUNCE_MS * 10;
+
+let watcher = null;
+let changed = new Set();
+let fullRescan = false;
+let timer = null;
+let firstChangeAt = null;
+let flushing = Promise.resolve();
+let onChange = async () => {};
+
+const isHidden = (relativePath) => relativePath.split('/').some(segment => segment.startsWith('.'));
+
+// Bring the index in line with one changed path - folders are indexed with their contents,
+// as a folder moved in from elsewhere brings everything below it without further events
+const updateIndex = async (relativePath) => {
+  const fullPath = path.join(UPLOADS_DIR, relativePath);
+  const stats = await fs.lstat(fullPath).catch(() => null);
+  if (stats?.isSymbolicLink() && !await isInsideUploads(fullPath)) return;
+  if (stats?.isDirectory()) await indexTree(relativePath);
+  else await indexItem(relativePath);
+};
+
+const flush = async () => {
+  clearTimeout(timer);
+  timer = null;
+  firstChangeAt = null;
+  const paths = [...changed].sort();
+  const rescan = fullRescan;
+  changed = new Set();
+  fullRescan = false;
+
+  const folders = new Set();
+  if (rescan) {
+    await reconcileIndex();
+    folders.add('/');
+  }
+  const handled = new Set();
+  const isCovered = (relativePath) => {
+    for (let folder = path.posix.dirname(relativePath); folder !== '/'; folder = path.posix.dirname(folder)) {
+      if (handled.has(folder)) return true;
+    }
+    return false;
+  };
+  for (const relativePath of paths) {
+    folders.add(path.posix.dirname(relativePath));
+    // A folder indexed earlier in this batch already covered everything below it
+    if (isCovered(relativePath)) continue;
+    await updateIndex(relativePath);
+    forgetFolderUsage(relativePath);
+    handled.add(relativePath);
+  }
+  if (folders.size > 0) await onChange([...folders]);
+};
+
+const scheduleFlush = () => {
+  firstChangeAt ??= Date.now();
+  clearTimeout(timer);
+  const wait = Math.min(WATCH_DEBOUNCE_MS, Math.max(0, firstChangeAt + MAX_WAIT_MS - Date.now()));
+  timer = setTimeout(() => {
+    flushing = flushing
+      .then(flush)
+      .catch(error => console.error('Handling upload folder changes failed:', error));
+  }, wait);
+};
+
+const handleEvent = (eventType, filename) => {
+  // Without a file name all we know is that something changed
+  if (!filename) {
+    fullRescan = true;
+  } else {
+    const relativePath = `/${filename.toString().split(path.sep).join('/')}`;
+    if (isHidden(relativePath)) return;
+    changed.add(relativePath);
+  }
+  scheduleFlush();
+};
+
+// Start watching. `onChange(folders)` runs with the (relative) folders whose contents changed.
+export const startWatcher = ({ onChange: handler } = {}) => {
+  if (handler) onChange = handler;
+  if (!WATCH_UPLOADS || watcher) return false;
+
+  try {
+    watcher = fs.watch(UPLOADS_DIR, { recursive: true }, handleEvent);
+  } catch (error) {
+    console.error('Watching the upload folder failed - changes made outside MediaGrid show up after a restart:', error.message);
+    return false;
+  }
+  watcher.on('error', (error) => {
+    console.error('Watching the upload folder stopped - changes made outside MediaGrid show up after a restart:', error.message);
+    watcher.close();
+    watcher = null;
+  });
+  return true;
+};
@@ -0,0 +1,237 @@
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// ZIP archives written as a stream, straight into the response - nothing is staged on
+// disk and no file is held in memory. Sizes and CRCs are only known once a file has
+// been read, so they follow each file in a data descriptor. ZIP64 fields are written
+// where a size, an offset or the number of entries doesn't fit the classic format, so
+// archives of many GB open in current tools (Windows Explorer, macOS, 7-Zip, unzip).
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const END = 0x06054b50;
+
+const STORE = 0;
+const DEFLATE = 8;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const VERSION_ZIP64 = 45;
+const VERSION_DEFAULT = 20;
+const MADE_BY_UNIX = 3 << 8;
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+// Files this big get ZIP64 sizes up front - deflate may grow incompressible data a little
+const ZIP64_FILE_SIZE = MAX_32 - 16 * 1024 * 1024;
+
+// Compressed already - deflating them again costs CPU and saves nothing
+const STORED_TYPES = /^(video\/|audio\/(?!wav$))|^image\/(jpeg|png|gif|webp|avif|heic|heif)$|^application\/(zip|gzip|vnd\.rar|x-7z-compressed|pdf|ogg)$/;
+
+export const isStoredType = (contentType) => STORED_TYPES.test(contentType || '');
+
+const dosDateTime = (date) => {
+  if (date.getFullYear() < 1980) return { time: 0, date: (1 << 5) | 1 };
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+// Little-endian fields: [[bytes, value], ...]
+const fields = (list) => {
+  const buffer = Buffer.alloc(list.reduce((sum, [bytes]) => sum + bytes, 0));
+  let offset = 0;
+  for (const [bytes, value] of list) {
+    if (bytes === 8) buffer.writeBigUInt64LE(BigInt(value), offset);
+    else if (bytes === 4) buffer.writeUInt32LE(value >>> 0, offset);
+    else buffer.writeUInt16LE(value, offset);
+    offset += bytes;
+  }
+  return buffer;
+};
+
+const zip64Extra = (values) => Buffer.concat([
+  fields([[2, 0x0001], [2, values.length * 8]]),
+  fields(values.map(value => [8, value]))
+]);
+
+const localHeader = (entry) => {
+  const extra = entry.zip64 ? zip64Extra([0, 0]) : Buffer.alloc(0);
+  const size = entry.zip64 ? MAX_32 : 0;
+  return Buffer.concat([
+    fields([
+      [4, LOCAL_HEADER],
+      [2, entry.version],
+      [2, entry.flags],
+      [2, entry.method],
+      [2, entry.modified.time],
+      [2, entry.modified.date],
+      [4, 0],
+      [4, size],
+      [4, size],
+      [2, entry.name.length],
+      [2, extra.length]
+    ]),
+    entry.name,
+    extra
+  ]);
+};
+
+const dataDescriptor = (entry) => fields([
+  [4, DATA_DESCRIPTOR],
+  [4, entry.crc],
+  [entry.zip64 ? 8 : 4, entry.compressedSize],
+  [entry.zip64 ? 8 : 4, entry.size]
+]);
+
+const centralHeader = (entry) => {
+  // Whatever doesn't fit in 32 bits moves to the ZIP64 extra field, in this order
+  const large = [entry.size, entry.compressedSize, entry.offset].map(value => value >= MAX_32);
+  const zip64Values = [entry.size, entry.compressedSize, entry.offset].filter((value, index) => large[index]);
+  const extra = zip64Values.length > 0 ? zip64Extra(zip64Values) : Buffer.alloc(0);
+  const mode = entry.isDirectory ? 0o40755 : 0o100644;
+  return Buffer.concat([
+    fields([
+      [4, CENTRAL_HEADER],
+      [2, MADE_BY_UNIX | VERSION_ZIP64],
+      [2, zip64Values.length > 0 ? VERSION_ZIP64 : entry.version],
+      [2, entry.flags],
+      [2, entry.method],
+      [2, entry.modified.time],
+      [2, entry.modified.date],
+      [4, entry.crc],
+      [4, large[1] ? MAX_32 : entry.compressedSize],
+      [4, large[0] ? MAX_32 : entry.size],
+      [2, entry.name.length],
+      [2, extra.length],
+      [2, 0],
+      [2, 0],
+      [2, 0],
+      [4, (mode << 16) | (entry.isDirectory ? 0x10 : 0)],
+      [4, large[2] ? MAX_32 : entry.offset]
+    ]),
+    entry.name,
+    extra
+  ]);
+};
+
+const endRecords = (count, directoryOffset, directorySize) => {
+  const records = [];
+  const zip64 = count >= MAX_16 || directoryOffset >= MAX_32 || directorySize >= MAX_32;
+  if (zip64) {
+    const zip64EndOffset = directoryOffset + directorySize;
+    records.push(fields([
+      [4, ZIP64_END],
+      [8, 44],
+      [2, MADE_BY_UNIX | VERSION_ZIP64],
+      [2, VERSION_ZIP64],
+      [4, 0],
+      [4, 0],
+      [8, count],
+      [8, count],
+      [8, directorySize],
+      [8, directoryOffset]
+    ]));
+    records.push(fields([[4, ZIP64_LOCATOR], [4, 0], [8, zip64EndOffset], [4, 1]]));
+  }
+  records.push(fields([
+    [4, END],
+    [2, 0],
+    [2, 0],
+    [2, zip64 ? MAX_16 : count],
+    [2, zip64 ? MAX_16 : count],
+    [4, zip64 ? MAX_32 : directorySize],
+    [4, zip64 ? MAX_32 : directoryOffset],
+    [2, 0]
+  ]));
+  return Buffer.concat(records);
+};
+
+// The file's data as it goes into the archive, with its CRC and size counted on the way
+async function* fileData(entry, input) {
+  const raw = async function* () {
+    for await (const chunk of input) {
+      entry.crc = zlib.crc32(chunk, entry.crc);
+      entry.size += chunk.length;
+      yield chunk;
+    }
+  };
+
+  if (entry.method === STORE) {
+    yield* raw();
+    return;
+  }
+  const deflate = zlib.createDeflateRaw();
+  const feeding = pipeline(raw, deflate);
+  // A read error ends the loop below as well - it is thrown from `await feeding`
+  feeding.catch(() => {});
+  yield* deflate;
+  await feeding;
+}
+
+async function* writeZip(items) {
+  const written = [];
+  let offset = 0;
+  const emit = (buffer) => {
+    offset += buffer.length;
+    return buffer;
+  };
+
+  for await (const item of items) {
+    const isDirectory = Boolean(item.isDirectory);
+    let input = null;
+    if (!isDirectory) {
+      // A file that is gone by now is left out rather than failing the whole archive
+      const handle = await fs.promises.open(item.fullPath).catch(() => null);
+      if (!handle) continue;
+      input = handle.createReadStream();
+    }
+
+    const zip64 = !isDirectory && item.size >= ZIP64_FILE_SIZE;
+    const entry = {
+      name: Buffer.from(isDirectory ? `${item.name.replace(/\/$/, '')}/` : item.name),
+      isDirectory,
+      modified: dosDateTime(item.modified || new Date()),
+      method: isDirectory || item.store ? STORE : DEFLATE,
+      flags: FLAG_UTF8 | (isDirectory ? 0 : FLAG_DATA_DESCRIPTOR),
+      version: zip64 ? VERSION_ZIP64 : VERSION_DEFAULT,
+      zip64,
+      offset,
+      crc: 0,
+      size: 0,
+      compressedSize: 0
+    };
+
+    yield emit(localHeader(entry));
+    if (input) {
+      try {
+        for await (const chunk of fileData(entry, input)) {
+          entry.compressedSize += chunk.length;
+          yield emit(chunk);
+        }
+      } finally {
+        input.destroy();
+      }
+      // The file grew past 4 GB after it was listed - the archive can't describe it
+      if (!entry.zip64 && Math.max(entry.size, entry.compressedSize) >= MAX_32) {
+        throw new Error(`${item.name} grew while it was being archived`);
+      }
+      yield emit(dataDescriptor(entry));
+    }
+    written.push(entry);
+  }
+
+  const directoryOffset = offset;
+  for (const entry of written) yield emit(centralHeader(entry));
+  yield endRecords(written.length, directoryOffset, offset - directoryOffset);
+}
+
+// A readable ZIP stream of `items` (an iterable or async iterable of
+// { name, fullPath, isDirectory, size, modified, store }). `name` is the path inside the
+// archive, `store` leaves a file uncompressed.
+export const createZipStream = (items) => Readable.from(writeZip(items), { objectMode: false });
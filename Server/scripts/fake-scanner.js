@@ -0,0 +1,35 @@
+// Stand-in for clamscan when trying out malware scanning without ClamAV:
+//   SCAN_COMMAND="node scripts/fake-scanner.js"
+// Reports files containing the EICAR test string as infected (exit code 1), everything
+// else as clean (exit code 0), and fails (exit code 2) on files it can't read.
+import fs from 'fs';
+
+const EICAR = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*');
+
+const containsEicar = async (filePath) => {
+  // Chunks overlap by the signature's length so it is found across chunk boundaries
+  let tail = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    const data = Buffer.concat([tail, chunk]);
+    if (data.includes(EICAR)) return true;
+    tail = data.subarray(Math.max(0, data.length - EICAR.length + 1));
+  }
+  return false;
+};
+
+const filePath = process.argv[2];
+if (!filePath) {
+  console.error('Usage: node scripts/fake-scanner.js <file>');
+  process.exit(2);
+}
+
+try {
+  if (await containsEicar(filePath)) {
+    console.log(`${filePath}: Eicar-Test-Signature FOUND`);
+    process.exit(1);
+  }
+  console.log(`${filePath}: OK`);
+} catch (error) {
+  console.error(`${filePath}: ${error.message} ERROR`);
+  process.exit(2);
+}
@@ -0,0 +1,125 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Folder access rules: the rule on the closest folder decides a user's role
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-acl-'));
+process.env.UPLOADS_DIR = path.join(root, 'uploads');
+process.env.DATA_DIR = path.join(root, 'data');
+
+const {
+  addRule,
+  removeRule,
+  removeUserRules,
+  listRules,
+  getEffectiveRole,
+  roleAllows,
+  assertPermission,
+  canTraverse
+} = await import('../lib/acl.js');
+
+after(() => fs.remove(root));
+
+const viewer = { id: 'viewer-1', role: 'viewer' };
+const editor = { id: 'editor-1', role: 'editor' };
+const admin = { id: 'admin-1', role: 'admin' };
+
+test('without rules a user has their global role', async () => {
+  assert.equal(await getEffectiveRole(viewer, '/anything/deep'), 'viewer');
+  assert.equal(await getEffectiveRole(editor, '/'), 'editor');
+  assert.equal(await getEffectiveRole({ id: 'odd', role: 'superuser' }, '/'), 'none');
+  assert.equal(await getEffectiveRole(null, '/'), 'none');
+});
+
+test('the rule on the closest folder wins, whichever order rules were added in', async () => {
+  await addRule({ path: '/Projects/Secret/Open', userId: viewer.id, role: 'editor' });
+  await addRule({ path: '/Projects', userId: viewer.id, role: 'uploader' });
+  await addRule({ path: '/Projects/Secret', userId: viewer.id, role: 'none' });
+
+  assert.equal(await getEffectiveRole(viewer, '/Projects'), 'uploader');
+  assert.equal(await getEffectiveRole(viewer, '/Projects/2024/clip.mp4'), 'uploader');
+  assert.equal(await getEffectiveRole(viewer, '/Projects/Secret'), 'none');
+  assert.equal(await getEffectiveRole(viewer, '/Projects/Secret/plan.pdf'), 'none');
+  assert.equal(await getEffectiveRole(viewer, '/Projects/Secret/Open/notes.txt'), 'editor');
+  // A sibling that only shares the beginning of the name is not inside
+  assert.equal(await getEffectiveRole(viewer, '/Projects/SecretSanta'), 'uploader');
+  assert.equal(await getEffectiveRole(viewer, '/ProjectsOld'), 'viewer');
+  assert.equal(await getEffectiveRole(viewer, '/'), 'viewer');
+  // Paths are normalized before they are compared
+  assert.equal(await getEffectiveRole(viewer, 'Projects/Secret/'), 'none');
+});
+
+test('rules only apply to their own user, and never to admins', async () => {
+  await addRule({ path: '/Archive', userId: editor.id, role: 'viewer' });
+  assert.equal(await getEffectiveRole(editor, '/Archive/old.mov'), 'viewer');
+  assert.equal(await getEffectiveRole(viewer, '/Archive/old.mov'), 'viewer');
+  assert.equal(await getEffectiveRole(editor, '/Projects/Secret'), 'editor');
+
+  await addRule({ path: '/Archive', userId: admin.id, role: 'none' });
+  assert.equal(await getEffectiveRole(admin, '/Archive'), 'admin');
+});
+
+test('adding a rule again replaces its role', async () => {
+  const first = await addRule({ path: '/Replace', userId: viewer.id, role: 'none' });
+  const second = await addRule({ path: '/Replace/', userId: viewer.id, role: 'editor' });
+  assert.equal(second.id, first.id);
+  assert.equal(await getEffectiveRole(viewer, '/Replace/file.txt'), 'editor');
+  assert.equal((await listRules()).filter(rule => rule.path === '/Replace').length, 1);
+
+  await removeRule(first.id);
+  assert.equal(await getEffectiveRole(viewer, '/Replace/file.txt'), 'viewer');
+  await assert.rejects(removeRule(first.id), { status: 404 });
+});
+
+test('rules are validated', async () => {
+  await assert.rejects(addRule({ path: '/', userId: viewer.id, role: 'admin' }), { status: 400 });
+  await assert.rejects(addRule({ path: '/', userId: viewer.id, role: 'owner' }), { status: 400 });
+  await assert.rejects(addRule({ path: '/', role: 'viewer' }), { status: 400 });
+});
+
+test('roles include everything below them', () => {
+  assert.equal(roleAllows('viewer', 'view'), true);
+  assert.equal(roleAllows('viewer', 'upload'), false);
+  assert.equal(roleAllows('uploader', 'createFolder'), true);
+  assert.equal(roleAllows('uploader', 'rename'), false);
+  assert.equal(roleAllows('editor', 'delete'), true);
+  assert.equal(roleAllows('none', 'view'), false);
+  assert.equal(roleAllows('admin', 'tag'), true);
+});
+
+test('a recursive check also covers lesser rules below the folder', async () => {
+  const user = { id: 'editor-2', role: 'editor' };
+  await addRule({ path: '/Team/Locked', userId: user.id, role: 'viewer' });
+
+  assert.equal(await assertPermission(user, '/Team', 'delete'), 'editor');
+  await assert.rejects(assertPermission(user, '/Team', 'delete', { recursive: true }), {
+    status: 403,
+    message: 'This folder contains items you do not have permission to change'
+  });
+  await assert.rejects(assertPermission(user, '/Team/Locked/a.txt', 'delete'), { status: 403 });
+  // Rules elsewhere don't get in the way
+  assert.equal(await assertPermission(user, '/Elsewhere', 'delete', { recursive: true }), 'editor');
+  assert.equal(await assertPermission(admin, '/Team', 'delete', { recursive: true }), 'admin');
+});
+
+test('a folder with a grant below it can be traversed', async () => {
+  const user = { id: 'guest-1', role: 'none' };
+  await addRule({ path: '/Clients/Acme', userId: user.id, role: 'viewer' });
+  await addRule({ path: '/Clients/Other', userId: user.id, role: 'none' });
+
+  assert.equal(await canTraverse(user, '/'), true);
+  assert.equal(await canTraverse(user, '/Clients'), true);
+  // The granted folder itself is viewed, not traversed
+  assert.equal(await canTraverse(user, '/Clients/Acme'), false);
+  assert.equal(await canTraverse(user, '/Clients/Other'), false);
+  assert.equal(await canTraverse(user, '/Elsewhere'), false);
+  assert.equal(await canTraverse(null, '/'), false);
+  assert.equal(await canTraverse(admin, '/Anything'), true);
+
+  await removeUserRules(user.id);
+  assert.equal(await canTraverse(user, '/Clients'), false);
+  assert.equal(await getEffectiveRole(user, '/Clients/Acme'), 'none');
+});
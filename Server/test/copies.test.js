@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Copy jobs with stand-ins for the checks and the placement index.js does
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-copies-'));
+const uploadsDir = path.join(root, 'uploads');
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+
+const { createCopy, getCopy, cancelCopy, waitForCopy } = await import('../lib/copies.js');
+
+after(() => fs.remove(root));
+
+const waitForStatus = async (id, status) => {
+  for (let i = 0; i < 200; i++) {
+    if (getCopy(id, null).status === status) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Copy ${id} never reached ${status}`);
+};
+
+test('a copy being placed can not be cancelled and ends complete', async () => {
+  await fs.outputFile(path.join(uploadsDir, 'Clips', 'a.mp4'), 'video');
+  let release;
+  const placing = new Promise(resolve => {
+    release = resolve;
+  });
+  const { id } = createCopy({
+    sourcePath: '/Clips',
+    targetPath: '/Archive',
+    owner: 'user-1',
+    check: async () => {},
+    place: async (stagingPath) => {
+      await placing;
+      await fs.copy(stagingPath, path.join(uploadsDir, 'Archive', 'Clips'));
+      return { path: '/Archive/Clips' };
+    }
+  });
+
+  await waitForStatus(id, 'placing');
+  assert.throws(() => cancelCopy(id, 'user-1'), { status: 409 });
+  release();
+
+  const job = await waitForCopy(id);
+  assert.equal(job.status, 'complete');
+  assert.deepEqual(job.result, { path: '/Archive/Clips' });
+  assert.equal(await fs.readFile(path.join(uploadsDir, 'Archive', 'Clips', 'a.mp4'), 'utf8'), 'video');
+});
+
+test('cancelling while files are copied places nothing', async () => {
+  for (let i = 0; i < 200; i++) {
+    await fs.outputFile(path.join(uploadsDir, 'Many', `${i}.txt`), 'x'.repeat(10000));
+  }
+  let placed = false;
+  const { id } = createCopy({
+    sourcePath: '/Many',
+    targetPath: '/Archive',
+    owner: 'user-1',
+    check: async () => {},
+    place: async () => {
+      placed = true;
+    }
+  });
+
+  for (let i = 0; i < 500 && getCopy(id, null).copiedFiles === 0; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.equal(cancelCopy(id, 'user-1').status, 'cancelled');
+
+  const job = await waitForCopy(id);
+  assert.equal(job.status, 'cancelled');
+  assert.ok(job.copiedFiles < 200);
+  // The staging folder is removed once the copy has stopped
+  for (let i = 0; i < 100 && await fs.pathExists(path.join(uploadsDir, '.mediagrid', 'copies', id)); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(await fs.pathExists(path.join(uploadsDir, '.mediagrid', 'copies', id)), false);
+  assert.equal(placed, false);
+});
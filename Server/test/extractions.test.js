@@ -0,0 +1,218 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { createZipStream } from '../lib/zip.js';
+
+// Extraction jobs on archives built here, with stand-ins for the checks and the placement
+// index.js does
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-extractions-'));
+const uploadsDir = path.join(root, 'uploads');
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.EXTRACT_MAX_BYTES = String(1024 * 1024);
+
+const { createExtraction, getExtraction, cancelExtraction } = await import('../lib/extractions.js');
+
+after(() => fs.remove(root));
+
+// A ustar header block. `type` '0' is a file, '5' a directory, '2' a symlink.
+const tarHeader = ({ name, size = 0, type = '0', linkname = '' }) => {
+  const header = Buffer.alloc(512);
+  const put = (value, offset, length) => header.write(value, offset, length, 'utf8');
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+  put(name, 0, 100);
+  put(octal(0o644, 8), 100, 8);
+  put(octal(0, 8), 108, 8);
+  put(octal(0, 8), 116, 8);
+  put(octal(size, 12), 124, 12);
+  put(octal(Math.floor(Date.now() / 1000), 12), 136, 12);
+  put(type, 156, 1);
+  put(linkname, 157, 100);
+  put('ustar\u000000', 257, 8);
+  put(' '.repeat(8), 148, 8);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  put(`${octal(checksum, 7)}\u0000 `, 148, 8);
+  return header;
+};
+
+// A tar archive of [{ name, data?, type?, linkname? }]
+const buildTar = (entries) => {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data ?? '');
+    blocks.push(tarHeader({ ...entry, size: data.length }));
+    if (data.length > 0) blocks.push(data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+};
+
+// A ZIP archive of [{ name, data }], names written as they are
+const buildZip = async (entries) => {
+  const sourceDir = await fs.mkdtemp(path.join(root, 'zip-'));
+  const items = [];
+  for (const [index, entry] of entries.entries()) {
+    const fullPath = path.join(sourceDir, String(index));
+    await fs.writeFile(fullPath, entry.data);
+    items.push({ name: entry.name, fullPath, isDirectory: false, size: entry.data.length, modified: new Date(), store: false });
+  }
+  const chunks = [];
+  for await (const chunk of createZipStream(items)) chunks.push(chunk);
+  await fs.remove(sourceDir);
+  return Buffer.concat(chunks);
+};
+
+// Every path below the test's folder, outside the staging folders, whose name contains 'evil'
+const findEvil = async () => {
+  const staging = path.join('uploads', '.mediagrid', 'extractions') + path.sep;
+  return (await fs.readdir(root, { recursive: true }))
+    .filter(name => name.includes('evil') && !name.startsWith(staging));
+};
+
+const waitForStatus = async (id, statuses) => {
+  for (let i = 0; i < 500; i++) {
+    const job = getExtraction(id, null);
+    if (statuses.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Extraction ${id} never reached ${statuses.join(' or ')}`);
+};
+
+// Extract `archive` (stored as `fileName`) and wait for the job to end. Resolves to the
+// job and what was in the staging folder when it was placed, if it was.
+const extract = async (fileName, archive, archiveType, { place } = {}) => {
+  await fs.outputFile(path.join(uploadsDir, fileName), archive);
+  let placed = null;
+  const { id } = createExtraction({
+    sourcePath: `/${fileName}`,
+    archiveType,
+    targetPath: '/',
+    name: fileName.replace(/\..*$/, ''),
+    owner: 'user-1',
+    check: async () => {},
+    place: place || (async (stagingPath) => {
+      placed = await fs.readdir(stagingPath, { recursive: true });
+      return { placed: true };
+    })
+  });
+  const job = await waitForStatus(id, ['complete', 'failed', 'cancelled']);
+  return { job, placed };
+};
+
+test('an extraction being placed can not be cancelled and ends complete', async () => {
+  await fs.outputFile(path.join(uploadsDir, 'project.tar'), buildTar([{ name: 'a.txt', data: 'hello' }]));
+  let release;
+  const placing = new Promise(resolve => {
+    release = resolve;
+  });
+  const { id } = createExtraction({
+    sourcePath: '/project.tar',
+    archiveType: 'tar',
+    targetPath: '/',
+    name: 'project',
+    owner: 'user-1',
+    check: async () => {},
+    place: async () => {
+      await placing;
+      return { path: '/project' };
+    }
+  });
+
+  await waitForStatus(id, ['placing']);
+  assert.throws(() => cancelExtraction(id, 'user-1'), { status: 409 });
+  release();
+
+  const job = await waitForStatus(id, ['complete', 'failed', 'cancelled']);
+  assert.equal(job.status, 'complete');
+  assert.deepEqual(job.result, { path: '/project' });
+});
+
+test('a tar archive is unpacked into the staging folder', async () => {
+  const { job, placed } = await extract('plain.tar', buildTar([
+    { name: 'clips/', type: '5' },
+    { name: 'clips/a.txt', data: 'hello' }
+  ]), 'tar');
+  assert.equal(job.status, 'complete', job.error);
+  assert.deepEqual(placed.sort(), ['clips', path.join('clips', 'a.txt')]);
+});
+
+test('entries that climb out of the staging folder are skipped', async () => {
+  const outside = path.join(root, 'outside');
+  const { job, placed } = await extract('slip.tar', buildTar([
+    { name: '../evil.txt', data: 'up one' },
+    { name: '../../../../../../evil.txt', data: 'up to the top' },
+    { name: 'clips/../../evil.txt', data: 'up from inside' },
+    { name: `${outside}/evil.txt`, data: 'absolute' },
+    { name: 'safe.txt', data: 'fine' }
+  ]), 'tar');
+  assert.equal(job.status, 'complete', job.error);
+  // An absolute name loses its leading slash and lands inside, the others are refused
+  assert.equal(job.skippedCount, 3);
+  assert.ok(job.skipped.every(({ reason }) => reason === 'The path is unsafe or hidden'));
+  assert.deepEqual(placed.filter(name => name.endsWith('.txt')).sort(), [
+    path.join(...outside.split(path.sep).filter(Boolean), 'evil.txt'),
+    'safe.txt'
+  ].sort());
+  assert.equal(await fs.pathExists(outside), false);
+  assert.deepEqual(await findEvil(), []);
+});
+
+test('a ZIP with names that climb out writes nothing outside the staging folder', async () => {
+  const { job, placed } = await extract('slip.zip', await buildZip([
+    { name: '../evil.txt', data: Buffer.from('up one') },
+    { name: '..\\..\\evil.txt', data: Buffer.from('backslashes') },
+    { name: 'safe.txt', data: Buffer.from('fine') }
+  ]), 'zip');
+  assert.equal(job.status, 'complete', job.error);
+  assert.equal(job.skippedCount, 2);
+  assert.deepEqual(placed, ['safe.txt']);
+  assert.deepEqual(await findEvil(), []);
+});
+
+test('links are skipped, not followed', async () => {
+  const { job, placed } = await extract('links.tar', buildTar([
+    { name: 'passwd', type: '2', linkname: '/etc/passwd' },
+    { name: 'evil', type: '2', linkname: '../../../..' },
+    { name: 'evil/escaped.txt', data: 'through the link' },
+    { name: 'safe.txt', data: 'fine' }
+  ]), 'tar');
+  assert.equal(job.status, 'complete', job.error);
+  assert.deepEqual(job.skipped.slice(0, 2).map(({ name, reason }) => [name, reason]), [
+    ['passwd', 'Links and special files are not extracted'],
+    ['evil', 'Links and special files are not extracted']
+  ]);
+  // The file behind the skipped link is an ordinary folder inside the staging folder
+  assert.deepEqual(placed.sort(), ['evil', path.join('evil', 'escaped.txt'), 'safe.txt']);
+  assert.equal(await fs.pathExists(path.join(root, 'escaped.txt')), false);
+  assert.equal(await fs.pathExists(path.join(uploadsDir, 'escaped.txt')), false);
+});
+
+test('a ZIP that declares more than the limit fails before anything is written', async () => {
+  const { job, placed } = await extract('declared.zip', await buildZip([
+    { name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024) }
+  ]), 'zip');
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /unpacks to more than 1 MB/);
+  assert.equal(job.extractedBytes, 0);
+  assert.equal(placed, null);
+});
+
+test('a compressed tar that unpacks past the limit fails and leaves nothing behind', async () => {
+  const archive = zlib.gzipSync(buildTar([{ name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024) }]));
+  const { job, placed } = await extract('bomb.tar.gz', archive, 'tar.gz');
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /unpacks to more than 1 MB/);
+  assert.equal(placed, null);
+  assert.ok(job.extractedBytes <= 1024 * 1024 + 64 * 1024);
+  // The staging folder is removed right after the job is failed
+  const extractionsDir = path.join(uploadsDir, '.mediagrid', 'extractions');
+  for (let i = 0; i < 100 && (await fs.readdir(extractionsDir)).length > 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(await fs.readdir(extractionsDir), []);
+  assert.equal(await fs.pathExists(path.join(uploadsDir, 'zeros.bin')), false);
+});
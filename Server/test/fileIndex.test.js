@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Search filters and paging of the metadata index, on a small tree built here
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-index-'));
+const uploadsDir = path.join(root, 'uploads');
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+
+const { reconcileIndex, indexItem, searchIndex } = await import('../lib/fileIndex.js');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Content is what the content type is sniffed from
+const FILES = {
+  'photos/beach.JPG': JPEG,
+  'photos/city.png': PNG,
+  'photos/2024/trip.jpeg': JPEG,
+  'photos/not-a-photo.jpg': 'plain text after all',
+  'docs/report.pdf': '%PDF-1.7\n',
+  'docs/notes.txt': 'notes',
+  'docs/.drafts/secret.txt': 'hidden'
+};
+
+before(async () => {
+  for (const [name, content] of Object.entries(FILES)) {
+    await fs.outputFile(path.join(uploadsDir, name), content);
+  }
+  await reconcileIndex();
+  // Rows below hidden folders exist (the trash) but are never found
+  await indexItem('/docs/.drafts/secret.txt');
+});
+
+after(() => fs.remove(root));
+
+const paths = (items) => items.map(item => item.path);
+
+test('a glob matches names, or paths when it has a slash, ignoring case', () => {
+  assert.deepEqual(paths(searchIndex({ glob: '*.jp*g' })), [
+    '/photos/beach.JPG',
+    '/photos/not-a-photo.jpg',
+    '/photos/2024/trip.jpeg'
+  ]);
+  assert.deepEqual(paths(searchIndex({ glob: 'PHOTOS/2024/*' })), ['/photos/2024/trip.jpeg']);
+  assert.deepEqual(paths(searchIndex({ glob: '/docs/*.txt' })), ['/docs/notes.txt']);
+  assert.deepEqual(paths(searchIndex({ glob: 'secret*' })), []);
+});
+
+test('extensions match the end of the name, ignoring case', () => {
+  assert.deepEqual(paths(searchIndex({ extensions: ['jpg', 'PNG'] })), [
+    '/photos/beach.JPG',
+    '/photos/city.png',
+    '/photos/not-a-photo.jpg'
+  ]);
+  assert.deepEqual(paths(searchIndex({ extensions: ['txt'] })), ['/docs/notes.txt']);
+});
+
+test('a content type matches exactly, a bare type any of its subtypes', () => {
+  assert.deepEqual(paths(searchIndex({ contentType: 'image/jpeg' })), ['/photos/beach.JPG', '/photos/2024/trip.jpeg']);
+  assert.deepEqual(paths(searchIndex({ contentType: 'image' })), [
+    '/photos/beach.JPG',
+    '/photos/city.png',
+    '/photos/2024/trip.jpeg'
+  ]);
+  // Judged by content, not by name
+  assert.deepEqual(paths(searchIndex({ contentType: 'text' })), ['/photos/not-a-photo.jpg', '/docs/notes.txt']);
+  assert.deepEqual(paths(searchIndex({ path: '/docs', contentType: 'application/pdf' })), ['/docs/report.pdf']);
+});
+
+test('limit and offset page through the same order as the whole result', () => {
+  const all = paths(searchIndex({ sort: 'name' }));
+  assert.equal(all.length, 9);
+  for (const limit of [1, 2, 4]) {
+    const pages = [];
+    for (let offset = 0; offset < all.length + limit; offset += limit) {
+      pages.push(...paths(searchIndex({ sort: 'name', limit, offset })));
+    }
+    assert.deepEqual(pages, all);
+  }
+  assert.deepEqual(paths(searchIndex({ kind: 'file', sort: 'size', order: 'desc', limit: 2, offset: 1 })),
+    paths(searchIndex({ kind: 'file', sort: 'size', order: 'desc' })).slice(1, 3));
+});
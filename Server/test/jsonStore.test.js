@@ -0,0 +1,31 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { createJsonStore } from '../lib/jsonStore.js';
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-store-'));
+
+after(() => fs.remove(root));
+
+test('a missing file starts from the defaults', async () => {
+  const store = createJsonStore(path.join(root, 'missing.json'), { users: [] });
+  assert.deepEqual(await store.read(), { users: [] });
+  await store.update((data) => {
+    data.users.push('admin');
+  });
+  assert.deepEqual(await fs.readJson(path.join(root, 'missing.json')), { users: ['admin'] });
+});
+
+test('a file that does not parse is refused and left alone', async () => {
+  const filePath = path.join(root, 'users.json');
+  await fs.writeFile(filePath, '{ "users": [{ "id": 1 }');
+  const store = createJsonStore(filePath, { users: [] });
+
+  await assert.rejects(store.read(), /Failed to read .*users\.json/);
+  await assert.rejects(store.update((data) => {
+    data.users.push('admin');
+  }), /Failed to read/);
+  assert.equal(await fs.readFile(filePath, 'utf8'), '{ "users": [{ "id": 1 }');
+});
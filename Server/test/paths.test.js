@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Path traversal payloads against resolveUploadPath / isInsideUploads. config.js reads
+// UPLOADS_DIR when it is first imported, so the modules are loaded after it is set.
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-paths-'));
+const uploadsDir = path.join(root, 'uploads');
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+
+const { resolveUploadPath, isInsideUploads } = await import('../lib/paths.js');
+
+before(async () => {
+  await fs.ensureDir(path.join(uploadsDir, 'media'));
+  await fs.outputFile(path.join(root, 'uploads-evil', 'secret.txt'), 'secret');
+  await fs.outputFile(path.join(root, 'outside', 'secret.txt'), 'secret');
+  await fs.symlink(path.join(root, 'outside'), path.join(uploadsDir, 'media', 'escape'));
+  await fs.symlink(path.join(root, 'missing'), path.join(uploadsDir, 'media', 'dangling'));
+});
+
+after(() => fs.remove(root));
+
+const isInside = (fullPath) => fullPath === uploadsDir || fullPath.startsWith(uploadsDir + path.sep);
+
+// Either refused with 400, or resolved to somewhere inside the uploads folder
+const assertContained = async (payload) => {
+  try {
+    const { fullPath } = await resolveUploadPath(payload);
+    assert.ok(isInside(fullPath), `${JSON.stringify(payload)} resolved to ${fullPath}`);
+  } catch (error) {
+    assert.equal(error.status, 400, `${JSON.stringify(payload)} failed with ${error.message}`);
+  }
+};
+
+test('dot-dot segments never climb above the uploads folder', async () => {
+  for (const payload of [
+    '../',
+    '..',
+    '../../etc/passwd',
+    '/media/../../etc/passwd',
+    'media/../../../uploads-evil/secret.txt',
+    '/./../media',
+    '....//....//etc/passwd'
+  ]) {
+    await assertContained(payload);
+  }
+  const { relativePath, fullPath } = await resolveUploadPath('../../etc/passwd');
+  assert.equal(relativePath, '/etc/passwd');
+  assert.equal(fullPath, path.join(uploadsDir, 'etc', 'passwd'));
+});
+
+test('encoded and double-encoded separators stay literal', async () => {
+  // Express decodes a query string once - what is left is part of a name, not a separator
+  for (const payload of ['..%2f', '..%2f..%2fetc%2fpasswd', '%2e%2e%2f', '%252e%252e%252f', '..%252f..%252f', '%c0%ae%c0%ae/']) {
+    await assertContained(payload);
+  }
+  await assert.rejects(resolveUploadPath('..%2f'), { status: 400 });
+  const { fullPath } = await resolveUploadPath('%252e%252e%252fetc');
+  assert.equal(fullPath, path.join(uploadsDir, '%252e%252e%252fetc'));
+});
+
+test('backslashes are separators', async () => {
+  for (const payload of ['..\\..\\etc\\passwd', 'media\\..\\..\\uploads-evil', '\\..\\outside']) {
+    await assertContained(payload);
+  }
+  const { relativePath } = await resolveUploadPath('media\\clip.mp4');
+  assert.equal(relativePath, '/media/clip.mp4');
+});
+
+test('NUL bytes and non-strings are refused', async () => {
+  await assert.rejects(resolveUploadPath('media/clip.mp4\0.txt'), { status: 400 });
+  await assert.rejects(resolveUploadPath('\0'), { status: 400 });
+  await assert.rejects(resolveUploadPath(['..', '..']), { status: 400 });
+  await assert.rejects(resolveUploadPath({ path: '/' }), { status: 400 });
+});
+
+test('hidden segments are refused', async () => {
+  await assert.rejects(resolveUploadPath('/.mediagrid/versions'), { status: 400 });
+  await assert.rejects(resolveUploadPath('/media/.trash'), { status: 400 });
+});
+
+test('absolute paths are taken relative to the uploads folder', async () => {
+  const { fullPath } = await resolveUploadPath(path.join(root, 'outside', 'secret.txt'));
+  assert.ok(isInside(fullPath));
+  assert.equal(await isInsideUploads(path.join(root, 'outside', 'secret.txt')), false);
+  assert.equal(await isInsideUploads('/etc/passwd'), false);
+});
+
+test('a sibling folder sharing the prefix is outside', async () => {
+  assert.equal(await isInsideUploads(path.join(root, 'uploads-evil')), false);
+  assert.equal(await isInsideUploads(path.join(root, 'uploads-evil', 'secret.txt')), false);
+  assert.equal(await isInsideUploads(uploadsDir), true);
+  assert.equal(await isInsideUploads(path.join(uploadsDir, 'media', 'new-file.mp4')), true);
+});
+
+test('symlinks leading outside the uploads folder are refused', async () => {
+  await assert.rejects(resolveUploadPath('/media/escape'), { status: 400 });
+  await assert.rejects(resolveUploadPath('/media/escape/secret.txt'), { status: 400 });
+  await assert.rejects(resolveUploadPath('/media/escape/new-folder/new-file.mp4'), { status: 400 });
+  await assert.rejects(resolveUploadPath('/media/dangling'), { status: 400 });
+  assert.equal(await isInsideUploads(path.join(uploadsDir, 'media', 'escape', 'secret.txt')), false);
+});
@@ -0,0 +1,146 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Storage quotas: what a user and a top-level folder have left, and the 507s when an
+// upload would go past it
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-quotas-'));
+const uploadsDir = path.join(root, 'uploads');
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.DEFAULT_USER_QUOTA = '1000';
+process.env.DISK_RESERVE_BYTES = '1';
+// The server creates it on startup
+await fs.ensureDir(uploadsDir);
+
+const {
+  assertUploadAllowed,
+  getStorageSummary,
+  recordFileOwner,
+  moveFileOwners,
+  forgetFileOwners,
+  setUserQuota,
+  setFolderQuota,
+  listQuotas,
+  topLevelFolder
+} = await import('../lib/quotas.js');
+const { createUploadSession, removeUploadSession } = await import('../lib/uploadSessions.js');
+
+after(() => fs.remove(root));
+
+// The 507 an upload of `size` bytes gets, or null when it is allowed
+const refusal = async (upload) => {
+  try {
+    await assertUploadAllowed(upload);
+    return null;
+  } catch (error) {
+    assert.equal(error.status, 507, error.message);
+    return error.details;
+  }
+};
+
+test('a top-level folder is the first segment of a path', () => {
+  assert.equal(topLevelFolder('/Projects/2024/clip.mp4'), '/Projects');
+  assert.equal(topLevelFolder('Projects'), '/Projects');
+  assert.equal(topLevelFolder('/'), null);
+});
+
+test('users get the default quota, less what they stored', async () => {
+  await recordFileOwner('/alice-1.bin', 'alice', 600);
+  assert.equal(await refusal({ userId: 'alice', targetPath: '/', size: 400 }), null);
+  assert.deepEqual(await refusal({ userId: 'alice', targetPath: '/', size: 401 }), { quota: 'user', needed: 401, available: 400 });
+
+  // Someone else's files don't count
+  await recordFileOwner('/bob-1.bin', 'bob', 900);
+  assert.equal((await getStorageSummary('alice')).user.used, 600);
+
+  // A replaced file changes hands
+  await recordFileOwner('/alice-1.bin', 'bob', 600);
+  assert.equal((await getStorageSummary('alice')).user.used, 0);
+  assert.equal((await getStorageSummary('bob')).user.used, 1500);
+  assert.deepEqual(await refusal({ userId: 'bob', targetPath: '/', size: 1 }), { quota: 'user', needed: 1, available: 0 });
+});
+
+test('a user limit replaces the default, 0 makes the user unlimited', async () => {
+  await recordFileOwner('/carol-1.bin', 'carol', 500);
+  await setUserQuota('carol', 2000);
+  assert.equal(await refusal({ userId: 'carol', targetPath: '/', size: 1500 }), null);
+  assert.equal((await refusal({ userId: 'carol', targetPath: '/', size: 1501 }))?.quota, 'user');
+
+  await setUserQuota('carol', 0);
+  assert.equal((await getStorageSummary('carol')).user.available, null);
+  assert.equal(await refusal({ userId: 'carol', targetPath: '/', size: 1_000_000 }), null);
+
+  // null goes back to the default
+  await setUserQuota('carol', null);
+  assert.equal((await getStorageSummary('carol')).user.limit, 1000);
+  await assert.rejects(setUserQuota('carol', -1), { status: 400 });
+  await assert.rejects(setUserQuota('carol', 1.5), { status: 400 });
+});
+
+test('unfinished uploads count against the quota at their full size', async () => {
+  await recordFileOwner('/dave-1.bin', 'dave', 200);
+  const session = await createUploadSession({ filename: 'big.bin', targetPath: '/', size: 500, owner: 'user:dave' });
+  const { user } = await getStorageSummary('dave');
+  assert.equal(user.pending, 500);
+  assert.equal(user.available, 300);
+  assert.equal((await refusal({ userId: 'dave', targetPath: '/', size: 301 }))?.quota, 'user');
+
+  await removeUploadSession(session.id);
+  assert.equal(await refusal({ userId: 'dave', targetPath: '/', size: 800 }), null);
+});
+
+test('a folder quota covers everything below the top-level folder', async () => {
+  await fs.outputFile(path.join(uploadsDir, 'Projects', 'one', 'a.bin'), Buffer.alloc(400));
+  await fs.outputFile(path.join(uploadsDir, 'Projects', 'two', 'b.bin'), Buffer.alloc(300));
+  // Hidden entries are not measured
+  await fs.outputFile(path.join(uploadsDir, 'Projects', '.chunks', 'c.bin'), Buffer.alloc(5000));
+  await setFolderQuota('/Projects', 1000);
+
+  assert.equal(await refusal({ userId: null, targetPath: '/Projects/one', size: 300 }), null);
+  assert.deepEqual(await refusal({ userId: null, targetPath: '/Projects/two/deeper', size: 301 }), { quota: 'folder', needed: 301, available: 300 });
+  // Other folders and the root are not limited
+  assert.equal(await refusal({ userId: null, targetPath: '/Other', size: 5000 }), null);
+  assert.equal((await getStorageSummary(null, '/')).folder, null);
+
+  await assert.rejects(setFolderQuota('/Projects/one', 10), { status: 400 });
+  await assert.rejects(setFolderQuota('/', 10), { status: 400 });
+
+  // 0 removes the limit
+  await setFolderQuota('/Projects', 0);
+  assert.equal(await refusal({ userId: null, targetPath: '/Projects/one', size: 5000 }), null);
+});
+
+test('the user quota is checked along with the folder quota', async () => {
+  await setFolderQuota('/Shared', 10_000);
+  assert.deepEqual(await refusal({ userId: 'erin', targetPath: '/Shared', size: 1001 }), { quota: 'user', needed: 1001, available: 1000 });
+  await setUserQuota('erin', 0);
+  assert.deepEqual(await refusal({ userId: 'erin', targetPath: '/Shared', size: 10_001 }), { quota: 'folder', needed: 10_001, available: 10_000 });
+});
+
+test('free disk space is checked unless the data is already on disk', async () => {
+  const size = Number.MAX_SAFE_INTEGER;
+  assert.equal((await refusal({ userId: null, targetPath: '/', size }))?.quota, 'disk');
+  assert.equal(await refusal({ userId: null, targetPath: '/', size, onDisk: true }), null);
+});
+
+test('owners move with renamed folders, a renamed folder keeps its quota', async () => {
+  await recordFileOwner('/Media/clips/a.mp4', 'frank', 300);
+  await recordFileOwner('/Media/clips/b.mp4', 'frank', 200);
+  await setFolderQuota('/Media', 5000);
+
+  await moveFileOwners('/Media', '/Videos');
+  assert.equal((await getStorageSummary('frank')).user.used, 500);
+  const { folders } = await listQuotas([]);
+  assert.equal(folders.find(folder => folder.path === '/Videos')?.limit, 5000);
+  assert.equal(folders.some(folder => folder.path === '/Media'), false);
+
+  await forgetFileOwners('/Videos/clips/a.mp4');
+  assert.equal((await getStorageSummary('frank')).user.used, 200);
+  await forgetFileOwners('/Videos');
+  assert.equal((await getStorageSummary('frank')).user.used, 0);
+  assert.equal((await listQuotas([])).folders.some(folder => folder.path === '/Videos'), false);
+});
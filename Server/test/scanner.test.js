@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+
+// Malware scanning end to end: the server runs with scripts/fake-scanner.js as its
+// scanner, and an upload containing the EICAR test string has to leave the tree.
+
+const serverDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-scanner-'));
+const uploadsDir = path.join(root, 'uploads');
+
+let server = null;
+let base = null;
+let token = null;
+
+// A port nothing listens on right now
+const freePort = async () => {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+};
+
+const api = async (url, options = {}) => {
+  const response = await fetch(`${base}/api${url}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, ...options.headers }
+  });
+  const data = await response.json();
+  assert.ok(response.ok, `${url}: ${data.error}`);
+  return data;
+};
+
+const upload = (name, content) => {
+  const form = new FormData();
+  form.append('path', '/');
+  form.append('file', new Blob([content]), name);
+  return api('/upload', { method: 'POST', body: form });
+};
+
+const waitFor = async (check, what) => {
+  for (let i = 0; i < 200; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+};
+
+before(async () => {
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['index.js'], {
+    cwd: serverDir,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      PORT: String(port),
+      UPLOADS_DIR: uploadsDir,
+      DATA_DIR: path.join(root, 'data'),
+      ADMIN_PASSWORD: 'secret123',
+      SCAN_COMMAND: `${process.execPath} scripts/fake-scanner.js`
+    }
+  });
+  server.stderr.resume();
+
+  let output = '';
+  server.stdout.setEncoding('utf8');
+  await Promise.race([
+    new Promise(resolve => server.stdout.on('data', (data) => {
+      output += data;
+      if (output.includes('MediaGrid Server running')) resolve();
+    })),
+    once(server, 'exit').then(([code]) => {
+      throw new Error(`The server exited with code ${code}`);
+    })
+  ]);
+  server.stdout.resume();
+
+  const response = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'secret123' })
+  });
+  ({ token } = await response.json());
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    server.kill();
+    await once(server, 'exit');
+  }
+  await fs.remove(root);
+});
+
+test('an infected upload is quarantined and leaves listings, search and the index', async () => {
+  await upload('clean.txt', 'nothing to see here');
+  await upload('eicar.txt', `header ${EICAR} trailer`);
+
+  const { files: quarantined } = await waitFor(async () => {
+    const data = await api('/admin/quarantine');
+    return data.files.length > 0 && data;
+  }, 'the quarantine');
+  assert.equal(quarantined.length, 1);
+  assert.equal(quarantined[0].originalPath, '/eicar.txt');
+  assert.equal(quarantined[0].signature, 'Eicar-Test-Signature');
+  assert.ok(await fs.pathExists(path.join(uploadsDir, '.mediagrid', 'quarantine', quarantined[0].id)));
+  assert.equal(await fs.pathExists(path.join(uploadsDir, 'eicar.txt')), false);
+
+  // The clean file is served once its own scan is through
+  await waitFor(async () => {
+    const { files } = await api('/files?path=/');
+    return files.find(file => file.name === 'clean.txt')?.scan?.status === 'clean';
+  }, 'the clean file to be scanned');
+  const { files } = await api('/files?path=/');
+  assert.deepEqual(files.map(file => file.name), ['clean.txt']);
+
+  const search = await api('/search?q=eicar');
+  assert.equal(search.results.length, 0);
+  assert.equal((await api('/search?q=clean')).results.length, 1);
+
+  const { events } = await api('/admin/audit?type=scan.infected');
+  assert.equal(events.length, 1);
+  assert.equal(events[0].path, '/eicar.txt');
+  assert.equal(events[0].signature, 'Eicar-Test-Signature');
+  assert.equal(events[0].quarantineId, quarantined[0].id);
+});
@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+
+// Paging /api/search end to end: the index is read SEARCH_BATCH_SIZE (500) rows at a time
+// and hits the user can't view are dropped, so pages have to come out right across a
+// batch boundary with hidden rows before it.
+
+const serverDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-search-'));
+const uploadsDir = path.join(root, 'uploads');
+
+// Sorted by name every hidden file comes first: rows 0-299 are hidden from the viewer,
+// rows 300-699 are the 400 files it sees
+const HIDDEN = 300;
+const VISIBLE = 400;
+const name = (prefix, index) => `clip-${prefix}-${String(index).padStart(3, '0')}.txt`;
+
+let server = null;
+let base = null;
+const tokens = {};
+
+// A port nothing listens on right now
+const freePort = async () => {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+};
+
+const api = async (url, { as = 'admin', ...options } = {}) => {
+  const response = await fetch(`${base}/api${url}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${tokens[as]}`, 'Content-Type': 'application/json', ...options.headers }
+  });
+  const data = await response.json();
+  assert.ok(response.ok, `${url}: ${data.error}`);
+  return data;
+};
+
+const login = async (username, password) => {
+  const response = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  return (await response.json()).token;
+};
+
+before(async () => {
+  for (let i = 0; i < HIDDEN; i++) await fs.outputFile(path.join(uploadsDir, 'private', name('a', i)), 'x');
+  for (let i = 0; i < VISIBLE; i++) await fs.outputFile(path.join(uploadsDir, 'public', name('b', i)), 'x');
+
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['index.js'], {
+    cwd: serverDir,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      PORT: String(port),
+      UPLOADS_DIR: uploadsDir,
+      DATA_DIR: path.join(root, 'data'),
+      ADMIN_PASSWORD: 'secret123'
+    }
+  });
+  server.stderr.resume();
+
+  let output = '';
+  server.stdout.setEncoding('utf8');
+  await Promise.race([
+    new Promise(resolve => server.stdout.on('data', (data) => {
+      output += data;
+      if (output.includes('MediaGrid Server running')) resolve();
+    })),
+    once(server, 'exit').then(([code]) => {
+      throw new Error(`The server exited with code ${code}`);
+    })
+  ]);
+  server.stdout.resume();
+
+  tokens.admin = await login('admin', 'secret123');
+  const { user } = await api('/users', {
+    method: 'POST',
+    body: JSON.stringify({ username: 'viewer', password: 'secret123', role: 'viewer' })
+  });
+  await api('/acl', { method: 'POST', body: JSON.stringify({ path: '/private', userId: user.id, role: 'none' }) });
+  tokens.viewer = await login('viewer', 'secret123');
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    server.kill();
+    await once(server, 'exit');
+  }
+  await fs.remove(root);
+});
+
+const search = async (as, offset, limit) => {
+  const data = await api(`/search?q=clip&offset=${offset}&limit=${limit}`, { as });
+  return { ...data, names: data.results.map(result => result.name) };
+};
+
+const visibleNames = (from, to) => Array.from({ length: to - from }, (_, index) => name('b', from + index));
+
+test('a page that straddles a batch of rows skips the hidden ones', async () => {
+  // Rows 450-549 - the first 50 come from the first batch, the rest from the second
+  const page = await search('viewer', 150, 100);
+  assert.deepEqual(page.names, visibleNames(150, 250));
+  assert.equal(page.hasMore, true);
+  assert.equal(page.total, 250);
+  assert.equal(page.offset, 150);
+  assert.equal(page.limit, 100);
+
+  // The last row of the first batch and the first of the second
+  assert.deepEqual((await search('viewer', 199, 2)).names, [name('b', 199), name('b', 200)]);
+});
+
+test('hasMore looks past the end of a batch', async () => {
+  // The page fills up on the very last row of the first batch
+  const first = await search('viewer', 0, 200);
+  assert.deepEqual(first.names, visibleNames(0, 200));
+  assert.equal(first.hasMore, true);
+
+  const last = await search('viewer', 350, 100);
+  assert.deepEqual(last.names, visibleNames(350, 400));
+  assert.equal(last.hasMore, false);
+  assert.equal(last.total, VISIBLE);
+
+  assert.deepEqual((await search('viewer', VISIBLE, 50)).names, []);
+});
+
+test('paging through every result returns each visible file once', async () => {
+  const seen = [];
+  for (let offset = 0, hasMore = true; hasMore; offset += 200) {
+    const page = await search('viewer', offset, 200);
+    seen.push(...page.names);
+    ({ hasMore } = page);
+  }
+  assert.deepEqual(seen, visibleNames(0, VISIBLE));
+
+  // An admin sees the hidden rows as well
+  const admin = await search('admin', HIDDEN + VISIBLE - 50, 100);
+  assert.deepEqual(admin.names, visibleNames(VISIBLE - 50, VISIBLE));
+  assert.equal(admin.total, HIDDEN + VISIBLE);
+  assert.equal(admin.hasMore, false);
+  assert.deepEqual((await search('admin', 0, 3)).names, [name('a', 0), name('a', 1), name('a', 2)]);
+});
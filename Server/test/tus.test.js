@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import fs from 'fs-extra';
+import { HttpError } from '../lib/errors.js';
+
+// The tus router on its own, with stand-ins for the target checks and the placement
+// index.js does
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-tus-'));
+process.env.UPLOADS_DIR = path.join(root, 'uploads');
+process.env.DATA_DIR = path.join(root, 'data');
+
+const { createTusRouter } = await import('../lib/tus.js');
+
+// What `place` does for the next upload - a function that may throw
+let placeNext = null;
+const placed = [];
+
+const app = express();
+app.use('/tus', createTusRouter({
+  getOwner: () => 'user:1',
+  resolveTarget: async (req, targetPath, filename) => ({ filename, relativePath: targetPath || '/' }),
+  place: async (req, dataPath, upload) => {
+    await placeNext?.(upload);
+    placed.push({ name: upload.filename, data: await fs.readFile(dataPath, 'utf8') });
+    return { name: upload.filename };
+  }
+}));
+
+let server = null;
+let base = null;
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/tus`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.remove(root);
+});
+
+const TUS = { 'Tus-Resumable': '1.0.0' };
+
+const create = async (filename, size) => {
+  const response = await fetch(base, {
+    method: 'POST',
+    headers: {
+      ...TUS,
+      'Upload-Length': String(size),
+      'Upload-Metadata': `filename ${Buffer.from(filename).toString('base64')}`
+    }
+  });
+  assert.equal(response.status, 201);
+  return new URL(response.headers.get('location'), base).href;
+};
+
+const patch = (url, offset, body) => fetch(url, {
+  method: 'PATCH',
+  headers: { ...TUS, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+  body
+});
+
+const head = (url) => fetch(url, { method: 'HEAD', headers: TUS });
+
+test('an upload is placed once its last byte arrives', async () => {
+  placeNext = null;
+  const url = await create('clip.mp4', 10);
+  assert.equal((await patch(url, 0, 'hello')).status, 204);
+  assert.equal((await head(url)).headers.get('upload-offset'), '5');
+  const response = await patch(url, 5, 'world');
+  assert.equal(response.status, 204);
+  assert.equal(response.headers.get('upload-offset'), '10');
+  assert.deepEqual(placed.at(-1), { name: 'clip.mp4', data: 'helloworld' });
+});
+
+test('an upload refused when it is placed is gone, not reported as finished', async () => {
+  for (const error of [
+    new HttpError(415, 'Files of this type are not allowed here'),
+    new HttpError(507, 'This upload would exceed your storage quota'),
+    new HttpError(409, 'A file with that name already exists', { conflict: true })
+  ]) {
+    placeNext = () => {
+      throw error;
+    };
+    const placedBefore = placed.length;
+    const url = await create('refused.mp4', 4);
+    const response = await patch(url, 0, 'data');
+    assert.equal(response.status, error.status);
+    assert.equal((await response.json()).error, error.message);
+
+    assert.equal((await head(url)).status, 404);
+    assert.equal((await patch(url, 4, '')).status, 404);
+    assert.equal(placed.length, placedBefore);
+    assert.equal(await fs.pathExists(path.join(process.env.UPLOADS_DIR, '.mediagrid', 'tus', `${path.basename(url)}.part`)), false);
+  }
+});
@@ -0,0 +1,101 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Finalizing upload sessions exactly once, with a stand-in for the placement index.js does
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-sessions-'));
+const uploadsDir = path.join(root, 'uploads');
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+
+const {
+  createUploadSession,
+  writeUploadChunk,
+  finalizeUploadSession,
+  getUploadSession
+} = await import('../lib/uploadSessions.js');
+
+after(() => fs.remove(root));
+
+const OWNER = 'user:1';
+
+// A session of two 4-byte chunks, both received
+const createFullSession = async (filename) => {
+  const session = await createUploadSession({ filename, targetPath: '/', size: 8, chunkSize: 4, owner: OWNER });
+  await writeUploadChunk(session.id, OWNER, 0, Buffer.from('aaaa'));
+  await writeUploadChunk(session.id, OWNER, 1, Buffer.from('bbbb'));
+  return session;
+};
+
+// Moves the data into the uploads folder and records every call. `gate` holds it up.
+const createPlace = (gate = Promise.resolve()) => {
+  const placed = [];
+  const place = async (dataPath, session) => {
+    await gate;
+    const target = path.join(uploadsDir, session.filename);
+    await fs.move(dataPath, target, { overwrite: true });
+    placed.push(await fs.readFile(target, 'utf8'));
+    return { name: session.filename };
+  };
+  return { placed, place };
+};
+
+test('two finalizes at once place the file once', async () => {
+  const { id } = await createFullSession('twice.bin');
+  let release;
+  const { placed, place } = createPlace(new Promise(resolve => {
+    release = resolve;
+  }));
+
+  const first = finalizeUploadSession(id, OWNER, place);
+  const second = finalizeUploadSession(id, OWNER, place);
+  await assert.rejects(second, { status: 409, message: /already being finalized/ });
+  release();
+
+  const session = await first;
+  assert.equal(session.status, 'complete');
+  assert.deepEqual(placed, ['aaaabbbb']);
+
+  // Finalizing a finished session again answers with the same file, placing nothing
+  const again = await finalizeUploadSession(id, OWNER, place);
+  assert.deepEqual(again.file, { name: 'twice.bin' });
+  assert.deepEqual(placed, ['aaaabbbb']);
+});
+
+test('a finalize while a chunk is still being written is refused until it is done', async () => {
+  const { id } = await createFullSession('rewrite.bin');
+  const { placed, place } = createPlace();
+
+  // The chunk is sent again; finalize arrives before its write has finished
+  const write = writeUploadChunk(id, OWNER, 0, Buffer.from('cccc'));
+  const early = finalizeUploadSession(id, OWNER, place);
+  await assert.rejects(early, { status: 409, message: /still being written/ });
+  await write;
+  assert.equal((await getUploadSession(id, OWNER)).status, 'open');
+
+  const session = await finalizeUploadSession(id, OWNER, place);
+  assert.equal(session.status, 'complete');
+  assert.deepEqual(placed, ['ccccbbbb']);
+});
+
+test('a chunk that arrives while the session is finalized is refused', async () => {
+  const { id } = await createFullSession('late.bin');
+  let release;
+  const { placed, place } = createPlace(new Promise(resolve => {
+    release = resolve;
+  }));
+
+  const finalize = finalizeUploadSession(id, OWNER, place);
+  // Wait until the session is claimed
+  for (let i = 0; i < 100 && (await getUploadSession(id, OWNER)).status !== 'assembling'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await assert.rejects(writeUploadChunk(id, OWNER, 0, Buffer.from('dddd')), { status: 409, message: /already been finalized/ });
+  release();
+
+  assert.equal((await finalize).status, 'complete');
+  assert.deepEqual(placed, ['aaaabbbb']);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// URL imports with the default settings: private addresses are refused before anything
+// is downloaded, even when a server is listening there.
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-imports-private-'));
+process.env.UPLOADS_DIR = path.join(root, 'uploads');
+process.env.DATA_DIR = path.join(root, 'data');
+delete process.env.URL_IMPORT_ALLOW_PRIVATE;
+
+const { createUrlImport, getUrlImport } = await import('../lib/urlImports.js');
+
+let requests = 0;
+const server = http.createServer((req, res) => {
+  requests++;
+  res.writeHead(200, { 'Content-Length': 5 }).end('video');
+});
+
+let port = null;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.remove(root);
+});
+
+const runImport = async (url) => {
+  const placed = [];
+  const { id } = createUrlImport({
+    url,
+    targetPath: '/',
+    owner: 'user-1',
+    place: async (dataPath, finished) => {
+      placed.push(finished);
+      return { name: finished.filename };
+    }
+  });
+  for (let i = 0; i < 200; i++) {
+    const job = getUrlImport(id, null);
+    if (['complete', 'failed', 'cancelled'].includes(job.status)) return { job, placed };
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Import ${id} never finished`);
+};
+
+test('refuses 127.0.0.1 when private addresses are not allowed', async () => {
+  const { job, placed } = await runImport(`http://127.0.0.1:${port}/clip.mp4`);
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /127\.0\.0\.1 is a private address/);
+  assert.equal(placed.length, 0);
+  assert.equal(requests, 0);
+});
+
+test('refuses a host name that resolves to a loopback address', async () => {
+  const { job, placed } = await runImport(`http://localhost:${port}/clip.mp4`);
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /localhost is a private address/);
+  assert.equal(placed.length, 0);
+  assert.equal(requests, 0);
+});
@@ -0,0 +1,177 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// URL imports against a local HTTP server. Loopback addresses are refused by default,
+// so URL_IMPORT_ALLOW_PRIVATE is set before config.js is first imported.
+
+const MAX_SIZE = 1000;
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-imports-'));
+process.env.UPLOADS_DIR = path.join(root, 'uploads');
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.URL_IMPORT_ALLOW_PRIVATE = 'true';
+process.env.URL_IMPORT_MAX_SIZE = String(MAX_SIZE);
+process.env.URL_IMPORT_MAX_REDIRECTS = '3';
+
+const { createUrlImport, getUrlImport, cancelUrlImport } = await import('../lib/urlImports.js');
+
+// Responses that can't be written through http.ServerResponse - more body than announced
+const rawServer = net.createServer(socket => {
+  socket.once('data', () => {
+    socket.write('HTTP/1.1 200 OK\r\nContent-Length: 10\r\nConnection: close\r\n\r\n');
+    socket.end('x'.repeat(MAX_SIZE * 5));
+  });
+});
+
+let rawBase = null;
+// Requests that are still streaming, so the cancel test can check they were cut off
+const openResponses = new Set();
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  switch (url.pathname) {
+    case '/hop1':
+      return res.writeHead(302, { Location: '/hop2' }).end();
+    case '/hop2':
+      return res.writeHead(301, { Location: '/files/clip.mp4' }).end();
+    case '/files/clip.mp4':
+      return res.writeHead(200, { 'Content-Length': 5 }).end('video');
+    case '/loop':
+      return res.writeHead(302, { Location: '/loop' }).end();
+    case '/announced-too-big':
+      return res.writeHead(200, { 'Content-Length': MAX_SIZE + 1 }).end('x'.repeat(MAX_SIZE + 1));
+    case '/unannounced-too-big':
+      // Chunked, no Content-Length - only counting the bytes can catch it
+      res.writeHead(200);
+      for (let i = 0; i < 5; i++) res.write('x'.repeat(MAX_SIZE / 2));
+      return res.end();
+    case '/overlong':
+      return res.writeHead(302, { Location: `${rawBase}/overlong` }).end();
+    case '/disposition':
+      return res.writeHead(200, {
+        'Content-Length': 2,
+        'Content-Disposition': `attachment; filename="fallback.mp4"; filename*=UTF-8''Caf%C3%A9%20clip.mp4`
+      }).end('ok');
+    case '/slow':
+      res.writeHead(200, { 'Content-Length': MAX_SIZE });
+      res.write('x');
+      openResponses.add(res);
+      res.on('close', () => openResponses.delete(res));
+      return;
+    default:
+      return res.writeHead(404).end();
+  }
+});
+
+let base = null;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => rawServer.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  rawBase = `http://127.0.0.1:${rawServer.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => rawServer.close(resolve));
+  await fs.remove(root);
+});
+
+// Start an import that records what `place` was given, and wait for it to end
+const runImport = (url) => {
+  const placed = [];
+  const job = createUrlImport({
+    url,
+    targetPath: '/',
+    owner: 'user-1',
+    place: async (dataPath, finished) => {
+      placed.push({ ...finished, data: await fs.readFile(dataPath, 'utf8') });
+      return { name: finished.filename };
+    }
+  });
+  return { id: job.id, placed, done: waitForStatus(job.id, ['complete', 'failed', 'cancelled']) };
+};
+
+const waitForStatus = async (id, statuses) => {
+  for (let i = 0; i < 200; i++) {
+    const job = getUrlImport(id, null);
+    if (statuses.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Import ${id} never reached ${statuses.join(' or ')}`);
+};
+
+test('follows a redirect chain to the file', async () => {
+  const { placed, done } = runImport(`${base}/hop1`);
+  const job = await done;
+  assert.equal(job.status, 'complete', job.error);
+  assert.equal(job.filename, 'clip.mp4');
+  assert.equal(placed[0].data, 'video');
+  assert.equal(placed[0].sha256, crypto.createHash('sha256').update('video').digest('hex'));
+});
+
+test('gives up after too many redirects', async () => {
+  const job = await runImport(`${base}/loop`).done;
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /Too many redirects/);
+});
+
+test('refuses a body announced over the limit before downloading it', async () => {
+  const { placed, done } = runImport(`${base}/announced-too-big`);
+  const job = await done;
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /larger than the import limit/);
+  assert.equal(placed.length, 0);
+});
+
+test('aborts a body that runs past the limit without announcing its length', async () => {
+  const { placed, done } = runImport(`${base}/unannounced-too-big`);
+  const job = await done;
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /larger than the import limit/);
+  assert.equal(placed.length, 0);
+  assert.deepEqual(await fs.readdir(path.join(process.env.UPLOADS_DIR, '.mediagrid', 'imports')), []);
+});
+
+test('never keeps more than the announced Content-Length', async () => {
+  const { placed, done } = runImport(`${base}/overlong`);
+  const job = await done;
+  assert.equal(job.status, 'complete', job.error);
+  assert.equal(job.receivedBytes, 10);
+  assert.equal(placed[0].data, 'x'.repeat(10));
+});
+
+test('takes the name from filename* in Content-Disposition', async () => {
+  const { done } = runImport(`${base}/disposition`);
+  const job = await done;
+  assert.equal(job.status, 'complete', job.error);
+  assert.equal(job.filename, 'Café clip.mp4');
+});
+
+test('cancelling stops the download and places nothing', async () => {
+  const { id, placed } = runImport(`${base}/slow`);
+  await waitForStatus(id, ['downloading']);
+  // Wait until the first byte has arrived, so the request is really in flight
+  for (let i = 0; i < 200 && getUrlImport(id, null).receivedBytes === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+
+  assert.equal(cancelUrlImport(id, 'user-1').status, 'cancelled');
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(getUrlImport(id, null).status, 'cancelled');
+  assert.equal(placed.length, 0);
+  assert.equal(openResponses.size, 0);
+  assert.deepEqual(await fs.readdir(path.join(process.env.UPLOADS_DIR, '.mediagrid', 'imports')), []);
+
+  // A finished import is removed from the list instead
+  assert.equal(cancelUrlImport(id, 'user-1'), null);
+  assert.throws(() => getUrlImport(id, null), { status: 404 });
+});
@@ -0,0 +1,32 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+// Version history turned off with VERSIONS_KEEP=0
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mediagrid-versions-'));
+const uploadsDir = path.join(root, 'uploads');
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.VERSIONS_KEEP = '0';
+
+const { VERSIONS_KEEP } = await import('../config.js');
+const { keepVersion, listVersions, getVersionsRetention } = await import('../lib/versions.js');
+
+after(() => fs.remove(root));
+
+test('VERSIONS_KEEP=0 keeps no versions', async () => {
+  assert.equal(VERSIONS_KEEP, 0);
+  assert.equal(getVersionsRetention().keep, 0);
+
+  const fullPath = path.join(uploadsDir, 'clip.mp4');
+  await fs.outputFile(fullPath, 'first cut');
+  await keepVersion('/clip.mp4', fullPath);
+
+  // Moved out of the way for the new file, and not kept
+  assert.equal(await fs.pathExists(fullPath), false);
+  assert.deepEqual(await listVersions('/clip.mp4'), []);
+  assert.deepEqual(await fs.readdir(path.join(uploadsDir, '.mediagrid', 'versions')), []);
+});